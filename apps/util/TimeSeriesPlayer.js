@@ -13,19 +13,15 @@ define(function () {
      * Constructs a TimeSeriesPlayer. A time sequence and layer must be specified after construction.
      * @alias TimeSeriesPlayer
      * @constructor
-     * @classdesc Provides a control for time-series layers.
+     * @classdesc Provides a control for time-series layers. This control is a view of a
+     * {@link TimeSequencePlayer}, which performs the playback.
      * @param {WorldWindow} worldWindow The World Window to associate this player.
+     * @param {String|Element} container The element to contain the player's controls, or its selector. May be
+     * null, in which case the controls are added to the element with the ID "timeSeriesPlayer".
      */
-    var TimeSeriesPlayer = function (worldWindow) {
+    var TimeSeriesPlayer = function (worldWindow, container) {
         var self = this;
 
-        this.createPlayer();
-
-        // Intentionally not documented.
-        this.slider = $("#timeSeriesSlider");
-        this.sliderThumb = $(this.slider.children('.ui-slider-handle'));
-        this.timeDisplay = $("#timeSeriesDisplay");// $('<span style="position: absolute; width: 50px">Sat Aug 14, 2015</span>');
-
         /**
          * The World Window associated with this player, as specified to the constructor.
          * @type {WorldWindow}
@@ -34,18 +30,22 @@ define(function () {
         this.wwd = worldWindow;
 
         /**
-         * The time in milliseconds to display each frame of the time sequence.
-         * @type {Number}
-         * @default 1000 milliseconds
+         * The playback engine this player displays and controls.
+         * @type {TimeSequencePlayer}
+         * @readonly
          */
-        this.frameTime = 1000;
+        this.player = new WorldWind.TimeSequencePlayer(worldWindow.timeController);
 
-        /**
-         * The time sequence this player controls.
-         * @type {PeriodicTimeSequence}
-         * @default null
-         */
-        this.timeSequence = null;
+        // Hold each frame until the layer has loaded the next one, if the layer can tell.
+        this.player.isTimeReady = function (time) {
+            return !self.layer || !self.layer.isTimeReady || self.layer.isTimeReady(self.wwd, time);
+        };
+
+        this.player.addPlaybackListener(function (player, event) {
+            self.onPlaybackChange(event);
+        });
+
+        this.createPlayer($(container || "#timeSeriesPlayer"));
 
         /**
          * The layer this player controls.
@@ -54,21 +54,19 @@ define(function () {
          */
         this.layer = null;
 
-        //this.timeSequence = new WorldWind.PeriodicTimeSequence("2000-01-01/2001-12-01/P1M");
-
-        $("#timeSeriesBackward").on("click", function (event) {
+        this.backwardButton.on("click", function (event) {
             self.onStepBackwardButton(event);
         });
 
-        $("#timeSeriesForward").on("click", function (event) {
+        this.forwardButton.on("click", function (event) {
             self.onStepForwardButton(event);
         });
 
-        $("#timeSeriesPlay").on("click", function (event) {
+        this.playButton.on("click", function (event) {
             self.onPlayButton(event);
         });
 
-        $("#timeSeriesRepeat").on("click", function (event) {
+        this.repeatButton.on("click", function (event) {
             self.onRepeatButton(event);
         });
 
@@ -82,20 +80,49 @@ define(function () {
     };
 
     Object.defineProperties(TimeSeriesPlayer.prototype, {
+        /**
+         * The time sequence this player controls.
+         * @type {PeriodicTimeSequence}
+         * @default null
+         */
         timeSequence: {
             get: function () {
-                return this._timeSequence;
+                return this.player.timeSequence;
             },
             set: function (value) {
-                this._timeSequence = value;
-                if (this._timeSequence) {
-                    this.updateTimeSlider(this._timeSequence.scaleForCurrentTime);
-                    this.updateTimeDisplay(this._timeSequence.currentTime.toUTCString());
-                    this.wwd.redraw();
-                } else {
-                    this.updateTimeSlider(0);
-                    this.updateTimeDisplay("");
+                this.player.timeSequence = value;
+                if (value && this.layer && this.layer.time) {
+                    // Resume at the time the layer last displayed.
+                    this.player.seek(this.layer.time);
                 }
+                this.updatePlayButton();
+                this.wwd.redraw();
+            }
+        },
+
+        /**
+         * The time in milliseconds to display each frame of the time sequence.
+         * @type {Number}
+         * @default 1000 milliseconds
+         */
+        frameTime: {
+            get: function () {
+                return this.player.frameTime;
+            },
+            set: function (value) {
+                this.player.frameTime = value;
+            }
+        },
+
+        isPlaying: {
+            get: function () {
+                return this.player.isPlaying;
+            }
+        },
+
+        isRepeating: {
+            get: function () {
+                return this.player.repeatMode !== WorldWind.TimeSequencePlayer.REPEAT_NONE;
             }
         },
 
@@ -110,15 +137,15 @@ define(function () {
         }
     });
 
-    TimeSeriesPlayer.prototype.createPlayer = function () {
+    TimeSeriesPlayer.prototype.createPlayer = function (playerDiv) {
         var topButtonGroup = $('<div class="btn-group btn-group-vertical"></div>'),
-            backwardButton = $('<button id="timeSeriesBackward" type="button" class="btn btn-sm btn-primary"><span class="glyphicon glyphicon-step-backward"></span></button>'),
-            playButton = $('<button id="timeSeriesPlay" type="button" class="btn btn-sm btn-primary"><span class="glyphicon glyphicon-play"></span></button>'),
-            forwardButton = $('<button id="timeSeriesForward" type="button" class="btn btn-sm btn-primary"><span class="glyphicon glyphicon-step-forward"></span></button>'),
+            backwardButton = $('<button type="button" class="btn btn-sm btn-primary"><span class="glyphicon glyphicon-step-backward"></span></button>'),
+            playButton = $('<button type="button" class="btn btn-sm btn-primary"><span class="glyphicon glyphicon-play"></span></button>'),
+            forwardButton = $('<button type="button" class="btn btn-sm btn-primary"><span class="glyphicon glyphicon-step-forward"></span></button>'),
             bottomButtonGroup = $('<div class="btn-group btn-group-vertical"></div>'),
-            repeatButton = $('<button id="timeSeriesRepeat" type="button" class="btn btn-sm btn-primary"><span class="glyphicon glyphicon-repeat"></span></button>'),
-            sliderDiv = $('<div id="timeSeriesSlider" style="margin-top: 10px; margin-left: 10px; margin-bottom: 10px; background: #337ab7;"></div>'),
-            displaySpan = $('<span id="timeSeriesDisplay" style="position: absolute; width: 300px; color: yellow; text-shadow: 0px 0px 2px black"></span>');
+            repeatButton = $('<button type="button" class="btn btn-sm btn-primary"><span class="glyphicon glyphicon-repeat"></span></button>'),
+            sliderDiv = $('<div style="margin-top: 10px; margin-left: 10px; margin-bottom: 10px; background: #337ab7;"></div>'),
+            displaySpan = $('<span style="position: absolute; width: 300px; color: yellow; text-shadow: 0px 0px 2px black"></span>');
 
         sliderDiv.slider({orientation: "vertical"});
 
@@ -128,87 +155,76 @@ define(function () {
 
         bottomButtonGroup.append(repeatButton);
 
-        var playerDiv = $("#timeSeriesPlayer");
         playerDiv.append(topButtonGroup);
         playerDiv.append(sliderDiv);
         playerDiv.append(displaySpan);
         playerDiv.append(bottomButtonGroup);
 
+        // Intentionally not documented.
+        this.backwardButton = backwardButton;
         this.playButton = playButton;
+        this.forwardButton = forwardButton;
         this.repeatButton = repeatButton;
+        this.slider = sliderDiv;
+        this.sliderThumb = $(sliderDiv.children('.ui-slider-handle'));
+        this.timeDisplay = displaySpan;
     };
 
     TimeSeriesPlayer.prototype.onStepBackwardButton = function (event) {
         if (!this.isPlaying) {
-            if (this.timeSequence) {
-                var previousTime = this.timeSequence.previous() || this.timeSequence.previous();
-                this.updateTimeSlider(this.timeSequence.scaleForCurrentTime);
-            }
+            this.player.stepBackward();
         }
     };
 
     TimeSeriesPlayer.prototype.onStepForwardButton = function (event) {
         if (!this.isPlaying) {
-            if (this.timeSequence) {
-                var nextTime = this.timeSequence.next() || this.timeSequence.next();
-                this.updateTimeSlider(this.timeSequence.scaleForCurrentTime);
-            }
+            this.player.stepForward();
         }
     };
 
     TimeSeriesPlayer.prototype.onPlayButton = function (event) {
-        if (!this.timeSequence) {
-            return;
-        }
-
-        this.isPlaying = !this.isPlaying;
-
-        var self = this;
-        var playFunction = function () {
-            if (self.timeSequence && self.isPlaying) {
-                var nextTime = self.timeSequence.next();
-                if (nextTime) {
-                    //self.updateTimeDisplay(nextTime.toUTCString());
-                    self.updateTimeSlider(self.timeSequence.scaleForCurrentTime);
-                    window.setTimeout(playFunction, self.frameTime);
-                } else if (self.isRepeating) {
-                    self.timeSequence.reset();
-                    window.setTimeout(playFunction, self.frameTime);
-                } else {
-                    self.isPlaying = false;
-                    self.updatePlayButton();
-                }
-            }
-        };
-
         if (this.isPlaying) {
-            window.setTimeout(playFunction, this.frameTime);
+            this.player.pause();
+        } else {
+            this.player.play();
         }
-
-        this.updatePlayButton();
     };
 
     TimeSeriesPlayer.prototype.onRepeatButton = function (event) {
-        this.isRepeating = !this.isRepeating;
+        this.player.repeatMode = this.isRepeating ?
+            WorldWind.TimeSequencePlayer.REPEAT_NONE : WorldWind.TimeSequencePlayer.REPEAT_LOOP;
 
         this.repeatButton.find('span').removeClass(this.isRepeating ? "glyphicon-repeat" : "glyphicon-refresh");
         this.repeatButton.find('span').addClass(this.isRepeating ? "glyphicon-refresh" : "glyphicon-repeat");
     };
 
     TimeSeriesPlayer.prototype.onSlide = function (event, ui) {
-        if (!this.isPlaying && this.timeSequence) {
-            this.timeSequence.currentTime = this.timeSequence.getTimeForScale(ui.value / 100);
-            this.updateTimeDisplay(this.timeSequence.currentTime.toUTCString());
+        // Display the time under the thumb while dragging, but select it only when the drag ends.
+        if (!this.isPlaying && this.player.times.length > 0) {
+            var index = Math.round(ui.value / 100 * (this.player.times.length - 1));
+            this.updateTimeDisplay(this.player.times[index].toUTCString());
         }
     };
 
     TimeSeriesPlayer.prototype.onSliderChange = function (event, ui) {
-        if (this.timeSequence) {
-            this.updateTimeDisplay(this.timeSequence.currentTime.toUTCString());
-            if (this.layer && this.timeSequence && this.timeSequence.currentTime) {
-                this.layer.time = this.timeSequence.currentTime;
-                this.wwd.redraw();
+        // Ignore the changes made by updateTimeSlider.
+        if (event.originalEvent && !this.isPlaying) {
+            this.player.seekToScale(ui.value / 100);
+        }
+    };
+
+    TimeSeriesPlayer.prototype.onPlaybackChange = function (event) {
+        if (event === "time") {
+            var currentTime = this.player.currentTime;
+
+            this.updateTimeSlider(this.player.scaleForCurrentTime);
+            this.updateTimeDisplay(currentTime ? currentTime.toUTCString() : "");
+
+            if (currentTime && this.layer) {
+                this.layer.time = currentTime;
             }
+        } else {
+            this.updatePlayButton();
         }
     };
 
@@ -24,7 +24,10 @@
 
         // Create the Blue Marble layer and add it to the World Window's layer list. Disable it until its images
         // are preloaded, which is initiated below.
-        var timeseriesLayer = new WorldWind.TimeSeriesLayer(null, null);
+        var timeseriesLayer = new WorldWind.TimeSeriesLayer("Weather", null, {
+            timeSequence: new WorldWind.PeriodicTimeSequence("2016-07-12/2016-07-18/PT3H"),
+            urlTemplate: "standalonedata/WORLD-CED/test/{index:2}.png"
+        });
         timeseriesLayer.enabled = false;
         timeseriesLayer.showSpinner = true;
         wwd.addLayer(timeseriesLayer);
@@ -62,8 +65,8 @@
                 var currentIndex = 0;
                 window.setInterval(function () {
                     if (timeseriesLayer.enabled) {
-                        currentIndex = ++currentIndex % WorldWind.TimeSeriesLayer.availableTimes.length;
-                        timeseriesLayer.time = WorldWind.TimeSeriesLayer.availableTimes[currentIndex];
+                        currentIndex = ++currentIndex % timeseriesLayer.availableTimes.length;
+                        timeseriesLayer.time = timeseriesLayer.availableTimes[currentIndex];
                         wwd.redraw();
                     }
                 }, 100);
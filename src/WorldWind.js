@@ -28,8 +28,11 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './gesture/ClickRecognizer',
         './formats/collada/ColladaLoader',
         './util/Color',
+        './util/ColorRamp',
         './shapes/Compass',
         './layer/CompassLayer',
+        './util/CompositeTimeSequence',
+        './globe/CompoundElevationModel',
         './layer/CoordinatesDisplayLayer',
         './util/Date',
         './layer/DigitalGlobeTiledImageLayer',
@@ -48,11 +51,15 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './shapes/GeographicMesh',
         './projections/GeographicProjection',
         './shapes/GeographicText',
+        './formats/geojson/GeoJSONExporter',
         './formats/geojson/GeoJSONParser',
+        './globe/GeoTiffElevationModel',
+        './layer/GeoTiffLayer',
         './formats/geotiff/GeoTiffReader',
         './gesture/GestureRecognizer',
         './globe/Globe',
         './globe/Globe2D',
+        './ogc/GmlDecoder',
         './util/GoToAnimator',
         './shaders/GpuProgram',
         './cache/GpuResourceCache',
@@ -65,14 +72,17 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './util/Insets',
         './formats/kml/util/ItemIcon',
         './formats/kml/KmlAbstractView',
+        './formats/kml/tour/KmlAnimatedUpdate',
         './formats/kml/styles/KmlBalloonStyle',
         './formats/kml/KmlCamera',
         './formats/kml/styles/KmlColorStyle',
         './formats/kml/features/KmlContainer',
         './formats/kml/features/KmlDocument',
         './formats/kml/KmlElements',
+        './formats/kml/KmlExporter',
         './formats/kml/features/KmlFeature',
         './formats/kml/KmlFile',
+        './formats/kml/tour/KmlFlyTo',
         './formats/kml/features/KmlFolder',
         './formats/kml/geom/KmlGeometry',
         './formats/kml/features/KmlGroundOverlay',
@@ -91,17 +101,20 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './formats/kml/KmlLod',
         './formats/kml/KmlLookAt',
         './formats/kml/geom/KmlMultiGeometry',
+        './formats/kml/geom/KmlMultiTrack',
         './formats/kml/features/KmlNetworkLink',
         './formats/kml/KmlObject',
         './formats/kml/KmlOrientation',
         './formats/kml/features/KmlOverlay',
         './formats/kml/features/KmlPhotoOverlay',
         './formats/kml/features/KmlPlacemark',
+        './formats/kml/tour/KmlPlaylist',
         './formats/kml/geom/KmlPoint',
         './formats/kml/geom/KmlPolygon',
         './formats/kml/styles/KmlPolyStyle',
         './formats/kml/KmlRegion',
         './formats/kml/features/KmlScreenOverlay',
+        './formats/kml/tour/KmlSoundCue',
         './formats/kml/styles/KmlStyle',
         './formats/kml/styles/KmlStyleMap',
         './formats/kml/styles/KmlStyleSelector',
@@ -110,7 +123,11 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './formats/kml/KmlTimeSpan',
         './formats/kml/KmlTimeStamp',
         './formats/kml/features/KmlTour',
+        './formats/kml/tour/KmlTourControl',
+        './formats/kml/tour/KmlTourPlayer',
+        './formats/kml/tour/KmlTourPrimitive',
         './formats/kml/geom/KmlTrack',
+        './formats/kml/tour/KmlWait',
         './layer/LandsatRestLayer',
         './layer/Layer',
         './util/Level',
@@ -148,11 +165,13 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './projections/ProjectionPolarEquidistant',
         './projections/ProjectionUPS',
         './projections/ProjectionWgs84',
+        './util/RasterSymbolizer',
         './geom/Rectangle',
         './render/Renderable',
         './layer/RenderableLayer',
         './layer/RestTiledImageLayer',
         './gesture/RotationRecognizer',
+        './util/RTree',
         './formats/kml/util/Scale',
         './formats/kml/util/Schema',
         './shapes/ScreenImage',
@@ -191,6 +210,9 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './layer/TiledImageLayer',
         './util/TileFactory',
         './gesture/TiltRecognizer',
+        './util/TimeController',
+        './util/TimeSequencePlayer',
+        './util/TimeSeriesUtil',
         './gesture/Touch',
         './shapes/TriangleMesh',
         './error/UnsupportedOperationError',
@@ -198,7 +220,14 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './geom/Vec3',
         './layer/ViewControlsLayer',
         './formats/kml/util/ViewVolume',
+        './ogc/WcsCapabilities',
+        './ogc/WcsClient',
+        './ogc/WcsCoverage',
+        './ogc/WcsCoverageDescriptions',
+        './ogc/WfsCapabilities',
+        './ogc/WfsClient',
         './ogc/WmsCapabilities',
+        './ogc/WmsFeatureInfo',
         './layer/WmsLayer',
         './ogc/WmsLayerCapabilities',
         './layer/WmsTimeDimensionedLayer',
@@ -206,11 +235,14 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './ogc/WmtsCapabilities',
         './layer/WmtsLayer',
         './ogc/WmtsLayerCapabilities',
+        './layer/WmtsTimeDimensionedLayer',
         './WorldWindow',
         './util/WWMath',
         './util/WWMessage',
         './util/WWUtil',
         './util/XmlDocument',
+        './layer/XyzTiledImageLayer',
+        './util/XyzUrlBuilder',
         './globe/ZeroElevationModel',
         './layer/OneImageLayer',
         './layer/TimeSeriesLayer'],
@@ -236,8 +268,11 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               ClickRecognizer,
               ColladaLoader,
               Color,
+              ColorRamp,
               Compass,
               CompassLayer,
+              CompositeTimeSequence,
+              CompoundElevationModel,
               CoordinatesDisplayLayer,
               DateWW,
               DigitalGlobeTiledImageLayer,
@@ -256,11 +291,15 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               GeographicMesh,
               GeographicProjection,
               GeographicText,
+              GeoJSONExporter,
               GeoJSONParser,
+              GeoTiffElevationModel,
+              GeoTiffLayer,
               GeoTiffReader,
               GestureRecognizer,
               Globe,
               Globe2D,
+              GmlDecoder,
               GoToAnimator,
               GpuProgram,
               GpuResourceCache,
@@ -273,14 +312,17 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               Insets,
               ItemIcon,
               KmlAbstractView,
+              KmlAnimatedUpdate,
               KmlBalloonStyle,
               KmlColorStyle,
               KmlContainer,
               KmlCamera,
               KmlDocument,
               KmlElements,
+              KmlExporter,
               KmlFeature,
               KmlFile,
+              KmlFlyTo,
               KmlFolder,
               KmlGeometry,
               KmlGroundOverlay,
@@ -299,17 +341,20 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               KmlLod,
               KmlLookAt,
               KmlMultiGeometry,
+              KmlMultiTrack,
               KmlNetworkLink,
               KmlObject,
               KmlOrientation,
               KmlOverlay,
               KmlPhotoOverlay,
               KmlPlacemark,
+              KmlPlaylist,
               KmlPoint,
               KmlPolygon,
               KmlPolyStyle,
               KmlRegion,
               KmlScreenOverlay,
+              KmlSoundCue,
               KmlStyle,
               KmlStyleMap,
               KmlStyleSelector,
@@ -318,7 +363,11 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               KmlTimeSpan,
               KmlTimeStamp,
               KmlTour,
+              KmlTourControl,
+              KmlTourPlayer,
+              KmlTourPrimitive,
               KmlTrack,
+              KmlWait,
               LandsatRestLayer,
               Layer,
               Level,
@@ -356,11 +405,13 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               ProjectionPolarEquidistant,
               ProjectionUPS,
               ProjectionWgs84,
+              RasterSymbolizer,
               Rectangle,
               Renderable,
               RenderableLayer,
               RestTiledImageLayer,
               RotationRecognizer,
+              RTree,
               Scale,
               Schema,
               ScreenImage,
@@ -399,6 +450,9 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               TiledImageLayer,
               TileFactory,
               TiltRecognizer,
+              TimeController,
+              TimeSequencePlayer,
+              TimeSeriesUtil,
               Touch,
               TriangleMesh,
               UnsupportedOperationError,
@@ -406,7 +460,14 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               Vec3,
               ViewControlsLayer,
               ViewVolume,
+              WcsCapabilities,
+              WcsClient,
+              WcsCoverage,
+              WcsCoverageDescriptions,
+              WfsCapabilities,
+              WfsClient,
               WmsCapabilities,
+              WmsFeatureInfo,
               WmsLayer,
               WmsLayerCapabilities,
               WmsTimeDimensionedLayer,
@@ -414,11 +475,14 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               WmtsCapabilities,
               WmtsLayer,
               WmtsLayerCapabilities,
+              WmtsTimeDimensionedLayer,
               WorldWindow,
               WWMath,
               WWMessage,
               WWUtil,
               XmlDocument,
+              XyzTiledImageLayer,
+              XyzUrlBuilder,
               ZeroElevationModel,
               OneImageLayer,
               TimeSeriesLayer) {
@@ -482,6 +546,12 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
              */
             CLAMP_TO_GROUND: "clampToGround",
 
+            /**
+             * Indicates a classification of values into discrete classes.
+             * @constant
+             */
+            DISCRETE: "discrete",
+
             /**
              * The radius of Earth.
              * @constant
@@ -508,6 +578,13 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
              */
             FAILED: "failed",
 
+            /**
+             * Indicates a tiling scheme dividing the globe into tiles of equal latitude and longitude, two tiles wide
+             * and one tile high at zoom level 0.
+             * @constant
+             */
+            GEOGRAPHIC: "geographic",
+
             /**
              * Indicates a great circle path.
              * @constant
@@ -515,11 +592,17 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
             GREAT_CIRCLE: "greatCircle",
 
             /**
-             * Indicates a linear, straight line path.
+             * Indicates a linear, straight line path, or a linear classification of values.
              * @constant
              */
             LINEAR: "linear",
 
+            /**
+             * Indicates a logarithmic classification of values.
+             * @constant
+             */
+            LOGARITHMIC: "logarithmic",
+
             /**
              * Indicates a multi-point shape, typically within a shapefile.
              */
@@ -624,6 +707,13 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
              */
             SOUTH: "south",
 
+            /**
+             * Indicates the Web Mercator tiling scheme of slippy maps, dividing the globe between latitudes -85.05 and
+             * 85.05 into one tile at zoom level 0 and into four times as many tiles at each successive zoom level.
+             * @constant
+             */
+            WEB_MERCATOR: "webMercator",
+
             /**
              * Indicates the cardinal direction west.
              * @constant
@@ -653,8 +743,11 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['ClickRecognizer'] = ClickRecognizer;
         WorldWind['ColladaLoader'] = ColladaLoader;
         WorldWind['Color'] = Color;
+        WorldWind['ColorRamp'] = ColorRamp;
         WorldWind['Compass'] = Compass;
         WorldWind['CompassLayer'] = CompassLayer;
+        WorldWind['CompositeTimeSequence'] = CompositeTimeSequence;
+        WorldWind['CompoundElevationModel'] = CompoundElevationModel;
         WorldWind['CoordinatesDisplayLayer'] = CoordinatesDisplayLayer;
         WorldWind['DateWW'] = DateWW;
         WorldWind['DigitalGlobeTiledImageLayer'] = DigitalGlobeTiledImageLayer;
@@ -673,11 +766,15 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['GeographicMesh'] = GeographicMesh;
         WorldWind['GeographicProjection'] = GeographicProjection;
         WorldWind['GeographicText'] = GeographicText;
+        WorldWind['GeoJSONExporter'] = GeoJSONExporter;
         WorldWind['GeoJSONParser'] = GeoJSONParser;
+        WorldWind['GeoTiffElevationModel'] = GeoTiffElevationModel;
+        WorldWind['GeoTiffLayer'] = GeoTiffLayer;
         WorldWind['GeoTiffReader'] = GeoTiffReader;
         WorldWind['GestureRecognizer'] = GestureRecognizer;
         WorldWind['Globe'] = Globe;
         WorldWind['Globe2D'] = Globe2D;
+        WorldWind['GmlDecoder'] = GmlDecoder;
         WorldWind['GoToAnimator'] = GoToAnimator;
         WorldWind['GpuProgram'] = GpuProgram;
         WorldWind['GpuResourceCache'] = GpuResourceCache;
@@ -687,7 +784,9 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['ImageSource'] = ImageSource;
         WorldWind['ImageTile'] = ImageTile;
         WorldWind['Insets'] = Insets;
+        WorldWind['KmlExporter'] = KmlExporter;
         WorldWind['KmlFile'] = KmlFile;
+        WorldWind['KmlTourPlayer'] = KmlTourPlayer;
         WorldWind['LandsatRestLayer'] = LandsatRestLayer;
         WorldWind['Layer'] = Layer;
         WorldWind['Level'] = Level;
@@ -724,11 +823,13 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['ProjectionPolarEquidistant'] = ProjectionPolarEquidistant;
         WorldWind['ProjectionUPS'] = ProjectionUPS;
         WorldWind['ProjectionWgs84'] = ProjectionWgs84;
+        WorldWind['RasterSymbolizer'] = RasterSymbolizer;
         WorldWind['Rectangle'] = Rectangle;
         WorldWind['Renderable'] = Renderable;
         WorldWind['RenderableLayer'] = RenderableLayer;
         WorldWind['RestTiledImageLayer'] = RestTiledImageLayer;
         WorldWind['RotationRecognizer'] = RotationRecognizer;
+        WorldWind['RTree'] = RTree;
         WorldWind['ScreenText'] = ScreenText;
         WorldWind['ScreenImage'] = ScreenImage;
         WorldWind['Sector'] = Sector;
@@ -765,13 +866,23 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['TiledImageLayer'] = TiledImageLayer;
         WorldWind['TileFactory'] = TileFactory;
         WorldWind['TiltRecognizer'] = TiltRecognizer;
+        WorldWind['TimeController'] = TimeController;
+        WorldWind['TimeSequencePlayer'] = TimeSequencePlayer;
+        WorldWind['TimeSeriesUtil'] = TimeSeriesUtil;
         WorldWind['Touch'] = Touch;
         WorldWind['TriangleMesh'] = TriangleMesh;
         WorldWind['UnsupportedOperationError'] = UnsupportedOperationError;
         WorldWind['Vec2'] = Vec2;
         WorldWind['Vec3'] = Vec3;
         WorldWind['ViewControlsLayer'] = ViewControlsLayer;
+        WorldWind['WcsCapabilities'] = WcsCapabilities;
+        WorldWind['WcsClient'] = WcsClient;
+        WorldWind['WcsCoverage'] = WcsCoverage;
+        WorldWind['WcsCoverageDescriptions'] = WcsCoverageDescriptions;
+        WorldWind['WfsCapabilities'] = WfsCapabilities;
+        WorldWind['WfsClient'] = WfsClient;
         WorldWind['WmsCapabilities'] = WmsCapabilities;
+        WorldWind['WmsFeatureInfo'] = WmsFeatureInfo;
         WorldWind['WmsLayer'] = WmsLayer;
         WorldWind['WmsLayerCapabilities'] = WmsLayerCapabilities;
         WorldWind['WmsTimeDimensionedLayer'] = WmsTimeDimensionedLayer;
@@ -779,10 +890,13 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['WmtsCapabilities'] = WmtsCapabilities;
         WorldWind['WmtsLayer'] = WmtsLayer;
         WorldWind['WmtsLayerCapabilities'] = WmtsLayerCapabilities;
+        WorldWind['WmtsTimeDimensionedLayer'] = WmtsTimeDimensionedLayer;
         WorldWind['WWMath'] = WWMath;
         WorldWind['WWMessage'] = WWMessage;
         WorldWind['WWUtil'] = WWUtil;
         WorldWind['WorldWindow'] = WorldWindow;
+        WorldWind['XyzTiledImageLayer'] = XyzTiledImageLayer;
+        WorldWind['XyzUrlBuilder'] = XyzUrlBuilder;
         WorldWind['ZeroElevationModel'] = ZeroElevationModel;
         WorldWind['OneImageLayer']  = OneImageLayer;
         WorldWind['TimeSeriesLayer'] = TimeSeriesLayer;
@@ -24,6 +24,7 @@ define([
         './shapes/SurfaceShape',
         './shapes/SurfaceShapeTileBuilder',
         './globe/Terrain',
+        './util/TimeController',
         './geom/Vec2'],
     function (ArgumentError,
               DrawContext,
@@ -42,6 +43,7 @@ define([
               SurfaceShape,
               SurfaceShapeTileBuilder,
               Terrain,
+              TimeController,
               Vec2) {
         "use strict";
 
@@ -177,6 +179,15 @@ define([
              */
             this.goToAnimator = new GoToAnimator(this);
 
+            /**
+             * The {@link TimeController} holding this world window's current time and time interval. Time-aware
+             * layers and shapes display the contents associated with the current time. This world window redraws
+             * whenever the current time or time interval changes.
+             * @type {TimeController}
+             * @readonly
+             */
+            this.timeController = new TimeController();
+
             // Documented with its property accessor below.
             this._redrawCallbacks = [];
 
@@ -219,6 +230,11 @@ define([
             this.canvas.addEventListener(WorldWind.REDRAW_EVENT_TYPE, handleRedrawEvent, false);
             window.addEventListener(WorldWind.REDRAW_EVENT_TYPE, handleRedrawEvent, false);
 
+            // Redraw whenever the current time changes so that time-aware layers display the new time.
+            this.timeController.addTimeListener(function (timeController) {
+                thisWindow.redraw();
+            });
+
             // Render to the WebGL context in an animation frame loop until the WebGL context is lost.
             this.animationFrameLoop();
         };
@@ -593,6 +609,8 @@ define([
             dc.deepPicking = this.deepPicking;
             dc.frameStatistics = this.frameStatistics;
             dc.pixelScale = this.pixelScale;
+            dc.currentTime = this.timeController.time;
+            dc.currentTimeInterval = this.timeController.timeInterval;
             dc.update();
         };
 
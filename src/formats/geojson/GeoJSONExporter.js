@@ -0,0 +1,289 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+define(['../../error/ArgumentError',
+        './GeoJSONConstants',
+        '../../shapes/GeographicText',
+        '../../util/Logger',
+        '../../shapes/Path',
+        '../../shapes/Placemark',
+        '../../shapes/Polygon',
+        '../../shapes/SurfaceEllipse',
+        '../../shapes/SurfacePolygon',
+        '../../shapes/SurfacePolyline',
+        '../../shapes/SurfaceRectangle',
+        '../../shapes/SurfaceSector'
+    ],
+    function (ArgumentError,
+              GeoJSONConstants,
+              GeographicText,
+              Logger,
+              Path,
+              Placemark,
+              Polygon,
+              SurfaceEllipse,
+              SurfacePolygon,
+              SurfacePolyline,
+              SurfaceRectangle,
+              SurfaceSector) {
+        "use strict";
+
+        /**
+         * Exports renderables and layers to GeoJSON.
+         * <p>
+         * Each supported renderable is written as a GeoJSON Feature whose properties are the renderable's
+         * [user properties]{@link Renderable#userProperties}. The following renderables are supported:
+         * <ul>
+         *     <li>{@link Placemark} and {@link GeographicText}: a Point including the altitude. The placemark's label
+         *     or the text is written as the "name" property.</li>
+         *     <li>{@link Path}: a LineString including the altitudes.</li>
+         *     <li>{@link Polygon}: a Polygon including the altitudes. The first boundary is the outer ring and the
+         *     other boundaries are holes.</li>
+         *     <li>{@link SurfacePolyline}: a LineString.</li>
+         *     <li>{@link SurfacePolygon}: a Polygon.</li>
+         *     <li>{@link SurfaceCircle}, {@link SurfaceEllipse}, {@link SurfaceRectangle} and {@link SurfaceSector}:
+         *     a Polygon approximating the shape's outline. Circles and ellipses are approximated by the number of
+         *     vertices specified by their intervals property.</li>
+         * </ul>
+         * Other renderables are ignored.
+         * @exports GeoJSONExporter
+         */
+        var GeoJSONExporter = {
+            /**
+             * Exports a renderable to a GeoJSON Feature.
+             * @param {Renderable} renderable The renderable to export.
+             * @returns {String} The GeoJSON Feature, or null if the renderable is not supported.
+             * @throws {ArgumentError} If the specified renderable is null or undefined.
+             */
+            exportRenderable: function (renderable) {
+                if (!renderable) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportRenderable",
+                            "missingRenderable"));
+                }
+
+                var feature = this.featureForRenderable(renderable);
+
+                return feature ? JSON.stringify(feature) : null;
+            },
+
+            /**
+             * Exports a list of renderables to a GeoJSON FeatureCollection.
+             * @param {Renderable[]} renderables The renderables to export. Unsupported renderables are ignored.
+             * @returns {String} The GeoJSON FeatureCollection.
+             * @throws {ArgumentError} If the specified renderables are null or undefined.
+             */
+            exportRenderables: function (renderables) {
+                if (!renderables) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportRenderables",
+                            "missingRenderables"));
+                }
+
+                return JSON.stringify(this.featureCollectionForRenderables(renderables));
+            },
+
+            /**
+             * Exports the renderables of a layer to a GeoJSON FeatureCollection.
+             * @param {RenderableLayer} layer The layer to export. Unsupported renderables are ignored.
+             * @returns {String} The GeoJSON FeatureCollection.
+             * @throws {ArgumentError} If the specified layer is null or undefined.
+             */
+            exportLayer: function (layer) {
+                if (!layer) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportLayer", "missingLayer"));
+                }
+
+                return this.exportRenderables(layer.renderables);
+            },
+
+            /**
+             * Creates the GeoJSON FeatureCollection object of a list of renderables, e.g., to add members before
+             * serializing it.
+             * @param {Renderable[]} renderables The renderables. Unsupported renderables are ignored.
+             * @returns {Object} The GeoJSON FeatureCollection object.
+             */
+            featureCollectionForRenderables: function (renderables) {
+                var features = [];
+
+                for (var i = 0; i < renderables.length; i++) {
+                    var feature = this.featureForRenderable(renderables[i]);
+                    if (feature) {
+                        features.push(feature);
+                    }
+                }
+
+                var featureCollection = {};
+                featureCollection[GeoJSONConstants.FIELD_TYPE] = GeoJSONConstants.TYPE_FEATURE_COLLECTION;
+                featureCollection[GeoJSONConstants.FIELD_FEATURES] = features;
+
+                return featureCollection;
+            },
+
+            /**
+             * Creates the GeoJSON Feature object of a renderable.
+             * @param {Renderable} renderable The renderable.
+             * @returns {Object} The GeoJSON Feature object, or null if the renderable is not supported.
+             */
+            featureForRenderable: function (renderable) {
+                var geometry = this.geometryForRenderable(renderable);
+                if (!geometry) {
+                    Logger.log(Logger.LEVEL_WARNING, "GeoJSON export ignored an unsupported renderable: " +
+                        renderable.displayName);
+                    return null;
+                }
+
+                var properties = {},
+                    userProperties = renderable.userProperties,
+                    key;
+
+                if (renderable instanceof Placemark && renderable.label) {
+                    properties.name = renderable.label;
+                } else if (renderable instanceof GeographicText && renderable.text) {
+                    properties.name = renderable.text;
+                }
+
+                if (userProperties) {
+                    for (key in userProperties) {
+                        if (userProperties.hasOwnProperty(key)) {
+                            properties[key] = userProperties[key];
+                        }
+                    }
+                }
+
+                var feature = {};
+                feature[GeoJSONConstants.FIELD_TYPE] = GeoJSONConstants.TYPE_FEATURE;
+                feature[GeoJSONConstants.FIELD_GEOMETRY] = geometry;
+                feature[GeoJSONConstants.FIELD_PROPERTIES] = properties;
+
+                return feature;
+            },
+
+            /**
+             * Creates the GeoJSON geometry object of a renderable.
+             * @param {Renderable} renderable The renderable.
+             * @returns {Object} The GeoJSON geometry object, or null if the renderable is not supported.
+             */
+            geometryForRenderable: function (renderable) {
+                if (renderable instanceof Placemark || renderable instanceof GeographicText) {
+                    return this.geometry(GeoJSONConstants.TYPE_POINT, this.coordinates(renderable.position, true));
+                }
+
+                if (renderable instanceof Path) {
+                    return this.geometry(GeoJSONConstants.TYPE_LINE_STRING,
+                        this.coordinatesList(renderable.positions, true));
+                }
+
+                if (renderable instanceof Polygon) {
+                    var boundaries = renderable.boundaries;
+                    if (boundaries.length > 0 && boundaries[0].latitude !== undefined) {
+                        boundaries = [boundaries];
+                    }
+
+                    return this.geometry(GeoJSONConstants.TYPE_POLYGON, this.rings(boundaries, true));
+                }
+
+                if (renderable instanceof SurfacePolyline) {
+                    return this.geometry(GeoJSONConstants.TYPE_LINE_STRING,
+                        this.coordinatesList(renderable._boundaries, false));
+                }
+
+                if (renderable instanceof SurfacePolygon) {
+                    var specifiedBoundaries = renderable._specifiedBoundaries;
+                    if (specifiedBoundaries.length > 0 && specifiedBoundaries[0].latitude !== undefined) {
+                        specifiedBoundaries = [specifiedBoundaries];
+                    }
+
+                    return this.geometry(GeoJSONConstants.TYPE_POLYGON, this.rings(specifiedBoundaries, false));
+                }
+
+                if (renderable instanceof SurfaceEllipse || renderable instanceof SurfaceRectangle ||
+                    renderable instanceof SurfaceSector) {
+                    var outline = this.generatedBoundaries(renderable);
+
+                    return outline ? this.geometry(GeoJSONConstants.TYPE_POLYGON, this.rings([outline], false)) : null;
+                }
+
+                return null;
+            },
+
+            // Creates a GeoJSON geometry object. Internal use only.
+            geometry: function (type, coordinates) {
+                var geometry = {};
+                geometry[GeoJSONConstants.FIELD_TYPE] = type;
+                geometry[GeoJSONConstants.FIELD_COORDINATES] = coordinates;
+
+                return geometry;
+            },
+
+            // Returns the GeoJSON coordinates of a location or position, longitude first. Internal use only.
+            coordinates: function (location, includeAltitude) {
+                if (includeAltitude && location.altitude !== undefined) {
+                    return [location.longitude, location.latitude, location.altitude];
+                }
+
+                return [location.longitude, location.latitude];
+            },
+
+            // Returns the GeoJSON coordinates of a list of locations or positions. Internal use only.
+            coordinatesList: function (locations, includeAltitude) {
+                var result = [];
+
+                for (var i = 0; i < locations.length; i++) {
+                    result.push(this.coordinates(locations[i], includeAltitude));
+                }
+
+                return result;
+            },
+
+            // Returns the GeoJSON linear rings of a list of boundaries, closing the boundaries that are not closed.
+            // Internal use only.
+            rings: function (boundaries, includeAltitude) {
+                var result = [];
+
+                for (var i = 0; i < boundaries.length; i++) {
+                    var ring = this.coordinatesList(boundaries[i], includeAltitude);
+
+                    if (ring.length > 0) {
+                        var first = ring[0],
+                            last = ring[ring.length - 1];
+
+                        if (first[0] !== last[0] || first[1] !== last[1] || first[2] !== last[2]) {
+                            ring.push(first.slice());
+                        }
+                    }
+
+                    result.push(ring);
+                }
+
+                return result;
+            },
+
+            // Returns the boundary locations a surface shape generates from its center and dimensions. The shape's
+            // own boundaries are left as they are, since they depend on the globe the shape is drawn on.
+            // Internal use only.
+            generatedBoundaries: function (shape) {
+                var globe = {
+                        radiusAt: function (latitude, longitude) {
+                            return WorldWind.EARTH_RADIUS;
+                        }
+                    },
+                    boundaries = shape._boundaries,
+                    result;
+
+                try {
+                    shape._boundaries = null;
+                    shape.computeBoundaries({globe: globe});
+                    result = shape._boundaries;
+                } finally {
+                    shape._boundaries = boundaries;
+                }
+
+                return result;
+            }
+        };
+
+        return GeoJSONExporter;
+    });
@@ -51,6 +51,9 @@ define([
             // Documented in defineProperties below.
             this._planarConfiguration = null;
 
+            // Documented in defineProperties below.
+            this._predictor = null;
+
             // Documented in defineProperties below.
             this._rowsPerStrip = null;
 
@@ -293,6 +296,21 @@ define([
                 }
             },
 
+            /**
+             * Contains the predictor applied to the image data before compression.
+             * @memberof GeoTiffMetadata.prototype
+             * @type {Number}
+             */
+            predictor: {
+                get: function () {
+                    return this._predictor;
+                },
+
+                set: function(value){
+                    this._predictor = value;
+                }
+            },
+
             /**
              * Contains the number of rows per strip.
              * @memberof GeoTiffMetadata.prototype
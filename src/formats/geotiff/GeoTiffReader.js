@@ -17,6 +17,7 @@ define([
         '../../util/Logger',
         '../../util/proj4-src',
         './TiffConstants',
+        './TiffDecompression',
         './TiffIFDEntry'
     ],
     function (AbstractError,
@@ -30,6 +31,7 @@ define([
               Logger,
               Proj4,
               TiffConstants,
+              TiffDecompression,
               TiffIFDEntry) {
         "use strict";
 
@@ -40,7 +42,8 @@ define([
          * @alias GeoTiffReader
          * @constructor
          * @classdesc Parses a geotiff and creates an image or an elevation array representing its contents.
-         * @param {String} url The location of the geotiff.
+         * @param {String|ArrayBuffer|Blob} url The location of the geotiff. The geotiff's content may also be
+         * specified directly, either as an ArrayBuffer or as a Blob, such as a File chosen by the user.
          * @throws {ArgumentError} If the specified URL is null or undefined.
          */
         var GeoTiffReader = function (url) {
@@ -63,6 +66,14 @@ define([
 
             // Documented in defineProperties below.
             this._metadata = new GeoTiffMetadata();
+
+            // The metadata of the reduced resolution images following the first image. Internal use only.
+            this.overviewMetadata = [];
+
+            // The projected coordinate system code the projection was last determined for, and the proj4 name of
+            // that projection. Internal use only.
+            this.projectionCode = undefined;
+            this.projection = null;
         };
 
         Object.defineProperties(GeoTiffReader.prototype, {
@@ -70,7 +81,7 @@ define([
             /**
              * The geotiff URL as specified to this GeoTiffReader's constructor.
              * @memberof GeoTiffReader.prototype
-             * @type {String}
+             * @type {String|ArrayBuffer|Blob}
              * @readonly
              */
             url: {
@@ -128,42 +139,241 @@ define([
             }
         });
 
-        // Get geotiff file as an array buffer using XMLHttpRequest. Internal use only.
-        GeoTiffReader.prototype.requestUrl = function (url, callback) {
+        // Get geotiff file as an array buffer using XMLHttpRequest. The array buffer is read with a FileReader when
+        // the geotiff is a Blob and is used as is when the geotiff is already an array buffer. The optional error
+        // callback receives a message if the geotiff cannot be retrieved, parsed or processed by the callback.
+        // Internal use only.
+        GeoTiffReader.prototype.requestUrl = function (url, callback, errorCallback) {
+            var fail = function (message) {
+                Logger.log(Logger.LEVEL_WARNING, message);
+                if (errorCallback) {
+                    errorCallback(message);
+                }
+            };
+
+            var complete = (function (arrayBuffer) {
+                try {
+                    this.parse(arrayBuffer);
+                    callback();
+                } catch (e) {
+                    fail("GeoTiff parsing failed (" + e.message + "): " + (url.name || url));
+                }
+            }).bind(this);
+
+            if (url instanceof ArrayBuffer) {
+                complete(url);
+                return;
+            }
+
+            if (typeof Blob !== "undefined" && url instanceof Blob) {
+                var fileReader = new FileReader();
+
+                fileReader.onload = function () {
+                    complete(fileReader.result);
+                };
+
+                fileReader.onerror = function () {
+                    fail("GeoTiff reading failed: " + url.name);
+                };
+
+                fileReader.readAsArrayBuffer(url);
+                return;
+            }
+
             var xhr = new XMLHttpRequest();
 
             xhr.open("GET", url, true);
             xhr.responseType = 'arraybuffer';
-            xhr.onreadystatechange = (function () {
+            // Failed and timed out requests also complete with a status of 0, so they are reported here only once.
+            xhr.onreadystatechange = function () {
                 if (xhr.readyState === 4) {
-                    if (xhr.status === 200) {
-                        var arrayBuffer = xhr.response;
-                        if (arrayBuffer) {
-                            this.parse(arrayBuffer);
-                            callback();
-                        }
+                    if (xhr.status === 200 && xhr.response) {
+                        complete(xhr.response);
                     }
                     else {
-                        Logger.log(Logger.LEVEL_WARNING,
-                            "GeoTiff retrieval failed (" + xhr.statusText + "): " + url);
+                        fail("GeoTiff retrieval failed (" + xhr.statusText + "): " + url);
                     }
                 }
-            }).bind(this);
+            };
+
+            xhr.send(null);
+        };
 
-            xhr.onerror = function () {
-                Logger.log(Logger.LEVEL_WARNING, "GeoTiff retrieval failed: " + url);
+        // Retrieve a range of bytes of the geotiff file as an array buffer. An HTTP range request is used when the
+        // geotiff is a URL, and a slice of the geotiff is read when it is a Blob. The callback receives the array
+        // buffer and the length of the whole file, if known. The optional error callback receives a message if the
+        // range cannot be read. Internal use only.
+        GeoTiffReader.prototype.requestRange = function (start, end, callback, errorCallback) {
+            var url = this.url;
+
+            var fail = function (message) {
+                Logger.log(Logger.LEVEL_WARNING, message);
+                if (errorCallback) {
+                    errorCallback(message);
+                }
             };
 
-            xhr.ontimeout = function () {
-                Logger.log(Logger.LEVEL_WARNING, "GeoTiff retrieval timed out: " + url);
+            if (url instanceof ArrayBuffer) {
+                callback(url.slice(start, end), url.byteLength);
+                return;
+            }
+
+            if (typeof Blob !== "undefined" && url instanceof Blob) {
+                var fileReader = new FileReader();
+
+                fileReader.onload = function () {
+                    callback(fileReader.result, url.size);
+                };
+
+                fileReader.onerror = function () {
+                    fail("GeoTiff reading failed: " + url.name);
+                };
+
+                fileReader.readAsArrayBuffer(url.slice(start, end));
+                return;
+            }
+
+            var xhr = new XMLHttpRequest();
+
+            xhr.open("GET", url, true);
+            xhr.responseType = 'arraybuffer';
+            xhr.setRequestHeader("Range", "bytes=" + start + "-" + (end - 1));
+            // Failed and timed out requests also complete with a status of 0, so they are reported here only once.
+            xhr.onreadystatechange = function () {
+                if (xhr.readyState === 4) {
+                    if (xhr.status === 206 && xhr.response) {
+                        var contentRange = xhr.getResponseHeader("Content-Range"),
+                            totalLength = contentRange ? parseInt(contentRange.split("/")[1], 10) : NaN;
+                        callback(xhr.response, isNaN(totalLength) ? null : totalLength);
+                    }
+                    else if (xhr.status === 200 && xhr.response) {
+                        // The server ignored the range and returned the whole file.
+                        callback(xhr.response.slice(start, end), xhr.response.byteLength);
+                    }
+                    else {
+                        fail("GeoTiff range retrieval failed (" + xhr.statusText + "): " + url);
+                    }
+                }
             };
 
             xhr.send(null);
         };
 
+        /**
+         * Retrieves and parses the GeoTiff file's header and image file directories without retrieving its image
+         * data, so that the image data can subsequently be read block by block with
+         * [readBlock]{@link GeoTiffReader#readBlock}. Only the beginning of the file is retrieved, using an HTTP range
+         * request when the GeoTiff is a URL. The retrieved length grows until it contains all image file directories.
+         *
+         * @param {Function} callback A function called with this reader when parsing is complete.
+         * @param {Number} headerLength The number of bytes to retrieve initially. May be null or undefined, in which
+         * case 65536 bytes are retrieved.
+         * @param {Function} errorCallback A function called with a message if the header cannot be retrieved or
+         * parsed. May be null or undefined.
+         */
+        GeoTiffReader.prototype.readHeader = function (callback, headerLength, errorCallback) {
+            headerLength = headerLength || 65536;
+
+            this.requestRange(0, headerLength, (function (arrayBuffer, totalLength) {
+                try {
+                    this.parse(arrayBuffer);
+                } catch (e) {
+                    var isTruncated = arrayBuffer.byteLength >= headerLength &&
+                        (!totalLength || headerLength < totalLength);
+
+                    if (e instanceof RangeError && isTruncated) {
+                        // An image file directory lies beyond the retrieved bytes.
+                        this.readHeader(callback, headerLength * 4, errorCallback);
+                        return;
+                    }
+
+                    var message = "GeoTiff header parsing failed: " + e.message;
+                    Logger.log(Logger.LEVEL_WARNING, message);
+                    if (errorCallback) {
+                        errorCallback(message);
+                    }
+                    return;
+                }
+
+                callback(this);
+            }).bind(this), errorCallback);
+        };
+
+        /**
+         * Retrieves and decodes one block, either a strip or a tile, of one of the GeoTiff file's images. Call
+         * [readHeader]{@link GeoTiffReader#readHeader} before calling this method.
+         *
+         * @param {GeoTiffMetadata} metadata The metadata of the image containing the block, as returned by
+         * [getImageMetadata]{@link GeoTiffReader#getImageMetadata}.
+         * @param {Number} blockIndex The index of the block within the image's strip or tile offsets.
+         * @param {Function} callback A function called with the block's pixels, each an array of samples, in row
+         * major order.
+         * @param {Function} errorCallback A function called with a message if the block cannot be retrieved or
+         * decoded. May be null or undefined.
+         */
+        GeoTiffReader.prototype.readBlock = function (metadata, blockIndex, callback, errorCallback) {
+            var isTiled = !!metadata.tileOffsets,
+                offsets = isTiled ? metadata.tileOffsets : metadata.stripOffsets,
+                byteCounts = isTiled ? metadata.tileByteCounts : metadata.stripByteCounts,
+                blockWidth = isTiled ? metadata.tileWidth : metadata.imageWidth,
+                blockLength = isTiled ? metadata.tileLength : (metadata.rowsPerStrip || metadata.imageLength),
+                bitsPerSample = metadata.bitsPerSample,
+                sampleFormat = metadata.sampleFormat || TiffConstants.SampleFormat.UNSIGNED;
+
+            if (metadata.planarConfiguration === TiffConstants.PlanarConfiguration.PLANAR) {
+                // Each block holds one sample of the band whose blocks contain it.
+                var band = Math.floor(blockIndex / (offsets.length / bitsPerSample.length));
+                bitsPerSample = [bitsPerSample[band]];
+                sampleFormat = sampleFormat.length ? [sampleFormat[band]] : sampleFormat;
+            }
+
+            var bytesPerPixel = 0;
+            for (var i = 0; i < bitsPerSample.length; i++) {
+                bytesPerPixel += bitsPerSample[i] / 8;
+            }
+
+            this.requestRange(offsets[blockIndex], offsets[blockIndex] + byteCounts[blockIndex],
+                (function (arrayBuffer) {
+                    var compressedData = new Uint8Array(arrayBuffer),
+                        pixels;
+
+                    try {
+                        pixels = this.decodeBlock(false, metadata.compression, bytesPerPixel, compressedData,
+                            bitsPerSample, sampleFormat, blockWidth, blockLength, metadata.predictor);
+                    } catch (e) {
+                        var message = "GeoTiff block decoding failed: " + e.message;
+                        Logger.log(Logger.LEVEL_WARNING, message);
+                        if (errorCallback) {
+                            errorCallback(message);
+                        }
+                        return;
+                    }
+
+                    callback(pixels);
+                }).bind(this), errorCallback);
+        };
+
+        /**
+         * Returns the metadata of one of the GeoTiff file's images. The first image is the full resolution image.
+         * The following images, if any, are typically reduced resolution overviews or masks of the first image.
+         *
+         * @param {Number} index The index of the image.
+         * @return {GeoTiffMetadata} The image's metadata, or null if the file has no image with the specified index.
+         */
+        GeoTiffReader.prototype.getImageMetadata = function (index) {
+            if (index === 0) {
+                return this.metadata;
+            }
+
+            return this.overviewMetadata[index - 1] || null;
+        };
+
         // Parse geotiff file. Internal use only
         GeoTiffReader.prototype.parse = function (arrayBuffer) {
             this._geoTiffData = new DataView(arrayBuffer);
+            this._imageFileDirectories = [];
+            this._metadata = new GeoTiffMetadata();
+            this.overviewMetadata = [];
             this.getEndianness();
 
             if (!this.isTiffFileType()) {
@@ -177,6 +387,12 @@ define([
             this.getMetadataFromImageFileDirectory();
             this.parseGeoKeys();
             this.setBBox();
+
+            for (var i = 1; i < this.imageFileDirectories.length; i++) {
+                var metadata = new GeoTiffMetadata();
+                this.getMetadataFromImageFileDirectory(i, metadata);
+                this.overviewMetadata.push(metadata);
+            }
         };
 
         // Get byte order of the geotiff file. Internal use only.
@@ -228,8 +444,10 @@ define([
          * to the callback function as a parameter.
          *
          * @param {Function} callback A function called when GeoTiff parsing is complete.
+         * @param {Function} errorCallback A function called with a message if the GeoTiff cannot be retrieved or
+         * parsed. May be null or undefined.
          */
-        GeoTiffReader.prototype.readAsImage = function (callback) {
+        GeoTiffReader.prototype.readAsImage = function (callback, errorCallback) {
             this.requestUrl(this.url, (function () {
                 var bitsPerSample = this.metadata.bitsPerSample;
                 var samplesPerPixel = this.metadata.samplesPerPixel;
@@ -317,7 +535,7 @@ define([
 
                 this._geoTiffData = null;
                 callback(canvas);
-            }).bind(this));
+            }).bind(this), errorCallback);
         };
 
         // Get pixel fill style. Internal use only.
@@ -438,9 +656,10 @@ define([
          * to the callback function as a parameter.
          *
          * @param {Function} callback A function called when GeoTiff parsing is complete.
-         *
+         * @param {Function} errorCallback A function called with a message if the GeoTiff cannot be retrieved or
+         * parsed. May be null or undefined.
          */
-        GeoTiffReader.prototype.readAsData = function (callback) {
+        GeoTiffReader.prototype.readAsData = function (callback, errorCallback) {
             this.requestUrl(this.url, (function () {
                 var elevationArray = [];
 
@@ -485,7 +704,7 @@ define([
                     sampleFormat[0],
                     elevationArray
                 ));
-            }).bind(this));
+            }).bind(this), errorCallback);
         };
 
         // Parse geotiff strips. Internal use only
@@ -505,14 +724,19 @@ define([
             var bitsPerPixel = samplesPerPixel * bitsPerSample[0];
             var bytesPerPixel = bitsPerPixel / 8;
 
+            var imageWidth = this.metadata.imageWidth;
+            var imageLength = this.metadata.imageLength;
+            var rowsPerStrip = this.metadata.rowsPerStrip || imageLength;
+
             var strips = [];
             // Loop through strips
             for (var i = 0; i < stripOffsets.length; i++) {
                 var stripOffset = stripOffsets[i];
                 var stripByteCount = stripByteCounts[i];
+                var rowsInStrip = Math.min(rowsPerStrip, imageLength - i * rowsPerStrip);
 
                 strips[i] = this.parseBlock(returnElevation, compression, bytesPerPixel, stripByteCount, stripOffset,
-                    bitsPerSample, sampleFormat);
+                    bitsPerSample, sampleFormat, imageWidth, rowsInStrip);
             }
 
             return strips;
@@ -520,136 +744,63 @@ define([
 
         // Parse geotiff block. A block may be a strip or a tile. Internal use only.
         GeoTiffReader.prototype.parseBlock = function (returnElevation, compression, bytesPerPixel, blockByteCount,
-                                                       blockOffset, bitsPerSample, sampleFormat) {
-            var block = [];
-            switch (compression) {
-                case TiffConstants.Compression.UNCOMPRESSED:
-                    // Loop through pixels.
-                    for (var byteOffset = 0, increment = bytesPerPixel;
-                         byteOffset < blockByteCount; byteOffset += increment) {
-                        // Loop through samples (sub-pixels).
-                        for (var m = 0, pixel = []; m < bitsPerSample.length; m++) {
-                            var bytesPerSample = bitsPerSample[m] / 8;
-                            var sampleOffset = m * bytesPerSample;
-
-                            pixel.push(GeoTiffUtil.getSampleBytes(
-                                this.geoTiffData,
-                                blockOffset + byteOffset + sampleOffset,
-                                bytesPerSample,
-                                sampleFormat[m],
-                                this.isLittleEndian));
-                        }
-                        if (returnElevation) {
-                            block.push(pixel[0]);
-                        }
-                        else {
-                            block.push(pixel);
-                        }
-                    }
-                    break;
-                case TiffConstants.Compression.CCITT_1D:
-                    //todo
-                    Logger.log(Logger.LEVEL_WARNING, "Compression type not yet implemented: CCITT_1D");
-                    break;
-                case TiffConstants.Compression.GROUP_3_FAX:
-                    //todo
-                    Logger.log(Logger.LEVEL_WARNING, "Compression type not yet implemented: GROUP_3_FAX");
-                    break;
-                case TiffConstants.Compression.GROUP_4_FAX:
-                    //todo
-                    Logger.log(Logger.LEVEL_WARNING, "Compression type not yet implemented: GROUP_4_FAX");
-                    break;
-                case TiffConstants.Compression.LZW:
-                    //todo
-                    Logger.log(Logger.LEVEL_WARNING, "Compression type not yet implemented: LZW");
-                    break;
-                case TiffConstants.Compression.JPEG:
-                    //todo
-                    Logger.log(Logger.LEVEL_WARNING, "Compression type not yet implemented: JPEG");
-                    break;
-                case TiffConstants.Compression.PACK_BITS:
-                    if (this.metadata.tileOffsets) {
-                        var tileWidth = this.metadata.tileWidth;
-                        var tileLength = this.metadata.tileWidth;
-                        var arrayBuffer = new ArrayBuffer(tileWidth * tileLength * bytesPerPixel);
-                    }
-                    else {
-                        var rowsPerStrip = this.metadata.rowsPerStrip;
-                        var imageWidth = this.metadata.imageWidth;
-                        var arrayBuffer = new ArrayBuffer(rowsPerStrip * imageWidth * bytesPerPixel);
-                    }
-
-                    var uncompressedDataView = new DataView(arrayBuffer);
-
-                    var newBlock = true;
-                    var pixel = [];
-                    var blockLength = 0;
-                    var numOfIterations = 0;
-                    var uncompressedOffset = 0;
-
-
-                    for (var byteOffset = 0; byteOffset < blockByteCount; byteOffset += 1) {
+                                                       blockOffset, bitsPerSample, sampleFormat, blockWidth,
+                                                       blockLength) {
+            var compressedData = new Uint8Array(this.geoTiffData.buffer, this.geoTiffData.byteOffset + blockOffset,
+                blockByteCount);
 
-                        if (newBlock) {
-                            blockLength = 1;
-                            numOfIterations = 1;
-                            newBlock = false;
+            return this.decodeBlock(returnElevation, compression, bytesPerPixel, compressedData, bitsPerSample,
+                sampleFormat, blockWidth, blockLength, this.metadata.predictor);
+        };
 
-                            var nextSourceByte = this.geoTiffData.getInt8(blockOffset + byteOffset,
-                                this.isLittleEndian);
+        // Decode the data of a geotiff block. The block is decompressed and its predictor is reversed before its
+        // pixels are read. Internal use only.
+        GeoTiffReader.prototype.decodeBlock = function (returnElevation, compression, bytesPerPixel, compressedData,
+                                                        bitsPerSample, sampleFormat, blockWidth, blockLength,
+                                                        predictor) {
+            var block = [];
+            var blockSize = blockWidth * blockLength * bytesPerPixel;
 
-                            if (nextSourceByte >= 0 && nextSourceByte <= 127) {
-                                blockLength = nextSourceByte + 1;
-                            }
-                            else if (nextSourceByte >= -127 && nextSourceByte <= -1) {
-                                numOfIterations = -nextSourceByte + 1;
-                            }
-                            else {
-                                newBlock = true;
-                            }
-                        }
-                        else {
-                            var currentByte = GeoTiffUtil.getBytes(
-                                this.geoTiffData,
-                                blockOffset + byteOffset,
-                                1,
-                                this.isLittleEndian);
-
-                            for (var currentIteration = 0; currentIteration < numOfIterations; currentIteration++) {
-                                uncompressedDataView.setInt8(uncompressedOffset, currentByte);
-                                uncompressedOffset++;
-                            }
+            var uncompressedData = TiffDecompression.decompress(compression, compressedData, blockSize);
+            if (!uncompressedData) {
+                return block;
+            }
 
-                            blockLength--;
+            if (predictor && predictor !== TiffConstants.Predictor.NONE) {
+                if (uncompressedData === compressedData) {
+                    // Don't modify the geotiff data itself.
+                    uncompressedData = new Uint8Array(compressedData);
+                }
 
-                            if (blockLength === 0) {
-                                newBlock = true;
-                            }
-                        }
-                    }
+                TiffDecompression.undoPredictor(predictor, uncompressedData, blockWidth, bitsPerSample.length,
+                    bitsPerSample[0], this.isLittleEndian);
+            }
 
-                    for (var byteOffset = 0, increment = bytesPerPixel;
-                         byteOffset < arrayBuffer.byteLength; byteOffset += increment) {
-                        // Loop through samples (sub-pixels).
-                        for (var m = 0, pixel = []; m < bitsPerSample.length; m++) {
-                            var bytesPerSample = bitsPerSample[m] / 8;
-                            var sampleOffset = m * bytesPerSample;
-
-                            pixel.push(GeoTiffUtil.getSampleBytes(
-                                uncompressedDataView,
-                                byteOffset + sampleOffset,
-                                bytesPerSample,
-                                sampleFormat[m],
-                                this.isLittleEndian));
-                        }
-                        if (returnElevation) {
-                            block.push(pixel[0]);
-                        }
-                        else {
-                            block.push(pixel);
-                        }
-                    }
-                    break;
+            var blockData = new DataView(uncompressedData.buffer, uncompressedData.byteOffset,
+                uncompressedData.byteLength);
+            var blockDataLength = Math.min(uncompressedData.byteLength, blockSize);
+
+            // Loop through pixels.
+            for (var byteOffset = 0, increment = bytesPerPixel;
+                 byteOffset < blockDataLength; byteOffset += increment) {
+                // Loop through samples (sub-pixels).
+                for (var m = 0, pixel = []; m < bitsPerSample.length; m++) {
+                    var bytesPerSample = bitsPerSample[m] / 8;
+                    var sampleOffset = m * bytesPerSample;
+
+                    pixel.push(GeoTiffUtil.getSampleBytes(
+                        blockData,
+                        byteOffset + sampleOffset,
+                        bytesPerSample,
+                        sampleFormat[m],
+                        this.isLittleEndian));
+                }
+                if (returnElevation) {
+                    block.push(pixel[0]);
+                }
+                else {
+                    block.push(pixel);
+                }
             }
 
             return block;
@@ -686,7 +837,7 @@ define([
                     var tileOffset = tileOffsets[index];
                     var tileByteCount = tileByteCounts[index];
                     tiles[index] = this.parseBlock(returnElevation, compression, bytesPerPixel, tileByteCount,
-                        tileOffset, bitsPerSample, sampleFormat);
+                        tileOffset, bitsPerSample, sampleFormat, tileWidth, tileLength);
                 }
             }
 
@@ -738,25 +889,103 @@ define([
                 res = [xValue, yValue];
             }
 
-            Proj4.defs([
-                [
-                    'EPSG:26771',
-                    '+proj=tmerc +lat_0=36.66666666666666 +lon_0=-88.33333333333333 +k=0.9999749999999999 +' +
-                    'x_0=152400.3048006096 +y_0=0 +ellps=clrk66 +datum=NAD27 +to_meter=0.3048006096012192 +no_defs '
-                ],
-                [
-                    'EPSG:32633',
-                    '+proj=utm +zone=33 +datum=WGS84 +units=m +no_defs'
-                ]
-            ]);
-
-            if (this.metadata.projectedCSType) {
-                res = Proj4('EPSG:' + this.metadata.projectedCSType, 'EPSG:4326', res);
+            var projection = this.getProjection();
+            if (projection) {
+                res = Proj4(projection, 'EPSG:4326', res);
             }
 
             return new Location(res[1], res[0]);
         };
 
+        // Translate a geographic location to pixel/line coordinates. This is the inverse of geoTiffImageToPCS.
+        // Internal use only.
+        GeoTiffReader.prototype.locationToGeoTiffImage = function (latitude, longitude) {
+            var res = [longitude, latitude];
+
+            var projection = this.getProjection();
+            if (projection) {
+                res = Proj4('EPSG:4326', projection, res);
+            }
+
+            var tiePointValues = this.metadata.modelTiepoint;
+            var modelPixelScaleValues = this.metadata.modelPixelScale;
+            var modelTransformationValues = this.metadata.modelTransformation;
+
+            var tiePointCount = tiePointValues ? tiePointValues.length : 0;
+            var modelPixelScaleCount = modelPixelScaleValues ? modelPixelScaleValues.length : 0;
+            var modelTransformationCount = modelTransformationValues ? modelTransformationValues.length : 0;
+
+            if (modelTransformationCount === 16) {
+                var a = modelTransformationValues[0],
+                    b = modelTransformationValues[1],
+                    c = modelTransformationValues[4],
+                    d = modelTransformationValues[5],
+                    determinant = a * d - b * c,
+                    x_in = res[0] - modelTransformationValues[3],
+                    y_in = res[1] - modelTransformationValues[7];
+
+                res = [(d * x_in - b * y_in) / determinant, (a * y_in - c * x_in) / determinant];
+            }
+            else if (modelPixelScaleCount >= 3 && tiePointCount >= 6) {
+                res = [
+                    (res[0] - tiePointValues[3]) / modelPixelScaleValues[0] + tiePointValues[0],
+                    (res[1] - tiePointValues[4]) / (-1 * modelPixelScaleValues[1]) + tiePointValues[1]
+                ];
+            }
+
+            return res;
+        };
+
+        // Get the proj4 name of the geotiff's projected coordinate system, or null if the geotiff uses geographic
+        // coordinates or a projected coordinate system proj4 does not define. The projection is determined once,
+        // since it's needed for every converted location. Internal use only.
+        GeoTiffReader.prototype.getProjection = function () {
+            var code = this.metadata.projectedCSType;
+
+            if (this.projectionCode !== code) {
+                this.projectionCode = code;
+                this.projection = code ? GeoTiffReader.defineProjection(code) : null;
+            }
+
+            return this.projection;
+        };
+
+        // Indicates whether the geotiff's coordinates can be converted to geographic coordinates, i.e., whether it
+        // uses geographic coordinates or a projected coordinate system proj4 defines. The locations of geotiffs in
+        // other coordinate systems are not known. Internal use only.
+        GeoTiffReader.prototype.isProjectionSupported = function () {
+            return !this.metadata.projectedCSType || !!this.getProjection();
+        };
+
+        // Get the proj4 name of a projected coordinate system, or null, after logging a warning, if proj4 does not
+        // define it. WGS84 and NAD83 UTM zones are defined when first used. Internal use only.
+        GeoTiffReader.defineProjection = function (code) {
+            var name = 'EPSG:' + code;
+            if (!Proj4.defs(name)) {
+                if (code === 26771) {
+                    Proj4.defs(name,
+                        '+proj=tmerc +lat_0=36.66666666666666 +lon_0=-88.33333333333333 +k=0.9999749999999999 +' +
+                        'x_0=152400.3048006096 +y_0=0 +ellps=clrk66 +datum=NAD27 +to_meter=0.3048006096012192 ' +
+                        '+no_defs ');
+                }
+                else if (code > 32600 && code <= 32660) {
+                    Proj4.defs(name, '+proj=utm +zone=' + (code - 32600) + ' +datum=WGS84 +units=m +no_defs');
+                }
+                else if (code > 32700 && code <= 32760) {
+                    Proj4.defs(name, '+proj=utm +zone=' + (code - 32700) + ' +south +datum=WGS84 +units=m +no_defs');
+                }
+                else if (code > 26900 && code <= 26923) {
+                    Proj4.defs(name, '+proj=utm +zone=' + (code - 26900) + ' +datum=NAD83 +units=m +no_defs');
+                }
+                else {
+                    Logger.log(Logger.LEVEL_WARNING, "Unsupported GeoTiff projection: " + name);
+                    return null;
+                }
+            }
+
+            return name;
+        };
+
         /**
          * Set the bounding box of the geotiff file. Internal use only.
          */
@@ -775,96 +1004,106 @@ define([
             );
         }
 
-        // Get metadata from image file directory. Internal use only.
-        GeoTiffReader.prototype.getMetadataFromImageFileDirectory = function () {
-            for (var i = 0; i < this.imageFileDirectories[0].length; i++) {
+        // Get metadata from an image file directory, by default from the first one into this reader's metadata.
+        // Internal use only.
+        GeoTiffReader.prototype.getMetadataFromImageFileDirectory = function (index, metadata) {
+            var imageFileDirectory = this.imageFileDirectories[index || 0];
+            metadata = metadata || this.metadata;
+
+            for (var i = 0; i < imageFileDirectory.length; i++) {
 
-                switch (this.imageFileDirectories[0][i].tag) {
+                switch (imageFileDirectory[i].tag) {
                     case TiffConstants.Tag.BITS_PER_SAMPLE:
-                        this.metadata.bitsPerSample = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.bitsPerSample = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.COLOR_MAP:
-                        this.metadata.colorMap = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.colorMap = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.COMPRESSION:
-                        this.metadata.compression = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.compression = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.EXTRA_SAMPLES:
-                        this.metadata.extraSamples = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.extraSamples = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.IMAGE_LENGTH:
-                        this.metadata.imageLength = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.imageLength = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.IMAGE_WIDTH:
-                        this.metadata.imageWidth = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.imageWidth = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.MAX_SAMPLE_VALUE:
-                        this.metadata.maxSampleValue = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.maxSampleValue = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.MIN_SAMPLE_VALUE:
-                        this.metadata.minSampleValue = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.minSampleValue = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.ORIENTATION:
-                        this.metadata.orientation = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.orientation = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.PHOTOMETRIC_INTERPRETATION:
-                        this.metadata.photometricInterpretation = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.photometricInterpretation = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.PLANAR_CONFIGURATION:
-                        this.metadata.planarConfiguration = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.planarConfiguration = imageFileDirectory[i].getIFDEntryValue()[0];
+                        break;
+                    case TiffConstants.Tag.PREDICTOR:
+                        metadata.predictor = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.ROWS_PER_STRIP:
-                        this.metadata.rowsPerStrip = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.rowsPerStrip = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.SAMPLES_PER_PIXEL:
-                        this.metadata.samplesPerPixel = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.samplesPerPixel = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.SAMPLE_FORMAT:
-                        this.metadata.sampleFormat = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.sampleFormat = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.SOFTWARE:
-                        this.metadata.software = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.software = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.STRIP_BYTE_COUNTS:
-                        this.metadata.stripByteCounts = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.stripByteCounts = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.STRIP_OFFSETS:
-                        this.metadata.stripOffsets = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.stripOffsets = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.TILE_BYTE_COUNTS:
-                        this.metadata.tileByteCounts = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.tileByteCounts = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.TILE_OFFSETS:
-                        this.metadata.tileOffsets = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.tileOffsets = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.TILE_LENGTH:
-                        this.metadata.tileLength = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.tileLength = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.TILE_WIDTH:
-                        this.metadata.tileWidth = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.tileWidth = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
 
                     //geotiff
                     case GeoTiffConstants.Tag.GEO_ASCII_PARAMS:
-                        this.metadata.geoAsciiParams = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.geoAsciiParams = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.GEO_DOUBLE_PARAMS:
-                        this.metadata.geoDubleParams = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.geoDubleParams = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.GEO_KEY_DIRECTORY:
-                        this.metadata.geoKeyDirectory = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.geoKeyDirectory = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.MODEL_PIXEL_SCALE:
-                        this.metadata.modelPixelScale = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.modelPixelScale = imageFileDirectory[i].getIFDEntryValue();
+                        break;
+                    case GeoTiffConstants.Tag.MODEL_TRANSFORMATION:
+                        metadata.modelTransformation = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.MODEL_TIEPOINT:
-                        this.metadata.modelTiepoint = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.modelTiepoint = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.GDAL_NODATA:
-                        this.metadata.noData = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.noData = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     default:
-                        Logger.log(Logger.LEVEL_WARNING, "Ignored GeoTiff tag: " + this.imageFileDirectories[0][i].tag);
+                        Logger.log(Logger.LEVEL_WARNING, "Ignored GeoTiff tag: " + imageFileDirectory[i].tag);
                 }
             }
         }
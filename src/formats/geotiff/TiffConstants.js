@@ -110,7 +110,9 @@ define([],
                 'GROUP_4_FAX': 4,
                 'LZW': 5,
                 'JPEG': 6,
-                'PACK_BITS': 32773
+                'DEFLATE': 8,
+                'PACK_BITS': 32773,
+                'ADOBE_DEFLATE': 32946
             },
 
             /**
@@ -155,6 +157,17 @@ define([],
                 'PLANAR': 2
             },
 
+            /**
+             * An object containing all TIFF predictor types.
+             * @memberof Tiff
+             * @type {Object}
+             */
+            Predictor: {
+                'NONE': 1,
+                'HORIZONTAL': 2,
+                'FLOATING_POINT': 3
+            },
+
             /**
              * An object containing all TIFF resolution unit types.
              * @memberof Tiff
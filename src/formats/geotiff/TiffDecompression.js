@@ -0,0 +1,247 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports TiffDecompression
+ */
+define([
+        '../../util/jszip',
+        '../../util/Logger',
+        './TiffConstants'
+    ],
+    function (JsZip,
+              Logger,
+              TiffConstants) {
+        "use strict";
+
+        // Decompression of TIFF strips and tiles and reversal of the TIFF predictors.
+        var TiffDecompression = {
+
+            /**
+             * Decompresses a strip or a tile.
+             * @param {Number} compression The TIFF compression type of the data, one of the values of
+             * [TiffConstants.Compression]{@link TiffConstants#Compression}.
+             * @param {Uint8Array} data The compressed data.
+             * @param {Number} expectedLength The expected number of bytes of the decompressed data.
+             * @returns {Uint8Array} The decompressed data, or null if the compression type is not supported.
+             */
+            decompress: function (compression, data, expectedLength) {
+                switch (compression) {
+                    case TiffConstants.Compression.UNCOMPRESSED:
+                        return data;
+                    case TiffConstants.Compression.LZW:
+                        return this.decompressLzw(data, expectedLength);
+                    case TiffConstants.Compression.DEFLATE:
+                    case TiffConstants.Compression.ADOBE_DEFLATE:
+                        return this.decompressDeflate(data);
+                    case TiffConstants.Compression.PACK_BITS:
+                        return this.decompressPackBits(data, expectedLength);
+                    default:
+                        Logger.log(Logger.LEVEL_WARNING, "Compression type not yet implemented: " +
+                            compression);
+                        return null;
+                }
+            },
+
+            // Decompresses LZW data with MSB-first codes of 9 to 12 bits and the TIFF early change of code length.
+            decompressLzw: function (data, expectedLength) {
+                var clearCode = 256,
+                    endOfInformation = 257,
+                    prefixes = new Int16Array(4096),
+                    suffixes = new Uint8Array(4096),
+                    firstBytes = new Uint8Array(4096),
+                    lengths = new Uint16Array(4096),
+                    output = new Uint8Array(Math.max(expectedLength || 0, data.length)),
+                    outputLength = 0,
+                    totalBits = data.length * 8,
+                    bitPosition = 0,
+                    codeLength = 9,
+                    nextCode = 258,
+                    oldCode = -1,
+                    code;
+
+                for (code = 0; code < 256; code++) {
+                    prefixes[code] = -1;
+                    suffixes[code] = code;
+                    firstBytes[code] = code;
+                    lengths[code] = 1;
+                }
+
+                while (bitPosition + codeLength <= totalBits) {
+                    code = TiffDecompression.readCode(data, bitPosition, codeLength);
+                    bitPosition += codeLength;
+
+                    if (code === endOfInformation) {
+                        break;
+                    }
+
+                    if (code === clearCode) {
+                        codeLength = 9;
+                        nextCode = 258;
+                        oldCode = -1;
+                        continue;
+                    }
+
+                    if (oldCode !== -1 && nextCode < 4096) {
+                        // The new entry is the old string followed by the first byte of the current string, which is
+                        // the first byte of the old string when the current code is the one being defined.
+                        prefixes[nextCode] = oldCode;
+                        suffixes[nextCode] = code < nextCode ? firstBytes[code] : firstBytes[oldCode];
+                        firstBytes[nextCode] = firstBytes[oldCode];
+                        lengths[nextCode] = lengths[oldCode] + 1;
+                        nextCode++;
+
+                        if (nextCode >= (1 << codeLength) - 1 && codeLength < 12) {
+                            codeLength++;
+                        }
+                    }
+
+                    if (code >= nextCode) {
+                        Logger.log(Logger.LEVEL_WARNING, "Invalid LZW code: " + code);
+                        break;
+                    }
+
+                    var length = lengths[code];
+                    if (outputLength + length > output.length) {
+                        var grownOutput = new Uint8Array(Math.max(output.length * 2, outputLength + length));
+                        grownOutput.set(output);
+                        output = grownOutput;
+                    }
+
+                    for (var entry = code, index = outputLength + length - 1; entry !== -1; index--) {
+                        output[index] = suffixes[entry];
+                        entry = prefixes[entry];
+                    }
+                    outputLength += length;
+
+                    oldCode = code;
+                }
+
+                return output.subarray(0, outputLength);
+            },
+
+            // Reads a code of the specified length starting at the specified bit of the data, most significant bit
+            // first.
+            readCode: function (data, bitPosition, codeLength) {
+                var byteIndex = bitPosition >>> 3,
+                    bits = (data[byteIndex] << 16) | ((data[byteIndex + 1] || 0) << 8) | (data[byteIndex + 2] || 0);
+
+                return (bits >>> (24 - (bitPosition & 7) - codeLength)) & ((1 << codeLength) - 1);
+            },
+
+            // Decompresses zlib wrapped Deflate data using the inflate implementation of jszip.
+            decompressDeflate: function (data) {
+                // Skip the two bytes of the zlib header. The trailing checksum is ignored by the raw inflate.
+                return JsZip.compressions.DEFLATE.uncompress(data.subarray(2));
+            },
+
+            // Decompresses PackBits data.
+            decompressPackBits: function (data, expectedLength) {
+                var output = new Uint8Array(expectedLength),
+                    outputLength = 0,
+                    index = 0;
+
+                while (index < data.length && outputLength < expectedLength) {
+                    var header = data[index++];
+
+                    if (header < 128) {
+                        // Copy the next header + 1 bytes literally.
+                        for (var literal = 0; literal <= header && index < data.length; literal++) {
+                            output[outputLength++] = data[index++];
+                        }
+                    } else if (header > 128) {
+                        // Repeat the next byte 257 - header times.
+                        var value = data[index++];
+                        for (var repeat = 0; repeat < 257 - header; repeat++) {
+                            output[outputLength++] = value;
+                        }
+                    }
+                    // Header 128 (-128 as signed byte) is a no-op.
+                }
+
+                return output.subarray(0, Math.min(outputLength, expectedLength));
+            },
+
+            /**
+             * Reverses the TIFF predictor applied to the rows of a decompressed strip or tile. The data is modified
+             * in place.
+             * @param {Number} predictor The predictor, one of the values of
+             * [TiffConstants.Predictor]{@link TiffConstants#Predictor}.
+             * @param {Uint8Array} data The decompressed data.
+             * @param {Number} width The number of pixels in each row of the data.
+             * @param {Number} samplesPerPixel The number of samples per pixel.
+             * @param {Number} bitsPerSample The number of bits per sample.
+             * @param {Boolean} isLittleEndian Indicates whether the samples are little endian.
+             */
+            undoPredictor: function (predictor, data, width, samplesPerPixel, bitsPerSample, isLittleEndian) {
+                var bytesPerSample = bitsPerSample / 8,
+                    rowLength = width * samplesPerPixel * bytesPerSample,
+                    numRows = Math.floor(data.length / rowLength),
+                    row;
+
+                if (predictor === TiffConstants.Predictor.HORIZONTAL) {
+                    var dataView = new DataView(data.buffer, data.byteOffset, data.byteLength);
+                    for (row = 0; row < numRows; row++) {
+                        this.undoHorizontalPredictor(dataView, row * rowLength, width * samplesPerPixel,
+                            samplesPerPixel, bytesPerSample, isLittleEndian);
+                    }
+                } else if (predictor === TiffConstants.Predictor.FLOATING_POINT) {
+                    for (row = 0; row < numRows; row++) {
+                        this.undoFloatingPointPredictor(data.subarray(row * rowLength, (row + 1) * rowLength),
+                            width * samplesPerPixel, samplesPerPixel, bytesPerSample, isLittleEndian);
+                    }
+                }
+            },
+
+            // Reverses the horizontal differencing of one row. Each sample is stored as the difference from the same
+            // sample of the previous pixel.
+            undoHorizontalPredictor: function (dataView, rowOffset, numSamples, samplesPerPixel, bytesPerSample,
+                                               isLittleEndian) {
+                for (var i = samplesPerPixel; i < numSamples; i++) {
+                    var offset = rowOffset + i * bytesPerSample,
+                        previousOffset = offset - samplesPerPixel * bytesPerSample;
+
+                    switch (bytesPerSample) {
+                        case 1:
+                            dataView.setUint8(offset, dataView.getUint8(offset) + dataView.getUint8(previousOffset));
+                            break;
+                        case 2:
+                            dataView.setUint16(offset, dataView.getUint16(offset, isLittleEndian) +
+                                dataView.getUint16(previousOffset, isLittleEndian), isLittleEndian);
+                            break;
+                        case 4:
+                            dataView.setUint32(offset, dataView.getUint32(offset, isLittleEndian) +
+                                dataView.getUint32(previousOffset, isLittleEndian), isLittleEndian);
+                            break;
+                        default:
+                            Logger.log(Logger.LEVEL_WARNING, "Predictor not supported for sample size: " +
+                                bytesPerSample * 8);
+                            return;
+                    }
+                }
+            },
+
+            // Reverses the floating point predictor of one row. The bytes of the row are differenced, and the bytes
+            // of its samples are grouped by significance, most significant first.
+            undoFloatingPointPredictor: function (row, numSamples, samplesPerPixel, bytesPerSample,
+                                                  isLittleEndian) {
+                var i;
+
+                for (i = samplesPerPixel; i < row.length; i++) {
+                    row[i] = (row[i] + row[i - samplesPerPixel]) & 0xFF;
+                }
+
+                var shuffled = new Uint8Array(row);
+                for (var sample = 0; sample < numSamples; sample++) {
+                    for (var byte = 0; byte < bytesPerSample; byte++) {
+                        var significance = isLittleEndian ? bytesPerSample - byte - 1 : byte;
+                        row[sample * bytesPerSample + byte] = shuffled[significance * numSamples + sample];
+                    }
+                }
+            }
+        };
+
+        return TiffDecompression;
+    }
+);
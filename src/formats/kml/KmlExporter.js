@@ -0,0 +1,424 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+define([
+    '../../shapes/Annotation',
+    '../../error/ArgumentError',
+    '../geojson/GeoJSONConstants',
+    '../geojson/GeoJSONExporter',
+    '../../util/jszip',
+    '../../util/Logger',
+    '../../shapes/Placemark',
+    '../../util/Promise',
+    '../../shapes/SurfaceShape'
+], function (Annotation,
+             ArgumentError,
+             GeoJSONConstants,
+             GeoJSONExporter,
+             JsZip,
+             Logger,
+             Placemark,
+             Promise,
+             SurfaceShape) {
+    "use strict";
+
+    /**
+     * Writes layers and renderables as KML documents, and packages them with their icons as KMZ files.
+     * <p>
+     * Each supported renderable is written as a KML Placemark:
+     * <ul>
+     *     <li>{@link Placemark}: a Point, styled by an IconStyle and a LabelStyle derived from its
+     *     {@link PlacemarkAttributes}. Its label is written as the Placemark's name.</li>
+     *     <li>{@link Annotation}: a Point whose name and description are the annotation's text, styled by a
+     *     BalloonStyle derived from its {@link AnnotationAttributes}.</li>
+     *     <li>{@link Path} and {@link SurfacePolyline}: a LineString.</li>
+     *     <li>{@link Polygon}, {@link SurfacePolygon}, {@link SurfaceCircle}, {@link SurfaceEllipse},
+     *     {@link SurfaceRectangle} and {@link SurfaceSector}: a Polygon. Circles and ellipses are approximated by
+     *     their intervals.</li>
+     * </ul>
+     * Shapes are styled by a LineStyle and a PolyStyle derived from their {@link ShapeAttributes}. Identical styles
+     * are written once and shared. The renderables' [begin]{@link Renderable#beginTime} and
+     * [end]{@link Renderable#endTime} times are written as a TimeSpan, and their
+     * [user properties]{@link Renderable#userProperties} as ExtendedData. Other renderables are ignored.
+     * @exports KmlExporter
+     */
+    var KmlExporter = {
+        /**
+         * Writes the renderables of a layer as a KML document named after the layer.
+         * @param layer {RenderableLayer} The layer to write.
+         * @returns {String} The KML document.
+         * @throws {ArgumentError} If the specified layer is null or undefined.
+         */
+        exportLayer: function (layer) {
+            if (!layer) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportLayer",
+                    "missingLayer"));
+            }
+
+            return this.exportLayers([layer], layer.displayName);
+        },
+
+        /**
+         * Writes the renderables of several layers as a KML document holding a Folder for each layer.
+         * @param layers {RenderableLayer[]} The layers to write.
+         * @param documentName {String} The name of the document. May be null or undefined.
+         * @returns {String} The KML document.
+         * @throws {ArgumentError} If the specified layers are null or undefined.
+         */
+        exportLayers: function (layers, documentName) {
+            if (!layers) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportLayers",
+                    "missingLayers"));
+            }
+
+            return this.writeDocument(layers, documentName, {});
+        },
+
+        /**
+         * Writes renderables as a KML document.
+         * @param renderables {Renderable[]} The renderables to write.
+         * @param documentName {String} The name of the document. May be null or undefined.
+         * @returns {String} The KML document.
+         * @throws {ArgumentError} If the specified renderables are null or undefined.
+         */
+        exportRenderables: function (renderables, documentName) {
+            if (!renderables) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportRenderables",
+                    "missingRenderables"));
+            }
+
+            return this.writeDocument(null, documentName, {renderables: renderables});
+        },
+
+        /**
+         * Packages the renderables of several layers as a KMZ file. The file holds the KML document written by
+         * [exportLayers]{@link KmlExporter#exportLayers} as doc.kml, together with the placemarks' icons, which
+         * are retrieved and stored in the file's "files" directory. Icons that cannot be retrieved are referenced by
+         * their original URL.
+         * @param layers {RenderableLayer[]} The layers to package.
+         * @param documentName {String} The name of the document. May be null or undefined.
+         * @param type {String} The type of the KMZ file's content, either "blob", "arraybuffer" or "uint8array".
+         * May be null or undefined, in which case a Blob is created, suitable for download by the user.
+         * @returns {Promise} A promise resolved with the KMZ file's content.
+         * @throws {ArgumentError} If the specified layers are null or undefined.
+         */
+        exportKmz: function (layers, documentName, type) {
+            if (!layers) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportKmz",
+                    "missingLayers"));
+            }
+
+            var self = this,
+                iconUrls = [];
+
+            layers.forEach(function (layer) {
+                layer.renderables.forEach(function (renderable) {
+                    var url = self.iconUrl(renderable);
+                    if (url && iconUrls.indexOf(url) === -1) {
+                        iconUrls.push(url);
+                    }
+                });
+            });
+
+            var iconRequests = iconUrls.map(function (url) {
+                return self.requestIcon(url).then(function (data) {
+                    return {url: url, data: data};
+                }, function () {
+                    Logger.log(Logger.LEVEL_WARNING, "KMZ export could not retrieve the icon " + url);
+                    return null;
+                });
+            });
+
+            return Promise.all(iconRequests).then(function (icons) {
+                var zip = new JsZip(),
+                    iconPaths = {};
+
+                icons.forEach(function (icon, index) {
+                    if (icon) {
+                        var fileName = icon.url.split(/[\/\\?#]/).filter(function (part) {
+                                return part.length > 0;
+                            }).pop() || "icon",
+                            path = "files/" + index + "_" + fileName.replace(/[^\w.\-]/g, "_");
+
+                        iconPaths[icon.url] = path;
+                        zip.file(path, icon.data);
+                    }
+                });
+
+                zip.file("doc.kml", self.writeDocument(layers, documentName, {iconPaths: iconPaths}));
+
+                return zip.generate({type: type || "blob", compression: "DEFLATE"});
+            });
+        },
+
+        // Retrieves an icon as an ArrayBuffer. Internal use only.
+        requestIcon: function (url) {
+            return new Promise(function (resolve, reject) {
+                var xhr = new XMLHttpRequest();
+                xhr.open("GET", url, true);
+                xhr.responseType = "arraybuffer";
+                xhr.onreadystatechange = function () {
+                    if (xhr.readyState === 4) {
+                        if (xhr.status === 200) {
+                            resolve(xhr.response);
+                        } else {
+                            reject(new Error(xhr.statusText));
+                        }
+                    }
+                };
+                xhr.onerror = function () {
+                    reject(new Error("Icon retrieval failed: " + url));
+                };
+                xhr.send(null);
+            });
+        },
+
+        // Returns the URL of a renderable's icon, or null if it has none. Internal use only.
+        iconUrl: function (renderable) {
+            var attributes = renderable instanceof Placemark ? renderable.attributes : null;
+
+            return attributes && typeof attributes.imageSource === "string" ? attributes.imageSource : null;
+        },
+
+        // Writes a KML document. Either the layers or the renderables of the context are written. The context
+        // collects the shared styles and may map icon URLs to paths within a KMZ file. Internal use only.
+        writeDocument: function (layers, documentName, context) {
+            var features = [],
+                self = this;
+
+            context.styles = [];
+            context.styleIds = {};
+
+            if (layers) {
+                layers.forEach(function (layer) {
+                    features.push("<Folder>" + self.element("name", layer.displayName) +
+                        self.element("visibility", layer.enabled === false ? "0" : "1") +
+                        self.writePlacemarks(layer.renderables, context) + "</Folder>");
+                });
+            } else {
+                features.push(this.writePlacemarks(context.renderables, context));
+            }
+
+            return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+                (documentName ? this.element("name", documentName) : "") +
+                context.styles.join("") + features.join("") +
+                "</Document></kml>";
+        },
+
+        // Writes the Placemarks of the supported renderables. Internal use only.
+        writePlacemarks: function (renderables, context) {
+            var result = "";
+
+            for (var i = 0; i < renderables.length; i++) {
+                result += this.writePlacemark(renderables[i], context);
+            }
+
+            return result;
+        },
+
+        // Writes the Placemark of a renderable, or nothing if the renderable is not supported. Internal use only.
+        writePlacemark: function (renderable, context) {
+            var name = null,
+                description = null,
+                geometry,
+                style;
+
+            if (renderable instanceof Annotation) {
+                name = description = renderable.label || null;
+                geometry = this.writeGeometry(GeoJSONConstants.TYPE_POINT,
+                    [renderable.position.longitude, renderable.position.latitude, renderable.position.altitude],
+                    renderable.altitudeMode);
+                style = this.writeAnnotationStyle(renderable.attributes);
+            } else {
+                var geoJsonGeometry = GeoJSONExporter.geometryForRenderable(renderable);
+                if (!geoJsonGeometry) {
+                    Logger.log(Logger.LEVEL_WARNING, "KML export ignored an unsupported renderable: " +
+                        renderable.displayName);
+                    return "";
+                }
+
+                var isSurfaceShape = renderable instanceof SurfaceShape;
+                geometry = this.writeGeometry(geoJsonGeometry.type, geoJsonGeometry.coordinates,
+                    isSurfaceShape ? WorldWind.CLAMP_TO_GROUND : renderable.altitudeMode, isSurfaceShape,
+                    renderable.attributes && renderable.attributes.drawVerticals);
+
+                if (renderable instanceof Placemark) {
+                    name = renderable.label || null;
+                    style = this.writePlacemarkStyle(renderable.attributes, context);
+                } else {
+                    style = this.writeShapeStyle(renderable.attributes);
+                }
+            }
+
+            return "<Placemark>" +
+                (name ? this.element("name", name) : "") +
+                (description ? this.element("description", description) : "") +
+                this.writeTimeSpan(renderable.beginTime, renderable.endTime) +
+                (style ? this.element("styleUrl", "#" + this.styleId(style, context), true) : "") +
+                this.writeExtendedData(renderable.userProperties) +
+                geometry +
+                "</Placemark>";
+        },
+
+        // Writes a geometry from its GeoJSON type and coordinates. Internal use only.
+        writeGeometry: function (type, coordinates, altitudeMode, tessellate, extrude) {
+            var modifiers = (extrude ? "<extrude>1</extrude>" : "") +
+                    (tessellate ? "<tessellate>1</tessellate>" : "") +
+                    this.element("altitudeMode", altitudeMode || WorldWind.ABSOLUTE),
+                self = this;
+
+            if (type === GeoJSONConstants.TYPE_POINT) {
+                return "<Point>" + modifiers + this.element("coordinates", this.writeCoordinates([coordinates])) +
+                    "</Point>";
+            }
+
+            if (type === GeoJSONConstants.TYPE_LINE_STRING) {
+                return "<LineString>" + modifiers +
+                    this.element("coordinates", this.writeCoordinates(coordinates)) + "</LineString>";
+            }
+
+            // Polygon: the first ring is the outer boundary, the others are holes.
+            return "<Polygon>" + modifiers + coordinates.map(function (ring, index) {
+                    var boundary = index === 0 ? "outerBoundaryIs" : "innerBoundaryIs";
+                    return "<" + boundary + "><LinearRing>" +
+                        self.element("coordinates", self.writeCoordinates(ring)) +
+                        "</LinearRing></" + boundary + ">";
+                }).join("") + "</Polygon>";
+        },
+
+        // Writes coordinate tuples as longitude,latitude[,altitude] separated by spaces. Internal use only.
+        writeCoordinates: function (coordinates) {
+            return coordinates.map(function (tuple) {
+                return tuple.join(",");
+            }).join(" ");
+        },
+
+        // Writes a TimeSpan, or nothing if neither time is specified. Internal use only.
+        writeTimeSpan: function (beginTime, endTime) {
+            if (!beginTime && !endTime) {
+                return "";
+            }
+
+            return "<TimeSpan>" +
+                (beginTime ? this.element("begin", beginTime.toISOString()) : "") +
+                (endTime ? this.element("end", endTime.toISOString()) : "") +
+                "</TimeSpan>";
+        },
+
+        // Writes user properties as ExtendedData, or nothing if there are none. Internal use only.
+        writeExtendedData: function (userProperties) {
+            var data = "";
+
+            for (var key in userProperties) {
+                if (userProperties.hasOwnProperty(key) && userProperties[key] !== undefined &&
+                    typeof userProperties[key] !== "function") {
+                    var value = userProperties[key],
+                        text = value !== null && typeof value === "object" ? JSON.stringify(value) : String(value);
+
+                    data += '<Data name="' + this.escape(key) + '">' + this.element("value", text) + "</Data>";
+                }
+            }
+
+            return data ? "<ExtendedData>" + data + "</ExtendedData>" : "";
+        },
+
+        // Writes the content of the Style derived from placemark attributes. Internal use only.
+        writePlacemarkStyle: function (attributes, context) {
+            if (!attributes) {
+                return null;
+            }
+
+            var iconStyle = (attributes.imageColor ? this.element("color", this.kmlColor(attributes.imageColor)) : "") +
+                this.element("scale", attributes.imageScale);
+
+            if (typeof attributes.imageSource === "string") {
+                var href = context.iconPaths && context.iconPaths[attributes.imageSource] || attributes.imageSource;
+                iconStyle += "<Icon>" + this.element("href", href) + "</Icon>";
+            }
+
+            var offset = attributes.imageOffset;
+            if (offset) {
+                iconStyle += '<hotSpot x="' + offset.x + '" y="' + offset.y + '" xunits="' + offset.xUnits +
+                    '" yunits="' + offset.yUnits + '"/>';
+            }
+
+            var style = "<IconStyle>" + iconStyle + "</IconStyle>",
+                labelAttributes = attributes.labelAttributes;
+
+            if (labelAttributes) {
+                style += "<LabelStyle>" +
+                    (labelAttributes.color ? this.element("color", this.kmlColor(labelAttributes.color)) : "") +
+                    this.element("scale", labelAttributes.scale) + "</LabelStyle>";
+            }
+
+            return style;
+        },
+
+        // Writes the content of the Style derived from shape attributes. Internal use only.
+        writeShapeStyle: function (attributes) {
+            if (!attributes) {
+                return null;
+            }
+
+            return "<LineStyle>" + this.element("color", this.kmlColor(attributes.outlineColor)) +
+                this.element("width", attributes.outlineWidth) + "</LineStyle>" +
+                "<PolyStyle>" + this.element("color", this.kmlColor(attributes.interiorColor)) +
+                this.element("fill", attributes.drawInterior ? "1" : "0") +
+                this.element("outline", attributes.drawOutline ? "1" : "0") + "</PolyStyle>";
+        },
+
+        // Writes the content of the Style derived from annotation attributes. Internal use only.
+        writeAnnotationStyle: function (attributes) {
+            if (!attributes) {
+                return null;
+            }
+
+            var textAttributes = attributes.textAttributes;
+
+            return "<BalloonStyle>" +
+                (attributes.backgroundColor ? this.element("bgColor", this.kmlColor(attributes.backgroundColor)) : "") +
+                (textAttributes && textAttributes.color ?
+                    this.element("textColor", this.kmlColor(textAttributes.color)) : "") +
+                "</BalloonStyle>";
+        },
+
+        // Returns the id of the shared Style with the specified content, adding the Style to the document if it is
+        // new. Internal use only.
+        styleId: function (style, context) {
+            var id = context.styleIds[style];
+
+            if (!id) {
+                id = "style" + context.styles.length;
+                context.styleIds[style] = id;
+                context.styles.push('<Style id="' + id + '">' + style + "</Style>");
+            }
+
+            return id;
+        },
+
+        // Converts a color to the KML aabbggrr hexadecimal representation. Internal use only.
+        kmlColor: function (color) {
+            return [color.alpha, color.blue, color.green, color.red].map(function (component) {
+                var hex = Math.round(component * 255).toString(16);
+                return hex.length < 2 ? "0" + hex : hex;
+            }).join("");
+        },
+
+        // Writes an element with escaped text content. Internal use only.
+        element: function (name, content, isEscaped) {
+            var text = String(content);
+
+            return "<" + name + ">" + (isEscaped ? text : this.escape(text)) + "</" + name + ">";
+        },
+
+        // Escapes the XML special characters of a string. Internal use only.
+        escape: function (text) {
+            return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+                .replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+        }
+    };
+
+    return KmlExporter;
+});
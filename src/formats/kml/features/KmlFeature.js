@@ -279,14 +279,23 @@ define([
 
     /**
      * Internal function for solving the time visibility. The element is visible when its whole range is inside the
-     * time range chosen by user.
+     * time range chosen by user. The time range is the one of the current layer, if specified, otherwise the current
+     * time interval of the World Window. When only a current time is specified, the element is visible when its range
+     * contains that time.
      */
     KmlFeature.prototype.solveTimeVisibility = function (dc) {
         var timeRangeOfFeature = this.kmlTimePrimitive && this.kmlTimePrimitive.timeRange();
+        var currentTimeInterval = dc.currentLayer.currentTimeInterval || dc.currentTimeInterval;
 
-        if (dc.currentLayer.currentTimeInterval && timeRangeOfFeature) {
-            var from = dc.currentLayer.currentTimeInterval[0];
-            var to = dc.currentLayer.currentTimeInterval[1];
+        if (!currentTimeInterval && dc.currentTime && timeRangeOfFeature) {
+            var time = dc.currentTime.valueOf();
+
+            return timeRangeOfFeature.from <= time && time <= timeRangeOfFeature.to;
+        }
+
+        if (currentTimeInterval && timeRangeOfFeature) {
+            var from = currentTimeInterval[0];
+            var to = currentTimeInterval[1];
 
             if (
                 timeRangeOfFeature &&
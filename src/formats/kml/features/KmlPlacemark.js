@@ -9,6 +9,7 @@ define([
     './../KmlElements',
     './KmlFeature',
     '../geom/KmlGeometry',
+    '../geom/KmlTrack',
     '../styles/KmlStyle',
     '../KmlTimeSpan',
     '../KmlTimeStamp',
@@ -22,6 +23,7 @@ define([
 ], function (KmlElements,
              KmlFeature,
              KmlGeometry,
+             KmlTrack,
              KmlStyle,
              KmlTimeSpan,
              KmlTimeStamp,
@@ -88,7 +90,10 @@ define([
         if(this._renderable) {
             if (this.kmlGeometry) {
                 this.kmlGeometry.render(dc, kmlOptions);
-                this._renderable.render(dc);
+
+                if (!this.kmlGeometry.stateAt || this.moveAlongTrack(dc)) {
+                    this._renderable.render(dc);
+                }
             }
         }
     };
@@ -129,6 +134,28 @@ define([
         this._renderable.enableLeaderLinePicking = true;
     };
 
+    /**
+     * It moves the placemark to the position of its track at the current time and orients its icon by the track's
+     * heading and tilt.
+     * @param dc {DrawContext} Current draw context.
+     * @returns {Boolean} True if the placemark should be displayed, false if the track doesn't span the current time
+     * or displays a model instead.
+     */
+    KmlPlacemark.prototype.moveAlongTrack = function (dc) {
+        var state = this.kmlGeometry.stateAt(KmlTrack.currentTime(dc));
+        if (!state || this.kmlGeometry.kmlModelHref) {
+            return false;
+        }
+
+        this._renderable.position = state.position;
+        // The heading is relative to north, so the icon keeps its orientation on the globe as the view rotates.
+        this._renderable.imageRotation = state.heading;
+        this._renderable.imageRotationReference = WorldWind.RELATIVE_TO_GLOBE;
+        this._renderable.userProperties.trackValues = state.values;
+
+        return true;
+    };
+
     /**
      * Returns tag name of this Node.
      * @returns {String[]}
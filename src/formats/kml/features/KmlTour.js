@@ -4,16 +4,18 @@
  */
 define([
     './../KmlElements',
-    './KmlFeature'
+    './KmlFeature',
+    '../tour/KmlPlaylist'
 ], function (KmlElements,
-             KmlFeature) {
+             KmlFeature,
+             KmlPlaylist) {
     "use strict";
 
     /**
      * Constructs an KmlTour. Applications usually don't call this constructor. It is called by {@link KmlFile} as
      * objects from Kml file are read. This object is already concrete implementation.
      * @alias KmlTour
-     * @classdesc Contains the data associated with Tour node.
+     * @classdesc Contains the data associated with Tour node. Use {@link KmlTourPlayer} to play the tour.
      * @param options {Object}
      * @param options.objectNode {Node} Node representing Tour.
      * @constructor
@@ -27,6 +29,20 @@ define([
 
     KmlTour.prototype = Object.create(KmlFeature.prototype);
 
+    Object.defineProperties(KmlTour.prototype, {
+        /**
+         * Playlist containing the primitives of this tour.
+         * @memberof KmlTour.prototype
+         * @readonly
+         * @type {KmlPlaylist}
+         */
+        kmlPlaylist: {
+            get: function () {
+                return this._factory.any(this, {name: KmlPlaylist.prototype.getTagNames()});
+            }
+        }
+    });
+
     /**
      * @inheritDoc
      */
@@ -42,7 +42,7 @@ define([
      * @inheritDoc
      */
     KmlGeometry.prototype.getTagNames = KmlGeometry.getTagNames = function () {
-        return ['Point', 'LinearRing', 'LineString', 'MultiGeometry', 'Polygon'];
+        return ['Point', 'LinearRing', 'LineString', 'MultiGeometry', 'Polygon', 'gx:Track', 'gx:MultiTrack'];
     };
 
     return KmlGeometry;
@@ -4,16 +4,25 @@
  */
 define([
     './../KmlElements',
-    './KmlGeometry'
+    './KmlGeometry',
+    './KmlTrack',
+    '../util/NodeTransformers',
+    '../../../geom/Position'
 ], function (KmlElements,
-             KmlGeometry) {
+             KmlGeometry,
+             KmlTrack,
+             NodeTransformers,
+             Position) {
     "use strict";
 
     /**
      * Constructs an KmlMultiTrack. Applications usually don't call this constructor. It is called by {@link KmlFile} as
      * objects from Kml file are read. This object is already concrete implementation.
      * @alias KmlMultiTrack
-     * @classdesc Contains the data associated with MultiTrack node.
+     * @classdesc Contains the data associated with MultiTrack node. Each of its tracks is displayed as a path. The
+     * {@link KmlPlacemark} containing the multi track is displayed at the position of the track spanning the World
+     * Window's current time. When gx:interpolate is set, it is also displayed between the tracks, at a position
+     * interpolated between the end of one track and the start of the next one.
      * @param options {Object}
      * @param options.objectNode {Node} Node representing MultiTrack.
      * @constructor
@@ -27,6 +36,116 @@ define([
 
     KmlMultiTrack.prototype = Object.create(KmlGeometry.prototype);
 
+    Object.defineProperties(KmlMultiTrack.prototype, {
+        /**
+         * Whether the position between the tracks is interpolated.
+         * @memberof KmlMultiTrack.prototype
+         * @readonly
+         * @type {Boolean}
+         */
+        kmlInterpolate: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:interpolate', transformer: NodeTransformers.boolean}) ||
+                    false;
+            }
+        },
+
+        /**
+         * Tracks of this multi track.
+         * @memberof KmlMultiTrack.prototype
+         * @readonly
+         * @type {KmlTrack[]}
+         */
+        kmlTracks: {
+            get: function () {
+                return this._factory.all(this).filter(function (shape) {
+                    return shape instanceof KmlTrack;
+                });
+            }
+        },
+
+        /**
+         * First position of the first track.
+         * @memberof KmlMultiTrack.prototype
+         * @readonly
+         * @type {Position}
+         */
+        kmlCenter: {
+            get: function () {
+                var tracks = this.kmlTracks;
+                return tracks.length > 0 ? tracks[0].kmlCenter : new Position(0, 0, 0);
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    KmlMultiTrack.prototype.render = function (dc, kmlOptions) {
+        KmlGeometry.prototype.render.call(this, dc, kmlOptions);
+
+        this.kmlTracks.forEach(function (track) {
+            track.render(dc, kmlOptions);
+        });
+    };
+
+    /**
+     * It determines the position and orientation at the given time from the track spanning the time, or, when
+     * interpolation is on, between the tracks preceding and following the time.
+     * @param time {Date} Time of interest. If null, the last sample of the last track is used.
+     * @returns {Object|null} Object with position, heading, tilt, roll and values properties, as described by
+     * [KmlTrack.stateAt]{@link KmlTrack#stateAt}. Null if no track spans the time.
+     */
+    KmlMultiTrack.prototype.stateAt = function (time) {
+        var tracks = this.kmlTracks;
+
+        if (!time) {
+            return tracks.length > 0 ? tracks[tracks.length - 1].stateAt(null) : null;
+        }
+
+        for (var i = 0; i < tracks.length; i++) {
+            var state = tracks[i].stateAt(time);
+            if (state) {
+                return state;
+            }
+        }
+
+        if (!this.kmlInterpolate) {
+            return null;
+        }
+
+        for (i = 0; i < tracks.length - 1; i++) {
+            var previous = tracks[i].stateAt(null),
+                nextWhens = tracks[i + 1].kmlWhens,
+                previousWhens = tracks[i].kmlWhens;
+
+            if (!previous || nextWhens.length === 0) {
+                continue;
+            }
+
+            var start = previousWhens[previousWhens.length - 1].getTime(),
+                end = nextWhens[0].getTime();
+
+            if (time.getTime() > start && time.getTime() < end) {
+                var next = tracks[i + 1].stateAt(nextWhens[0]),
+                    amount = (time.getTime() - start) / (end - start),
+                    position = new Position(0, 0, 0);
+
+                Position.interpolateLinear(amount, previous.position, next.position, position);
+
+                return {
+                    position: position,
+                    heading: KmlTrack.interpolateAngle(amount, previous.heading, next.heading),
+                    tilt: previous.tilt + amount * (next.tilt - previous.tilt),
+                    roll: previous.roll + amount * (next.roll - previous.roll),
+                    values: previous.values
+                };
+            }
+        }
+
+        return null;
+    };
+
     /**
      * @inheritDoc
      */
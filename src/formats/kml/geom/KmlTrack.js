@@ -3,17 +3,35 @@
  * National Aeronautics and Space Administration. All Rights Reserved.
  */
 define([
+    '../../collada/ColladaLoader',
     './../KmlElements',
-    './KmlGeometry'
-], function (KmlElements,
-             KmlGeometry) {
+    './KmlGeometry',
+    '../styles/KmlStyle',
+    '../../../geom/Location',
+    '../util/NodeTransformers',
+    '../../../shapes/Path',
+    '../../../geom/Position',
+    '../../../shapes/ShapeAttributes'
+], function (ColladaLoader,
+             KmlElements,
+             KmlGeometry,
+             KmlStyle,
+             Location,
+             NodeTransformers,
+             Path,
+             Position,
+             ShapeAttributes) {
     "use strict";
 
     /**
      * Constructs an KmlTrack. Applications usually don't call this constructor. It is called by {@link KmlFile} as
      * objects from Kml file are read. This object is already concrete implementation.
      * @alias KmlTrack
-     * @classdesc Contains the data associated with Track node.
+     * @classdesc Contains the data associated with Track node. The track is displayed as a path through all its
+     * coordinates. The {@link KmlPlacemark} containing the track is displayed at the track's position at the World
+     * Window's current time, interpolated between the track's samples, or at the track's last position when the
+     * World Window has no current time. When the track specifies a model, the model is displayed at that position
+     * instead, oriented as specified by the track's angles.
      * @param options {Object}
      * @param options.objectNode {Node} Node representing the Track.
      * @constructor
@@ -23,10 +41,327 @@ define([
      */
     var KmlTrack = function (options) {
         KmlGeometry.call(this, options);
+
+        this._samples = null;
+        this._model = null;
+        this._modelRequested = false;
     };
 
     KmlTrack.prototype = Object.create(KmlGeometry.prototype);
 
+    Object.defineProperties(KmlTrack.prototype, {
+        /**
+         * Whether the path should be extruded to the ground.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {Boolean}
+         */
+        kmlExtrude: {
+            get: function () {
+                return this._factory.specific(this, {name: 'extrude', transformer: NodeTransformers.boolean}) || false;
+            }
+        },
+
+        /**
+         * It represents different modes to count absolute altitude. Possible choices are explained in:
+         * https://developers.google.com/kml/documentation/kmlreference#point
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlAltitudeMode: {
+            get: function () {
+                return this._factory.specific(this, {name: 'altitudeMode', transformer: NodeTransformers.string}) ||
+                    this._factory.specific(this, {name: 'gx:altitudeMode', transformer: NodeTransformers.string}) ||
+                    WorldWind.ABSOLUTE;
+            }
+        },
+
+        /**
+         * Times of the samples of this track, as specified by the when elements.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {Date[]}
+         */
+        kmlWhens: {
+            get: function () {
+                return this.samples().whens;
+            }
+        },
+
+        /**
+         * Positions of the samples of this track, as specified by the gx:coord elements.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {Position[]}
+         */
+        kmlCoords: {
+            get: function () {
+                return this.samples().coords;
+            }
+        },
+
+        /**
+         * Orientations of the samples of this track, as specified by the gx:angles elements. Each orientation has
+         * heading, tilt and roll properties in degrees. Empty if the track specifies no angles.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {Object[]}
+         */
+        kmlAngles: {
+            get: function () {
+                return this.samples().angles;
+            }
+        },
+
+        /**
+         * Values of the custom data of the samples of this track, as specified by the gx:SimpleArrayData elements of
+         * its ExtendedData. The values of each array are keyed by the array's name.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {Object}
+         */
+        kmlSimpleArrays: {
+            get: function () {
+                return this.samples().simpleArrays;
+            }
+        },
+
+        /**
+         * Address of the COLLADA model to display at the track's current position, as specified by the Link of
+         * the track's Model element. Null if the track specifies no model.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlModelHref: {
+            get: function () {
+                var model = childElements(this.node, 'Model')[0],
+                    link = model && childElements(model, 'Link')[0],
+                    href = link && childElements(link, 'href')[0];
+
+                return href ? NodeTransformers.string(href).trim() : null;
+            }
+        },
+
+        /**
+         * First position of the track.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {Position}
+         */
+        kmlCenter: {
+            get: function () {
+                return this.kmlCoords[0] || new Position(0, 0, 0);
+            }
+        }
+    });
+
+    /**
+     * It creates Path representing this Track unless already initialized.
+     * @param styles {Object|null}
+     * @param styles.normal {KmlStyle} Style applied when item not highlighted
+     * @param styles.highlight {KmlStyle} Style applied when item is highlighted
+     */
+    KmlTrack.prototype.createPath = function (styles) {
+        this._renderable = new Path(this.kmlCoords, this.prepareAttributes(styles.normal));
+        this._renderable.extrude = this.kmlExtrude;
+        this._renderable.altitudeMode = this.kmlAltitudeMode;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    KmlTrack.prototype.render = function (dc, kmlOptions) {
+        KmlGeometry.prototype.render.call(this, dc, kmlOptions);
+
+        if (kmlOptions.lastStyle && !this._renderable && this.kmlCoords.length > 1) {
+            this.createPath(kmlOptions.lastStyle);
+            dc.redrawRequested = true;
+        }
+
+        if (this._renderable) {
+            this._renderable.enabled = this.enabled;
+            this._renderable.render(dc);
+        }
+
+        if (this.kmlModelHref) {
+            this.renderModel(dc);
+        }
+    };
+
+    /**
+     * It displays the track's model at the track's position at the current time.
+     * @param dc {DrawContext} Current draw context.
+     */
+    KmlTrack.prototype.renderModel = function (dc) {
+        if (!this._modelRequested) {
+            this._modelRequested = true;
+
+            var self = this;
+            new ColladaLoader(this.kmlCenter).load(this.kmlModelHref, function (scene) {
+                self._model = scene;
+
+                // Send an event to request a redraw.
+                var e = document.createEvent('Event');
+                e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+                window.dispatchEvent(e);
+            });
+        }
+
+        var state = this.stateAt(KmlTrack.currentTime(dc));
+        if (this._model && state && this.enabled) {
+            this._model.position = state.position;
+            this._model.altitudeMode = this.kmlAltitudeMode;
+            this._model.zRotation = -state.heading;
+            this._model.xRotation = state.tilt;
+            this._model.yRotation = state.roll;
+            this._model.render(dc);
+        }
+    };
+
+    /**
+     * @inheritDoc
+     */
+    KmlTrack.prototype.prepareAttributes = function (style) {
+        var shapeOptions = style && style.generate() || {};
+
+        shapeOptions._applyLighting = true;
+        shapeOptions._drawOutline = true;
+        shapeOptions._drawInterior = true;
+        shapeOptions._drawVerticals = this.kmlExtrude || false;
+        shapeOptions._outlineStippleFactor = 0;
+        shapeOptions._outlineStipplePattern = 61680;
+        shapeOptions._enableLighting = true;
+
+        return new ShapeAttributes(KmlStyle.shapeAttributes(shapeOptions));
+    };
+
+    /**
+     * It determines the position and orientation of the track at the given time by interpolating between the
+     * samples bracketing the time. When the track specifies no angles, the heading is the direction of travel.
+     * @param time {Date} Time of interest. If null, the track's last sample is used.
+     * @returns {Object|null} Object with position, heading, tilt, roll and values properties, where values are
+     * the custom data of the sample at or before the time. Null if the time is outside of the track.
+     */
+    KmlTrack.prototype.stateAt = function (time) {
+        var whens = this.kmlWhens,
+            coords = this.kmlCoords,
+            count = Math.min(whens.length, coords.length);
+
+        if (count === 0) {
+            return null;
+        }
+
+        var milliseconds = time ? time.getTime() : whens[count - 1].getTime();
+        if (milliseconds < whens[0].getTime() || milliseconds > whens[count - 1].getTime()) {
+            return null;
+        }
+
+        var index = 0;
+        while (index < count - 2 && whens[index + 1].getTime() <= milliseconds) {
+            index++;
+        }
+
+        var nextIndex = Math.min(index + 1, count - 1),
+            span = whens[nextIndex].getTime() - whens[index].getTime(),
+            amount = span > 0 ? Math.min(Math.max((milliseconds - whens[index].getTime()) / span, 0), 1) : 0,
+            position = new Position(0, 0, 0),
+            state = {};
+
+        Position.interpolateLinear(amount, coords[index], coords[nextIndex], position);
+        state.position = position;
+
+        var angles = this.kmlAngles;
+        if (angles.length >= count) {
+            state.heading = KmlTrack.interpolateAngle(amount, angles[index].heading, angles[nextIndex].heading);
+            state.tilt = angles[index].tilt + amount * (angles[nextIndex].tilt - angles[index].tilt);
+            state.roll = angles[index].roll + amount * (angles[nextIndex].roll - angles[index].roll);
+        } else {
+            var from = coords[index === nextIndex ? Math.max(index - 1, 0) : index],
+                to = coords[nextIndex];
+            state.heading = from === to ? 0 : Location.greatCircleAzimuth(from, to);
+            state.tilt = 0;
+            state.roll = 0;
+        }
+
+        state.values = {};
+        var sampleIndex = amount === 1 ? nextIndex : index,
+            simpleArrays = this.kmlSimpleArrays;
+        for (var name in simpleArrays) {
+            if (simpleArrays.hasOwnProperty(name)) {
+                state.values[name] = simpleArrays[name][sampleIndex];
+            }
+        }
+
+        return state;
+    };
+
+    /**
+     * It parses the samples of the track. The samples are parsed once and cached.
+     * @returns {Object} Object with whens, coords, angles and simpleArrays properties.
+     */
+    KmlTrack.prototype.samples = function () {
+        if (this._samples) {
+            return this._samples;
+        }
+
+        var samples = {whens: [], coords: [], angles: [], simpleArrays: {}};
+
+        childElements(this.node, 'when').forEach(function (node) {
+            samples.whens.push(NodeTransformers.date(node));
+        });
+
+        childElements(this.node, 'gx:coord').forEach(function (node) {
+            var values = splitValues(node);
+            samples.coords.push(new Position(values[1], values[0], values[2] || 0));
+        });
+
+        childElements(this.node, 'gx:angles').forEach(function (node) {
+            var values = splitValues(node);
+            samples.angles.push({heading: values[0] || 0, tilt: values[1] || 0, roll: values[2] || 0});
+        });
+
+        childElements(this.node, 'ExtendedData').forEach(function (extendedData) {
+            childElements(extendedData, 'SchemaData').forEach(function (schemaData) {
+                childElements(schemaData, 'gx:SimpleArrayData').forEach(function (arrayData) {
+                    samples.simpleArrays[arrayData.getAttribute('name')] =
+                        childElements(arrayData, 'gx:value').map(NodeTransformers.string);
+                });
+            });
+        });
+
+        this._samples = samples;
+
+        return samples;
+    };
+
+    /**
+     * It determines the time at which tracks are displayed: the World Window's current time, or the end of its
+     * current time interval.
+     * @param dc {DrawContext} Current draw context.
+     * @returns {Date|null} Time at which to display tracks, or null if the World Window has no time.
+     */
+    KmlTrack.currentTime = function (dc) {
+        if (dc.currentTime) {
+            return dc.currentTime;
+        }
+
+        return dc.currentTimeInterval ? dc.currentTimeInterval[1] : null;
+    };
+
+    /**
+     * It interpolates between two angles in degrees along the shorter direction.
+     * @param amount {Number} Position between the angles, in the range [0, 1].
+     * @param angle1 {Number} First angle.
+     * @param angle2 {Number} Second angle.
+     * @returns {Number} Interpolated angle, in the range [0, 360).
+     */
+    KmlTrack.interpolateAngle = function (amount, angle1, angle2) {
+        var difference = ((angle2 - angle1) % 360 + 540) % 360 - 180;
+        return ((angle1 + amount * difference) % 360 + 360) % 360;
+    };
+
     /**
      * @inheritDoc
      */
@@ -34,7 +369,28 @@ define([
         return ['gx:Track'];
     };
 
+    /**
+     * It returns the child elements of the node with the given name.
+     * @param node {Node} Node whose children are considered.
+     * @param name {String} Name of the children to retrieve.
+     * @returns {Node[]} Children with the given name.
+     */
+    function childElements(node, name) {
+        return [].filter.call(node.childNodes, function (child) {
+            return child.nodeName == name;
+        });
+    }
+
+    /**
+     * It splits the text of the node into numbers separated by white space.
+     * @param node {Node} Node to transform.
+     * @returns {Number[]} Numbers in the node.
+     */
+    function splitValues(node) {
+        return NodeTransformers.string(node).trim().split(/\s+/).map(Number);
+    }
+
     KmlElements.addKey(KmlTrack.prototype.getTagNames()[0], KmlTrack);
 
     return KmlTrack;
-});
\ No newline at end of file
+});
@@ -0,0 +1,82 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+define([
+    '../KmlElements',
+    './KmlTourPrimitive',
+    '../util/NodeTransformers',
+    '../util/Update'
+], function (KmlElements,
+             KmlTourPrimitive,
+             NodeTransformers,
+             Update) {
+    "use strict";
+
+    /**
+     * Constructs an KmlAnimatedUpdate. Applications usually don't call this constructor. It is called by
+     * {@link KmlFile} as objects from Kml file are read. This object is already concrete implementation.
+     * @alias KmlAnimatedUpdate
+     * @classdesc Contains the data associated with AnimatedUpdate node.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing AnimatedUpdate.
+     * @constructor
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxanimatedupdate
+     * @augments KmlTourPrimitive
+     */
+    var KmlAnimatedUpdate = function (options) {
+        KmlTourPrimitive.call(this, options);
+    };
+
+    KmlAnimatedUpdate.prototype = Object.create(KmlTourPrimitive.prototype);
+
+    Object.defineProperties(KmlAnimatedUpdate.prototype, {
+        /**
+         * Amount of time in seconds over which the update happens. It runs concurrently with the rest of the tour.
+         * @memberof KmlAnimatedUpdate.prototype
+         * @readonly
+         * @type {Number}
+         */
+        kmlDuration: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:duration', transformer: NodeTransformers.number});
+            }
+        },
+
+        /**
+         * Amount of time in seconds to wait after the start of this primitive before the update is applied.
+         * @memberof KmlAnimatedUpdate.prototype
+         * @readonly
+         * @type {Number}
+         */
+        kmlDelayedStart: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:delayedStart', transformer: NodeTransformers.number});
+            }
+        },
+
+        /**
+         * Update containing the changes to apply to the document.
+         * @memberof KmlAnimatedUpdate.prototype
+         * @readonly
+         * @type {Update}
+         */
+        kmlUpdate: {
+            get: function () {
+                return this._factory.any(this, {name: Update.prototype.getTagNames()});
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    KmlAnimatedUpdate.prototype.getTagNames = function () {
+        return ['gx:AnimatedUpdate'];
+    };
+
+    KmlElements.addKey(KmlAnimatedUpdate.prototype.getTagNames()[0], KmlAnimatedUpdate);
+
+    return KmlAnimatedUpdate;
+});
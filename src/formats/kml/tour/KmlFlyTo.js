@@ -0,0 +1,90 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+define([
+    '../KmlAbstractView',
+    '../KmlElements',
+    './KmlTourPrimitive',
+    '../util/NodeTransformers'
+], function (KmlAbstractView,
+             KmlElements,
+             KmlTourPrimitive,
+             NodeTransformers) {
+    "use strict";
+
+    /**
+     * Constructs an KmlFlyTo. Applications usually don't call this constructor. It is called by {@link KmlFile} as
+     * objects from Kml file are read. This object is already concrete implementation.
+     * @alias KmlFlyTo
+     * @classdesc Contains the data associated with FlyTo node.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing FlyTo.
+     * @constructor
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxflyto
+     * @augments KmlTourPrimitive
+     */
+    var KmlFlyTo = function (options) {
+        KmlTourPrimitive.call(this, options);
+    };
+
+    KmlFlyTo.prototype = Object.create(KmlTourPrimitive.prototype);
+
+    Object.defineProperties(KmlFlyTo.prototype, {
+        /**
+         * Amount of time in seconds it takes to fly from the previous point to the view of this FlyTo.
+         * @memberof KmlFlyTo.prototype
+         * @readonly
+         * @type {Number}
+         */
+        kmlDuration: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:duration', transformer: NodeTransformers.number});
+            }
+        },
+
+        /**
+         * Method of flying to the view. Possible values are bounce (default), which slows down at both ends of the
+         * flight, and smooth, which allows for an unbroken flight through a series of FlyTos.
+         * @memberof KmlFlyTo.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlFlyToMode: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:flyToMode', transformer: NodeTransformers.string});
+            }
+        },
+
+        /**
+         * View, either Camera or LookAt, to fly to.
+         * @memberof KmlFlyTo.prototype
+         * @readonly
+         * @type {KmlAbstractView}
+         */
+        kmlAbstractView: {
+            get: function () {
+                return this._factory.any(this, {name: KmlAbstractView.prototype.getTagNames()});
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    KmlFlyTo.prototype.tourDuration = function () {
+        return this.kmlDuration || 0;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    KmlFlyTo.prototype.getTagNames = function () {
+        return ['gx:FlyTo'];
+    };
+
+    KmlElements.addKey(KmlFlyTo.prototype.getTagNames()[0], KmlFlyTo);
+
+    return KmlFlyTo;
+});
@@ -0,0 +1,58 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+define([
+    '../KmlElements',
+    '../KmlObject',
+    './KmlTourPrimitive'
+], function (KmlElements,
+             KmlObject,
+             KmlTourPrimitive) {
+    "use strict";
+
+    /**
+     * Constructs an KmlPlaylist. Applications usually don't call this constructor. It is called by {@link KmlFile} as
+     * objects from Kml file are read. This object is already concrete implementation.
+     * @alias KmlPlaylist
+     * @classdesc Contains the data associated with Playlist node.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing Playlist.
+     * @constructor
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxplaylist
+     * @augments KmlObject
+     */
+    var KmlPlaylist = function (options) {
+        KmlObject.call(this, options);
+    };
+
+    KmlPlaylist.prototype = Object.create(KmlObject.prototype);
+
+    Object.defineProperties(KmlPlaylist.prototype, {
+        /**
+         * Tour primitives of this playlist in the order, in which they are executed.
+         * @memberof KmlPlaylist.prototype
+         * @readonly
+         * @type {KmlTourPrimitive[]}
+         */
+        kmlTourPrimitives: {
+            get: function () {
+                return this._factory.all(this).filter(function (primitive) {
+                    return primitive instanceof KmlTourPrimitive;
+                });
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    KmlPlaylist.prototype.getTagNames = function () {
+        return ['gx:Playlist'];
+    };
+
+    KmlElements.addKey(KmlPlaylist.prototype.getTagNames()[0], KmlPlaylist);
+
+    return KmlPlaylist;
+});
@@ -0,0 +1,68 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+define([
+    '../KmlElements',
+    './KmlTourPrimitive',
+    '../util/NodeTransformers'
+], function (KmlElements,
+             KmlTourPrimitive,
+             NodeTransformers) {
+    "use strict";
+
+    /**
+     * Constructs an KmlSoundCue. Applications usually don't call this constructor. It is called by {@link KmlFile} as
+     * objects from Kml file are read. This object is already concrete implementation.
+     * @alias KmlSoundCue
+     * @classdesc Contains the data associated with SoundCue node.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing SoundCue.
+     * @constructor
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxsoundcue
+     * @augments KmlTourPrimitive
+     */
+    var KmlSoundCue = function (options) {
+        KmlTourPrimitive.call(this, options);
+    };
+
+    KmlSoundCue.prototype = Object.create(KmlTourPrimitive.prototype);
+
+    Object.defineProperties(KmlSoundCue.prototype, {
+        /**
+         * Url of the sound file to play. It runs concurrently with the rest of the tour.
+         * @memberof KmlSoundCue.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlHref: {
+            get: function () {
+                return this._factory.specific(this, {name: 'href', transformer: NodeTransformers.string});
+            }
+        },
+
+        /**
+         * Amount of time in seconds to wait after the start of this primitive before the sound starts.
+         * @memberof KmlSoundCue.prototype
+         * @readonly
+         * @type {Number}
+         */
+        kmlDelayedStart: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:delayedStart', transformer: NodeTransformers.number});
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    KmlSoundCue.prototype.getTagNames = function () {
+        return ['gx:SoundCue'];
+    };
+
+    KmlElements.addKey(KmlSoundCue.prototype.getTagNames()[0], KmlSoundCue);
+
+    return KmlSoundCue;
+});
@@ -0,0 +1,56 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+define([
+    '../KmlElements',
+    './KmlTourPrimitive',
+    '../util/NodeTransformers'
+], function (KmlElements,
+             KmlTourPrimitive,
+             NodeTransformers) {
+    "use strict";
+
+    /**
+     * Constructs an KmlTourControl. Applications usually don't call this constructor. It is called by {@link KmlFile}
+     * as objects from Kml file are read. This object is already concrete implementation.
+     * @alias KmlTourControl
+     * @classdesc Contains the data associated with TourControl node.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing TourControl.
+     * @constructor
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxtourcontrol
+     * @augments KmlTourPrimitive
+     */
+    var KmlTourControl = function (options) {
+        KmlTourPrimitive.call(this, options);
+    };
+
+    KmlTourControl.prototype = Object.create(KmlTourPrimitive.prototype);
+
+    Object.defineProperties(KmlTourControl.prototype, {
+        /**
+         * Mode of the playback. The only supported value is pause, which pauses the tour until the user resumes it.
+         * @memberof KmlTourControl.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlPlayMode: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:playMode', transformer: NodeTransformers.string});
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    KmlTourControl.prototype.getTagNames = function () {
+        return ['gx:TourControl'];
+    };
+
+    KmlElements.addKey(KmlTourControl.prototype.getTagNames()[0], KmlTourControl);
+
+    return KmlTourControl;
+});
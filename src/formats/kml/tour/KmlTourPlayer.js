@@ -0,0 +1,572 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+define([
+    '../../../geom/Angle',
+    '../../../error/ArgumentError',
+    './KmlAnimatedUpdate',
+    '../KmlCamera',
+    './KmlFlyTo',
+    './KmlSoundCue',
+    './KmlTourControl',
+    '../../../geom/Location',
+    '../../../util/Logger',
+    '../../../geom/Vec3',
+    '../../../util/WWMath'
+], function (Angle,
+             ArgumentError,
+             KmlAnimatedUpdate,
+             KmlCamera,
+             KmlFlyTo,
+             KmlSoundCue,
+             KmlTourControl,
+             Location,
+             Logger,
+             Vec3,
+             WWMath) {
+    "use strict";
+
+    /**
+     * Constructs a player for a KML tour. The player moves the navigator of the World Window along the FlyTo
+     * primitives of the tour, applies its AnimatedUpdates to the document containing the tour, pauses at its
+     * TourControls and plays its SoundCues.
+     * @alias KmlTourPlayer
+     * @classdesc Plays gx:Tour from the KML document. FlyTo in the bounce mode slows down at both ends and backs out
+     * to give the user context when the views are far apart, as {@link GoToAnimator} does. FlyTo in the smooth mode
+     * moves at constant speed, so that a series of them forms unbroken flight. Updates applied by the tour are
+     * reverted when the player seeks before them.
+     * Applications are notified of playback changes via listeners registered with
+     * [addPlaybackListener]{@link KmlTourPlayer#addPlaybackListener}.
+     * @param worldWindow {WorldWindow} World Window whose navigator the tour moves.
+     * @param tour {KmlTour} Tour to play.
+     * @constructor
+     * @throws {ArgumentError} If either the World Window or the tour is null or undefined.
+     */
+    var KmlTourPlayer = function (worldWindow, tour) {
+        if (!worldWindow) {
+            throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "KmlTourPlayer", "constructor",
+                "missingWorldWindow"));
+        }
+
+        if (!tour) {
+            throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "KmlTourPlayer", "constructor",
+                "The specified tour is null or undefined."));
+        }
+
+        /**
+         * The World Window whose navigator this player moves.
+         * @type {WorldWindow}
+         * @readonly
+         */
+        this.wwd = worldWindow;
+
+        /**
+         * The tour this player plays.
+         * @type {KmlTour}
+         * @readonly
+         */
+        this.tour = tour;
+
+        /**
+         * The frequency in milliseconds at which to move the navigator while playing.
+         * @type {Number}
+         * @default 20
+         */
+        this.animationFrequency = 20;
+
+        this._currentTime = 0;
+        this._isPlaying = false;
+        this._timeline = this.createTimeline();
+        this._startView = this.currentView();
+        this._appliedUpdates = [];
+        this._sounds = [];
+
+        this.playbackListeners = [];
+        this.timer = null;
+        this.lastTickTime = null;
+    };
+
+    Object.defineProperties(KmlTourPlayer.prototype, {
+        /**
+         * The position of this player within the tour, in seconds from its start.
+         * @memberof KmlTourPlayer.prototype
+         * @readonly
+         * @type {Number}
+         */
+        currentTime: {
+            get: function () {
+                return this._currentTime;
+            }
+        },
+
+        /**
+         * The duration of the tour in seconds.
+         * @memberof KmlTourPlayer.prototype
+         * @readonly
+         * @type {Number}
+         */
+        duration: {
+            get: function () {
+                return this._timeline.duration;
+            }
+        },
+
+        /**
+         * Indicates whether this player is playing.
+         * @memberof KmlTourPlayer.prototype
+         * @readonly
+         * @type {Boolean}
+         */
+        isPlaying: {
+            get: function () {
+                return this._isPlaying;
+            }
+        }
+    });
+
+    /**
+     * It starts playback from the current time. When the player is at the start of the tour, the current view of
+     * the navigator is the one the first FlyTo starts from. Does nothing if the player is already playing.
+     */
+    KmlTourPlayer.prototype.play = function () {
+        if (this._isPlaying) {
+            return;
+        }
+
+        if (this._currentTime >= this._timeline.duration) {
+            this.seek(0);
+        }
+
+        if (this._currentTime === 0) {
+            this._startView = this.currentView();
+        }
+
+        this._isPlaying = true;
+        this.lastTickTime = Date.now();
+        var self = this;
+        this._sounds.forEach(function (sound) {
+            if (self.isSoundActive(sound, self._currentTime)) {
+                self.playSound(sound.audio);
+            }
+        });
+        this.callPlaybackListeners("play");
+        this.scheduleTick();
+    };
+
+    /**
+     * It stops playback, leaving the player at its current time. Does nothing if the player isn't playing.
+     */
+    KmlTourPlayer.prototype.pause = function () {
+        if (!this._isPlaying) {
+            return;
+        }
+
+        this._isPlaying = false;
+        this.cancelTick();
+        this._sounds.forEach(function (sound) {
+            sound.audio.pause();
+        });
+        this.callPlaybackListeners("pause");
+    };
+
+    /**
+     * It moves the player to the specified time of the tour. The navigator is moved to the view of the tour at that
+     * time and the updates of the tour are applied or reverted, so that the document reflects that time.
+     * @param time {Number} Time in seconds from the start of the tour. It is clamped to the duration of the tour.
+     */
+    KmlTourPlayer.prototype.seek = function (time) {
+        this.stopSounds();
+        this.lastTickTime = Date.now();
+        this.setCurrentTime(WWMath.clamp(time || 0, 0, this._timeline.duration));
+    };
+
+    /**
+     * It registers a function to call when the playback of this player changes. The function is called with this
+     * player and a string identifying the change: "time" when the current time changes, "play" and "pause" when
+     * playback starts and stops, either by the application or by a TourControl of the tour, and "end" when playback
+     * reaches the end of the tour.
+     * @param listener {Function} The function to call.
+     * @throws {ArgumentError} If the specified listener is null or undefined.
+     */
+    KmlTourPlayer.prototype.addPlaybackListener = function (listener) {
+        if (!listener) {
+            throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "KmlTourPlayer", "addPlaybackListener",
+                "missingListener"));
+        }
+
+        this.playbackListeners.push(listener);
+    };
+
+    /**
+     * It unregisters a function previously registered with
+     * [addPlaybackListener]{@link KmlTourPlayer#addPlaybackListener}.
+     * @param listener {Function} The function to unregister.
+     * @throws {ArgumentError} If the specified listener is null or undefined.
+     */
+    KmlTourPlayer.prototype.removePlaybackListener = function (listener) {
+        if (!listener) {
+            throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "KmlTourPlayer",
+                "removePlaybackListener", "missingListener"));
+        }
+
+        var index = this.playbackListeners.indexOf(listener);
+        if (index >= 0) {
+            this.playbackListeners.splice(index, 1);
+        }
+    };
+
+    /**
+     * Internal use only.
+     * It advances the playback by the time elapsed since the last tick. Playback pauses at TourControls and starts
+     * the SoundCues whose sounds play at the new time and aren't playing yet.
+     */
+    KmlTourPlayer.prototype.tick = function () {
+        this.timer = null;
+        if (!this._isPlaying) {
+            return;
+        }
+
+        var now = Date.now();
+        var previousTime = this._currentTime;
+        var time = Math.min(previousTime + (now - this.lastTickTime) / 1000, this._timeline.duration);
+        this.lastTickTime = now;
+
+        var tourControl = this.firstEntryBetween(this._timeline.tourControls, previousTime, time);
+        if (tourControl) {
+            time = tourControl.start;
+        }
+
+        var self = this;
+        this._timeline.soundCues.forEach(function (entry) {
+            var isStarted = self._sounds.some(function (sound) {
+                return sound.entry === entry;
+            });
+
+            if (!isStarted && entry.start <= time && !(time >= entry.start + entry.soundDuration)) {
+                self.startSound(entry, time - entry.start);
+            }
+        });
+
+        this.setCurrentTime(time);
+
+        if (tourControl) {
+            this.pause();
+        } else if (time >= this._timeline.duration) {
+            this._isPlaying = false;
+            this.callPlaybackListeners("end");
+        } else {
+            this.scheduleTick();
+        }
+    };
+
+    /**
+     * Internal use only.
+     * It moves the tour to given time. It applies the updates starting at or before the time, reverts the ones
+     * starting after it and moves the navigator.
+     * @param time {Number} Time in seconds from the start of the tour.
+     */
+    KmlTourPlayer.prototype.setCurrentTime = function (time) {
+        this._currentTime = time;
+
+        var applied = this._appliedUpdates;
+        while (applied.length > 0 && applied[applied.length - 1].entry.start > time) {
+            applied.pop().revert();
+        }
+
+        var updates = this._timeline.updates;
+        for (var index = applied.length; index < updates.length && updates[index].start <= time; index++) {
+            var update = updates[index].primitive.kmlUpdate;
+            applied.push({entry: updates[index], revert: update ? update.apply() : function () {}});
+        }
+
+        this.applyView(this.viewAt(time));
+        this.wwd.redraw();
+
+        this.callPlaybackListeners("time");
+    };
+
+    /**
+     * Internal use only.
+     * It lays out the primitives of the tour on the timeline. FlyTo and Wait move the tour forward, whereas the
+     * rest of the primitives happen concurrently.
+     * @returns {Object} Timeline with the flights, updates, tourControls and soundCues ordered by their start and the
+     * duration of the tour.
+     */
+    KmlTourPlayer.prototype.createTimeline = function () {
+        var timeline = {flights: [], updates: [], tourControls: [], soundCues: [], duration: 0};
+        var playlist = this.tour.kmlPlaylist;
+        var primitives = playlist && playlist.kmlTourPrimitives || [];
+        var cursor = 0;
+
+        primitives.forEach(function (primitive) {
+            var entry = {primitive: primitive, start: cursor};
+
+            if (primitive instanceof KmlFlyTo) {
+                entry.end = cursor + primitive.tourDuration();
+                timeline.flights.push(entry);
+            } else if (primitive instanceof KmlAnimatedUpdate) {
+                entry.start += primitive.kmlDelayedStart || 0;
+                timeline.updates.push(entry);
+            } else if (primitive instanceof KmlTourControl) {
+                timeline.tourControls.push(entry);
+            } else if (primitive instanceof KmlSoundCue) {
+                entry.start += primitive.kmlDelayedStart || 0;
+                timeline.soundCues.push(entry);
+            }
+
+            cursor += primitive.tourDuration();
+            timeline.duration = Math.max(timeline.duration, cursor, entry.start);
+        });
+
+        var byStart = function (first, second) {
+            return first.start - second.start;
+        };
+        timeline.updates.sort(byStart);
+        timeline.soundCues.sort(byStart);
+
+        return timeline;
+    };
+
+    /**
+     * Internal use only.
+     * It computes the view of the tour at given time. Between the FlyTos the view stays at the one reached by the
+     * last FlyTo.
+     * @param time {Number} Time in seconds from the start of the tour.
+     * @returns {Object} View with latitude, longitude, range, heading, tilt and roll. Before the first FlyTo it is
+     * the view of the navigator at the start of the tour.
+     */
+    KmlTourPlayer.prototype.viewAt = function (time) {
+        var flights = this._timeline.flights;
+        var fromView = this._startView;
+
+        for (var index = 0; index < flights.length && flights[index].start <= time; index++) {
+            var flight = flights[index];
+            var toView = this.lookAtOf(flight.primitive.kmlAbstractView);
+            if (!toView) {
+                continue;
+            }
+
+            if (time < flight.end) {
+                var amount = (time - flight.start) / (flight.end - flight.start);
+                return this.interpolateViews(amount, fromView, toView, flight.primitive.kmlFlyToMode != 'smooth');
+            }
+
+            fromView = toView;
+        }
+
+        return fromView;
+    };
+
+    /**
+     * Internal use only.
+     * It interpolates between two views. The bounce interpolation eases in and out and backs out to the range at
+     * which both views fit in the viewport, as {@link GoToAnimator} does.
+     * @param amount {Number} Position between the views, in the range [0, 1].
+     * @param fromView {Object} View at the start of the flight.
+     * @param toView {Object} View at the end of the flight.
+     * @param bounce {Boolean} Whether to use the bounce interpolation.
+     * @returns {Object} Interpolated view.
+     */
+    KmlTourPlayer.prototype.interpolateViews = function (amount, fromView, toView, bounce) {
+        if (bounce) {
+            amount = amount * amount * (3 - 2 * amount);
+        }
+
+        var location = Location.interpolateGreatCircle(amount, new Location(fromView.latitude, fromView.longitude),
+            new Location(toView.latitude, toView.longitude), new Location(0, 0));
+        var view = {
+            latitude: location.latitude,
+            longitude: location.longitude,
+            range: WWMath.interpolate(amount, fromView.range, toView.range),
+            heading: Angle.normalizedDegrees(fromView.heading +
+                amount * Angle.normalizedDegrees(toView.heading - fromView.heading)),
+            tilt: WWMath.interpolate(amount, fromView.tilt, toView.tilt),
+            roll: WWMath.interpolate(amount, fromView.roll, toView.roll)
+        };
+
+        if (bounce) {
+            var globe = this.wwd.globe;
+            var fromPoint = globe.computePointFromLocation(fromView.latitude, fromView.longitude, new Vec3(0, 0, 0));
+            var toPoint = globe.computePointFromLocation(toView.latitude, toView.longitude, new Vec3(0, 0, 0));
+            var backOut = fromPoint.distanceTo(toPoint) - Math.max(fromView.range, toView.range);
+            if (backOut > 0) {
+                view.range += 4 * amount * (1 - amount) * backOut;
+            }
+        }
+
+        return view;
+    };
+
+    /**
+     * Internal use only.
+     * It converts the KML view to the view of the navigator. The Camera is converted to the point on the ground it
+     * looks at.
+     * @param abstractView {KmlAbstractView} Either Camera or LookAt.
+     * @returns {Object|null} View with latitude, longitude, range, heading, tilt and roll.
+     */
+    KmlTourPlayer.prototype.lookAtOf = function (abstractView) {
+        if (!abstractView) {
+            return null;
+        }
+
+        var view = {
+            latitude: abstractView.kmlLatitude || 0,
+            longitude: abstractView.kmlLongitude || 0,
+            heading: abstractView.kmlHeading || 0,
+            tilt: abstractView.kmlTilt || 0,
+            roll: 0
+        };
+
+        if (abstractView instanceof KmlCamera) {
+            var tilt = WWMath.clamp(view.tilt, 0, 89) * Angle.DEGREES_TO_RADIANS;
+            var altitude = Math.max(abstractView.kmlAltitude || 0, 1);
+            var location = Location.greatCircleLocation(view, view.heading,
+                altitude * Math.tan(tilt) / this.wwd.globe.equatorialRadius, new Location(0, 0));
+
+            view.latitude = location.latitude;
+            view.longitude = location.longitude;
+            view.range = altitude / Math.cos(tilt);
+            view.roll = abstractView.kmlRoll || 0;
+        } else {
+            view.range = abstractView.kmlRange || 0;
+        }
+
+        return view;
+    };
+
+    /**
+     * Internal use only.
+     * @returns {Object} Current view of the navigator.
+     */
+    KmlTourPlayer.prototype.currentView = function () {
+        var navigator = this.wwd.navigator;
+        return {
+            latitude: navigator.lookAtLocation.latitude,
+            longitude: navigator.lookAtLocation.longitude,
+            range: navigator.range,
+            heading: navigator.heading,
+            tilt: navigator.tilt,
+            roll: navigator.roll
+        };
+    };
+
+    /**
+     * Internal use only.
+     * It moves the navigator to given view.
+     * @param view {Object} View with latitude, longitude, range, heading, tilt and roll.
+     */
+    KmlTourPlayer.prototype.applyView = function (view) {
+        var navigator = this.wwd.navigator;
+        navigator.lookAtLocation.latitude = view.latitude;
+        navigator.lookAtLocation.longitude = view.longitude;
+        navigator.range = view.range;
+        navigator.heading = view.heading;
+        navigator.tilt = view.tilt;
+        navigator.roll = view.roll;
+    };
+
+    /**
+     * Internal use only.
+     * @returns {Object|undefined} First of the entries starting after the start time and not later than the end time.
+     */
+    KmlTourPlayer.prototype.firstEntryBetween = function (entries, startTime, endTime) {
+        for (var index = 0; index < entries.length; index++) {
+            if (entries[index].start > startTime && entries[index].start <= endTime) {
+                return entries[index];
+            }
+        }
+    };
+
+    /**
+     * Internal use only.
+     * It starts playing the sound of the SoundCue. The duration of the sound is remembered in the entry once known,
+     * so that the SoundCue isn't started again after seeking past its end.
+     * @param entry {Object} Timeline entry of the SoundCue.
+     * @param offset {Number} Time in seconds from the start of the sound to start playing at.
+     */
+    KmlTourPlayer.prototype.startSound = function (entry, offset) {
+        var href = entry.primitive.kmlHref;
+        if (!href || typeof Audio === "undefined") {
+            return;
+        }
+
+        var audio = new Audio(href);
+        audio.onloadedmetadata = function () {
+            entry.soundDuration = audio.duration;
+        };
+        audio.currentTime = offset;
+        this.playSound(audio);
+        this._sounds.push({entry: entry, audio: audio});
+    };
+
+    /**
+     * Internal use only.
+     * It plays the audio. Browsers reject playback not initiated by the user, which is logged.
+     * @param audio {Audio} Audio to play.
+     */
+    KmlTourPlayer.prototype.playSound = function (audio) {
+        var promise = audio.play();
+        if (promise && promise.catch) {
+            promise.catch(function (error) {
+                Logger.log(Logger.LEVEL_WARNING, "Sound playback failed: " + audio.src + " " + error);
+            });
+        }
+    };
+
+    /**
+     * Internal use only.
+     * @param sound {Object} Sound started by the tour, with the SoundCue's timeline entry and the audio.
+     * @param time {Number} Time in seconds from the start of the tour.
+     * @returns {Boolean} Whether the sound is still playing at the given time.
+     */
+    KmlTourPlayer.prototype.isSoundActive = function (sound, time) {
+        return !sound.audio.ended && !(time >= sound.entry.start + sound.entry.soundDuration);
+    };
+
+    /**
+     * Internal use only.
+     * It stops all sounds started by the tour.
+     */
+    KmlTourPlayer.prototype.stopSounds = function () {
+        this._sounds.forEach(function (sound) {
+            sound.audio.pause();
+        });
+        this._sounds = [];
+    };
+
+    /**
+     * Internal use only.
+     */
+    KmlTourPlayer.prototype.scheduleTick = function () {
+        var self = this;
+
+        this.cancelTick();
+        this.timer = setTimeout(function () {
+            self.tick();
+        }, this.animationFrequency);
+    };
+
+    /**
+     * Internal use only.
+     */
+    KmlTourPlayer.prototype.cancelTick = function () {
+        if (this.timer !== null) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    };
+
+    /**
+     * Internal use only.
+     */
+    KmlTourPlayer.prototype.callPlaybackListeners = function (event) {
+        var listeners = this.playbackListeners.slice(0);
+
+        for (var index = 0; index < listeners.length; index++) {
+            listeners[index](this, event);
+        }
+    };
+
+    return KmlTourPlayer;
+});
@@ -0,0 +1,46 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports KmlTourPrimitive
+ */
+define([
+    '../KmlObject'
+], function (KmlObject) {
+    "use strict";
+    /**
+     * Constructs an KmlTourPrimitive. Applications usually don't call this constructor. It is called by {@link KmlFile}
+     * as objects from KmlFile are read.
+     * @alias KmlTourPrimitive
+     * @classdesc It is ancestor for all TourPrimitives - FlyTo, Wait, AnimatedUpdate, TourControl and SoundCue
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing Kml TourPrimitive.
+     * @constructor
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxtourprimitive
+     * @augments KmlObject
+     */
+    var KmlTourPrimitive = function (options) {
+        KmlObject.call(this, options);
+    };
+
+    KmlTourPrimitive.prototype = Object.create(KmlObject.prototype);
+
+    /**
+     * It returns the time in seconds, by which this primitive moves the tour forward. Primitives executed
+     * concurrently with the rest of the tour don't move it forward.
+     * @returns {Number} Duration of this primitive in the tour.
+     */
+    KmlTourPrimitive.prototype.tourDuration = function () {
+        return 0;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    KmlTourPrimitive.prototype.getTagNames = function () {
+        return ['gx:FlyTo', 'gx:Wait', 'gx:AnimatedUpdate', 'gx:TourControl', 'gx:SoundCue'];
+    };
+
+    return KmlTourPrimitive;
+});
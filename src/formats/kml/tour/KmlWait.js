@@ -0,0 +1,64 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+define([
+    '../KmlElements',
+    './KmlTourPrimitive',
+    '../util/NodeTransformers'
+], function (KmlElements,
+             KmlTourPrimitive,
+             NodeTransformers) {
+    "use strict";
+
+    /**
+     * Constructs an KmlWait. Applications usually don't call this constructor. It is called by {@link KmlFile} as
+     * objects from Kml file are read. This object is already concrete implementation.
+     * @alias KmlWait
+     * @classdesc Contains the data associated with Wait node.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing Wait.
+     * @constructor
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxwait
+     * @augments KmlTourPrimitive
+     */
+    var KmlWait = function (options) {
+        KmlTourPrimitive.call(this, options);
+    };
+
+    KmlWait.prototype = Object.create(KmlTourPrimitive.prototype);
+
+    Object.defineProperties(KmlWait.prototype, {
+        /**
+         * Amount of time in seconds for which the camera remains still. Concurrent primitives, such as
+         * AnimatedUpdate or SoundCue, keep running.
+         * @memberof KmlWait.prototype
+         * @readonly
+         * @type {Number}
+         */
+        kmlDuration: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:duration', transformer: NodeTransformers.number});
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    KmlWait.prototype.tourDuration = function () {
+        return this.kmlDuration || 0;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    KmlWait.prototype.getTagNames = function () {
+        return ['gx:Wait'];
+    };
+
+    KmlElements.addKey(KmlWait.prototype.getTagNames()[0], KmlWait);
+
+    return KmlWait;
+});
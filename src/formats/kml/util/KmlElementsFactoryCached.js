@@ -137,6 +137,21 @@ define([
         return result;
     };
 
+    /**
+     * It removes the cached elements retrieved from the node and from its parent. It must be called whenever the
+     * node is changed, so that the objects representing the node are created again from the changed node.
+     * @param node {Node} Node which was changed.
+     */
+    KmlElementsFactoryCached.prototype.refresh = function(node) {
+        var self = this;
+        [node, node.parentNode].forEach(function(changedNode){
+            if (changedNode && changedNode.nodeType === 1) {
+                self.cache.removeLevel(self.cacheKey(changedNode));
+                self.cache.removeLevel(self.cacheKey(changedNode, "All"));
+            }
+        });
+    };
+
     var applicationWide = new KmlElementsFactoryCached();
     /**
      * It returns application wide instance of the factory.
@@ -81,6 +81,14 @@ define([], function () {
         delete this.map[level][key];
     };
 
+	/**
+     * It removes the whole level of the data if such level exists.
+     * @param level {Object} Anything that can be used as a key in JavaScript object
+     */
+    TreeKeyValueCache.prototype.removeLevel = function(level) {
+        delete this.map[level];
+    };
+
     var applicationLevelCache = new TreeKeyValueCache();
     TreeKeyValueCache.applicationLevelCache = function() {
         return applicationLevelCache;
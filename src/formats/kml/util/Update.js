@@ -8,12 +8,14 @@ define([
 	'./Delete',
 	'../KmlElements',
 	'../KmlObject',
+	'../../../util/Logger',
 	'./NodeTransformers'
 ], function(Change,
 			Create,
 			Delete,
 			KmlElements,
 			KmlObject,
+			Logger,
 			NodeTransformers){
 	var Update = function(options) {
 		KmlObject.call(this, options);
@@ -30,7 +32,7 @@ define([
 		 */
 		targetHref: {
 			get: function() {
-				return this._factory.specific(this, {name: 'minRefreshPeriod', transformer: NodeTransformers.number});
+				return this._factory.specific(this, {name: 'targetHref', transformer: NodeTransformers.string});
 			}
 		},
 
@@ -81,6 +83,118 @@ define([
 		}
 	});
 
+	/**
+	 * It applies all Change, Create and Delete elements of this update to the document containing the update. The
+	 * targets are looked up by their id within this document.
+	 * @returns {Function} Function, which reverts the applied update.
+	 */
+	Update.prototype.apply = function() {
+		var self = this;
+		var document = this.node.ownerDocument;
+		var reverts = [];
+
+		elementChildren(this.node).forEach(function(operation) {
+			if (['Change', 'Create', 'Delete'].indexOf(operation.nodeName) == -1) {
+				return;
+			}
+
+			elementChildren(operation).forEach(function(source) {
+				var target = findTarget(document, source.getAttribute('targetId'));
+				if (!target) {
+					Logger.logMessage(Logger.LEVEL_WARNING, "Update", "apply", "Target of the " +
+						operation.nodeName + " wasn't found in the document.");
+					return;
+				}
+
+				reverts.push(self['apply' + operation.nodeName](source, target));
+			});
+		});
+
+		return function() {
+			while (reverts.length > 0) {
+				reverts.pop()();
+			}
+		};
+	};
+
+	/**
+	 * Internal use only.
+	 * It replaces the children of the target with the children of the same name in the source. The target stays in
+	 * the document, so that several changes of the same target may be applied and reverted.
+	 * @param source {Node} Child of the Change element.
+	 * @param target {Node} Node to be changed.
+	 * @returns {Function} Function, which reverts the change.
+	 */
+	Update.prototype.applyChange = function(source, target) {
+		var factory = this._factory;
+		var originalChildren = [].map.call(target.childNodes, function(child) {
+			return child.cloneNode(true);
+		});
+
+		elementChildren(source).forEach(function(value) {
+			elementChildren(target).forEach(function(child) {
+				if (child.nodeName == value.nodeName) {
+					target.removeChild(child);
+				}
+			});
+			target.appendChild(value.cloneNode(true));
+		});
+		factory.refresh(target);
+
+		return function() {
+			while (target.firstChild) {
+				target.removeChild(target.firstChild);
+			}
+			originalChildren.forEach(function(child) {
+				target.appendChild(child.cloneNode(true));
+			});
+			factory.refresh(target);
+		};
+	};
+
+	/**
+	 * Internal use only.
+	 * It appends the children of the source to the target.
+	 * @param source {Node} Child of the Create element.
+	 * @param target {Node} Container to which the children are added.
+	 * @returns {Function} Function, which removes the created children.
+	 */
+	Update.prototype.applyCreate = function(source, target) {
+		var factory = this._factory;
+		var created = elementChildren(source).map(function(child) {
+			return target.appendChild(child.cloneNode(true));
+		});
+		factory.refresh(target);
+
+		return function() {
+			created.forEach(function(child) {
+				target.removeChild(child);
+			});
+			factory.refresh(target);
+		};
+	};
+
+	/**
+	 * Internal use only.
+	 * It removes the target from the document.
+	 * @param source {Node} Child of the Delete element.
+	 * @param target {Node} Node to be deleted.
+	 * @returns {Function} Function, which inserts the deleted node back.
+	 */
+	Update.prototype.applyDelete = function(source, target) {
+		var factory = this._factory;
+		var parent = target.parentNode;
+		var nextSibling = target.nextSibling;
+
+		parent.removeChild(target);
+		factory.refresh(parent);
+
+		return function() {
+			parent.insertBefore(target, nextSibling);
+			factory.refresh(parent);
+		};
+	};
+
 	/**
 	 * @inheritDoc
 	 */
@@ -88,6 +202,26 @@ define([
 		return ['Update'];
 	};
 
+	// Internal use only. Returns all children of the node, which are elements.
+	function elementChildren(node) {
+		return [].filter.call(node.childNodes, function(child) {
+			return child.nodeType == 1;
+		});
+	}
+
+	// Internal use only. Finds the node with given id in the same way as KmlFile resolves styles.
+	function findTarget(document, id) {
+		if (!id) {
+			return null;
+		}
+
+		if (document.querySelector) {
+			return document.querySelector("*[id='" + id + "']");
+		} else {
+			return document.getElementById(id);
+		}
+	}
+
 	KmlElements.addKey(Update.prototype.getTagNames()[0], Update);
 
 	return Update;
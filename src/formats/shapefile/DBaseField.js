@@ -147,10 +147,22 @@ define(['../../error/ArgumentError',
                     return DBaseField.TYPE_DATE;
                 case 'F':
                     return DBaseField.TYPE_NUMBER;
+                case 'G':
+                    return DBaseField.TYPE_MEMO;
+                case 'I':
+                    return DBaseField.TYPE_INTEGER;
                 case 'L':
                     return DBaseField.TYPE_BOOLEAN;
+                case 'M':
+                    return DBaseField.TYPE_MEMO;
                 case 'N':
                     return DBaseField.TYPE_NUMBER;
+                case 'O':
+                    return DBaseField.TYPE_DOUBLE;
+                case 'T':
+                    return DBaseField.TYPE_DATE_TIME;
+                case '+':
+                    return DBaseField.TYPE_INTEGER;
                 default:
                     return null;
             }
@@ -188,6 +200,30 @@ define(['../../error/ArgumentError',
          */
         DBaseField.TYPE_BOOLEAN = "DBase.FieldTypeBoolean";
 
+        /**
+         * The description of a binary integer field, including autoincrement fields.
+         * @type {String}
+         */
+        DBaseField.TYPE_INTEGER = "DBase.FieldTypeInteger";
+
+        /**
+         * The description of a binary double precision field.
+         * @type {String}
+         */
+        DBaseField.TYPE_DOUBLE = "DBase.FieldTypeDouble";
+
+        /**
+         * The description of a binary date and time field.
+         * @type {String}
+         */
+        DBaseField.TYPE_DATE_TIME = "DBase.FieldTypeDateTime";
+
+        /**
+         * The description of a memo field, whose contents are in a separate memo file.
+         * @type {String}
+         */
+        DBaseField.TYPE_MEMO = "DBase.FieldTypeMemo";
+
         /**
          * The length of the name field.
          * @type {Number}
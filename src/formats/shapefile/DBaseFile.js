@@ -10,13 +10,15 @@ define(['../../error/ArgumentError',
         '../../util/ByteBuffer',
         '../../formats/shapefile/DBaseField',
         '../../formats/shapefile/DBaseRecord',
-        '../../util/Logger'
+        '../../util/Logger',
+        '../../formats/shapefile/ShapefileRecordParser'
     ],
     function (ArgumentError,
               ByteBuffer,
               DBaseField,
               DBaseRecord,
-              Logger) {
+              Logger,
+              ShapefileRecordParser) {
         "use strict";
 
         /**
@@ -24,7 +26,9 @@ define(['../../error/ArgumentError',
          * It is called by {@link {Shapefile} to read attributes for shapes.
          * @alias DBaseFile
          * @constructor
-         * @classdesc Parses a dBase file.
+         * @classdesc Parses a dBase file. The file's text is decoded in the encoding specified by this object's
+         * [encoding]{@link DBaseFile#encoding} property, or if that's null, in the encoding specified by the code page
+         * file (.cpg) accompanying the dBase file, or in ISO-8859-1 if there is no code page file.
          * @param {String} url The location of the dBase file.
          * @throws {ArgumentError} If the specified URL is null or undefined.
          */
@@ -36,6 +40,19 @@ define(['../../error/ArgumentError',
 
             this.url = url;
 
+            /**
+             * The character encoding of the file's text, e.g., "utf-8" or "windows-1252", overriding the encoding
+             * specified by the code page file. It must be specified before the file is loaded.
+             * @type {String}
+             * @default null
+             */
+            this.encoding = null;
+
+            // Internal use only. Intentionally not documented.
+            // The encoding specified by the code page file and the function decoding the file's text.
+            this._codePageEncoding = null;
+            this._decoder = null;
+
             // Internal use only. Intentionally not documented.
             // DBase file data.
             this.header = null;
@@ -101,6 +118,15 @@ define(['../../error/ArgumentError',
             return this.fields;
         };
 
+        /**
+         * The character encoding the dBase file's text is decoded in: the [encoding]{@link DBaseFile#encoding}
+         * specified, otherwise the encoding specified by the code page file, otherwise ISO-8859-1.
+         * @returns {String} The encoding.
+         */
+        DBaseFile.prototype.getEncoding = function() {
+            return this.encoding || this._codePageEncoding || DBaseFile.DEFAULT_ENCODING;
+        };
+
         /**
          * Indicates whether the dBase file has additional records to read.
          * @returns {Boolean} True if more records can be read.
@@ -121,18 +147,85 @@ define(['../../error/ArgumentError',
             return this.readNextRecord(this._buffer, ++this.numRecordsRead);
         };
 
+        /**
+         * Read the record at a specified index in the dBase file, without affecting the sequence of records
+         * returned by [nextRecord]{@link DBaseFile#nextRecord}.
+         * @param {Number} index The index of the record. The index of the first record is 0.
+         * @returns {DBaseRecord} The record, or null if the dBase file was not loaded or has no record at the
+         * specified index.
+         */
+        DBaseFile.prototype.recordAt = function(index) {
+            if (!this.header || index < 0 || index >= this.getNumberOfRecords()) {
+                return null;
+            }
+
+            var position = this._buffer.position;
+
+            this._buffer.seek(this.getHeaderLength() + index * this.getRecordLength());
+            var record = this.readNextRecord(this._buffer, index + 1);
+            this._buffer.seek(position);
+
+            return record;
+        };
+
         //**************************************************************//
         //********************  Initialization  ************************//
         //**************************************************************//
 
         /**
-         * Initiate loading of the dBase file.
+         * Initiate loading of the dBase file, preceded by its code page file if no encoding is specified.
          * @param completionCallback
          */
         DBaseFile.prototype.load = function(completionCallback) {
             this._completionCallback = completionCallback;
 
-            this.requestUrl(this.url);
+            this.loadCodePage((function () {
+                this.requestUrl(this.url);
+            }).bind(this));
+        };
+
+        /**
+         * Internal use only.
+         * Retrieves the code page file (.cpg) specifying the encoding of the dBase file, unless an encoding is
+         * specified.
+         * @param {Function} callback A function called when done, whether the code page file was retrieved or not.
+         */
+        DBaseFile.prototype.loadCodePage = function(callback) {
+            if (this.encoding) {
+                callback();
+                return;
+            }
+
+            var url = this.url.replace(/\.dbf$/i, ".cpg"),
+                xhr = new XMLHttpRequest();
+
+            xhr.open("GET", url, true);
+            xhr.responseType = 'arraybuffer';
+            xhr.onreadystatechange = (function () {
+                if (xhr.readyState === 4) {
+                    if (xhr.status === 200) {
+                        var text = String.fromCharCode.apply(null, new Uint8Array(xhr.response));
+                        this._codePageEncoding = DBaseFile.encodingForCodePage(text);
+                        this._decoder = null;
+                    }
+                    else {
+                        Logger.log(Logger.LEVEL_INFO,
+                            "DBaseFile code page retrieval failed (" + xhr.statusText + "): " + url);
+                    }
+
+                    callback();
+                }
+            }).bind(this);
+
+            xhr.onerror = function () {
+                Logger.log(Logger.LEVEL_INFO, "DBaseFile code page retrieval failed: " + url);
+            };
+
+            xhr.ontimeout = function () {
+                Logger.log(Logger.LEVEL_WARNING, "DBaseFile code page retrieval timed out: " + url);
+            };
+
+            xhr.send(null);
         };
 
         /**
@@ -311,9 +404,9 @@ define(['../../error/ArgumentError',
         //**************************************************************//
 
         /**
-         * Read a null-terminated string.
+         * Read a null-terminated string, decoded in the file's [encoding]{@link DBaseFile#getEncoding}.
          * @param {ByteBuffer} buffer A buffer descriptor to read from.
-         * @param {Number} maxLength The number of maximum characters.
+         * @param {Number} maxLength The number of maximum bytes.
          * @returns {String}
          */
         DBaseFile.prototype.readNullTerminatedString = function(buffer, maxLength) {
@@ -321,22 +414,90 @@ define(['../../error/ArgumentError',
                 return 0;
             }
 
-            var string = "";
+            var length = 0;
 
-            for (var length = 0; length < maxLength; length += 1) {
-                var byte = buffer.getByte();
-                if (byte == 0) {
-                    break;
-                }
-                string += String.fromCharCode(byte);
+            while (length < maxLength && buffer.position + length < buffer.limit() &&
+                buffer.data.getUint8(buffer.position + length) !== 0) {
+                length += 1;
             }
 
+            var string = this.decode(new Uint8Array(buffer.array, buffer.position, length));
+
+            // Skip the null character, if any.
+            buffer.skipBytes(Math.min(length + 1, maxLength));
+
             if (this.isStringEmpty(string))
                 return "";
 
             return string;
         };
 
+        // Decodes bytes in the file's encoding. Internal use only.
+        DBaseFile.prototype.decode = function(bytes) {
+            if (!this._decoder) {
+                this._decoder = DBaseFile.createDecoder(this.getEncoding());
+            }
+
+            return this._decoder(bytes);
+        };
+
+        /**
+         * Determines the character encoding specified by the contents of a code page file (.cpg). Code page files
+         * hold either an encoding name, such as "UTF-8" or "ISO-8859-1", or a code page number, such as "1252"
+         * or "ANSI 1252".
+         * @param {String} text The contents of the code page file.
+         * @returns {String} The encoding, as a label recognized by TextDecoder, or null if the text is empty.
+         */
+        DBaseFile.encodingForCodePage = function(text) {
+            var codePage = text ? text.trim().toUpperCase() : "",
+                match;
+
+            if (!codePage) {
+                return null;
+            }
+
+            if (/^UTF-?8$|^65001$/.test(codePage)) {
+                return "utf-8";
+            }
+
+            // ESRI software writes ISO 8859 code pages as, e.g., "88591".
+            if (!!(match = codePage.match(/8859[-_ ]?(\d{1,2})$/))) {
+                return "iso-8859-" + match[1];
+            }
+
+            if (!!(match = codePage.match(/^(?:ANSI|CP|OEM|WINDOWS)?[-_ ]?(\d{3,4})$/))) {
+                var number = parseInt(match[1], 10);
+
+                return number === 874 || (number >= 1250 && number <= 1258) ? "windows-" + number :
+                    number === 866 ? "ibm866" : "cp" + number;
+            }
+
+            return codePage.toLowerCase();
+        };
+
+        /**
+         * Internal use only.
+         * Creates a function decoding a Uint8Array of text in a specified encoding. TextDecoder is used when
+         * available. Otherwise only UTF-8 and ISO-8859-1 are supported, and text in other encodings is decoded as
+         * ISO-8859-1.
+         * @param {String} encoding The encoding.
+         * @returns {Function} The function decoding text.
+         */
+        DBaseFile.createDecoder = function(encoding) {
+            var decoder = ShapefileRecordParser.createDecoder(encoding);
+
+            if (!decoder) {
+                Logger.log(Logger.LEVEL_WARNING, "DBaseFile encoding is not supported: " + encoding);
+            }
+
+            return decoder || DBaseFile.decodeLatin1;
+        };
+
+        // Decodes bytes as ISO-8859-1, whose characters have the code of the bytes. Internal use only.
+        DBaseFile.decodeLatin1 = function(bytes) {
+            return ShapefileRecordParser.decodeLatin1(bytes);
+        };
+
         /**
          * Indicate whether the string is "logically" empty in the dBase sense.
          * @param {String} string The string of characters.
@@ -360,7 +521,7 @@ define(['../../error/ArgumentError',
             }
 
             for (var i = 0; i < string.length; i++) {
-                if (string.charAt(i) != fillValue)
+                if (string.charCodeAt(i) != fillValue)
                     return false;
             }
 
@@ -379,6 +540,12 @@ define(['../../error/ArgumentError',
          */
         DBaseFile.FIELD_DESCRIPTOR_LENGTH = 32;
 
+        /**
+         * The encoding of dBase files that have no code page file and no encoding specified.
+         * @type {String}
+         */
+        DBaseFile.DEFAULT_ENCODING = "iso-8859-1";
+
         return DBaseFile;
     }
 );
\ No newline at end of file
@@ -10,13 +10,15 @@ define(['../../error/ArgumentError',
         '../../util/ByteBuffer',
         '../../formats/shapefile/DBaseField',
         '../../formats/shapefile/DBaseFile',
-        '../../util/Logger'
+        '../../util/Logger',
+        '../../formats/shapefile/ShapefileRecordParser'
     ],
     function (ArgumentError,
               ByteBuffer,
               DBaseField,
               DBaseFile,
-              Logger) {
+              Logger,
+              ShapefileRecordParser) {
         "use strict";
 
         /**
@@ -53,8 +55,6 @@ define(['../../error/ArgumentError',
              */
             this.recordNumber = recordNumber;
 
-            //DateFormat dateformat = new SimpleDateFormat("yyyyMMdd");
-
             this.values = null;
 
             this.readFromBuffer(dbaseFile, buffer, recordNumber);
@@ -77,7 +77,16 @@ define(['../../error/ArgumentError',
         };
 
         /**
-         * Reads a dBase record from the buffer.
+         * Reads a dBase record from the buffer. The values of the record's fields are converted according to their
+         * type:
+         * <ul>
+         *     <li>Character fields are strings.</li>
+         *     <li>Numeric, float, integer and double fields are numbers.</li>
+         *     <li>Logical fields are booleans.</li>
+         *     <li>Date and date time fields are Date objects. Dates are at midnight UTC.</li>
+         * </ul>
+         * Values that are blank or invalid are null. The values of memo fields are null since memo files are
+         * not read.
          * @param {DBaseFile} dbaseFile The dBase file from which to read a record.
          * @param {ByteBuffer} buffer The buffer descriptor to read the record from.
          * @param {Number} recordNumber The record number to read.
@@ -96,40 +105,51 @@ define(['../../error/ArgumentError',
             this.values = {};
 
             for (var idx = 0, len = fields.length; idx < len; idx += 1) {
-                var field = fields[idx];
-
-                var key = field.getName();
-
-                var value = dbaseFile.readNullTerminatedString(buffer, field.getLength()).trim();
+                var field = fields[idx],
+                    position = buffer.position;
 
                 try {
-                    if (field.getType() == DBaseField.TYPE_BOOLEAN) {
-                        var firstChar = value.charAt(0);
-                        this.values[key] = firstChar == 't' || firstChar == 'T' || firstChar == 'Y' || firstChar == 'y';
-                    }
-                    else if (field.getType() == DBaseField.TYPE_CHAR) {
-                        this.values[key] = value;
-                    }
-                    else if (field.getType() == DBaseField.TYPE_DATE) {
-                        this.values[key] = new Date(value);
-                    }
-                    else if (field.getType() == DBaseField.TYPE_NUMBER) {
-                        this.values[key] = +value;
-                    }
+                    this.values[field.getName()] = this.readValue(dbaseFile, buffer, field);
                 }
                 catch (e) {
                     // Log warning but keep reading.
                     Logger.log(Logger.LEVEL_WARNING,
                         "Shapefile attribute parsing error:" +
                         field.toString() +
-                        " -> " +
-                        value.toString() +
                         " [" + e + "]"
                     );
+                    this.values[field.getName()] = null;
                 }
+
+                // Move to the next field, whether or not the value filled this field.
+                buffer.seek(position + field.getLength());
             }
         };
 
+        // Reads the value of a field, as parsed by ShapefileRecordParser, which also parses the attributes read by
+        // ShapefileWorker. Internal use only.
+        DBaseRecord.prototype.readValue = function(dbaseFile, buffer, field) {
+            return ShapefileRecordParser.readFieldValue(buffer.data, new Uint8Array(buffer.array), buffer.position,
+                field.typeCode, field.getLength(), function (bytes) {
+                    return dbaseFile.decode(bytes);
+                });
+        };
+
+        /**
+         * Converts the text of a dBase date field, formatted as YYYYMMDD, to a date at midnight UTC.
+         * @param {String} text The text of the date field.
+         * @returns {Date} The date, or null if the text is blank or is not a valid date.
+         */
+        DBaseRecord.parseDate = function(text) {
+            return ShapefileRecordParser.parseDate(text);
+        };
+
+        /**
+         * The Julian day number of January 1, 1970, the origin of JavaScript dates.
+         * @type {Number}
+         */
+        DBaseRecord.JULIAN_DAY_OF_EPOCH = 2440588;
+
         return DBaseRecord;
     }
 );
\ No newline at end of file
@@ -8,12 +8,12 @@
  */
 define(['../../error/ArgumentError',
         '../../util/Logger',
-        '../../error/NotYetImplementedError'
+        '../../util/proj4-src'
     ],
 
     function (ArgumentError,
               Logger,
-              NotYetImplementedError) {
+              Proj4) {
         "use strict";
 
         /**
@@ -22,7 +22,11 @@ define(['../../error/ArgumentError',
          * It is called by {@link Shapefile} to read the projection descriptor.
          * @alias PrjFile
          * @constructor
-         * @classdesc Parses a projection descriptor file.
+         * @classdesc Parses a projection descriptor file. When the file describes a projected coordinate system,
+         * such as UTM, a state plane or a national grid, the coordinate system's well-known text is interpreted by
+         * proj4js to convert the shapefile's coordinates to WGS84 longitude and latitude. A
+         * [definitionCallback]{@link PrjFile#definitionCallback} can be specified for coordinate systems that proj4js
+         * does not recognize.
          * @param {String} url The location of the dBase file.
          * @throws {ArgumentError} If the specified URL is null or undefined.
          */
@@ -40,6 +44,23 @@ define(['../../error/ArgumentError',
 
             // Internal use only. Intentionally not documented.
             this._params = null;
+
+            // Documented in defineProperties below.
+            this._text = null;
+
+            // Documented in defineProperties below.
+            this._projection = null;
+
+            /**
+             * A function returning a proj4js definition of a coordinate system whose well-known text proj4js does not
+             * recognize. Its single argument is the well-known text of the projection file. It returns either a
+             * proj4js definition string, in PROJ.4 or well-known text format, or null if the coordinate system is
+             * unknown, in which case the shapefile's coordinates are used as is. The function is called when the
+             * projection file is parsed, so it must be specified before the shapefile is loaded.
+             * @type {Function}
+             * @default null
+             */
+            this.definitionCallback = null;
         };
 
         Object.defineProperties(PrjFile.prototype, {
@@ -80,6 +101,31 @@ define(['../../error/ArgumentError',
                 get: function () {
                     return this._params;
                 }
+            },
+            /**
+             * The well-known text of the coordinate system, as read from the projection file. Null if the file has
+             * not been loaded or could not be retrieved.
+             * @memberof PrjFile.prototype
+             * @type {String}
+             * @readonly
+             */
+            text: {
+                get: function () {
+                    return this._text;
+                }
+            },
+            /**
+             * The proj4js converter from the projected coordinate system to WGS84 geographic coordinates. Its
+             * forward function converts an array holding an x and a y coordinate to an array holding a longitude and
+             * a latitude. Null if the coordinate system is geographic or is not recognized.
+             * @memberof PrjFile.prototype
+             * @type {Object}
+             * @readonly
+             */
+            projection: {
+                get: function () {
+                    return this._projection;
+                }
             }
         });
 
@@ -102,8 +148,7 @@ define(['../../error/ArgumentError',
             xhr.onreadystatechange = (function () {
                 if (xhr.readyState === 4) {
                     if (xhr.status === 200) {
-                        var text = String.fromCharCode.apply(null, new Uint8Array(xhr.response));
-                        this._params = this.decodeOGCCoordinateSystem(text);
+                        this.parse(String.fromCharCode.apply(null, new Uint8Array(xhr.response)));
                     }
                     else {
                         Logger.log(Logger.LEVEL_WARNING,
@@ -135,11 +180,56 @@ define(['../../error/ArgumentError',
             xhr.send(null);
         };
 
+        /**
+         * Parses the contents of the projection file and, if the coordinate system is not geographic, creates the
+         * [projection]{@link PrjFile#projection} converting the coordinates to WGS84. The
+         * [definitionCallback]{@link PrjFile#definitionCallback} is called if proj4js does not recognize the
+         * coordinate system.
+         * @param {String} text The contents of the projection file.
+         * @throws {ArgumentError} If the specified text is null, undefined or empty.
+         */
+        PrjFile.prototype.parse = function (text) {
+            this._params = this.decodeOGCCoordinateSystem(text);
+            this._text = text.trim();
+            this._projection = this.isGeographicCoordinateSystem() ? null : this.createProjection(this._text);
+
+            // A coordinate system given a definition by the definition callback is known from now on.
+            if (this._projection && this.isUnknownCoordinateSystem()) {
+                this._params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_PROJECTED;
+            }
+        };
+
+        // Creates the proj4js converter to WGS84 for the specified coordinate system text, or returns null if
+        // neither proj4js nor the definition callback recognizes it. Internal use only.
+        PrjFile.prototype.createProjection = function (text) {
+            try {
+                return Proj4(text, PrjFile.WGS84);
+            } catch (e) {
+                // proj4js does not recognize the coordinate system; ask the application for a definition.
+            }
+
+            var definition = this.definitionCallback ? this.definitionCallback(text) : null;
+            if (definition) {
+                try {
+                    return Proj4(definition, PrjFile.WGS84);
+                } catch (e) {
+                    Logger.log(Logger.LEVEL_WARNING, "PrjFile projection definition is invalid (" + definition +
+                        "): " + this._url);
+                    return null;
+                }
+            }
+
+            Logger.log(Logger.LEVEL_WARNING, "PrjFile coordinate system is not recognized, coordinates are not " +
+                "reprojected: " + this._url);
+
+            return null;
+        };
+
         /**
          * Retrieves the coordinate system and its parameters from an OGC coordinate system encoded as well-known text. For
          * details, see to the OGC Coordinate Transform Service (CT) specification at <a
          * href="http://www.opengeospatial.org/standards/ct">http://www.opengeospatial.org/standards/ct</a>. This recognizes
-         * Geographic and UTM coordinate systems.
+         * Geographic and projected coordinate systems, and the zone and hemisphere of UTM coordinate systems.
          *
          * If an exception occurs while parsing the coordinate system text, the parameter list is left unchanged.
          *
@@ -151,7 +241,7 @@ define(['../../error/ArgumentError',
          */
         PrjFile.prototype.decodeOGCCoordinateSystem = function(text) {
             if (!text) {
-                new ArgumentError(
+                throw new ArgumentError(
                     Logger.logMessage(Logger.LEVEL_SEVERE, "PrjFile", "decodeOGCCoordinateSystem", "missingText")
                 );
             }
@@ -162,58 +252,43 @@ define(['../../error/ArgumentError',
             // upper case characters.
             text = text.trim().toUpperCase();
 
-            if (PrjFile.GEOGCS_WKT_PATTERN.test(text)) {
-                params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_GEOGRAPHIC;
-            }
-            else {
-                var result = text.match(PrjFile.PROJCS_WKT_PATTERN);
-                if (!!result) {
-                    params[PrfFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_PROJECTED;
-
-                    throw new NotYetImplementedError(Logger.log(Logger.LEVEL_SEVERE,
-                        "PrjFile implementation  for projected coordinate systems in incomplete."));
-                    // TODO: Complete the implementation; the Java implementation is summarized below.
-                    //String
-                    //csText = csMatcher.group(1);
-                    //Matcher
-                    //projMatcher = UTM_NAME_WKT_PATTERN.matcher(csText);
-                    //if (projMatcher.matches()) {
-                    //    params.setValue(AVKey.PROJECTION_NAME, AVKey.PROJECTION_UTM);
-                    //
-                    //    // Parse the UTM zone from the coordinate system name.
-                    //    String
-                    //    s = projMatcher.group(1);
-                    //    if (s != null) {
-                    //        Integer
-                    //        i = WWUtil.makeInteger(s.trim());
-                    //        if (i != null && i >= 1 && i <= 60)
-                    //            params.setValue(AVKey.PROJECTION_ZONE, i);
-                    //    }
-                    //
-                    //    if (params.getValue(AVKey.PROJECTION_ZONE) == null)
-                    //        Logging.logger().warning(Logging.getMessage("generic.ZoneIsInvalid", s));
-                    //
-                    //    // Parse the UTM hemisphere form the coordinate system name.
-                    //    s = projMatcher.group(2);
-                    //    if (s != null) {
-                    //        s = s.trim();
-                    //        if (s.startsWith("N") || s.startsWith("n"))
-                    //            params.setValue(AVKey.PROJECTION_HEMISPHERE, AVKey.NORTH);
-                    //        else if (s.startsWith("S") || s.startsWith("s"))
-                    //            params.setValue(AVKey.PROJECTION_HEMISPHERE, AVKey.SOUTH);
-                    //    }
-                    //
-                    //    if (params.getValue(AVKey.PROJECTION_HEMISPHERE) == null)
-                    //        Logging.logger().warning(Logging.getMessage("generic.HemisphereIsInvalid", s));
-                    //}
-                    //else {
-                    //    params.setValue(AVKey.PROJECTION_NAME, AVKey.PROJECTION_UNKNOWN);
-                    //}
+            // A projected coordinate system's text includes the text of its geographic coordinate system, so it's
+            // matched first.
+            var result = text.match(PrjFile.PROJCS_WKT_PATTERN);
+            if (!!result) {
+                params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_PROJECTED;
+
+                var projection = result[1].match(PrjFile.UTM_NAME_WKT_PATTERN);
+                if (!!projection) {
+                    params[PrjFile.PROJECTION_NAME] = PrjFile.PROJECTION_UTM;
+
+                    // Parse the UTM zone and hemisphere from the coordinate system name.
+                    var zone = parseInt(projection[1], 10);
+                    if (zone >= 1 && zone <= 60) {
+                        params[PrjFile.PROJECTION_ZONE] = zone;
+                    } else {
+                        Logger.log(Logger.LEVEL_WARNING, "PrjFile UTM zone is invalid: " + projection[1]);
+                    }
+
+                    var hemisphere = projection[2].trim();
+                    if (hemisphere.charAt(0) === "N") {
+                        params[PrjFile.PROJECTION_HEMISPHERE] = PrjFile.PROJECTION_HEMISPHERE_NORTH;
+                    } else if (hemisphere.charAt(0) === "S") {
+                        params[PrjFile.PROJECTION_HEMISPHERE] = PrjFile.PROJECTION_HEMISPHERE_SOUTH;
+                    } else {
+                        Logger.log(Logger.LEVEL_WARNING, "PrjFile UTM hemisphere is invalid: " + hemisphere);
+                    }
                 }
                 else {
-                    params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_UNKNOWN;
+                    params[PrjFile.PROJECTION_NAME] = PrjFile.PROJECTION_UNKNOWN;
                 }
             }
+            else if (PrjFile.GEOGCS_WKT_PATTERN.test(text)) {
+                params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_GEOGRAPHIC;
+            }
+            else {
+                params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_UNKNOWN;
+            }
 
             return params;
         };
@@ -223,7 +298,7 @@ define(['../../error/ArgumentError',
          * @returns {Boolean} True if an unknown coordinate system was encountered.
          */
         PrjFile.prototype.isUnknownCoordinateSystem = function() {
-            return !this.params || this.params.coordinateSystem === PrjFile.COORDINATE_SYSTEM_UNKNOWN;
+            return !this.params || this.params[PrjFile.COORDINATE_SYSTEM] === PrjFile.COORDINATE_SYSTEM_UNKNOWN;
         };
 
         /**
@@ -231,7 +306,7 @@ define(['../../error/ArgumentError',
          * @returns {Boolean} True if a known coordinate system was encountered.
          */
         PrjFile.prototype.isKnownCoordinateSystem = function() {
-            return !!this.params && this.params.coordinateSystem !== PrjFile.COORDINATE_SYSTEM_UNKNOWN;
+            return !!this.params && this.params[PrjFile.COORDINATE_SYSTEM] !== PrjFile.COORDINATE_SYSTEM_UNKNOWN;
         };
 
         /**
@@ -239,7 +314,7 @@ define(['../../error/ArgumentError',
          * @returns {Boolean} True if a geographic coordinate system was encountered.
          */
         PrjFile.prototype.isGeographicCoordinateSystem = function() {
-            return !!this.params && this.params.coordinateSystem === PrjFile.COORDINATE_SYSTEM_GEOGRAPHIC;
+            return !!this.params && this.params[PrjFile.COORDINATE_SYSTEM] === PrjFile.COORDINATE_SYSTEM_GEOGRAPHIC;
         };
 
         /**
@@ -247,7 +322,7 @@ define(['../../error/ArgumentError',
          * @returns {boolean} True if a projected coordinate system was encountered.
          */
         PrjFile.prototype.isProjectedCoordinateSystem = function() {
-            return !!this.params && this.params.coordinateSystem === PrjFile.COORDINATE_SYSTEM_PROJECTED;
+            return !!this.params && this.params[PrjFile.COORDINATE_SYSTEM] === PrjFile.COORDINATE_SYSTEM_PROJECTED;
         };
 
         /** Pattern matching the geographic coordinate system keyword in an OGC coordinate system well-known text. */
@@ -295,6 +370,12 @@ define(['../../error/ArgumentError',
          */
         PrjFile.PROJECTION_UTM = 'Projection_UTM';
 
+        /**
+         * An unrecognized projection descriptor.
+         * @type {String}
+         */
+        PrjFile.PROJECTION_UNKNOWN = 'Projection_unknown';
+
         /**
          * The key for the UTM projection zone.
          * @type {String}
@@ -319,6 +400,11 @@ define(['../../error/ArgumentError',
          */
         PrjFile.PROJECTION_HEMISPHERE_SOUTH = 'Projection_hemisphere_south';
 
+        /**
+         * The proj4js name of the coordinate system projected coordinates are converted to.
+         * @type {String}
+         */
+        PrjFile.WGS84 = 'WGS84';
 
         return PrjFile;
     }
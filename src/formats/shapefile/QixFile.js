@@ -0,0 +1,232 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports QixFile
+ */
+define(['../../error/ArgumentError',
+        '../../util/ByteBuffer',
+        '../../util/Logger'
+    ],
+    function (ArgumentError,
+              ByteBuffer,
+              Logger) {
+        "use strict";
+
+        /**
+         * Constructs an object for a quadtree spatial index file (.qix) at a specified URL.
+         * Applications typically do not call this constructor.
+         * It is called by {@link Shapefile} to read the spatial index of a shapefile.
+         * @alias QixFile
+         * @constructor
+         * @classdesc Parses a quadtree spatial index file, as created by MapServer's shptree utility and by GDAL,
+         * and finds the shapefile records in a region of interest. The file is optional: when it is not present,
+         * this object's [isLoaded]{@link QixFile#isLoaded} property is false after loading.
+         * @param {String} url The location of the index file.
+         * @throws {ArgumentError} If the specified URL is null or undefined.
+         */
+        var QixFile = function (url) {
+            if (!url) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "QixFile", "constructor", "missingUrl"));
+            }
+
+            // Internal use only. Intentionally not documented.
+            this._url = url;
+
+            // Internal use only. Intentionally not documented.
+            this._completionCallback = null;
+
+            // Internal use only. Intentionally not documented.
+            this._buffer = null;
+
+            // Documented in defineProperties below.
+            this._numberOfShapes = 0;
+
+            // Internal use only. Intentionally not documented.
+            this.maxDepth = 0;
+        };
+
+        Object.defineProperties(QixFile.prototype, {
+            /**
+             * The URL as specified to this index file's constructor.
+             * @memberof QixFile.prototype
+             * @type {String}
+             * @readonly
+             */
+            url: {
+                get: function () {
+                    return this._url;
+                }
+            },
+
+            /**
+             * Indicates whether the index file was retrieved and parsed.
+             * @memberof QixFile.prototype
+             * @type {Boolean}
+             * @readonly
+             */
+            isLoaded: {
+                get: function () {
+                    return !!this._buffer;
+                }
+            },
+
+            /**
+             * The number of shapes in the index.
+             * @memberof QixFile.prototype
+             * @type {Number}
+             * @readonly
+             */
+            numberOfShapes: {
+                get: function () {
+                    return this._numberOfShapes;
+                }
+            }
+        });
+
+        /**
+         * Initiates loading of the index file.
+         * @param {Function} completionCallback A function called with this object when loading is done, whether the
+         * index file was retrieved or not.
+         */
+        QixFile.prototype.load = function (completionCallback) {
+            this._completionCallback = completionCallback;
+
+            this.requestUrl(this._url);
+        };
+
+        /**
+         * Internal use only.
+         * Request data from the URL.
+         * @param {String} url The URL for the requested data.
+         */
+        QixFile.prototype.requestUrl = function (url) {
+            var xhr = new XMLHttpRequest();
+
+            xhr.open("GET", url, true);
+            xhr.responseType = 'arraybuffer';
+            xhr.onreadystatechange = (function () {
+                if (xhr.readyState === 4) {
+                    if (xhr.status === 200) {
+                        try {
+                            this.parse(xhr.response);
+                        } catch (e) {
+                            Logger.log(Logger.LEVEL_WARNING, "QixFile parsing failed (" + e.message + "): " + url);
+                        }
+                    }
+                    else {
+                        Logger.log(Logger.LEVEL_INFO,
+                            "QixFile retrieval failed (" + xhr.statusText + "): " + url);
+                    }
+
+                    if (!!this._completionCallback) {
+                        this._completionCallback(this);
+                    }
+                }
+            }).bind(this);
+
+            xhr.onerror = function () {
+                Logger.log(Logger.LEVEL_INFO, "QixFile retrieval failed: " + url);
+            };
+
+            xhr.ontimeout = function () {
+                Logger.log(Logger.LEVEL_WARNING, "QixFile retrieval timed out: " + url);
+            };
+
+            xhr.send(null);
+        };
+
+        /**
+         * Parses the header of the index file.
+         * @param {ArrayBuffer} data The contents of the index file.
+         * @throws {Error} If the data is not a quadtree index.
+         */
+        QixFile.prototype.parse = function (data) {
+            var buffer = new ByteBuffer(data);
+
+            if (buffer.limit() < QixFile.HEADER_LENGTH || String.fromCharCode(buffer.getByte(), buffer.getByte(),
+                    buffer.getByte()) !== QixFile.SIGNATURE) {
+                throw new Error("The file is not a quadtree spatial index");
+            }
+
+            // The byte order is 1 for little endian, 2 for big endian and 0, in old files, for the order of the
+            // machine that wrote the file, assumed to be little endian.
+            buffer.order(buffer.getByte() === 2 ? ByteBuffer.BIG_ENDIAN : ByteBuffer.LITTLE_ENDIAN);
+            buffer.seek(8);
+
+            this._numberOfShapes = buffer.getInt32();
+            this.maxDepth = buffer.getInt32();
+            this._buffer = buffer;
+        };
+
+        /**
+         * Finds the shapes whose quadtree node intersects a specified sector. The shapes found include all the
+         * shapes intersecting the sector, but may also include shapes near the sector that don't intersect it.
+         * @param {Sector} sector The sector of interest.
+         * @returns {Number[]} The indices of the shapes found, in ascending order. The index of the first record
+         * of the shapefile is 0.
+         * @throws {ArgumentError} If the specified sector is null or undefined.
+         */
+        QixFile.prototype.search = function (sector) {
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "QixFile", "search", "missingSector"));
+            }
+
+            var result = [];
+
+            if (this._buffer && this._numberOfShapes > 0) {
+                this._buffer.seek(QixFile.HEADER_LENGTH);
+                this.searchNode(this._buffer, sector, result);
+                result.sort(function (a, b) {
+                    return a - b;
+                });
+            }
+
+            return result;
+        };
+
+        // Adds the shapes of the node at the buffer's position and of its descendants to the result if the node
+        // intersects the sector, and moves the buffer past the node. Internal use only.
+        QixFile.prototype.searchNode = function (buffer, sector, result) {
+            // The offset is the length of the node's descendants, following its shapes and number of children.
+            var offset = buffer.getInt32(),
+                minLongitude = buffer.getDouble(),
+                minLatitude = buffer.getDouble(),
+                maxLongitude = buffer.getDouble(),
+                maxLatitude = buffer.getDouble(),
+                numberOfShapes = buffer.getInt32();
+
+            if (minLongitude > sector.maxLongitude || maxLongitude < sector.minLongitude ||
+                minLatitude > sector.maxLatitude || maxLatitude < sector.minLatitude) {
+                buffer.skipInt32s(numberOfShapes + 1);
+                buffer.skipBytes(offset);
+                return;
+            }
+
+            for (var i = 0; i < numberOfShapes; i++) {
+                result.push(buffer.getInt32());
+            }
+
+            for (var child = 0, numberOfChildren = buffer.getInt32(); child < numberOfChildren; child++) {
+                this.searchNode(buffer, sector, result);
+            }
+        };
+
+        /**
+         * The signature starting a quadtree index file.
+         * @type {String}
+         */
+        QixFile.SIGNATURE = "SQT";
+
+        /**
+         * The length of a quadtree index file's header, including the number of shapes and the depth of the tree.
+         * @type {Number}
+         */
+        QixFile.HEADER_LENGTH = 16;
+
+        return QixFile;
+    }
+);
@@ -14,14 +14,16 @@ define([
         '../../formats/shapefile/DBaseFile',
         '../../geom/Location',
         '../../util/Logger',
-        '../../error/NotYetImplementedError',
         '../../shapes/Path',
         '../../shapes/Placemark',
         '../../shapes/PlacemarkAttributes',
         '../../shapes/Polygon',
         '../../geom/Position',
         '../../formats/shapefile/PrjFile',
+        '../../formats/shapefile/QixFile',
         '../../layer/RenderableLayer',
+        '../../util/RTree',
+        '../../geom/Sector',
         '../../shapes/ShapeAttributes',
         '../../formats/shapefile/ShapefileRecord',
         '../../formats/shapefile/ShapefileRecordMultiPoint',
@@ -29,6 +31,7 @@ define([
         '../../formats/shapefile/ShapefileRecordPoint',
         '../../formats/shapefile/ShapefileRecordPolygon',
         '../../formats/shapefile/ShapefileRecordPolyline',
+        '../../formats/shapefile/ShapefileWorker',
         '../../shapes/SurfacePolygon',
         '../../shapes/SurfacePolyline'
     ],
@@ -39,14 +42,16 @@ define([
               DBaseFile,
               Location,
               Logger,
-              NotYetImplementedError,
               Path,
               Placemark,
               PlacemarkAttributes,
               Polygon,
               Position,
               PrjFile,
+              QixFile,
               RenderableLayer,
+              RTree,
+              Sector,
               ShapeAttributes,
               ShapefileRecord,
               ShapefileRecordMultiPoint,
@@ -54,6 +59,7 @@ define([
               ShapefileRecordPoint,
               ShapefileRecordPolygon,
               ShapefileRecordPolyline,
+              ShapefileWorker,
               SurfacePolygon,
               SurfacePolyline) {
         "use strict";
@@ -107,8 +113,27 @@ define([
             // Internal use only. Intentionally not documented.
             this.projectionFile = new PrjFile(url.replace(".shp", ".prj"));
 
+            // Internal use only. Intentionally not documented.
+            this.indexFile = new QixFile(url.replace(".shp", ".qix"));
+
+            // Internal use only. Intentionally not documented.
+            // The position of each record in the shapefile, or -1 for null records, and the spatial index of the
+            // records, used when there is no index file. See indexRecords().
+            this._recordOffsets = null;
+            this._spatialIndex = null;
+
+            // Internal use only. Intentionally not documented.
+            // The numbers of the records shapes were created for by addRenderablesForSector.
+            this._displayedRecords = {};
+
             this.defaultPlacemarkAttributes = new PlacemarkAttributes(null);
             this.defaultShapeAttributes = new ShapeAttributes(null);
+
+            // Internal use only. Intentionally not documented.
+            // The worker reading the shapefile and the state of reading, see stream().
+            this._worker = null;
+            this._isCancelled = false;
+            this._numberOfRecordsRead = 0;
         };
 
         Object.defineProperties(Shapefile.prototype, {
@@ -183,6 +208,50 @@ define([
                 get: function () {
                     return this._shapeConfigurationCallback;
                 }
+            },
+
+            /**
+             * A function returning a proj4js definition of the shapefile's coordinate system when proj4js does not
+             * recognize the well-known text of the shapefile's projection file (.prj). Shapefiles whose coordinate
+             * system is projected, e.g., UTM, state plane or national grids, have their coordinates converted to WGS84
+             * longitude and latitude. The function's single argument is the well-known text of the projection file.
+             * It returns either a proj4js definition string, in PROJ.4 or well-known text format, or null, in which
+             * case the shapefile's coordinates are used as is. This property must be set before the shapefile is
+             * loaded. For example:
+             * <pre>
+             *     shapefile.projectionDefinitionCallback = function (wkt) {
+             *         return wkt.indexOf("Amersfoort") >= 0 ? "EPSG:28992" : null;
+             *     };
+             * </pre>
+             * @memberof Shapefile.prototype
+             * @type {Function}
+             * @default null
+             */
+            projectionDefinitionCallback: {
+                get: function () {
+                    return this.projectionFile.definitionCallback;
+                },
+                set: function (value) {
+                    this.projectionFile.definitionCallback = value;
+                }
+            },
+
+            /**
+             * The character encoding of the text in the shapefile's attribute file (.dbf), e.g., "utf-8" or
+             * "windows-1252". When null, the encoding specified by the shapefile's code page file (.cpg) is used, or
+             * ISO-8859-1 if there is no code page file. Specify an encoding to override the code page file or when the
+             * code page file is missing. This property must be set before the shapefile is loaded.
+             * @memberof Shapefile.prototype
+             * @type {String}
+             * @default null
+             */
+            attributeEncoding: {
+                get: function () {
+                    return this.attributeFile.encoding;
+                },
+                set: function (value) {
+                    this.attributeFile.encoding = value;
+                }
             }
         });
 
@@ -233,12 +302,16 @@ define([
 
             // Load primary and secondary files in the following order:
             //      1) Projection file,
-            //      2) Attribute file, and
-            //      3) Shapefile.
-            // This is done because the projection and attribute files modify the interpretation of the shapefile.
+            //      2) Attribute file, preceded by its code page file,
+            //      3) Spatial index file, if any, and
+            //      4) Shapefile.
+            // This is done because the projection and attribute files modify the interpretation of the shapefile,
+            // and the shapefile's records are indexed when it's parsed.
             var projectionFileCallback = (function () {
                 var attributeFileCallback = (function () {
-                    this.requestUrl(this.url);
+                    this.indexFile.load((function () {
+                        this.requestUrl(this.url);
+                    }).bind(this));
                 }).bind(this);
 
                 this.attributeFile.load(attributeFileCallback);
@@ -247,6 +320,210 @@ define([
             this.projectionFile.load(projectionFileCallback);
         };
 
+        /**
+         * Retrieves the shapefile and reads it in a Web Worker, delivering its records incrementally so that the
+         * application remains responsive while large shapefiles are read. The records are delivered in batches,
+         * and by default shapes are created for each batch as it arrives, using this shapefile's
+         * [shapeConfigurationCallback]{@link Shapefile#shapeConfigurationCallback} as described for
+         * [load]{@link Shapefile#load}. When Web Workers are not available, the shapefile is read on the main thread,
+         * one batch at a time. Call [cancel]{@link Shapefile#cancel} to stop reading.
+         * <p>
+         * The options argument may contain any or all of the following properties:
+         * <ul>
+         *     <li><i>layer:</i> The {@link RenderableLayer} to hold the created shapes. If not specified, a new
+         *     layer is created and assigned to this shapefile's [layer]{@link Shapefile#layer} property.</li>
+         *     <li><i>shapeConfigurationCallback:</i> The function configuring the shape created for each record. See
+         *     [load]{@link Shapefile#load}.</li>
+         *     <li><i>recordCallback:</i> A function called with each batch of {@link ShapefileRecord}s read, and this
+         *     shapefile. If specified, no shapes are created; the function is responsible for processing the
+         *     records.</li>
+         *     <li><i>progressCallback:</i> A function called after each batch of records is delivered. Its arguments
+         *     are the fraction of the shapefile read so far, a number between 0 and 1, the number of records
+         *     delivered so far, and this shapefile.</li>
+         *     <li><i>completionCallback:</i> A function called with this shapefile when all records are delivered
+         *     or the shapefile cannot be read. It is not called if reading is cancelled.</li>
+         *     <li><i>sector:</i> A {@link Sector} filtering the records while they are read. Only records whose
+         *     bounding rectangle intersects the sector are delivered. The bounding rectangles of records in a
+         *     projected coordinate system are tested once converted to geographic coordinates.</li>
+         *     <li><i>attributeFilter:</i> A function filtering the records by their attributes before they are
+         *     delivered. Its arguments are those of the shape configuration callback. Records for which it returns
+         *     false are skipped.</li>
+         *     <li><i>batchSize:</i> The number of records read per batch. The default is 1000.</li>
+         *     <li><i>useWorker:</i> Indicates whether to read the shapefile in a Web Worker. The default is
+         *     true.</li>
+         * </ul>
+         * @param {Object} options The options described above. May be null or undefined, in which case the whole
+         * shapefile is read and shapes are created for all its records.
+         */
+        Shapefile.prototype.stream = function (options) {
+            options = options || {};
+
+            if (options.shapeConfigurationCallback) {
+                this._shapeConfigurationCallback = options.shapeConfigurationCallback;
+            }
+
+            this._layer = options.layer || this._layer || new RenderableLayer();
+            this._isCancelled = false;
+            this._numberOfRecordsRead = 0;
+
+            // As for load, the projection file is loaded first since it modifies the interpretation of the shapefile,
+            // then the code page file specifying the encoding of the attribute file.
+            this.projectionFile.load((function () {
+                this.attributeFile.loadCodePage((function () {
+                    this.requestBuffer(this.attributeFile.url, (function (dbfBuffer) {
+                        this.requestBuffer(this.url, (function (shpBuffer) {
+                            if (this._isCancelled) {
+                                return;
+                            }
+
+                            if (shpBuffer) {
+                                this.readIncrementally(shpBuffer, dbfBuffer, options);
+                            } else if (options.completionCallback) {
+                                options.completionCallback(this);
+                            }
+                        }).bind(this));
+                    }).bind(this));
+                }).bind(this));
+            }).bind(this));
+        };
+
+        /**
+         * Stops reading the shapefile after a call to [stream]{@link Shapefile#stream}. Records already delivered
+         * and the shapes created for them are kept.
+         */
+        Shapefile.prototype.cancel = function () {
+            this._isCancelled = true;
+
+            if (this._worker) {
+                this._worker.terminate();
+                this._worker = null;
+            }
+        };
+
+        // Reads the retrieved shapefile and attribute file in batches, in a worker if possible.
+        // Internal use only.
+        Shapefile.prototype.readIncrementally = function (shpBuffer, dbfBuffer, options) {
+            // Projected coordinates are converted on the main thread, where proj4js is available, so records are
+            // filtered by sector once converted, in handleReaderMessage.
+            var isProjected = !!this.projectionFile.projection,
+                sector = isProjected ? null : options.sector || null,
+                encoding = this.attributeFile.getEncoding(),
+                batchSize = options.batchSize || 1000,
+                handleMessage = (function (message) {
+                    this.handleReaderMessage(message, options);
+                }).bind(this);
+
+            if (options.useWorker !== false && ShapefileWorker.isSupported()) {
+                this._worker = ShapefileWorker.createWorker();
+                this._worker.onmessage = function (event) {
+                    handleMessage(event.data);
+                };
+                this._worker.onerror = function (event) {
+                    handleMessage({type: "error", message: event.message});
+                };
+                this._worker.postMessage({shp: shpBuffer, dbf: dbfBuffer, sector: sector, isProjected: isProjected,
+                    encoding: encoding, batchSize: batchSize}, dbfBuffer ? [shpBuffer, dbfBuffer] : [shpBuffer]);
+                return;
+            }
+
+            var reader;
+            try {
+                reader = ShapefileWorker.createReader(shpBuffer, dbfBuffer, sector, isProjected, encoding);
+            } catch (e) {
+                handleMessage({type: "error", message: e.message});
+                return;
+            }
+
+            handleMessage({type: "header", header: reader.header});
+
+            // Read a batch at a time, letting the application run between batches.
+            var readBatch = (function () {
+                if (this._isCancelled || !this._shapeType) {
+                    return;
+                }
+
+                if (reader.hasNext()) {
+                    // Report corrupt records as the worker does.
+                    var records;
+                    try {
+                        records = reader.nextRecords(batchSize);
+                    } catch (e) {
+                        handleMessage({type: "error", message: e.message});
+                        return;
+                    }
+
+                    handleMessage({
+                        type: "records",
+                        records: records,
+                        bytesRead: reader.position(),
+                        totalBytes: reader.header.fileLength
+                    });
+                    window.setTimeout(readBatch, 0);
+                } else {
+                    handleMessage({type: "done"});
+                }
+            }).bind(this);
+
+            readBatch();
+        };
+
+        // Handles the messages of the worker or main thread reader. Internal use only.
+        Shapefile.prototype.handleReaderMessage = function (message, options) {
+            if (this._isCancelled) {
+                return;
+            }
+
+            if (message.type === "header") {
+                this._shapeType = this.getShapeType(message.header.shapeType);
+                if (!this._shapeType) {
+                    this.handleReaderMessage({type: "error", message: "Shapefile type is unsupported: " +
+                        message.header.shapeType}, options);
+                }
+            } else if (message.type === "records") {
+                var records = [];
+
+                for (var i = 0; i < message.records.length; i++) {
+                    var record = ShapefileRecord.fromContents(this, message.records[i]);
+                    if (options.sector && this.projectionFile.projection &&
+                        !Shapefile.rectangleIntersects(record.boundingRectangle, options.sector)) {
+                        continue;
+                    }
+
+                    if (!options.attributeFilter || options.attributeFilter(record.attributes, record)) {
+                        records.push(record);
+                    }
+                }
+
+                this._numberOfRecordsRead += records.length;
+
+                if (options.recordCallback) {
+                    options.recordCallback(records, this);
+                } else {
+                    this.addRenderablesForShapefile(this.layer, records);
+                }
+
+                if (options.progressCallback) {
+                    options.progressCallback(message.totalBytes > 0 ? message.bytesRead / message.totalBytes : 1,
+                        this._numberOfRecordsRead, this);
+                }
+            } else {
+                if (message.type === "error") {
+                    Logger.log(Logger.LEVEL_WARNING, "Shapefile reading failed (" + message.message + "): " +
+                        this.url);
+                    this._isCancelled = true;
+                }
+
+                if (this._worker) {
+                    this._worker.terminate();
+                    this._worker = null;
+                }
+
+                if (options.completionCallback) {
+                    options.completionCallback(this);
+                }
+            }
+        };
+
         /**
          * The default parser completion callback, called if none was specified to the [load]{@link Shapefile#load} method.
          * This default callback merely calls [addRenderablesForShapefile]{@link Shapefile#addRenderablesForShapefile}
@@ -317,22 +594,24 @@ define([
          *     <li>[addRenderablesForPolygons]{@link Shapefile#addRenderablesForPolygons}</li>
          * </ul>
          * @param {RenderableLayer} layer The layer in which to place the newly created shapes.
+         * @param {ShapefileRecord[]} records The records to create shapes for. May be null or undefined, in which
+         * case shapes are created for this shapefile's remaining records.
          * @throws {ArgumentError} If the specified layer is null or undefined.
          */
-        Shapefile.prototype.addRenderablesForShapefile = function (layer) {
+        Shapefile.prototype.addRenderablesForShapefile = function (layer, records) {
             if (!layer) {
                 throw new ArgumentError(
                     Logger.logMessage(Logger.LEVEL_SEVERE, "Shapefile", "addRenderablesForShapefile", "missingLayer"));
             }
 
             if (this.isPointType()) {
-                this.addRenderablesForPoints(layer);
+                this.addRenderablesForPoints(layer, records);
             } else if (this.isMultiPointType()) {
-                this.addRenderablesForMultiPoints(layer);
+                this.addRenderablesForMultiPoints(layer, records);
             } else if (this.isPolylineType()) {
-                this.addRenderablesForPolylines(layer);
+                this.addRenderablesForPolylines(layer, records);
             } else if (this.isPolygonType()) {
-                this.addRenderablesForPolygons(layer);
+                this.addRenderablesForPolygons(layer, records);
             }
         };
 
@@ -362,16 +641,20 @@ define([
          *     <li><i>userProperties:</i> An ad hoc object assigned to the renderable.</li>
          * </ul>
          * @param {RenderableLayer} layer The layer in which to place the newly created shapes.
+         * @param {ShapefileRecord[]} records The records to create shapes for. May be null or undefined, in which
+         * case shapes are created for this shapefile's remaining records.
          * @throws {ArgumentError} If the specified layer is null or undefined.
          */
-        Shapefile.prototype.addRenderablesForPoints = function (layer) {
+        Shapefile.prototype.addRenderablesForPoints = function (layer, records) {
             if (!layer) {
                 throw new ArgumentError(
                     Logger.logMessage(Logger.LEVEL_SEVERE, "Shapefile", "addRenderablesForPoints", "missingLayer"));
             }
 
             // Note: for points, there should be only ONE part, and only ONE point per record.
-            for (var record = this.next(); !!record; record = this.next()) {
+            var nextRecord = this.recordIterator(records);
+
+            for (var record = nextRecord(); !!record; record = nextRecord()) {
                 var configuration = this.shapeConfigurationCallback(record.attributes, record),
                     altitude = (configuration && configuration.altitude) ? configuration.altitude : 0;
 
@@ -433,16 +716,20 @@ define([
          *     <li><i>userProperties:</i> An ad hoc object assigned to the renderable.</li>
          * </ul>
          * @param {RenderableLayer} layer The layer in which to place the newly created shapes.
+         * @param {ShapefileRecord[]} records The records to create shapes for. May be null or undefined, in which
+         * case shapes are created for this shapefile's remaining records.
          * @throws {ArgumentError} If the specified layer is null or undefined.
          */
-        Shapefile.prototype.addRenderablesForMultiPoints = function (layer) {
+        Shapefile.prototype.addRenderablesForMultiPoints = function (layer, records) {
             if (!layer) {
                 throw new ArgumentError(
                     Logger.logMessage(Logger.LEVEL_SEVERE, "Shapefile", "addRenderablesForMultiPoints", "missingLayer"));
             }
 
             // Note: for multi-points, there should only be ONE part.
-            for (var record = this.next(); !!record; record = this.next()) {
+            var nextRecord = this.recordIterator(records);
+
+            for (var record = nextRecord(); !!record; record = nextRecord()) {
                 var configuration = this.shapeConfigurationCallback(record.attributes, record),
                     altitude = (configuration && configuration.altitude) ? configuration.altitude : 0;
 
@@ -505,15 +792,19 @@ define([
          *     <li><i>userProperties:</i> An ad hoc object assigned to the renderable.</li>
          * </ul>
          * @param {RenderableLayer} layer The layer in which to place the newly created shapes.
+         * @param {ShapefileRecord[]} records The records to create shapes for. May be null or undefined, in which
+         * case shapes are created for this shapefile's remaining records.
          * @throws {ArgumentError} If the specified layer is null or undefined.
          */
-        Shapefile.prototype.addRenderablesForPolylines = function (layer) {
+        Shapefile.prototype.addRenderablesForPolylines = function (layer, records) {
             if (!layer) {
                 throw new ArgumentError(
                     Logger.logMessage(Logger.LEVEL_SEVERE, "Shapefile", "addRenderablesForPolylines", "missingLayer"));
             }
 
-            for (var record = this.next(); !!record; record = this.next()) {
+            var nextRecord = this.recordIterator(records);
+
+            for (var record = nextRecord(); !!record; record = nextRecord()) {
                 var configuration = this.shapeConfigurationCallback(record.attributes, record),
                     altitude = (configuration && configuration.altitude) ? configuration.altitude : 0;
 
@@ -593,17 +884,25 @@ define([
          *     <li><i>userProperties:</i> An ad hoc object assigned to the renderable.</li>
          * </ul>
          * @param {RenderableLayer} layer The layer in which to place the newly created shapes.
+         * @param {ShapefileRecord[]} records The records to create shapes for. May be null or undefined, in which
+         * case shapes are created for this shapefile's remaining records.
          * @throws {ArgumentError} If the specified layer is null or undefined.
          */
-        Shapefile.prototype.addRenderablesForPolygons = function (layer) {
+        Shapefile.prototype.addRenderablesForPolygons = function (layer, records) {
             if (!layer) {
                 throw new ArgumentError(
                     Logger.logMessage(Logger.LEVEL_SEVERE, "Shapefile", "addRenderablesForPolygons", "missingLayer"));
             }
 
-            for (var record = this.next(); !!record; record = this.next()) {
+            var nextRecord = this.recordIterator(records);
+
+            for (var record = nextRecord(); !!record; record = nextRecord()) {
                 var configuration = this.shapeConfigurationCallback(record.attributes, record);
 
+                if (!configuration) {
+                    continue;
+                }
+
                 var boundaries = [],
                     position,
                     height = configuration.height,
@@ -661,6 +960,114 @@ define([
             }
         };
 
+        /**
+         * Finds the records whose bounding rectangle intersects a specified sector. The records are found by
+         * the shapefile's spatial index file (.qix) if there is one, otherwise by a spatial index built when the
+         * shapefile is loaded. The index file is not used for shapefiles in a projected coordinate system, since
+         * its bounds are projected coordinates. This method is available once the shapefile is loaded by
+         * [load]{@link Shapefile#load}, e.g., in the parser completion callback. It does not affect the sequence of
+         * records returned by [next]{@link Shapefile#next}.
+         * @param {Sector} sector The sector of interest.
+         * @returns {ShapefileRecord[]} The records found, in the order of the shapefile. Empty if the shapefile is
+         * not loaded.
+         * @throws {ArgumentError} If the specified sector is null or undefined.
+         */
+        Shapefile.prototype.recordsIntersecting = function (sector) {
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "Shapefile", "recordsIntersecting", "missingSector"));
+            }
+
+            if (!this._recordOffsets) {
+                return [];
+            }
+
+            var indices = !this._spatialIndex ? this.indexFile.search(sector) :
+                    this._spatialIndex.search(sector).sort(function (a, b) {
+                        return a - b;
+                    }),
+                records = [];
+
+            for (var i = 0; i < indices.length; i++) {
+                var record = this.recordAt(indices[i]),
+                    rect = record && record.boundingRectangle;
+
+                // The index file finds the records near the sector, so the records themselves are tested.
+                if (rect && Shapefile.rectangleIntersects(rect, sector)) {
+                    records.push(record);
+                }
+            }
+
+            return records;
+        };
+
+        /**
+         * Finds the records whose attributes match a predicate. Only the attributes of the records are read to
+         * evaluate the predicate, so that records are created only for the matching records. This method is
+         * available once the shapefile is loaded by [load]{@link Shapefile#load}, e.g., in the parser completion
+         * callback. It does not affect the sequence of records returned by [next]{@link Shapefile#next}.
+         * @param {Function} predicate A function returning true if the record whose attributes are specified
+         * matches. Its single argument is the record's attributes, as passed to the
+         * [shapeConfigurationCallback]{@link Shapefile#shapeConfigurationCallback}. Records without attributes
+         * never match.
+         * @returns {ShapefileRecord[]} The records found, in the order of the shapefile. Empty if the shapefile is
+         * not loaded.
+         * @throws {ArgumentError} If the specified predicate is null or undefined.
+         */
+        Shapefile.prototype.recordsMatching = function (predicate) {
+            if (!predicate) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "Shapefile", "recordsMatching",
+                        "The specified predicate is null or undefined."));
+            }
+
+            var records = [];
+
+            if (!this._recordOffsets) {
+                return records;
+            }
+
+            for (var index = 0; index < this._recordOffsets.length; index++) {
+                var attributes = this._recordOffsets[index] >= 0 ? this.attributeFile.recordAt(index) : null;
+
+                if (attributes && predicate(attributes)) {
+                    records.push(this.recordAt(index));
+                }
+            }
+
+            return records;
+        };
+
+        /**
+         * Creates shapes for the records intersecting a specified sector, skipping the records shapes were already
+         * created for by this method. Calling this method with the visible sector as the view changes shows a
+         * large shapefile incrementally rather than all at once. See
+         * [addRenderablesForShapefile]{@link Shapefile#addRenderablesForShapefile} for the shapes created. The
+         * shapefile's records are found as by [recordsIntersecting]{@link Shapefile#recordsIntersecting}.
+         * @param {RenderableLayer} layer The layer in which to place the newly created shapes.
+         * @param {Sector} sector The sector of interest.
+         * @returns {ShapefileRecord[]} The records shapes were created for.
+         * @throws {ArgumentError} If the specified layer or sector is null or undefined.
+         */
+        Shapefile.prototype.addRenderablesForSector = function (layer, sector) {
+            if (!layer) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "Shapefile", "addRenderablesForSector", "missingLayer"));
+            }
+
+            var records = this.recordsIntersecting(sector).filter(function (record) {
+                return !this._displayedRecords[record.recordNumber];
+            }, this);
+
+            for (var i = 0; i < records.length; i++) {
+                this._displayedRecords[records[i].recordNumber] = true;
+            }
+
+            this.addRenderablesForShapefile(layer, records);
+
+            return records;
+        };
+
         /**
          * Returns the next {@link ShapefileRecord} in the shapefile, or null if no more records exist. This method
          * can be used to iterate through the shapefile records. Only one such iteration is possible.
@@ -679,6 +1086,20 @@ define([
             return null;
         };
 
+        // Returns a function returning the records of a list in turn, or this shapefile's next records if no list
+        // is specified. Internal use only.
+        Shapefile.prototype.recordIterator = function (records) {
+            if (!records) {
+                return this.next.bind(this);
+            }
+
+            var index = 0;
+
+            return function () {
+                return index < records.length ? records[index++] : null;
+            };
+        };
+
         // Intentionally not documented.
         Shapefile.prototype.requestUrl = function (url) {
             var xhr = new XMLHttpRequest();
@@ -722,11 +1143,42 @@ define([
             xhr.send(null);
         };
 
+        // Retrieves the contents of a URL and passes them to a callback, or null if they cannot be retrieved.
+        // Internal use only.
+        Shapefile.prototype.requestBuffer = function (url, callback) {
+            var xhr = new XMLHttpRequest();
+
+            xhr.open("GET", url, true);
+            xhr.responseType = 'arraybuffer';
+            xhr.onreadystatechange = function () {
+                if (xhr.readyState === 4) {
+                    if (xhr.status === 200) {
+                        callback(xhr.response);
+                    } else {
+                        Logger.log(Logger.LEVEL_WARNING,
+                            "Shapefile retrieval failed (" + xhr.statusText + "): " + url);
+                        callback(null);
+                    }
+                }
+            };
+
+            xhr.onerror = function () {
+                Logger.log(Logger.LEVEL_WARNING, "Shapefile retrieval failed: " + url);
+            };
+
+            xhr.ontimeout = function () {
+                Logger.log(Logger.LEVEL_WARNING, "Shapefile retrieval timed out: " + url);
+            };
+
+            xhr.send(null);
+        };
+
         // Internal use only. Intentionally not documented.
         Shapefile.prototype.parse = function () {
             try {
                 var header = this.readHeader(this._buffer);
                 this._shapeType = header.shapeType;
+                this.indexRecords();
             }
             catch (e) {
                 console.log(e);
@@ -735,6 +1187,85 @@ define([
             }
         };
 
+        // Finds the position of each record and, if there is no spatial index file, builds a spatial index of the
+        // records' bounding rectangles. Only the record headers and bounding rectangles are read. The buffer's
+        // position is assumed to be at the first record and is left unchanged. Internal use only.
+        Shapefile.prototype.indexRecords = function () {
+            var useIndexFile = this.indexFile.isLoaded && !this.projectionFile.projection,
+                data = this._buffer.data,
+                position = this._buffer.position,
+                offsets = [],
+                sectors = [],
+                indices = [];
+
+            for (var index = 0; position + ShapefileRecord.RECORD_HEADER_LENGTH + 4 <= data.byteLength; index++) {
+                var contentLength = data.getInt32(position + 4, false) * 2,
+                    type = data.getInt32(position + ShapefileRecord.RECORD_HEADER_LENGTH, true);
+
+                offsets.push(type === 0 ? -1 : position);
+
+                if (type !== 0 && !useIndexFile) {
+                    sectors.push(this.readRecordSector(data, position + ShapefileRecord.RECORD_HEADER_LENGTH + 4,
+                        type));
+                    indices.push(index);
+                }
+
+                position += ShapefileRecord.RECORD_HEADER_LENGTH + contentLength;
+            }
+
+            this._recordOffsets = offsets;
+            this._spatialIndex = null;
+
+            if (!useIndexFile) {
+                this._spatialIndex = new RTree();
+                this._spatialIndex.load(sectors, indices);
+            }
+        };
+
+        // Reads the bounding sector of a record, whose contents following the shape type start at the specified
+        // position. Internal use only.
+        Shapefile.prototype.readRecordSector = function (data, position, type) {
+            var coords;
+
+            if (type % 10 === 1) {
+                var x = data.getFloat64(position, true),
+                    y = data.getFloat64(position + 8, true);
+
+                coords = [y, y, x, x];
+            } else {
+                coords = [data.getFloat64(position + 8, true), data.getFloat64(position + 24, true),
+                    data.getFloat64(position, true), data.getFloat64(position + 16, true)];
+            }
+
+            if (this.projectionFile.projection) {
+                coords = this.reprojectRectangle(coords);
+            }
+
+            return new Sector(coords[0], coords[1], coords[2], coords[3]);
+        };
+
+        // Reads the record at the specified index, with its attributes, without affecting the sequence of records
+        // returned by next(). Returns null for null records. Internal use only.
+        Shapefile.prototype.recordAt = function (index) {
+            var offset = this._recordOffsets[index];
+            if (offset === undefined || offset < 0) {
+                return null;
+            }
+
+            var position = this._buffer.position;
+
+            this._buffer.seek(offset);
+            var record = this.createRecord(this._buffer);
+            this._buffer.seek(position);
+
+            var attributes = this.attributeFile.recordAt(index);
+            if (attributes) {
+                record.setAttributes(attributes);
+            }
+
+            return record;
+        };
+
         // Intentionally not documented.
         Shapefile.prototype.readHeader = function (buffer) {
             buffer.order(ByteBuffer.BIG_ENDIAN);
@@ -840,7 +1371,7 @@ define([
             if (coords[0] < -90) {
                 normalizedLat = Angle.normalizedDegreesLatitude(coords[0]);
 
-                coords[0] = 90;
+                coords[0] = -90;
                 isNormalized = true;
 
                 if (coords[1] < normalizedLat) {
@@ -873,31 +1404,64 @@ define([
 
         // Intentionally not documented.
         Shapefile.prototype.readProjectedBoundingRectangle = function (buffer) {
-            throw new NotYetImplementedError(
-                Logger.log(Logger.LEVEL_SEVERE, "Shapefile.readProjectedBoundingRectangle() not yet implemented"));
-
-            // TODO: complete the implementation; the Java implementation is summarized below.
-            //Object o = this.getValue(AVKey.PROJECTION_NAME);
-            //
-            //if (AVKey.PROJECTION_UTM.equals(o)) {
-            //    // Read the bounding rectangle coordinates in the following order: minEast, minNorth, maxEast, maxNorth.
-            //    var coords = ShapefileUtils.readDoubleArray(buffer, 4);
-            //    // Convert the UTM bounding rectangle to a geographic bounding rectangle. The zone and hemisphere parameters
-            //    // have already been validated in validateBounds.
-            //    var zone = (Integer) this.getValue(AVKey.PROJECTION_ZONE);
-            //    var hemisphere = (String) this.getValue(AVKey.PROJECTION_HEMISPHERE);
-            //    Sector sector = Sector.fromUTMRectangle(zone, hemisphere, coords[0], coords[2], coords[1], coords[3]);
-            //    // Return an array with bounding rectangle coordinates in the following order: minLon, maxLon, minLat, maxLat.
-            //    BoundingRectangle rect = new BoundingRectangle();
-            //    rect.coords = sector.toArrayDegrees();
-            //    return rect;
-            //}
-            //else {
-            //    // The Shapefile's coordinate system projection is unsupported. This should never happen because the
-            //    // projection is validated during initialization, but we check anyway. Let the caller catch and log the
-            //    // message.
-            //    throw new Error(Logger.log(Logger.LEVEL_SEVERE, "Shapefile has an unsupported projection"));
-            //}
+            // Read the bounding rectangle coordinates in the following order: minNorth, maxNorth, minEast, maxEast.
+            var coords = this.readBoundingRectangleCoordinates(buffer);
+
+            // The coordinates are used as is if the projection is not recognized.
+            if (this.projectionFile.projection) {
+                coords = this.reprojectRectangle(coords);
+            }
+
+            return {'coords': coords, 'isNormalized': false};
+        };
+
+        // Converts a bounding rectangle in the shapefile's projected coordinate system, ordered as minY, maxY, minX,
+        // maxX, to the bounding rectangle of its corners and edge midpoints in geographic coordinates, ordered as
+        // minLat, maxLat, minLon, maxLon. Internal use only.
+        Shapefile.prototype.reprojectRectangle = function (coords) {
+            var midY = (coords[0] + coords[1]) / 2,
+                midX = (coords[2] + coords[3]) / 2,
+                points = [
+                    coords[2], coords[0], midX, coords[0], coords[3], coords[0],
+                    coords[2], midY, coords[3], midY,
+                    coords[2], coords[1], midX, coords[1], coords[3], coords[1]
+                ],
+                result = [90, -90, 180, -180];
+
+            this.reprojectPoints(points);
+
+            for (var i = 0; i < points.length; i += 2) {
+                result[0] = Math.min(result[0], points[i + 1]);
+                result[1] = Math.max(result[1], points[i + 1]);
+                result[2] = Math.min(result[2], points[i]);
+                result[3] = Math.max(result[3], points[i]);
+            }
+
+            return result;
+        };
+
+        // Converts, in place, an array of x and y coordinate pairs in the shapefile's projected coordinate system to
+        // longitude and latitude pairs. Does nothing if the shapefile's coordinates are not projected or their
+        // coordinate system is not recognized. Internal use only.
+        Shapefile.prototype.reprojectPoints = function (points) {
+            var projection = this.projectionFile.projection;
+            if (!projection) {
+                return;
+            }
+
+            for (var i = 0, len = points.length; i < len; i += 2) {
+                var location = projection.forward([points[i], points[i + 1]]);
+
+                points[i] = location[0];
+                points[i + 1] = location[1];
+            }
+        };
+
+        // Indicates whether a bounding rectangle, ordered as minLat, maxLat, minLon, maxLon, intersects a sector.
+        // Internal use only.
+        Shapefile.rectangleIntersects = function (rect, sector) {
+            return rect[0] <= sector.maxLatitude && rect[1] >= sector.minLatitude &&
+                rect[2] <= sector.maxLongitude && rect[3] >= sector.minLongitude;
         };
 
         // Intentionally not documented.
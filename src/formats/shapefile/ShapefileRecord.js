@@ -7,19 +7,19 @@
  * @version $Id: ShapefileRecord.js 3190 2015-06-15 19:30:14Z tgaskins $
  */
 define([
-        '../../geom/Angle',
         '../../error/ArgumentError',
         '../../util/ByteBuffer',
         '../../geom/Location',
         '../../util/Logger',
-        '../../formats/shapefile/Shapefile'
+        '../../formats/shapefile/Shapefile',
+        '../../formats/shapefile/ShapefileRecordParser'
     ],
-    function (Angle,
-              ArgumentError,
+    function (ArgumentError,
               ByteBuffer,
               Location,
               Logger,
-              Shapefile) {
+              Shapefile,
+              ShapefileRecordParser) {
         "use strict";
 
         /**
@@ -66,9 +66,6 @@ define([
             // Internal use only. Intentionally not documented.
             this._buffer = buffer;
 
-            // Internal use only. Intentionally not documented.
-            this._isNormalized = false;
-
             // Internal use only. Intentionally not documented.
             this._parts = [];
 
@@ -302,131 +299,53 @@ define([
             this._buffer.seek(this._contentLengthInBytes - ByteBuffer.INT32_SIZE);
         };
 
-        // Internal use only. Intentionally not documented.
-        ShapefileRecord.prototype.readPointContents = function() {
-            this._numberOfParts = 1;
-            this._firstPartNumber = 0;
-            this._lastPartNumber = this._numberOfParts - 1;
-            this._numberOfPoints = 1;
-
-            this._parts = [this._buffer.getDoubleArray(2)];
-
-            var latitude = this._parts[0][1];
-            var longitude = this._parts[0][0];
-            this._boundingRectangle = [latitude, latitude, longitude, longitude];
-
-            // Read the optional Z value.
-            if (this.isZType()) {
-                this.readZ(true);
+        /**
+         * Reads the contents of a non-null record following its shape type. The contents are parsed by
+         * {@link ShapefileRecordParser}, which also parses the records read by {@link ShapefileWorker}. The buffer's
+         * position is left at the start of the next record.
+         */
+        ShapefileRecord.prototype.readContents = function() {
+            var buffer = this._buffer,
+                start = buffer.position,
+                end = Math.min(start - ByteBuffer.INT32_SIZE + this._contentLengthInBytes, buffer.limit()),
+                type = buffer.data.getInt32(start - ByteBuffer.INT32_SIZE, true);
+
+            if (type === 0) {
+                // Null records may appear in shapefiles of any shape type.
+                this.setContents({parts: [], numberOfPoints: 0, boundingRectangle: null, zRange: null, zValues: null,
+                    mRange: null, mValues: null});
+            } else {
+                this.setContents(ShapefileRecordParser.readShapeContents(buffer.data, start, end, type,
+                    !!this.shapefile.projectionFile.projection));
             }
 
-            // Read the optional measure value.
-            if (this.isMeasureType()) {
-                this.readOptionalMeasures(true);
-            }
+            buffer.seek(end);
         };
 
-        // Internal use only. Intentionally not documented.
-        ShapefileRecord.prototype.readPolylineContents = function() {
-            // Read the bounding rectangle.
-            var rect = this.shapefile.readBoundingRectangle(this._buffer);
-            this._boundingRectangle = rect.coords;
-
-            // Specify that the record's points should be normalized if the bounding rectangle is normalized. Ignore the
-            // shapefile's normalizePoints property to avoid normalizing records that don't need it.
-            this._isNormalized = rect.isNormalized;
+        // Internal use only. Sets this record's shape contents, as parsed by ShapefileRecordParser, converting
+        // coordinates in a projected coordinate system to normalized geographic coordinates.
+        ShapefileRecord.prototype.setContents = function(contents) {
+            var shapefile = this.shapefile;
 
-            // Read the number of parts and the number of points.
-            this._numberOfParts = this._buffer.getInt32();
+            this._numberOfParts = contents.parts.length;
             this._firstPartNumber = 0;
-            this._lastPartNumber = this._numberOfParts - 1;
-            this._numberOfPoints = this._buffer.getInt32();
-
-            if (this._numberOfParts > 0 && this._numberOfPoints > 0) {
-                // Read the part positions.
-                var partPositions = this._buffer.getInt32Array(this.numberOfParts);
-
-                for (var partNumber = 0; partNumber < this.numberOfParts; partNumber += 1) {
-                    var numPointsInPart = (partNumber == this.numberOfParts - 1) ?
-                        this._numberOfPoints - partPositions[partNumber] :
-                        partPositions[partNumber + 1] - partPositions[partNumber];
-
-                    // Add the record's points to the Shapefile's point buffer, and record this record's part offset in the
-                    // Shapefile's point buffer.
-                    this._parts[partNumber] = this._buffer.getDoubleArray(numPointsInPart * 2);
-                    ShapefileRecord.normalizeLocations(this._parts[partNumber]);
+            this._lastPartNumber = contents.parts.length - 1;
+            this._numberOfPoints = contents.numberOfPoints;
+            this._boundingRectangle = contents.boundingRectangle;
+            this._zRange = contents.zRange;
+            this._zValues = contents.zValues;
+            this._mRange = contents.mRange;
+            this._mValues = contents.mValues;
+            this._parts = contents.parts;
+
+            // The parser reads projected coordinates as is, so they are converted here.
+            if (shapefile.projectionFile.projection && this._boundingRectangle) {
+                for (var i = 0; i < this._parts.length; i++) {
+                    shapefile.reprojectPoints(this._parts[i]);
+                    ShapefileRecord.normalizeLocations(this._parts[i]);
                 }
-            }
-
-            // Read the optional Z value.
-            if (this.isZType()) {
-                this.readZ(false);
-            }
-
-            // Read the optional measure value.
-            if (this.isMeasureType()) {
-                this.readOptionalMeasures(false);
-            }
-        };
-
-        // Internal use only. Intentionally not documented.
-        ShapefileRecord.prototype.readMultiPointContents = function() {
-            // Read the bounding rectangle.
-            var rect = this.shapefile.readBoundingRectangle(this._buffer);
-            this._boundingRectangle = rect.coords;
-
-            // Specify that the record's points should be normalized if the bounding rectangle is normalized. Ignore the
-            // shapefile's normalizePoints property to avoid normalizing records that don't need it.
-            this._isNormalized = rect.isNormalized;
-
-            // Read the number of parts and the number of points.
-            this._numberOfParts = 1;
-            this._numberOfPoints = this._buffer.getInt32();
-
-            this._parts = [this._buffer.getDoubleArray(this._numberOfPoints * 2)];
-            ShapefileRecord.normalizeLocations(this._parts[0]);
 
-            // Read the optional Z value.
-            if (this.isZType()) {
-                this.readZ(false);
-            }
-
-            // Read the optional measure value.
-            if (this.isMeasureType()) {
-                this.readOptionalMeasures(false);
-            }
-        };
-
-        /**
-         * Read's the shape's Z values from the record buffer.
-         */
-        ShapefileRecord.prototype.readZ = function(isPoint) {
-            if (isPoint) {
-                this._zValues = this._buffer.getDoubleArray(1);
-                var z = this._zValues[0];
-                this._zRange = [z, z];
-            }
-            else {
-                this._zRange = this._buffer.getDoubleArray(2);
-                this._zValues = this._buffer.getDoubleArray(this.numberOfPoints);
-            }
-        };
-
-        /**
-         * Reads any optional measure values from the record buffer.
-         */
-        ShapefileRecord.prototype.readOptionalMeasures = function(isPoint) {
-            // Measure values are optional.
-            if (this._buffer.hasRemaining() && (this._buffer.limit() - this._buffer.position) >= (this.numberOfPoints * 8)) {
-                if (isPoint) {
-                    this._mValues = this._buffer.getDoubleArray(1);
-                    var m = this._mValues[0];
-                    this._mRange = [m, m];
-                }
-                else {
-                    this._mRange = this._buffer.getDoubleArray(2);
-                    this._mValues = this._buffer.getDoubleArray(this.numberOfPoints);
-                }
+                this._boundingRectangle = shapefile.reprojectRectangle(contents.boundingRectangle);
             }
         };
 
@@ -439,13 +358,7 @@ define([
          * @param {Number} array
          */
         ShapefileRecord.normalizeLocations = function(array) {
-            for (var idx = 0, len = array.length; idx < len; idx += 2) {
-                var longitude = array[idx];
-                var latitude = array[idx + 1];
-
-                array[idx] = Angle.normalizedDegreesLongitude(longitude);
-                array[idx + 1] = Angle.normalizedDegreesLatitude(latitude);
-            }
+            ShapefileRecordParser.normalizeLocations(array);
         };
 
         /**
@@ -506,6 +419,27 @@ define([
             this._attributes = attributes;
         };
 
+        /**
+         * Internal use only.
+         * Creates a record from the contents read by a {@link ShapefileWorker}.
+         * @param {Shapefile} shapefile The shapefile containing the record.
+         * @param {Object} contents The record's contents and attributes, as read by the worker.
+         * @returns {ShapefileRecord} The record.
+         */
+        ShapefileRecord.fromContents = function (shapefile, contents) {
+            // The record's contents are already read, so the constructor reading them from a buffer is bypassed.
+            var record = Object.create(ShapefileRecord.prototype);
+
+            record._shapefile = shapefile;
+            record._recordNumber = contents.recordNumber;
+            record._attributes = contents.attributes;
+            record._contentLengthInBytes = -1;
+            record._buffer = null;
+            record.setContents(contents);
+
+            return record;
+        };
+
         ShapefileRecord.RECORD_HEADER_LENGTH = 8;
 
         return ShapefileRecord;
@@ -32,10 +32,6 @@ define(['../../util/ByteBuffer',
 
         ShapefileRecordMultiPoint.prototype = Object.create(ShapefileRecord.prototype);
 
-        ShapefileRecordMultiPoint.prototype.readContents = function() {
-            this.readMultiPointContents();
-        };
-
         return ShapefileRecordMultiPoint;
     }
 );
\ No newline at end of file
@@ -0,0 +1,300 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports ShapefileRecordParser
+ */
+define([],
+    function () {
+        "use strict";
+
+        // The code parsing the contents of shapefile records and attribute records. It's run both on the main thread,
+        // by ShapefileRecord and DBaseRecord, and in the scope of the Web Workers created by ShapefileWorker, which
+        // are created from the function's source, so it must not refer to anything outside the function. Returns the
+        // parsing functions. Internal use only.
+        var parserCode = function () {
+            var JULIAN_DAY_OF_EPOCH = 2440588; // the Julian day number of January 1, 1970
+
+            var normalizedLatitude = function (degrees) {
+                var lat = degrees % 180;
+
+                return lat > 90 ? 180 - lat : lat < -90 ? -180 - lat : lat;
+            };
+
+            var normalizedLongitude = function (degrees) {
+                var lon = degrees % 360;
+
+                return lon > 180 ? lon - 360 : lon < -180 ? 360 + lon : lon;
+            };
+
+            var normalizeLocations = function (points) {
+                for (var i = 0, len = points.length; i < len; i += 2) {
+                    points[i] = normalizedLongitude(points[i]);
+                    points[i + 1] = normalizedLatitude(points[i + 1]);
+                }
+            };
+
+            var readDoubles = function (view, offset, count) {
+                var result = new Float64Array(count);
+
+                for (var i = 0; i < count; i++) {
+                    result[i] = view.getFloat64(offset + i * 8, true);
+                }
+
+                return result;
+            };
+
+            // Limits a geographic bounding rectangle, ordered as minLat, maxLat, minLon, maxLon, to the globe. A
+            // rectangle exceeding +-180 degrees longitude spans the dateline, so it's widened to all longitudes.
+            var normalizeBoundingRectangle = function (rect) {
+                if (rect[0] < -90) {
+                    rect[1] = Math.max(rect[1], normalizedLatitude(rect[0]));
+                    rect[0] = -90;
+                }
+
+                if (rect[1] > 90) {
+                    rect[0] = Math.min(rect[0], normalizedLatitude(rect[1]));
+                    rect[1] = 90;
+                }
+
+                if (rect[2] < -180 || rect[3] > 180) {
+                    rect[2] = -180;
+                    rect[3] = 180;
+                }
+            };
+
+            // Reads the contents of a non-null shapefile record starting after its shape type. Geographic
+            // coordinates are normalized, while projected coordinates are read as is.
+            var readShapeContents = function (view, offset, end, type, isProjected) {
+                var baseType = type % 10,
+                    hasZ = type > 10 && type < 20,
+                    hasMeasures = type > 10,
+                    contents = {zRange: null, zValues: null, mRange: null, mValues: null},
+                    numberOfPoints;
+
+                if (baseType === 1) {
+                    contents.parts = [readDoubles(view, offset, 2)];
+                    contents.numberOfPoints = numberOfPoints = 1;
+                    offset += 16;
+
+                    if (!isProjected) {
+                        normalizeLocations(contents.parts[0]);
+                    }
+
+                    contents.boundingRectangle = [contents.parts[0][1], contents.parts[0][1],
+                        contents.parts[0][0], contents.parts[0][0]];
+                } else {
+                    var bounds = readDoubles(view, offset, 4),
+                        numberOfParts = baseType === 8 ? 1 : view.getInt32(offset + 32, true);
+
+                    contents.boundingRectangle = [bounds[1], bounds[3], bounds[0], bounds[2]];
+                    contents.numberOfPoints = numberOfPoints = view.getInt32(offset + (baseType === 8 ? 32 : 36), true);
+                    contents.parts = [];
+                    offset += baseType === 8 ? 36 : 40;
+
+                    if (!isProjected) {
+                        normalizeBoundingRectangle(contents.boundingRectangle);
+                    }
+
+                    var partPositions = [];
+                    if (baseType !== 8) {
+                        for (var i = 0; i < numberOfParts; i++) {
+                            partPositions.push(view.getInt32(offset + i * 4, true));
+                        }
+                        offset += numberOfParts * 4;
+                    } else {
+                        partPositions.push(0);
+                    }
+
+                    if (numberOfPoints > 0) {
+                        for (var part = 0; part < partPositions.length; part++) {
+                            var numPointsInPart = (part === partPositions.length - 1 ? numberOfPoints :
+                                    partPositions[part + 1]) - partPositions[part],
+                                points = readDoubles(view, offset, numPointsInPart * 2);
+
+                            if (!isProjected) {
+                                normalizeLocations(points);
+                            }
+
+                            contents.parts.push(points);
+                            offset += numPointsInPart * 16;
+                        }
+                    }
+                }
+
+                if (hasZ && offset + numberOfPoints * 8 <= end) {
+                    if (baseType !== 1) {
+                        contents.zRange = readDoubles(view, offset, 2);
+                        offset += 16;
+                    }
+                    contents.zValues = readDoubles(view, offset, numberOfPoints);
+                    offset += numberOfPoints * 8;
+                    if (baseType === 1) {
+                        contents.zRange = [contents.zValues[0], contents.zValues[0]];
+                    }
+                }
+
+                // Measure values are optional.
+                if (hasMeasures && offset + numberOfPoints * 8 <= end) {
+                    if (baseType !== 1) {
+                        contents.mRange = readDoubles(view, offset, 2);
+                        offset += 16;
+                    }
+                    if (offset + numberOfPoints * 8 <= end) {
+                        contents.mValues = readDoubles(view, offset, numberOfPoints);
+                        if (baseType === 1) {
+                            contents.mRange = [contents.mValues[0], contents.mValues[0]];
+                        }
+                    }
+                }
+
+                return contents;
+            };
+
+            // Decodes bytes as ISO-8859-1, whose characters have the code of the bytes.
+            var decodeLatin1 = function (bytes) {
+                var string = "";
+
+                for (var i = 0, len = bytes.length; i < len; i++) {
+                    string += String.fromCharCode(bytes[i]);
+                }
+
+                return string;
+            };
+
+            // Creates a function decoding a Uint8Array of text in the specified encoding. TextDecoder is used when
+            // available, otherwise only UTF-8 and ISO-8859-1 are supported. Returns null if the encoding is not
+            // supported.
+            var createDecoder = function (encoding) {
+                var label = (encoding || "").toLowerCase().replace(/[_ ]/g, "-");
+
+                // TextDecoder decodes ISO-8859-1 as Windows-1252, so it's decoded here.
+                if (!label || label === "iso-8859-1" || label === "latin1" || label === "us-ascii") {
+                    return decodeLatin1;
+                }
+
+                if (typeof TextDecoder !== "undefined") {
+                    try {
+                        var textDecoder = new TextDecoder(label);
+
+                        return function (bytes) {
+                            return textDecoder.decode(bytes);
+                        };
+                    } catch (e) {
+                        return null;
+                    }
+                }
+
+                if (label === "utf-8" || label === "utf8") {
+                    return function (bytes) {
+                        var string = decodeLatin1(bytes);
+
+                        try {
+                            return decodeURIComponent(escape(string));
+                        } catch (e) {
+                            // Invalid UTF-8 is kept as ISO-8859-1 rather than lost.
+                            return string;
+                        }
+                    };
+                }
+
+                return null;
+            };
+
+            // Reads a string ending at the first null character, decoded by the specified function.
+            var readString = function (bytes, offset, length, decode) {
+                var end = offset;
+
+                while (end < offset + length && end < bytes.length && bytes[end] !== 0) {
+                    end++;
+                }
+
+                return decode(bytes.subarray(offset, end));
+            };
+
+            // Converts the text of a dBase date field, formatted as YYYYMMDD, to a date at midnight UTC.
+            var parseDate = function (text) {
+                var match = /^(\d{4})(\d{2})(\d{2})$/.exec(text);
+                if (!match) {
+                    return null;
+                }
+
+                var month = parseInt(match[2], 10) - 1,
+                    day = parseInt(match[3], 10),
+                    date = new Date(Date.UTC(parseInt(match[1], 10), month, day));
+
+                // Reject dates such as February 30, which Date.UTC moves to the next month.
+                return date.getUTCMonth() === month && date.getUTCDate() === day ? date : null;
+            };
+
+            // Reads the value of a dBase field, identified by its type character and length, converting it according
+            // to its type. Values that are blank or invalid, and those of memo fields, are null.
+            var readFieldValue = function (view, bytes, offset, type, length, decode) {
+                if (type === "I" || type === "+") {
+                    return view.getInt32(offset, true);
+                } else if (type === "O") {
+                    return view.getFloat64(offset, true);
+                } else if (type === "T") {
+                    // The Julian day number, zero for blank values, followed by the milliseconds since midnight.
+                    var julianDay = view.getInt32(offset, true);
+
+                    return julianDay > 0 ? new Date((julianDay - JULIAN_DAY_OF_EPOCH) * 86400000 +
+                        view.getInt32(offset + 4, true)) : null;
+                } else if (type === "M" || type === "G") {
+                    return null;
+                }
+
+                var text = readString(bytes, offset, length, decode).trim();
+
+                // Values filled with asterisks, e.g., overflowing numbers, are blank.
+                if (/^\**$/.test(text)) {
+                    text = "";
+                }
+
+                if (type === "C") {
+                    return text;
+                } else if (type === "L") {
+                    // Unknown values are represented by "?" or a blank.
+                    var firstChar = text.charAt(0).toUpperCase();
+
+                    return firstChar === "T" || firstChar === "Y" ? true :
+                        firstChar === "F" || firstChar === "N" ? false : null;
+                } else if (type === "D") {
+                    return parseDate(text);
+                }
+
+                var number = parseFloat(text);
+
+                return isNaN(number) ? null : number;
+            };
+
+            return {
+                normalizeLocations: normalizeLocations,
+                readDoubles: readDoubles,
+                readShapeContents: readShapeContents,
+                decodeLatin1: decodeLatin1,
+                createDecoder: createDecoder,
+                readString: readString,
+                parseDate: parseDate,
+                readFieldValue: readFieldValue
+            };
+        };
+
+        /**
+         * Parses the contents of shapefile records and dBase attribute records. Applications typically do not use
+         * this object. It's used by {@link ShapefileRecord} and {@link DBaseRecord}, and by the workers of
+         * {@link ShapefileWorker}, so that records are read the same way on the main thread and in workers.
+         * @exports ShapefileRecordParser
+         */
+        var ShapefileRecordParser = parserCode();
+
+        /**
+         * Internal use only.
+         * The source of the function creating this object's functions, which workers evaluate.
+         * @type {String}
+         */
+        ShapefileRecordParser.source = parserCode.toString();
+
+        return ShapefileRecordParser;
+    });
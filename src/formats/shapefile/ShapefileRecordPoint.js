@@ -30,10 +30,6 @@ define(['../../formats/shapefile/Shapefile',
 
         ShapefileRecordPoint.prototype = Object.create(ShapefileRecord.prototype);
 
-        ShapefileRecordPoint.prototype.readContents = function() {
-            this.readPointContents();
-        };
-
         return ShapefileRecordPoint;
     }
 );
\ No newline at end of file
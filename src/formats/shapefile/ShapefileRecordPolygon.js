@@ -30,10 +30,6 @@ define(['../../formats/shapefile/Shapefile',
 
         ShapefileRecordPolygon.prototype = Object.create(ShapefileRecord.prototype);
 
-        ShapefileRecordPolygon.prototype.readContents = function() {
-            this.readPolylineContents();
-        };
-
         return ShapefileRecordPolygon;
     }
 );
\ No newline at end of file
@@ -30,10 +30,6 @@ define(['../../formats/shapefile/Shapefile',
 
         ShapefileRecordPolyline.prototype = Object.create(ShapefileRecord.prototype);
 
-        ShapefileRecordPolyline.prototype.readContents = function() {
-            this.readPolylineContents();
-        };
-
         return ShapefileRecordPolyline;
     }
 );
\ No newline at end of file
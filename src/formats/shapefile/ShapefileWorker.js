@@ -0,0 +1,261 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports ShapefileWorker
+ */
+define([
+        '../../formats/shapefile/ShapefileRecordParser'
+    ],
+    function (ShapefileRecordParser) {
+        "use strict";
+
+        // The code reading shapefiles and their attribute files. It's run both in the scope of a Web Worker, which
+        // is created from the function's source, and on the main thread when workers are not available, so it must
+        // not refer to anything outside the function. Records are parsed by the specified parser, which is the
+        // ShapefileRecordParser the main thread also parses records with. When a worker scope is specified, the
+        // scope's message handler is installed. Returns the function creating a reader. Internal use only.
+        var workerCode = function (scope, parser) {
+            var SHAPEFILE_FILE_CODE = 9994,
+                SHAPEFILE_HEADER_LENGTH = 100,
+                RECORD_HEADER_LENGTH = 8,
+                DBASE_FIXED_HEADER_LENGTH = 32,
+                DBASE_FIELD_DESCRIPTOR_LENGTH = 32,
+                DBASE_HEADER_TERMINATOR = 0x0D;
+
+            var readDBaseHeader = function (buffer, encoding) {
+                var view = new DataView(buffer),
+                    bytes = new Uint8Array(buffer),
+                    header = {
+                        numberOfRecords: view.getInt32(4, true),
+                        headerLength: view.getInt16(8, true),
+                        recordLength: view.getInt16(10, true),
+                        fields: [],
+                        decode: parser.createDecoder(encoding) || parser.decodeLatin1
+                    };
+
+                for (var offset = DBASE_FIXED_HEADER_LENGTH;
+                     offset + DBASE_FIELD_DESCRIPTOR_LENGTH < header.headerLength &&
+                     bytes[offset] !== DBASE_HEADER_TERMINATOR;
+                     offset += DBASE_FIELD_DESCRIPTOR_LENGTH) {
+                    var type = String.fromCharCode(bytes[offset + 11]);
+                    if ("CDFGILMNOT+".indexOf(type) === -1) {
+                        throw new Error("Shapefile dBase encountered unsupported field type: " + type);
+                    }
+
+                    header.fields.push({
+                        name: parser.readString(bytes, offset, 11, parser.decodeLatin1),
+                        type: type,
+                        length: bytes[offset + 16]
+                    });
+                }
+
+                return header;
+            };
+
+            var readDBaseRecord = function (bytes, header, recordIndex) {
+                var offset = header.headerLength + recordIndex * header.recordLength,
+                    view = new DataView(bytes.buffer),
+                    values = {};
+
+                if (recordIndex >= header.numberOfRecords || offset + header.recordLength > bytes.length) {
+                    return null;
+                }
+
+                var deleted = bytes[offset] === 0x2A;
+                offset += 1;
+
+                for (var i = 0; i < header.fields.length; i++) {
+                    var field = header.fields[i];
+
+                    values[field.name] = parser.readFieldValue(view, bytes, offset, field.type, field.length,
+                        header.decode);
+                    offset += field.length;
+                }
+
+                return {deleted: deleted, recordNumber: recordIndex + 1, values: values};
+            };
+
+            var intersects = function (rect, sector) {
+                return !(rect[1] < sector.minLatitude || rect[0] > sector.maxLatitude ||
+                    rect[3] < sector.minLongitude || rect[2] > sector.maxLongitude);
+            };
+
+            // Creates a reader of the records of a shapefile and of its attribute file, which may be null. If a
+            // sector is specified, only the records whose bounding rectangle intersects it are read.
+            var createReader = function (shpBuffer, dbfBuffer, sector, isProjected, encoding) {
+                var view = new DataView(shpBuffer),
+                    dbfBytes = dbfBuffer ? new Uint8Array(dbfBuffer) : null,
+                    dbfHeader = dbfBuffer ? readDBaseHeader(dbfBuffer, encoding) : null,
+                    position = SHAPEFILE_HEADER_LENGTH,
+                    recordIndex = 0;
+
+                if (view.byteLength < SHAPEFILE_HEADER_LENGTH || view.getInt32(0, false) !== SHAPEFILE_FILE_CODE) {
+                    throw new Error("Shapefile header is invalid");
+                }
+
+                var fileLength = Math.min(view.getInt32(24, false) * 2, view.byteLength),
+                    bounds = parser.readDoubles(view, 36, 4);
+
+                return {
+                    header: {
+                        shapeType: view.getInt32(32, true),
+                        boundingRectangle: [bounds[1], bounds[3], bounds[0], bounds[2]],
+                        numberOfRecords: dbfHeader ? dbfHeader.numberOfRecords : -1,
+                        fileLength: fileLength
+                    },
+
+                    // The number of bytes of the shapefile read so far.
+                    position: function () {
+                        return position;
+                    },
+
+                    hasNext: function () {
+                        return position + RECORD_HEADER_LENGTH <= fileLength;
+                    },
+
+                    // Reads the next records, up to the specified number. Null records and records outside the
+                    // sector count toward that number but are not returned.
+                    nextRecords: function (count) {
+                        var records = [];
+
+                        for (var i = 0; i < count && this.hasNext(); i++) {
+                            var recordNumber = view.getInt32(position, false),
+                                start = position + RECORD_HEADER_LENGTH,
+                                end = Math.min(start + view.getInt32(position + 4, false) * 2, fileLength),
+                                type = view.getInt32(start, true),
+                                index = recordIndex++;
+
+                            position = end;
+
+                            if (type === 0) {
+                                continue;
+                            }
+
+                            var record = parser.readShapeContents(view, start + 4, end, type, isProjected);
+                            if (sector && !intersects(record.boundingRectangle, sector)) {
+                                continue;
+                            }
+
+                            record.recordNumber = recordNumber;
+                            record.attributes = dbfHeader && readDBaseRecord(dbfBytes, dbfHeader, index) ||
+                                {deleted: false, recordNumber: index + 1, values: {}};
+                            records.push(record);
+                        }
+
+                        return records;
+                    }
+                };
+            };
+
+            // Returns the buffers of the records' arrays, which are transferred rather than copied to the main thread.
+            var transferables = function (records) {
+                var buffers = [];
+
+                records.forEach(function (record) {
+                    record.parts.forEach(function (part) {
+                        buffers.push(part.buffer);
+                    });
+                    [record.zValues, record.mValues].forEach(function (values) {
+                        if (values) {
+                            buffers.push(values.buffer);
+                        }
+                    });
+                });
+
+                return buffers;
+            };
+
+            if (scope) {
+                // Reads all the records and posts them in batches. The worker is terminated by its creator to
+                // cancel reading.
+                scope.onmessage = function (event) {
+                    var data = event.data;
+
+                    try {
+                        var reader = createReader(data.shp, data.dbf, data.sector, data.isProjected, data.encoding);
+                        scope.postMessage({type: "header", header: reader.header});
+
+                        while (reader.hasNext()) {
+                            var records = reader.nextRecords(data.batchSize);
+                            scope.postMessage({
+                                type: "records",
+                                records: records,
+                                bytesRead: reader.position(),
+                                totalBytes: reader.header.fileLength
+                            }, transferables(records));
+                        }
+
+                        scope.postMessage({type: "done"});
+                    } catch (e) {
+                        scope.postMessage({type: "error", message: e.message});
+                    }
+                };
+            }
+
+            return createReader;
+        };
+
+        // The URL of the workers' code, created when the first worker is. Internal use only.
+        var workerUrl = null;
+
+        /**
+         * Reads shapefiles and their attribute files in a Web Worker. Applications typically do not use this
+         * object. It is used by [Shapefile.stream]{@link Shapefile#stream}.
+         * <p>
+         * A worker created by [createWorker]{@link ShapefileWorker#createWorker} expects a single message holding
+         * the shapefile's contents as an ArrayBuffer in its <i>shp</i> property, the attribute file's contents or
+         * null in its <i>dbf</i> property, an optional {@link Sector} to filter the records by in its <i>sector</i>
+         * property, whether the shapefile's coordinates are projected in its <i>isProjected</i> property, the
+         * encoding of the attribute file's text in its <i>encoding</i> property and the number of records to read per
+         * batch in its <i>batchSize</i> property. The worker replies
+         * with a "header" message, then "records" messages holding the records read and the number of bytes read,
+         * and finally a "done" message, or an "error" message if the shapefile cannot be read. Each record holds the
+         * contents of a {@link ShapefileRecord} and the attribute values read from the attribute file.
+         * @exports ShapefileWorker
+         */
+        var ShapefileWorker = {
+            /**
+             * Indicates whether Web Workers are available.
+             * @returns {Boolean} true if workers can be created, otherwise false.
+             */
+            isSupported: function () {
+                return typeof Worker !== "undefined" && typeof Blob !== "undefined" && typeof URL !== "undefined" &&
+                    typeof URL.createObjectURL === "function";
+            },
+
+            /**
+             * Creates a worker reading a shapefile.
+             * @returns {Worker} The worker.
+             */
+            createWorker: function () {
+                if (!workerUrl) {
+                    var source = "(" + workerCode.toString() + ")(self, (" + ShapefileRecordParser.source + ")());";
+                    workerUrl = URL.createObjectURL(new Blob([source], {type: "application/javascript"}));
+                }
+
+                return new Worker(workerUrl);
+            },
+
+            /**
+             * Creates a reader of a shapefile's records running on the calling thread. This is the reader run by
+             * workers. It's used when workers are not available.
+             * @param {ArrayBuffer} shpBuffer The contents of the shapefile.
+             * @param {ArrayBuffer} dbfBuffer The contents of the attribute file. May be null.
+             * @param {Sector} sector The sector records must intersect to be read. May be null, in which case all
+             * records are read.
+             * @param {Boolean} isProjected Indicates whether the shapefile's coordinates are in a projected
+             * coordinate system, in which case they are not normalized. The coordinates are not converted to
+             * geographic coordinates by the reader.
+             * @param {String} encoding The encoding of the attribute file's text. May be null, in which case the text
+             * is decoded as ISO-8859-1.
+             * @returns {Object} The reader. Its header property holds the shapefile's numeric shape type, bounding
+             * rectangle and length. Its nextRecords method reads a specified number of records.
+             * @throws {Error} If the shapefile's header is invalid.
+             */
+            createReader: workerCode(null, ShapefileRecordParser)
+        };
+
+        return ShapefileWorker;
+    });
@@ -0,0 +1,398 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports CompoundElevationModel
+ */
+define([
+        '../error/ArgumentError',
+        '../globe/ElevationModel',
+        '../geom/Location',
+        '../util/Logger',
+        '../geom/Sector'],
+    function (ArgumentError,
+              ElevationModel,
+              Location,
+              Logger,
+              Sector) {
+        "use strict";
+
+        /**
+         * Constructs a compound elevation model.
+         * @alias CompoundElevationModel
+         * @constructor
+         * @classdesc Represents a stack of elevation models, such as a global base model with higher resolution
+         * regional models on top of it. Each grid location is given the elevation of the model with the best
+         * resolution at that location, and models of equal resolution are chosen by priority. A model whose
+         * [opacity]{@link ElevationModel#opacity} is less than 1 is blended with the models of lower priority beneath
+         * it.
+         * <p>
+         *     To place regional terrain on top of the globe's elevations:
+         *     <pre>
+         *     var elevationModel = new WorldWind.CompoundElevationModel([wwd.globe.elevationModel]);
+         *     elevationModel.addElevationModel(regionalElevationModel);
+         *     wwd.globe.elevationModel = elevationModel;
+         *     </pre>
+         * @augments ElevationModel
+         * @param {ElevationModel[]} elevationModels The initial elevation models, in increasing order of priority.
+         * May be null or undefined, in which case the compound elevation model is initially empty.
+         */
+        var CompoundElevationModel = function (elevationModels) {
+            ElevationModel.call(this, Sector.FULL_SPHERE, new Location(45, 45), 1, " ", " ", 150, 150);
+
+            // Internal use only. Holds the elevation models and their priorities, in increasing order of priority.
+            this.entries = [];
+
+            /**
+             * Indicates this elevation model's display name.
+             * @type {String}
+             * @default "Compound Elevations"
+             */
+            this.displayName = "Compound Elevations";
+
+            // Internal use only. Scratch arrays for the elevations and resolutions of each grid location.
+            this.scratchElevations = null;
+            this.scratchResolutions = null;
+
+            if (elevationModels) {
+                for (var i = 0, len = elevationModels.length; i < len; i++) {
+                    this.addElevationModel(elevationModels[i]);
+                }
+            }
+        };
+
+        CompoundElevationModel.prototype = Object.create(ElevationModel.prototype);
+
+        Object.defineProperties(CompoundElevationModel.prototype, {
+            /**
+             * The elevation models of this compound elevation model, in increasing order of priority.
+             * @memberof CompoundElevationModel.prototype
+             * @type {ElevationModel[]}
+             * @readonly
+             */
+            elevationModels: {
+                get: function () {
+                    return this.entries.map(function (entry) {
+                        return entry.elevationModel;
+                    });
+                }
+            },
+
+            /**
+             * The union of the sectors spanned by this model's elevation models, or null if it has none.
+             * @memberof CompoundElevationModel.prototype
+             * @type {Sector}
+             * @readonly
+             */
+            coverageSector: {
+                get: function () {
+                    if (!this.entries) {
+                        return this._coverageSector; // the sector specified while constructing the level set
+                    }
+
+                    var result = null;
+
+                    for (var i = 0, len = this.entries.length; i < len; i++) {
+                        var sector = this.entries[i].elevationModel.coverageSector;
+                        if (sector) {
+                            result = result ? result.union(sector) : new Sector(0, 0, 0, 0).copy(sector);
+                        }
+                    }
+
+                    return result;
+                },
+                set: function (value) {
+                    this._coverageSector = value;
+                }
+            },
+
+            /**
+             * Indicates the last time this elevation model or any of its elevation models changed, in milliseconds
+             * since midnight Jan 1, 1970.
+             * @memberof CompoundElevationModel.prototype
+             * @type {Number}
+             * @readonly
+             */
+            timestamp: {
+                get: function () {
+                    var result = this._timestamp;
+
+                    for (var i = 0, len = this.entries.length; i < len; i++) {
+                        result = Math.max(result, this.entries[i].elevationModel.timestamp);
+                    }
+
+                    return result;
+                },
+                set: function (value) {
+                    this._timestamp = value;
+                }
+            },
+
+            /**
+             * The smallest of the minimum elevations of this model's elevation models, in meters. 0 if it has none.
+             * @memberof CompoundElevationModel.prototype
+             * @type {Number}
+             * @readonly
+             */
+            minElevation: {
+                get: function () {
+                    if (this.entries.length === 0) {
+                        return 0;
+                    }
+
+                    var result = Number.MAX_VALUE;
+                    for (var i = 0, len = this.entries.length; i < len; i++) {
+                        result = Math.min(result, this.entries[i].elevationModel.minElevation);
+                    }
+
+                    return result;
+                },
+                set: function (value) {
+                    // Ignored. The extremes are always those of the elevation models.
+                }
+            },
+
+            /**
+             * The largest of the maximum elevations of this model's elevation models, in meters. 0 if it has none.
+             * @memberof CompoundElevationModel.prototype
+             * @type {Number}
+             * @readonly
+             */
+            maxElevation: {
+                get: function () {
+                    if (this.entries.length === 0) {
+                        return 0;
+                    }
+
+                    var result = -Number.MAX_VALUE;
+                    for (var i = 0, len = this.entries.length; i < len; i++) {
+                        result = Math.max(result, this.entries[i].elevationModel.maxElevation);
+                    }
+
+                    return result;
+                },
+                set: function (value) {
+                    // Ignored. The extremes are always those of the elevation models.
+                }
+            }
+        });
+
+        /**
+         * Adds an elevation model to this compound elevation model.
+         * @param {ElevationModel} elevationModel The elevation model to add.
+         * @param {Number} priority The elevation model's priority. Elevation models of higher priority are chosen
+         * over elevation models of equal resolution and lower priority. May be null or undefined, in which case the
+         * elevation model is given a priority higher than that of the current elevation models. Elevation models of
+         * equal priority are ordered by the order they were added.
+         * @throws {ArgumentError} If the specified elevation model is null or undefined.
+         */
+        CompoundElevationModel.prototype.addElevationModel = function (elevationModel, priority) {
+            if (!elevationModel) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "CompoundElevationModel", "addElevationModel",
+                        "The specified elevation model is null or undefined."));
+            }
+
+            if (priority === null || priority === undefined) {
+                priority = this.entries.length > 0 ? this.entries[this.entries.length - 1].priority + 1 : 0;
+            }
+
+            var index = this.entries.length;
+            while (index > 0 && this.entries[index - 1].priority > priority) {
+                index--;
+            }
+
+            this.entries.splice(index, 0, {elevationModel: elevationModel, priority: priority});
+            this.timestamp = Date.now();
+        };
+
+        /**
+         * Removes an elevation model from this compound elevation model.
+         * @param {ElevationModel} elevationModel The elevation model to remove. If it is not one of this model's
+         * elevation models, this compound elevation model is not modified.
+         */
+        CompoundElevationModel.prototype.removeElevationModel = function (elevationModel) {
+            for (var i = 0, len = this.entries.length; i < len; i++) {
+                if (this.entries[i].elevationModel === elevationModel) {
+                    this.entries.splice(i, 1);
+                    this.timestamp = Date.now();
+                    return;
+                }
+            }
+        };
+
+        /**
+         * Removes all elevation models from this compound elevation model.
+         */
+        CompoundElevationModel.prototype.removeAllElevationModels = function () {
+            this.entries = [];
+            this.timestamp = Date.now();
+        };
+
+        /**
+         * Returns the minimum and maximum elevations within a specified sector, considering all the elevation models
+         * spanning the sector.
+         * @param {Sector} sector The sector for which to determine extreme elevations.
+         * @returns {Number[]} An array containing the minimum and maximum elevations within the specified sector,
+         * or null if the specified sector is outside the coverage area of all of this model's elevation models.
+         * @throws {ArgumentError} If the specified sector is null or undefined.
+         */
+        CompoundElevationModel.prototype.minAndMaxElevationsForSector = function (sector) {
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "CompoundElevationModel", "minAndMaxElevationsForSector",
+                        "missingSector"));
+            }
+
+            var result = null;
+
+            for (var i = 0, len = this.entries.length; i < len; i++) {
+                var elevationModel = this.entries[i].elevationModel;
+                if (!elevationModel.coverageSector || !elevationModel.coverageSector.intersects(sector)) {
+                    continue;
+                }
+
+                var extremes = elevationModel.minAndMaxElevationsForSector(sector);
+                if (!extremes) {
+                    continue;
+                }
+
+                if (result) {
+                    result[0] = Math.min(result[0], extremes[0]);
+                    result[1] = Math.max(result[1], extremes[1]);
+                } else {
+                    result = [extremes[0], extremes[1]];
+                }
+            }
+
+            return result;
+        };
+
+        /**
+         * Returns the elevation at a specified location. It is the elevation of the highest priority elevation model
+         * spanning the location, blended with the models beneath it when that model is not opaque.
+         * @param {Number} latitude The location's latitude in degrees.
+         * @param {Number} longitude The location's longitude in degrees.
+         * @returns {Number} The elevation at the specified location, in meters. Returns zero if the location is
+         * outside the coverage area of all of this model's elevation models.
+         */
+        CompoundElevationModel.prototype.elevationAtLocation = function (latitude, longitude) {
+            var result = null;
+
+            for (var i = 0, len = this.entries.length; i < len; i++) {
+                var elevationModel = this.entries[i].elevationModel;
+                if (elevationModel.coverageSector && elevationModel.coverageSector.containsLocation(latitude,
+                        longitude)) {
+                    var elevation = elevationModel.elevationAtLocation(latitude, longitude);
+                    result = this.blend(result, elevation, elevationModel.opacity);
+                }
+            }
+
+            return result === null ? 0 : result;
+        };
+
+        /**
+         * Returns the elevations at locations within a specified sector. Each location is given the elevation of the
+         * elevation model achieving the best resolution there. Among models achieving the same resolution, the one
+         * with the highest priority is chosen.
+         * @param {Sector} sector The sector for which to determine the elevations.
+         * @param {Number} numLat The number of latitudinal sample locations within the sector.
+         * @param {Number} numLon The number of longitudinal sample locations within the sector.
+         * @param {Number} targetResolution The desired elevation resolution, in radians. (To compute radians from
+         * meters, divide the number of meters by the globe's radius.)
+         * @param {Number[]} result An array in which to return the requested elevations.
+         * @returns {Number} The resolution actually achieved, which may be greater than that requested if the
+         * elevation data for the requested resolution is not currently available.
+         * @throws {ArgumentError} If the specified sector or result array is null or undefined, or if either of the
+         * specified numLat or numLon values is less than one.
+         */
+        CompoundElevationModel.prototype.elevationsForGrid = function (sector, numLat, numLon, targetResolution,
+                                                                       result) {
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "CompoundElevationModel", "elevationsForGrid",
+                        "missingSector"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "CompoundElevationModel", "elevationsForGrid",
+                        "missingResult"));
+            }
+
+            if (!numLat || !numLon || numLat < 1 || numLon < 1) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "CompoundElevationModel", "elevationsForGrid",
+                        "The specified number of latitudinal or longitudinal positions is less than one."));
+            }
+
+            var numLocations = numLat * numLon,
+                elevations = this.scratchElevations,
+                resolutions = this.scratchResolutions,
+                achievedResolution = 0,
+                i, j, len;
+
+            if (!elevations || elevations.length < numLocations) {
+                elevations = this.scratchElevations = new Float64Array(numLocations);
+                resolutions = this.scratchResolutions = new Float64Array(numLocations);
+            }
+
+            // A resolution of zero marks the locations not yet spanned by any elevation model.
+            for (j = 0; j < numLocations; j++) {
+                resolutions[j] = 0;
+            }
+
+            for (i = 0, len = this.entries.length; i < len; i++) {
+                var elevationModel = this.entries[i].elevationModel;
+                if (!elevationModel.coverageSector || !elevationModel.coverageSector.intersects(sector)) {
+                    continue;
+                }
+
+                // Elevation models leave the locations outside their coverage area unmodified, so NaN identifies them.
+                for (j = 0; j < numLocations; j++) {
+                    elevations[j] = NaN;
+                }
+
+                var resolution = elevationModel.elevationsForGrid(sector, numLat, numLon, targetResolution,
+                    elevations);
+                if (!resolution || resolution < 0) {
+                    resolution = Number.MAX_VALUE; // the model did not report the resolution it achieved
+                }
+
+                var used = false;
+                for (j = 0; j < numLocations; j++) {
+                    if (isNaN(elevations[j])) {
+                        continue;
+                    }
+
+                    if (resolutions[j] === 0) {
+                        result[j] = elevations[j];
+                        resolutions[j] = resolution;
+                        used = true;
+                    } else if (resolution <= resolutions[j]) {
+                        result[j] = this.blend(result[j], elevations[j], elevationModel.opacity);
+                        resolutions[j] = resolution;
+                        used = true;
+                    }
+                }
+
+                if (used && achievedResolution < resolution) {
+                    achievedResolution = resolution;
+                }
+            }
+
+            return achievedResolution;
+        };
+
+        // Blends an elevation over an elevation beneath it according to an opacity. Internal use only.
+        CompoundElevationModel.prototype.blend = function (lowerElevation, elevation, opacity) {
+            if (lowerElevation === null || opacity >= 1) {
+                return elevation;
+            }
+
+            return lowerElevation + (elevation - lowerElevation) * opacity;
+        };
+
+        return CompoundElevationModel;
+    });
@@ -145,6 +145,15 @@ define([
              */
             this.pixelIsPoint = true;
 
+            /**
+             * This elevation model's opacity when it is combined with other elevation models by a
+             * {@link CompoundElevationModel}. An opacity less than 1 blends this model's elevations with the
+             * elevations of the lower priority models beneath it.
+             * @type {Number}
+             * @default 1
+             */
+            this.opacity = 1;
+
             /**
              * The {@link LevelSet} created during construction of this elevation model.
              * @type {LevelSet}
@@ -0,0 +1,408 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports GeoTiffElevationModel
+ */
+define([
+        '../error/ArgumentError',
+        '../globe/ElevationModel',
+        '../formats/geotiff/GeoTiffReader',
+        '../geom/Angle',
+        '../geom/Location',
+        '../util/Logger',
+        '../geom/Sector',
+        '../util/WWMath'],
+    function (ArgumentError,
+              ElevationModel,
+              GeoTiffReader,
+              Angle,
+              Location,
+              Logger,
+              Sector,
+              WWMath) {
+        "use strict";
+
+        /**
+         * Constructs an elevation model whose elevations are read from GeoTIFF files.
+         * @alias GeoTiffElevationModel
+         * @constructor
+         * @classdesc Represents the elevations of one or more GeoTIFF digital elevation models. The GeoTIFFs are
+         * read in their entirety when they are added to this elevation model and may be in any of the coordinate
+         * systems supported by {@link GeoTiffReader}. Elevations of locations outside the GeoTIFFs, and of locations
+         * whose samples are all NODATA, are drawn from an optional base elevation model. When GeoTIFFs overlap, the
+         * one added last takes precedence.
+         * <p>
+         *     To show the GeoTIFFs' elevations in the terrain, composite them over the globe's current elevation
+         *     model:
+         *     <pre>
+         *     wwd.globe.elevationModel = new WorldWind.GeoTiffElevationModel([file], wwd.globe.elevationModel);
+         *     </pre>
+         * @augments ElevationModel
+         * @param {Array} sources The GeoTIFFs to read. Each may be a URL, an ArrayBuffer or a Blob such as a File
+         * chosen by the user. May be empty, in which case GeoTIFFs may be added later by calling
+         * [addGeoTiff]{@link GeoTiffElevationModel#addGeoTiff}.
+         * @param {ElevationModel} baseElevationModel The elevation model providing elevations where the GeoTIFFs do
+         * not. May be null or undefined, in which case those elevations are 0.
+         * @throws {ArgumentError} If the specified sources array is null or undefined.
+         */
+        var GeoTiffElevationModel = function (sources, baseElevationModel) {
+            if (!sources) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffElevationModel", "constructor", "missingArray"));
+            }
+
+            ElevationModel.call(this, Sector.FULL_SPHERE, new Location(45, 45), 1, " ", " ", 150, 150);
+
+            /**
+             * Indicates this elevation model's display name.
+             * @type {String}
+             * @default "GeoTIFF Elevations"
+             */
+            this.displayName = "GeoTIFF Elevations";
+
+            /**
+             * The elevation model providing elevations where this model's GeoTIFFs do not.
+             * @type {ElevationModel}
+             * @readonly
+             */
+            this.baseElevationModel = baseElevationModel || null;
+
+            /**
+             * The NODATA value of this model's GeoTIFFs. When null, the NODATA value specified by each GeoTIFF, if
+             * any, is used. This property must be set before the GeoTIFFs are added.
+             * @type {Number}
+             * @default null
+             */
+            this.noDataValue = null;
+
+            // The GeoTIFFs read so far, in the order they were read. Internal use only.
+            this.rasters = [];
+
+            this.coverageSector = this.baseElevationModel ?
+                new Sector(0, 0, 0, 0).copy(this.baseElevationModel.coverageSector) : null;
+            this.minElevation = this.baseElevationModel ? this.baseElevationModel.minElevation : 0;
+            this.maxElevation = this.baseElevationModel ? this.baseElevationModel.maxElevation : 0;
+
+            for (var i = 0, len = sources.length; i < len; i++) {
+                this.addGeoTiff(sources[i]);
+            }
+        };
+
+        GeoTiffElevationModel.prototype = Object.create(ElevationModel.prototype);
+
+        Object.defineProperties(GeoTiffElevationModel.prototype, {
+            /**
+             * Indicates the last time this elevation model or its base elevation model changed, in milliseconds
+             * since midnight Jan 1, 1970.
+             * @memberof GeoTiffElevationModel.prototype
+             * @type {Number}
+             * @readonly
+             */
+            timestamp: {
+                get: function () {
+                    var baseTimestamp = this.baseElevationModel ? this.baseElevationModel.timestamp : 0;
+                    return Math.max(this._timestamp, baseTimestamp);
+                },
+                set: function (value) {
+                    this._timestamp = value;
+                }
+            }
+        });
+
+        /**
+         * Reads a GeoTIFF and adds its elevations to this elevation model. The GeoTIFF is read asynchronously and a
+         * redraw is requested once its elevations are available.
+         * @param {String|ArrayBuffer|Blob} source The GeoTIFF's URL, or its content as an ArrayBuffer or a Blob.
+         * @param {Function} callback An optional function called with this elevation model when the GeoTIFF's
+         * elevations have been added.
+         * @param {Function} errorCallback An optional function called with a message if the GeoTIFF cannot be
+         * retrieved or read.
+         * @throws {ArgumentError} If the specified source is null or undefined.
+         */
+        GeoTiffElevationModel.prototype.addGeoTiff = function (source, callback, errorCallback) {
+            if (!source) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffElevationModel", "addGeoTiff", "missingResource"));
+            }
+
+            var reader = new GeoTiffReader(source);
+            reader.readAsData((function (elevations) {
+                this.addRaster(reader, elevations);
+
+                if (callback) {
+                    callback(this);
+                }
+
+                // Send an event to request a redraw.
+                var e = document.createEvent('Event');
+                e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+                window.dispatchEvent(e);
+            }).bind(this), errorCallback);
+        };
+
+        // Adds the elevations of a read GeoTIFF. Internal use only.
+        GeoTiffElevationModel.prototype.addRaster = function (reader, elevations) {
+            var metadata = reader.metadata,
+                noData = this.noDataValue,
+                minElevation = Number.MAX_VALUE,
+                maxElevation = -Number.MAX_VALUE;
+
+            if (!elevations) {
+                Logger.log(Logger.LEVEL_WARNING, "GeoTiff sample format not supported: " + reader.url);
+                return;
+            }
+
+            if (!reader.isProjectionSupported()) {
+                Logger.log(Logger.LEVEL_WARNING, "GeoTiff elevations not added, since the GeoTiff's projection " +
+                    "is not supported: " + reader.url);
+                return;
+            }
+
+            if (noData === null && metadata.noData !== null && metadata.noData !== undefined) {
+                noData = parseFloat(metadata.noData);
+            }
+
+            if (noData !== null && ArrayBuffer.isView(elevations)) {
+                // Represent the NODATA value as the elevations do, so that float NODATA values compare equal.
+                noData = new elevations.constructor([noData])[0];
+            }
+
+            for (var i = 0, len = elevations.length; i < len; i++) {
+                var elevation = elevations[i];
+                if (elevation !== noData && !isNaN(elevation)) {
+                    minElevation = Math.min(minElevation, elevation);
+                    maxElevation = Math.max(maxElevation, elevation);
+                }
+            }
+
+            if (minElevation > maxElevation) {
+                Logger.log(Logger.LEVEL_WARNING, "GeoTiff contains no elevations: " + reader.url);
+                return;
+            }
+
+            var raster = {
+                reader: reader,
+                elevations: elevations,
+                width: metadata.imageWidth,
+                height: metadata.imageLength,
+                sector: metadata.bbox,
+                noData: noData,
+                minElevation: minElevation,
+                maxElevation: maxElevation
+            };
+            this.rasters.push(raster);
+
+            if (this.coverageSector) {
+                this.coverageSector.union(raster.sector);
+            } else {
+                this.coverageSector = new Sector(0, 0, 0, 0).copy(raster.sector);
+            }
+
+            if (this.rasters.length === 1 && !this.baseElevationModel) {
+                this.minElevation = minElevation;
+                this.maxElevation = maxElevation;
+            } else {
+                this.minElevation = Math.min(this.minElevation, minElevation);
+                this.maxElevation = Math.max(this.maxElevation, maxElevation);
+            }
+
+            this.timestamp = Date.now();
+        };
+
+        /**
+         * Returns the minimum and maximum elevations within a specified sector. The extremes of each GeoTIFF
+         * intersecting the sector are included in their entirety.
+         * @param {Sector} sector The sector for which to determine extreme elevations.
+         * @returns {Number[]} An array containing the minimum and maximum elevations within the specified sector,
+         * or null if the specified sector is outside this elevation model's coverage area.
+         * @throws {ArgumentError} If the specified sector is null or undefined.
+         */
+        GeoTiffElevationModel.prototype.minAndMaxElevationsForSector = function (sector) {
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffElevationModel", "minAndMaxElevationsForSector",
+                        "missingSector"));
+            }
+
+            var result = this.baseElevationModel ? this.baseElevationModel.minAndMaxElevationsForSector(sector) : null;
+
+            for (var i = 0, len = this.rasters.length; i < len; i++) {
+                var raster = this.rasters[i];
+                if (raster.sector.intersects(sector)) {
+                    if (result) {
+                        result = [Math.min(result[0], raster.minElevation), Math.max(result[1], raster.maxElevation)];
+                    } else {
+                        result = [raster.minElevation, raster.maxElevation];
+                    }
+                }
+            }
+
+            return result;
+        };
+
+        /**
+         * Returns the elevation at a specified location.
+         * @param {Number} latitude The location's latitude in degrees.
+         * @param {Number} longitude The location's longitude in degrees.
+         * @returns {Number} The elevation at the specified location, in meters. Returns zero if the location is
+         * outside the coverage area of this elevation model.
+         */
+        GeoTiffElevationModel.prototype.elevationAtLocation = function (latitude, longitude) {
+            var elevation = this.rasterElevationAtLocation(latitude, longitude);
+            if (elevation !== null) {
+                return elevation;
+            }
+
+            return this.baseElevationModel ? this.baseElevationModel.elevationAtLocation(latitude, longitude) : 0;
+        };
+
+        /**
+         * Returns the elevations at locations within a specified sector.
+         * @param {Sector} sector The sector for which to determine the elevations.
+         * @param {Number} numLat The number of latitudinal sample locations within the sector.
+         * @param {Number} numLon The number of longitudinal sample locations within the sector.
+         * @param {Number} targetResolution The desired elevation resolution, in radians. (To compute radians from
+         * meters, divide the number of meters by the globe's radius.)
+         * @param {Number[]} result An array in which to return the requested elevations.
+         * @returns {Number} The resolution actually achieved, which may be greater than that requested if the
+         * elevation data for the requested resolution is not currently available.
+         * @throws {ArgumentError} If the specified sector or result array is null or undefined, or if either of the
+         * specified numLat or numLon values is less than one.
+         */
+        GeoTiffElevationModel.prototype.elevationsForGrid = function (sector, numLat, numLon, targetResolution,
+                                                                      result) {
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffElevationModel", "elevationsForGrid",
+                        "missingSector"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffElevationModel", "elevationsForGrid",
+                        "missingResult"));
+            }
+
+            if (!numLat || !numLon || numLat < 1 || numLon < 1) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffElevationModel", "elevationsForGrid",
+                        "The specified number of latitudinal or longitudinal positions is less than one."));
+            }
+
+            var resolution = 0;
+            if (this.baseElevationModel) {
+                resolution = this.baseElevationModel.elevationsForGrid(sector, numLat, numLon, targetResolution,
+                    result);
+            }
+
+            var rasters = [];
+            for (var i = 0, len = this.rasters.length; i < len; i++) {
+                if (this.rasters[i].sector.intersects(sector)) {
+                    rasters.push(this.rasters[i]);
+                }
+            }
+
+            if (rasters.length === 0) {
+                return resolution;
+            }
+
+            var minLat = sector.minLatitude,
+                maxLat = sector.maxLatitude,
+                minLon = sector.minLongitude,
+                maxLon = sector.maxLongitude,
+                deltaLat = sector.deltaLatitude() / (numLat > 1 ? numLat - 1 : 1),
+                deltaLon = sector.deltaLongitude() / (numLon > 1 ? numLon - 1 : 1),
+                lat, lon, elevation,
+                latIndex, lonIndex, resultIndex = 0;
+
+            for (latIndex = 0, lat = minLat; latIndex < numLat; latIndex += 1, lat += deltaLat) {
+                if (latIndex === numLat - 1) {
+                    lat = maxLat; // explicitly set the last lat to the max latitude ensure alignment
+                }
+
+                for (lonIndex = 0, lon = minLon; lonIndex < numLon; lonIndex += 1, lon += deltaLon) {
+                    if (lonIndex === numLon - 1) {
+                        lon = maxLon; // explicitly set the last lon to the max longitude ensure alignment
+                    }
+
+                    elevation = this.rasterElevationAtLocation(lat, lon, rasters);
+                    if (elevation !== null) { // leave the base elevation model's elevation otherwise
+                        result[resultIndex] = elevation;
+                    }
+
+                    resultIndex++;
+                }
+            }
+
+            for (i = 0, len = rasters.length; i < len; i++) {
+                var rasterResolution = rasters[i].sector.deltaLatitude() * Angle.DEGREES_TO_RADIANS /
+                    rasters[i].height;
+                if (!resolution || resolution > rasterResolution) {
+                    resolution = rasterResolution;
+                }
+            }
+
+            return resolution;
+        };
+
+        // Returns the elevation of the topmost GeoTIFF with an elevation at a location, or null if there is no such
+        // GeoTIFF. Internal use only.
+        GeoTiffElevationModel.prototype.rasterElevationAtLocation = function (latitude, longitude, rasters) {
+            rasters = rasters || this.rasters;
+
+            for (var i = rasters.length - 1; i >= 0; i--) {
+                if (rasters[i].sector.containsLocation(latitude, longitude)) {
+                    var elevation = this.rasterElevation(rasters[i], latitude, longitude);
+                    if (elevation !== null) {
+                        return elevation;
+                    }
+                }
+            }
+
+            return null;
+        };
+
+        // Bilinearly interpolates the elevations of a GeoTIFF at a location, ignoring NODATA samples. Returns null if
+        // the location is outside the GeoTIFF or its surrounding samples are all NODATA. Internal use only.
+        GeoTiffElevationModel.prototype.rasterElevation = function (raster, latitude, longitude) {
+            var pixel = raster.reader.locationToGeoTiffImage(latitude, longitude),
+                width = raster.width,
+                height = raster.height;
+
+            if (pixel[0] < 0 || pixel[0] > width || pixel[1] < 0 || pixel[1] > height) {
+                return null;
+            }
+
+            // Samples are located at the pixel centers.
+            var u = pixel[0] - 0.5,
+                v = pixel[1] - 0.5,
+                x0 = WWMath.clamp(Math.floor(u), 0, width - 1),
+                y0 = WWMath.clamp(Math.floor(v), 0, height - 1),
+                x1 = Math.min(x0 + 1, width - 1),
+                y1 = Math.min(y0 + 1, height - 1),
+                xf = WWMath.clamp(u - x0, 0, 1),
+                yf = WWMath.clamp(v - y0, 0, 1),
+                samples = [
+                    raster.elevations[y0 * width + x0],
+                    raster.elevations[y0 * width + x1],
+                    raster.elevations[y1 * width + x0],
+                    raster.elevations[y1 * width + x1]
+                ],
+                weights = [(1 - xf) * (1 - yf), xf * (1 - yf), (1 - xf) * yf, xf * yf],
+                sum = 0,
+                weightSum = 0;
+
+            for (var i = 0; i < 4; i++) {
+                if (samples[i] !== raster.noData && !isNaN(samples[i]) && weights[i] > 0) {
+                    sum += weights[i] * samples[i];
+                    weightSum += weights[i];
+                }
+            }
+
+            return weightSum > 0 ? sum / weightSum : null;
+        };
+
+        return GeoTiffElevationModel;
+    });
@@ -0,0 +1,586 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports GeoTiffLayer
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Color',
+        '../formats/geotiff/GeoTiffReader',
+        '../util/LevelSet',
+        '../geom/Location',
+        '../util/Logger',
+        '../cache/MemoryCache',
+        '../geom/Sector',
+        '../layer/TiledImageLayer',
+        '../formats/geotiff/TiffConstants',
+        '../util/WWMath',
+        '../util/WWUtil'
+    ],
+    function (ArgumentError,
+              Color,
+              GeoTiffReader,
+              LevelSet,
+              Location,
+              Logger,
+              MemoryCache,
+              Sector,
+              TiledImageLayer,
+              TiffConstants,
+              WWMath,
+              WWUtil) {
+        "use strict";
+
+        /**
+         * Constructs a GeoTiff layer.
+         * @alias GeoTiffLayer
+         * @constructor
+         * @augments TiledImageLayer
+         * @classdesc Displays a GeoTiff image, which may be much larger than the images displayable by
+         * [GeoTiffReader.readAsImage]{@link GeoTiffReader#readAsImage}. Only the GeoTiff's header is read when the
+         * layer is constructed. The strips or tiles of the GeoTiff, or of its internal overviews when the GeoTiff has
+         * them, are then read as the layer's tiles are needed, using HTTP range requests when the GeoTiff is a URL.
+         * <p>
+         * Grayscale, RGB and palette (ColorMap) images are supported. The bands displayed may be chosen with the
+         * [bands]{@link GeoTiffLayer#bands} property and are linearly stretched to the ranges in the
+         * [bandRanges]{@link GeoTiffLayer#bandRanges} property. A single band of scientific values may instead be
+         * colored by a {@link RasterSymbolizer} assigned to the [symbolizer]{@link GeoTiffLayer#symbolizer} property.
+         * Pixels whose samples equal the GeoTiff's NODATA value are transparent.
+         * @param {String|ArrayBuffer|Blob} source The GeoTiff's URL, or its content as an ArrayBuffer or a Blob such
+         * as a File chosen by the user.
+         * @param {String} displayName This layer's display name. May be null or undefined, in which case the display
+         * name is "GeoTiff".
+         * @param {Function} callback An optional function called with this layer when the GeoTiff's header has been
+         * read and the layer is ready to display.
+         * @throws {ArgumentError} If the specified source is null or undefined.
+         */
+        var GeoTiffLayer = function (source, displayName, callback) {
+            if (!source) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffLayer", "constructor", "missingResource"));
+            }
+
+            // The sector and levels are replaced by those of the GeoTiff once its header is read.
+            TiledImageLayer.call(this, Sector.FULL_SPHERE, new Location(45, 45), 1, "image/png",
+                "GeoTiffLayer " + WWUtil.guid(), 256, 256);
+
+            this.displayName = displayName || "GeoTiff";
+
+            /**
+             * The reader of this layer's GeoTiff.
+             * @type {GeoTiffReader}
+             * @readonly
+             */
+            this.reader = new GeoTiffReader(source);
+
+            /**
+             * The indices of the GeoTiff bands displayed by this layer. Either one band, which is displayed as a
+             * grayscale or palette image, or three bands, which are displayed as the red, green and blue components
+             * of the image. Call [refresh]{@link TiledImageLayer#refresh} after changing the displayed bands.
+             * @type {Number[]}
+             * @default [0, 1, 2] for RGB images, otherwise [0]
+             */
+            this.bands = null;
+
+            /**
+             * The index of the GeoTiff band holding the pixels' opacity, or null if the GeoTiff has no such band.
+             * @type {Number}
+             * @default The GeoTiff's alpha band, if any.
+             */
+            this.alphaBand = null;
+
+            /**
+             * The range of sample values of each GeoTiff band, indexed by band. The samples of each displayed band
+             * are linearly stretched from its range to the full range of color intensities. Call
+             * [refresh]{@link TiledImageLayer#refresh} after changing the ranges.
+             * @type {Array}
+             * @default [0, 255] for 8 bit bands, otherwise the range of the samples of the GeoTiff's lowest
+             * resolution image.
+             */
+            this.bandRanges = null;
+
+            /**
+             * The NODATA value of the GeoTiff. Pixels whose displayed samples equal this value are transparent.
+             * @type {Number}
+             * @default The GeoTiff's GDAL NODATA value, if any.
+             */
+            this.noDataValue = null;
+
+            /**
+             * The symbolizer coloring the samples of a single displayed band, typically a band of scientific values
+             * such as temperatures or vegetation indices. May be null, in which case the band is displayed as a
+             * grayscale or palette image. Call [refresh]{@link TiledImageLayer#refresh} after changing the
+             * symbolizer or its properties.
+             * @type {RasterSymbolizer}
+             * @default null
+             */
+            this.symbolizer = null;
+
+            /**
+             * Indicates whether the GeoTiff's header has been read and this layer is ready to display.
+             * @type {Boolean}
+             * @readonly
+             */
+            this.isReady = false;
+
+            // Internal use only. The metadata of the GeoTiff's images, from the highest resolution to the lowest.
+            this.images = [];
+
+            // Internal use only. Holds the decoded strips and tiles of the GeoTiff's images.
+            this.blockCache = new MemoryCache(50e6, 40e6);
+
+            // Internal use only. The callbacks waiting for each strip or tile being read.
+            this.blockRetrievals = {};
+
+            // Internal use only. Scratch color used when a symbolizer colors the samples.
+            this.scratchColor = new Color(0, 0, 0, 0);
+
+            this.reader.readHeader((function () {
+                if (!this.reader.isProjectionSupported()) {
+                    // The GeoTiff's location is not known, so the layer stays unready and displays nothing.
+                    Logger.log(Logger.LEVEL_WARNING, "GeoTiffLayer cannot display " + this.displayName +
+                        ": the GeoTiff's projection is not supported.");
+                    return;
+                }
+
+                this.setupImages((function () {
+                    this.isReady = true;
+                    this.currentTilesInvalid = true;
+
+                    if (callback) {
+                        callback(this);
+                    }
+
+                    // Send an event to request a redraw.
+                    var e = document.createEvent('Event');
+                    e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+                    window.dispatchEvent(e);
+                }).bind(this));
+            }).bind(this), null, (function (message) {
+                // The layer stays unready and displays nothing.
+                Logger.log(Logger.LEVEL_WARNING, "GeoTiffLayer cannot display " + this.displayName + ": " + message);
+            }).bind(this));
+        };
+
+        GeoTiffLayer.prototype = Object.create(TiledImageLayer.prototype);
+
+        // Determines this layer's images, levels and default display properties from the GeoTiff's header.
+        // Internal use only.
+        GeoTiffLayer.prototype.setupImages = function (callback) {
+            var metadata = this.reader.metadata,
+                samplesPerPixel = metadata.samplesPerPixel || 1,
+                overview;
+
+            this.images = [metadata];
+            // Masks are distinguished from overviews by their photometric interpretation.
+            for (var i = 1; (overview = this.reader.getImageMetadata(i)); i++) {
+                var isMask = overview.photometricInterpretation ===
+                    TiffConstants.PhotometricInterpretation.TRANSPARENCY_MASK;
+
+                if (!isMask && (overview.samplesPerPixel || 1) === samplesPerPixel &&
+                    overview.imageWidth < metadata.imageWidth) {
+                    this.images.push(overview);
+                }
+            }
+            this.images.sort(function (imageA, imageB) {
+                return imageB.imageWidth - imageA.imageWidth;
+            });
+
+            // Choose levels whose last level's resolution matches the resolution of the GeoTiff.
+            var sector = metadata.bbox,
+                pixelSize = sector.deltaLatitude() / metadata.imageLength,
+                levelZeroDelta = Math.min(45, Math.max(sector.deltaLatitude(), sector.deltaLongitude())),
+                numLevels = Math.max(1, Math.ceil(Math.log(levelZeroDelta / 256 / pixelSize) / Math.LN2) + 1);
+
+            this.levels = new LevelSet(sector, new Location(levelZeroDelta, levelZeroDelta), numLevels, 256, 256);
+            this.topLevelTiles = null;
+
+            if (!this.bands) {
+                this.bands = samplesPerPixel >= 3 &&
+                metadata.photometricInterpretation === TiffConstants.PhotometricInterpretation.RGB ? [0, 1, 2] : [0];
+            }
+
+            var extraSamples = metadata.extraSamples;
+            if (this.alphaBand === null && extraSamples && (extraSamples[0] === 1 || extraSamples[0] === 2)) {
+                this.alphaBand = samplesPerPixel - extraSamples.length; // associated or unassociated alpha
+            }
+
+            if (this.noDataValue === null && metadata.noData !== null && metadata.noData !== undefined) {
+                this.noDataValue = parseFloat(metadata.noData);
+            }
+
+            if (this.bandRanges) {
+                callback();
+            } else {
+                this.computeBandRanges(callback);
+            }
+        };
+
+        // Determines the range of each band's samples. 8 bit bands span their full range, and the other bands span
+        // the range of the samples of the lowest resolution image. Internal use only.
+        GeoTiffLayer.prototype.computeBandRanges = function (callback) {
+            var metadata = this.reader.metadata,
+                bitsPerSample = metadata.bitsPerSample,
+                ranges = [],
+                layer = this,
+                b;
+
+            for (b = 0; b < bitsPerSample.length; b++) {
+                ranges[b] = bitsPerSample[b] === 8 ? [0, 255] : null;
+            }
+
+            var image = this.images[this.images.length - 1],
+                offsets = image.tileOffsets || image.stripOffsets,
+                remaining = offsets.length,
+                isPlanar = image.planarConfiguration === TiffConstants.PlanarConfiguration.PLANAR,
+                blocksPerPlane = offsets.length / bitsPerSample.length;
+
+            var finish = function () {
+                for (b = 0; b < ranges.length; b++) {
+                    if (!ranges[b] || ranges[b][0] > ranges[b][1]) {
+                        ranges[b] = [0, Math.pow(2, bitsPerSample[b]) - 1];
+                    } else if (ranges[b][0] === ranges[b][1]) {
+                        ranges[b][1] = ranges[b][0] + 1;
+                    }
+                }
+
+                layer.bandRanges = ranges;
+                callback();
+            };
+
+            if (ranges.every(function (range) {
+                    return range;
+                }) || image.imageWidth * image.imageLength > 4194304) {
+                finish(); // either no band needs its samples examined or they are too many to read
+                return;
+            }
+
+            var scanBlock = function (blockIndex, pixels) {
+                var firstBand = isPlanar ? Math.floor(blockIndex / blocksPerPlane) : 0;
+
+                for (var i = 0, len = pixels.length; i < len; i++) {
+                    for (var s = 0; s < pixels[i].length; s++) {
+                        var band = firstBand + s,
+                            value = pixels[i][s];
+
+                        if (bitsPerSample[band] === 8 || value === layer.noDataValue || isNaN(value)) {
+                            continue;
+                        }
+
+                        if (!ranges[band]) {
+                            ranges[band] = [Number.MAX_VALUE, -Number.MAX_VALUE];
+                        }
+                        ranges[band][0] = Math.min(ranges[band][0], value);
+                        ranges[band][1] = Math.max(ranges[band][1], value);
+                    }
+                }
+
+                if (--remaining === 0) {
+                    finish();
+                }
+            };
+
+            // Blocks that cannot be read are skipped, and bands without samples span their full range.
+            var skipBlock = function () {
+                if (--remaining === 0) {
+                    finish();
+                }
+            };
+
+            for (var blockIndex = 0; blockIndex < offsets.length; blockIndex++) {
+                this.reader.readBlock(image, blockIndex, scanBlock.bind(null, blockIndex), skipBlock);
+            }
+        };
+
+        // Documented in superclass.
+        GeoTiffLayer.prototype.doRender = function (dc) {
+            if (this.isReady) {
+                TiledImageLayer.prototype.doRender.call(this, dc);
+            }
+        };
+
+        // Documented in superclass.
+        GeoTiffLayer.prototype.retrieveTileImage = function (dc, tile, suppressRedraw) {
+            if (this.currentRetrievals.indexOf(tile.imagePath) >= 0 ||
+                this.absentResourceList.isResourceAbsent(tile.imagePath)) {
+                return;
+            }
+
+            var imagePath = tile.imagePath,
+                cache = dc.gpuResourceCache,
+                canvas = dc.currentGlContext.canvas,
+                layer = this;
+
+            this.currentRetrievals.push(imagePath);
+
+            this.createTileImageData(tile, function (imageData) {
+                var tileCanvas = document.createElement("canvas"),
+                    ctx2D;
+
+                tileCanvas.width = tile.tileWidth;
+                tileCanvas.height = tile.tileHeight;
+                ctx2D = tileCanvas.getContext("2d");
+
+                var canvasImageData = ctx2D.createImageData(tile.tileWidth, tile.tileHeight);
+                canvasImageData.data.set(imageData);
+                ctx2D.putImageData(canvasImageData, 0, 0);
+
+                var texture = layer.createTexture(dc, tile, tileCanvas);
+                layer.removeFromCurrentRetrievals(imagePath);
+
+                if (texture) {
+                    cache.putResource(imagePath, texture, texture.size);
+
+                    layer.currentTilesInvalid = true;
+                    layer.absentResourceList.unmarkResourceAbsent(imagePath);
+
+                    if (!suppressRedraw) {
+                        // Send an event to request a redraw.
+                        var e = document.createEvent('Event');
+                        e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+                        canvas.dispatchEvent(e);
+                    }
+                }
+            }, function () {
+                layer.removeFromCurrentRetrievals(imagePath);
+                layer.absentResourceList.markResourceAbsent(imagePath);
+            });
+        };
+
+        // Returns the lowest resolution image whose pixels are no larger than a tile's texels, or the highest
+        // resolution image if there is no such image. Internal use only.
+        GeoTiffLayer.prototype.imageForTile = function (tile) {
+            var texelSize = tile.level.tileDelta.latitude / tile.level.tileHeight,
+                sector = this.reader.metadata.bbox;
+
+            for (var i = this.images.length - 1; i > 0; i--) {
+                if (sector.deltaLatitude() / this.images[i].imageLength <= texelSize) {
+                    return this.images[i];
+                }
+            }
+
+            return this.images[0];
+        };
+
+        // Computes the RGBA pixels of a tile, reading the GeoTiff strips or tiles they need, and passes them to a
+        // callback. The error callback is called once instead if a strip or tile cannot be read. Internal use only.
+        GeoTiffLayer.prototype.createTileImageData = function (tile, callback, errorCallback) {
+            var width = tile.tileWidth,
+                height = tile.tileHeight,
+                sector = tile.sector,
+                deltaLat = sector.deltaLatitude() / height,
+                deltaLon = sector.deltaLongitude() / width,
+                image = this.imageForTile(tile),
+                imageIndex = this.images.indexOf(image),
+                scaleX = image.imageWidth / this.reader.metadata.imageWidth,
+                scaleY = image.imageLength / this.reader.metadata.imageLength,
+                isTiled = !!image.tileOffsets,
+                blockWidth = isTiled ? image.tileWidth : image.imageWidth,
+                blockLength = isTiled ? image.tileLength : (image.rowsPerStrip || image.imageLength),
+                blocksAcross = Math.ceil(image.imageWidth / blockWidth),
+                blockIndices = new Int32Array(width * height),
+                pixelIndices = new Int32Array(width * height),
+                neededBlocks = [],
+                x, y, index;
+
+            // Locate each tile pixel's center within the image.
+            for (y = 0, index = 0; y < height; y++) {
+                var latitude = sector.maxLatitude - (y + 0.5) * deltaLat;
+
+                for (x = 0; x < width; x++, index++) {
+                    var longitude = sector.minLongitude + (x + 0.5) * deltaLon,
+                        imagePoint = this.reader.locationToGeoTiffImage(latitude, longitude),
+                        imageX = Math.floor(imagePoint[0] * scaleX),
+                        imageY = Math.floor(imagePoint[1] * scaleY);
+
+                    if (imageX < 0 || imageX >= image.imageWidth || imageY < 0 || imageY >= image.imageLength) {
+                        blockIndices[index] = -1;
+                        continue;
+                    }
+
+                    var blockIndex = Math.floor(imageY / blockLength) * blocksAcross + Math.floor(imageX / blockWidth);
+                    blockIndices[index] = blockIndex;
+                    pixelIndices[index] = (imageY % blockLength) * blockWidth + imageX % blockWidth;
+
+                    if (neededBlocks.indexOf(blockIndex) < 0) {
+                        neededBlocks.push(blockIndex);
+                    }
+                }
+            }
+
+            // Planar images hold each band in separate strips or tiles.
+            var bands = this.alphaBand !== null ? this.bands.concat([this.alphaBand]) : this.bands,
+                isPlanar = image.planarConfiguration === TiffConstants.PlanarConfiguration.PLANAR,
+                offsets = image.tileOffsets || image.stripOffsets,
+                blocksPerPlane = isPlanar ? offsets.length / image.bitsPerSample.length : 0,
+                planes = isPlanar ? bands : [0],
+                blocks = {},
+                remaining = neededBlocks.length * planes.length,
+                failed = false,
+                layer = this;
+
+            var compose = function () {
+                var result = new Uint8ClampedArray(width * height * 4),
+                    samples = new Array(layer.bands.length),
+                    numBands = layer.bands.length,
+                    alpha;
+
+                for (index = 0; index < width * height; index++) {
+                    if (blockIndices[index] < 0) {
+                        continue; // outside the image, so transparent
+                    }
+
+                    for (var b = 0; b < bands.length; b++) {
+                        var value = isPlanar ?
+                            blocks[bands[b] * blocksPerPlane + blockIndices[index]][pixelIndices[index]][0] :
+                            blocks[blockIndices[index]][pixelIndices[index]][bands[b]];
+
+                        if (b < numBands) {
+                            samples[b] = value;
+                        } else {
+                            alpha = value;
+                        }
+                    }
+
+                    layer.pixelColor(samples, layer.alphaBand !== null ? alpha : null, result, index * 4);
+                }
+
+                callback(result);
+            };
+
+            if (remaining === 0) {
+                compose();
+                return;
+            }
+
+            var addBlock = function (blockIndex, pixels) {
+                blocks[blockIndex] = pixels;
+                if (--remaining === 0 && !failed) {
+                    compose();
+                }
+            };
+
+            var fail = function (message) {
+                if (!failed) {
+                    failed = true;
+                    errorCallback(message);
+                }
+            };
+
+            for (var i = 0; i < neededBlocks.length; i++) {
+                for (var p = 0; p < planes.length; p++) {
+                    var planeBlockIndex = planes[p] * blocksPerPlane + neededBlocks[i];
+                    this.retrieveBlock(image, imageIndex, planeBlockIndex, addBlock.bind(null, planeBlockIndex), fail);
+                }
+            }
+        };
+
+        // Passes the decoded pixels of a strip or tile of an image to a callback, reading the strip or tile unless
+        // it is cached or already being read. The error callbacks of all waiting requests are called if the strip or
+        // tile cannot be read, and the next request reads it again. Internal use only.
+        GeoTiffLayer.prototype.retrieveBlock = function (image, imageIndex, blockIndex, callback, errorCallback) {
+            var key = imageIndex + "." + blockIndex,
+                pixels = this.blockCache.entryForKey(key);
+
+            if (pixels) {
+                callback(pixels);
+                return;
+            }
+
+            var request = {callback: callback, errorCallback: errorCallback};
+
+            if (this.blockRetrievals[key]) {
+                this.blockRetrievals[key].push(request);
+                return;
+            }
+
+            this.blockRetrievals[key] = [request];
+
+            var layer = this;
+            this.reader.readBlock(image, blockIndex, function (pixels) {
+                var requests = layer.blockRetrievals[key],
+                    size = pixels.length * (pixels.length > 0 ? pixels[0].length * 8 + 32 : 0);
+
+                delete layer.blockRetrievals[key];
+                layer.blockCache.putEntry(key, pixels, Math.max(size, 1));
+
+                for (var i = 0; i < requests.length; i++) {
+                    requests[i].callback(pixels);
+                }
+            }, function (message) {
+                var requests = layer.blockRetrievals[key];
+
+                delete layer.blockRetrievals[key];
+
+                for (var i = 0; i < requests.length; i++) {
+                    if (requests[i].errorCallback) {
+                        requests[i].errorCallback(message);
+                    }
+                }
+            });
+        };
+
+        // Computes the RGBA color of a pixel from the samples of its displayed bands and its alpha sample, if any.
+        // Internal use only.
+        GeoTiffLayer.prototype.pixelColor = function (samples, alpha, result, offset) {
+            var metadata = this.reader.metadata,
+                photometricInterpretation = metadata.photometricInterpretation,
+                colorMap = metadata.colorMap,
+                i;
+
+            for (i = 0; i < samples.length; i++) {
+                if (isNaN(samples[i]) || this.isNoData(samples[i])) {
+                    return; // transparent
+                }
+            }
+
+            if (samples.length === 1 && this.symbolizer) {
+                var color = this.symbolizer.colorForValue(samples[0], this.scratchColor);
+                result[offset] = Math.round(color.red * 255);
+                result[offset + 1] = Math.round(color.green * 255);
+                result[offset + 2] = Math.round(color.blue * 255);
+                result[offset + 3] = Math.round(color.alpha * (alpha === null ? 255 :
+                        this.stretch(alpha, this.alphaBand)));
+                return;
+            } else if (samples.length === 1 && colorMap &&
+                photometricInterpretation === TiffConstants.PhotometricInterpretation.RGB_PALETTE) {
+                // Color map entries are 16 bit intensities, all red intensities first, then green, then blue.
+                var numColors = colorMap.length / 3;
+                result[offset] = colorMap[samples[0]] >>> 8;
+                result[offset + 1] = colorMap[numColors + samples[0]] >>> 8;
+                result[offset + 2] = colorMap[2 * numColors + samples[0]] >>> 8;
+            } else if (samples.length >= 3) {
+                for (i = 0; i < 3; i++) {
+                    result[offset + i] = this.stretch(samples[i], this.bands[i]);
+                }
+            } else {
+                var gray = this.stretch(samples[0], this.bands[0]);
+                if (photometricInterpretation === TiffConstants.PhotometricInterpretation.WHITE_IS_ZERO) {
+                    gray = 255 - gray;
+                }
+                result[offset] = result[offset + 1] = result[offset + 2] = gray;
+            }
+
+            result[offset + 3] = alpha === null ? 255 : this.stretch(alpha, this.alphaBand);
+        };
+
+        // Linearly stretches a sample of a band from the band's range to the range of color intensities.
+        // Internal use only.
+        GeoTiffLayer.prototype.stretch = function (value, band) {
+            var range = this.bandRanges[band] || [0, 255];
+
+            return WWMath.clamp(Math.round((value - range[0]) / (range[1] - range[0]) * 255), 0, 255);
+        };
+
+        // Indicates whether a sample is the NODATA value. Float samples are compared at single precision, since
+        // that is how the NODATA value was stored. Internal use only.
+        GeoTiffLayer.prototype.isNoData = function (value) {
+            var noData = this.noDataValue;
+
+            return noData !== null && (value === noData || Math.fround(value) === Math.fround(noData));
+        };
+
+        return GeoTiffLayer;
+    });
@@ -73,7 +73,8 @@ define([
 
             /**
              * The time to display. This property selects the layer contents that represents the specified time.
-             * If null, layer-type dependent contents are displayed.
+             * If null, layer-type dependent contents are displayed. This property is ignored while the World Window's
+             * [time controller]{@link WorldWindow#timeController} specifies a current time.
              * @type {Date}
              */
             this.time = null;
@@ -122,6 +123,18 @@ define([
             // Default implementation does nothing.
         };
 
+        /**
+         * Returns the time this layer displays during the current frame. This is the current time of the World
+         * Window being rendered, if that time is specified, otherwise this layer's [time]{@link Layer#time} property.
+         * Time-aware layers call this function to select the contents to display.
+         * @param {DrawContext} dc The current draw context.
+         * @returns {Date} The time to display, or null if neither the World Window nor this layer specify a time.
+         * @protected
+         */
+        Layer.prototype.timeToDisplay = function (dc) {
+            return dc.currentTime || this.time;
+        };
+
         /* INTENTIONALLY NOT DOCUMENTED
          * Indicates whether the current eye distance is within this layer's active-altitude range.
          * @param {DrawContext} dc The current draw context.
@@ -30,19 +30,26 @@ define([
          * @constructor
          * @augments RenderableLayer
          * @classdesc Displays a Blue Marble image layer that spans the entire globe with a single image.
+         * @param {String} img_path The path to the image, relative to the World Wind library's base URL. An absolute
+         * URL, e.g., one with an http: or data: scheme, is used as is.
+         * @param {Sector} sector The sector spanned by the image. May be null or undefined, in which case the image
+         * spans the entire globe.
          */
-        var OneImageLayer = function (img_path) {
+        var OneImageLayer = function (img_path, sector) {
             RenderableLayer.call(this, "Weather Image");
 
             if (!img_path) {
                 this.imagePath = WorldWind.configuration.baseUrl + "/standalonedata/WORLD-CED/test/00.png";
                 //  this.imagePath = WorldWind.configuration.baseUrl + "/images/BMNG_world.topo.bathy.200405.3.2048x1024.jpg";
             }
+            else if (/^([a-z][a-z0-9+.\-]*:|\/\/)/i.test(img_path)) {
+                this.imagePath = img_path;
+            }
             else {
                 this.imagePath =  WorldWind.configuration.baseUrl + img_path;
             }
 
-            var surfaceImage = new SurfaceImage(Sector.FULL_SPHERE,
+            var surfaceImage = new SurfaceImage(sector || Sector.FULL_SPHERE,
                 this.imagePath);
 
             this.addRenderable(surfaceImage);
@@ -21,7 +21,8 @@ define([
          * @alias RenderableLayer
          * @constructor
          * @augments Layer
-         * @classdesc Provides a layer that contains shapes and other renderables.
+         * @classdesc Provides a layer that contains shapes and other renderables. Renderables whose
+         * [validity interval]{@link Renderable#beginTime} excludes the World Window's current time are not displayed.
          * @param {String} displayName This layer's display name.
          */
         var RenderableLayer = function (displayName) {
@@ -90,6 +91,12 @@ define([
             var numOrderedRenderablesAtStart = dc.orderedRenderables.length;
 
             for (var i = 0, len = this.renderables.length; i < len; i++) {
+                // Skip renderables outside the current time. Since this method also renders the pick frame,
+                // they are not pickable either.
+                if (this.renderables[i].isValidAtCurrentTime && !this.renderables[i].isValidAtCurrentTime(dc)) {
+                    continue;
+                }
+
                 try {
                     this.renderables[i].render(dc);
                 } catch (e) {
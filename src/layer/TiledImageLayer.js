@@ -181,7 +181,48 @@ define([
                     Logger.logMessage(Logger.LEVEL_SEVERE, "TiledImageLayer", "prePopulate", "missingWorldWindow"));
             }
 
-            var dc = wwd.drawContext;
+            this.retrieveCurrentTiles(wwd.drawContext);
+        };
+
+        /**
+         * Indicates whether the images of this layer's tiles that are visible in the specified World Window have been
+         * retrieved. Initiates retrieval of the images not yet retrieved, as does
+         * [prePopulateCurrentTiles]{@link TiledImageLayer#prePopulateCurrentTiles}.
+         * @param {WorldWindow} wwd The world window associated with this layer.
+         * @returns {Boolean} true if all images needed to display this layer in the current view have been
+         * retrieved, otherwise false.
+         * @throws {ArgumentError} If the specified world window is null or undefined.
+         */
+        TiledImageLayer.prototype.isCurrentViewPrePopulated = function (wwd) {
+            if (!wwd) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "TiledImageLayer", "isCurrentViewPrePopulated",
+                        "missingWorldWindow"));
+            }
+
+            this.retrieveCurrentTiles(wwd.drawContext);
+
+            if (this.currentRetrievals.length > 0) {
+                return false;
+            }
+
+            // Tiles whose images are missing are either displayed using an ancestor's image or not displayed at all.
+            // The latter case is detected above since their images are still being retrieved. Tiles whose images
+            // could not be retrieved are not retried until their absence expires, so they keep their ancestor's image
+            // and are not waited for.
+            for (var i = 0, len = this.currentTiles.length; i < len; i++) {
+                var tile = this.currentTiles[i];
+                if (tile.fallbackTile && !this.absentResourceList.isResourceAbsent(tile.imagePath)) {
+                    return false;
+                }
+            }
+
+            return true;
+        };
+
+        // Intentionally not documented. Determines the tiles visible in the current frame and initiates retrieval of
+        // their images.
+        TiledImageLayer.prototype.retrieveCurrentTiles = function (dc) {
             this.assembleTiles(dc);
 
             for (var i = 0, len = this.currentTiles.length; i < len; i++) {
@@ -7,68 +7,151 @@
  */
 define([
         '../error/ArgumentError',
+        '../layer/GeoTiffLayer',
         '../layer/Layer',
         '../util/Logger',
-        '../util/PeriodicTimeSequence'
+        '../layer/OneImageLayer',
+        '../util/PeriodicTimeSequence',
+        '../layer/RestTiledImageLayer',
+        '../geom/Sector',
+        '../util/TimeSeriesUtil',
+        '../layer/WmsLayer'
     ],
     function (ArgumentError,
+              GeoTiffLayer,
               Layer,
               Logger,
-              PeriodicTimeSequence) {
+              OneImageLayer,
+              PeriodicTimeSequence,
+              RestTiledImageLayer,
+              Sector,
+              TimeSeriesUtil,
+              WmsLayer) {
         "use strict";
 
         /**
-         * Constructs a Blue Marble layer.
+         * Constructs a time series layer.
          * @alias TimeSeriesLayer
          * @constructor
          * @augments Layer
-         * @classdesc Represents the 12 name collection of Blue Marble Next Generation imagery for the year 2004.
-         * By default the name of January is displayed, but this can be changed by setting this class' time
-         * property to indicate the name to display.
-         * @param {String} displayName The display name to assign this layer. Defaults to "Blue Marble" if null or
+         * @classdesc Displays a series of images, each associated with one time of a time sequence. Each image is
+         * displayed by a sub-layer created on demand by this layer's sub-layer factory. Only the sub-layer whose time
+         * is nearest the time to display is displayed during any frame, unless
+         * [blendFrames]{@link TimeSeriesLayer#blendFrames} is true.
+         * @param {String} displayName The display name to assign this layer. Defaults to "Time Series" if null or
          * undefined.
-         * @param {Date} initialTime A date value indicating the name to display. The nearest name to the specified
-         * time is displayed. January is displayed if this argument is null or undefined, i.e., new Date("2004-01");
-         * @param {{}} configuration An optional object with properties defining the layer configuration.
-         * See {@link RestTiledImageLayer} for a description of its contents. May be null, in which case default
-         * values are used.
+         * @param {Date} initialTime A date value indicating the time to display. The nearest available time to the
+         * specified time is displayed. The first available time is displayed if this argument is null or undefined.
+         * @param {{}} configuration An object with properties defining the layer configuration:
+         * <ul>
+         *     <li>timeSequence: {PeriodicTimeSequence|BasicTimeSequence|String} The time sequence of this layer.
+         *     A string is interpreted as an ISO 8601 start/end/period specification.</li>
+         *     <li>urlTemplate (optional): {String} The URL of each frame. See
+         *     [TimeSeriesLayer.formatUrlTemplate]{@link TimeSeriesLayer.formatUrlTemplate} for the tokens replaced
+         *     by each frame's time and index. Required by the one-image, REST and GeoTiff sub-layer factories.</li>
+         *     <li>sector (optional): {Sector} The sector spanned by the frames. Defaults to the full sphere.</li>
+         *     <li>subLayerFactory (optional): {Function} The function creating the sub-layer of each frame. The
+         *     function is passed this layer, the frame's URL and the frame's time, and returns a {@link Layer}.
+         *     Defaults to [TimeSeriesLayer.createOneImageLayer]{@link TimeSeriesLayer.createOneImageLayer}. See
+         *     also [TimeSeriesLayer.createRestTiledImageLayer]{@link TimeSeriesLayer.createRestTiledImageLayer},
+         *     [TimeSeriesLayer.createWmsLayer]{@link TimeSeriesLayer.createWmsLayer} and
+         *     [TimeSeriesLayer.createGeoTiffLayer]{@link TimeSeriesLayer.createGeoTiffLayer}.</li>
+         * </ul>
+         * Additional properties are passed to the sub-layer factory with the configuration, see the individual
+         * factories for a description of the properties they use.
+         * @throws {ArgumentError} If the specified configuration is null or undefined, does not specify a time
+         * sequence, specifies an infinite time sequence or does not specify the URL template required by its
+         * sub-layer factory.
          */
-        var TimeSeriesLayer;
-        TimeSeriesLayer = function (displayName, initialTime, configuration) {
-            Layer.call(this, displayName || "Blue Marble");
+        var TimeSeriesLayer = function (displayName, initialTime, configuration) {
+            if (!configuration || !configuration.timeSequence) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "TimeSeriesLayer", "constructor",
+                        "No time sequence specified."));
+            }
+
+            var subLayerFactory = configuration.subLayerFactory || TimeSeriesLayer.createOneImageLayer;
+            if (!configuration.urlTemplate && (subLayerFactory === TimeSeriesLayer.createOneImageLayer ||
+                subLayerFactory === TimeSeriesLayer.createRestTiledImageLayer ||
+                subLayerFactory === TimeSeriesLayer.createGeoTiffLayer)) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "TimeSeriesLayer", "constructor",
+                        "No URL template specified."));
+            }
+
+            Layer.call(this, displayName || "Time Series");
+
+            /**
+             * The configuration object specified at construction.
+             * @type {{}}
+             * @readonly
+             */
+            this.configuration = configuration;
+
+            /**
+             * This layer's time sequence.
+             * @type {PeriodicTimeSequence|BasicTimeSequence}
+             * @readonly
+             */
+            this.timeSequence = typeof configuration.timeSequence === "string" ?
+                new PeriodicTimeSequence(configuration.timeSequence) : configuration.timeSequence;
+
+            /**
+             * The URL template of this layer's frames, as specified in the configuration.
+             * @type {String}
+             * @readonly
+             */
+            this.urlTemplate = configuration.urlTemplate || null;
+
+            /**
+             * The sector spanned by this layer's frames.
+             * @type {Sector}
+             * @readonly
+             */
+            this.sector = configuration.sector || Sector.FULL_SPHERE;
+
+            /**
+             * The function creating the sub-layer of each frame.
+             * @type {Function}
+             * @readonly
+             */
+            this.subLayerFactory = subLayerFactory;
+
+            /**
+             * Indicates the available times for this layer, in ascending order.
+             * @type {Date[]}
+             * @readonly
+             */
+            this.availableTimes = TimeSeriesUtil.timesOfSequence(this.timeSequence);
 
             /**
-             * A value indicating the name to display. The nearest name to the specified time is displayed.
+             * A value indicating the time to display. The nearest available time to the specified time is displayed.
              * @type {Date}
-             * @default January 2004 (new Date("2004-01"));
+             * @default The first available time.
              */
-            this.time = initialTime || new Date("2016-07-12");
-            this.timeSequence = new PeriodicTimeSequence("2016-07-12/2016-07-18/PT3H");
-            this.pathToData = "standalonedata/WORLD-CED/test/";
+            this.time = initialTime || this.availableTimes[0];
 
-            this.configuration = configuration;
+            /**
+             * Indicates whether to cross-fade the two frames bracketing the time to display. When true and the time
+             * to display lies between two available times, both frames are displayed and the later one is blended
+             * over the earlier one in proportion to the time's position between them. When false, only the frame
+             * nearest the time to display is displayed.
+             * @type {Boolean}
+             * @default false
+             */
+            this.blendFrames = false;
 
             this.pickEnabled = false;
-            this.layers = {}; // holds the layers as they're created.
 
-            // Intentionally not documented.
-            this.layerNames = {};
-
-            this.serverAddress = null;
+            // Intentionally not documented. Holds the sub-layers as they're created, keyed by time index.
+            this.layers = {};
         };
 
         TimeSeriesLayer.prototype = Object.create(Layer.prototype);
 
-        /**
-         * Indicates the available times for this layer.
-         * @type {Date[]}
-         * @readonly
-         */
-        TimeSeriesLayer.availableTimes = [];
-
         /**
          * Initiates retrieval of this layer's level 0 images for all sub-layers. Use
-         * [isPrePopulated]{@link TiledImageLayer#isPrePopulated} to determine when the images have been retrieved
+         * [isPrePopulated]{@link TimeSeriesLayer#isPrePopulated} to determine when the images have been retrieved
          * and associated with the level 0 tiles.
          * Pre-populating is not required. It is used to eliminate the visual effect of loading tiles incrementally,
          * but only for level 0 tiles. An application might pre-populate a layer in order to delay displaying it
@@ -82,75 +165,226 @@ define([
                     Logger.logMessage(Logger.LEVEL_SEVERE, "TimeSeriesLayer", "prePopulate", "missingWorldWindow"));
             }
 
-            var period = PeriodicTimeSequence.incrementTime(this.timeSequence.currentTime,
-                    this.timeSequence.period) - this.timeSequence.currentTime;
-            var length = this.timeSequence.intervalMilliseconds/period + 1;
-
-            if (TimeSeriesLayer.availableTimes.length != length) {
-                for (var i = 0; i < length ; i++)  {
-                    TimeSeriesLayer.availableTimes[i] = this.timeSequence.currentTime;
-                    var name;
-                    if (i  < 10) {
-                        name = "0" + i.toString();
-                    }
-                    else {
-                        name = i.toString();
-                    }
-
-                    this.layerNames[this.timeSequence.currentTime] = name;
-                    this.timeSequence.next();
-                }
-            }
-
-            for (var key in this.layerNames) {
-                if (this.layerNames.hasOwnProperty(key)) {
-                    var layerName = this.layerNames[key];
-
-                    if (!this.layers[layerName]) {
-                        this.createSubLayer(layerName);
-                    }
-
-                    this.layers[layerName].prePopulate(wwd);
+            for (var i = 0, len = this.availableTimes.length; i < len; i++) {
+                var layer = this.subLayer(i);
+                if (layer.prePopulate) {
+                    layer.prePopulate(wwd);
                 }
             }
         };
 
-        TimeSeriesLayer.prototype.createSubLayer = function (layerName) {
-            var dataPath = this.pathToData + layerName + '.png';
-            this.layers[layerName] = new WorldWind.OneImageLayer(dataPath);
-        };
-
         /**
          * Indicates whether this layer's level 0 tile images for all sub-layers have been retrieved and associated
          * with the tiles.
-         * Use [prePopulate]{@link TiledImageLayer#prePopulate} to initiate retrieval of level 0 images.
+         * Use [prePopulate]{@link TimeSeriesLayer#prePopulate} to initiate retrieval of level 0 images.
          * @param {WorldWindow} wwd The world window associated with this layer.
          * @returns {Boolean} true if all level 0 images have been retrieved, otherwise false.
          * @throws {ArgumentError} If the specified world window is null or undefined.
          */
         TimeSeriesLayer.prototype.isPrePopulated = function (wwd) {
-            for (var key in this.layerNames) {
-                if (this.layerNames.hasOwnProperty(key)) {
-                    var layerName = this.layerNames[key];
-                    if (this.layers.hasOwnProperty(layerName) && !this.layers[layerName].isPrePopulated(wwd)) {
+            if (!wwd) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "TimeSeriesLayer", "isPrePopulated", "missingWorldWindow"));
+            }
+
+            for (var key in this.layers) {
+                if (this.layers.hasOwnProperty(key)) {
+                    var layer = this.layers[key];
+                    if (layer.isPrePopulated && !layer.isPrePopulated(wwd)) {
                         return false;
                     }
                 }
             }
+
             return true;
         };
 
+        /**
+         * Returns the URL of the frame at a specified index of this layer's available times.
+         * @param {Number} index The index of the frame's time in this layer's available times.
+         * @returns {String} The frame's URL, or null if this layer has no URL template.
+         */
+        TimeSeriesLayer.prototype.urlForFrame = function (index) {
+            if (!this.urlTemplate) {
+                return null;
+            }
+
+            return TimeSeriesLayer.formatUrlTemplate(this.urlTemplate, this.availableTimes[index], index);
+        };
+
+        // Intentionally not documented. Returns the sub-layer at a specified time index, creating it if necessary.
+        TimeSeriesLayer.prototype.subLayer = function (index) {
+            var layer = this.layers[index];
+
+            if (!layer) {
+                layer = this.subLayerFactory(this, this.urlForFrame(index), this.availableTimes[index]);
+                this.layers[index] = layer;
+            }
+
+            return layer;
+        };
+
         TimeSeriesLayer.prototype.doRender = function (dc) {
-            var layer = this.layers[this.layerNames[this.time]];
-            layer.opacity = this.opacity;
+            var bracket = TimeSeriesUtil.bracketTime(this.availableTimes, this.timeToDisplay(dc));
+            if (!bracket) {
+                return;
+            }
+
+            if (!this.blendFrames || bracket.fraction === 0) {
+                var nearestIndex = bracket.fraction <= 0.5 ? bracket.lowerIndex : bracket.upperIndex;
+                this.renderSubLayer(dc, this.subLayer(nearestIndex), this.opacity);
+            } else {
+                // Draw the earlier frame, then blend the later frame over it.
+                this.renderSubLayer(dc, this.subLayer(bracket.lowerIndex), this.opacity);
+                this.renderSubLayer(dc, this.subLayer(bracket.upperIndex), this.opacity * bracket.fraction);
+            }
+        };
+
+        // Intentionally not documented. Displays a sub-layer at a specified opacity.
+        TimeSeriesLayer.prototype.renderSubLayer = function (dc, layer, opacity) {
+            var currentLayer = dc.currentLayer;
+
+            layer.opacity = opacity;
             if (this.detailControl) {
                 layer.detailControl = this.detailControl;
             }
 
-            layer.doRender(dc);
+            // Make the sub-layer current so that shapes within it, e.g., surface images, use its opacity.
+            dc.currentLayer = layer;
+            try {
+                layer.doRender(dc);
+            } finally {
+                dc.currentLayer = currentLayer;
+            }
+
+            this.inCurrentFrame = this.inCurrentFrame || layer.inCurrentFrame;
+        };
+
+        /**
+         * Returns the index of the available time nearest a specified time.
+         * @param {Date} time The time of interest.
+         * @returns {Number} The index of the nearest available time, or -1 if the specified time is null or undefined
+         * or this layer has no available times.
+         */
+        TimeSeriesLayer.prototype.nearestTimeIndex = function (time) {
+            return TimeSeriesUtil.nearestTimeIndex(this.availableTimes, time);
+        };
+
+        /**
+         * Creates a sub-layer displaying a frame as a single image. This is the default sub-layer factory. The frame's
+         * URL is interpreted by {@link OneImageLayer} and the image spans the time series layer's sector.
+         * @param {TimeSeriesLayer} timeSeriesLayer The time series layer for which to create the sub-layer.
+         * @param {String} url The frame's URL.
+         * @param {Date} time The frame's time.
+         * @returns {OneImageLayer} The new sub-layer.
+         */
+        TimeSeriesLayer.createOneImageLayer = function (timeSeriesLayer, url, time) {
+            return new OneImageLayer(url, timeSeriesLayer.sector);
+        };
+
+        /**
+         * Creates a sub-layer displaying a frame as a tiled image retrieved from a REST service. The frame's URL is
+         * the path to the frame's data directory relative to the <code>serverAddress</code> property of the time
+         * series layer's configuration. The configuration is passed to {@link RestTiledImageLayer} and may contain the
+         * properties described there; its sector defaults to the time series layer's sector.
+         * @param {TimeSeriesLayer} timeSeriesLayer The time series layer for which to create the sub-layer.
+         * @param {String} url The frame's URL.
+         * @param {Date} time The frame's time.
+         * @returns {RestTiledImageLayer} The new sub-layer.
+         */
+        TimeSeriesLayer.createRestTiledImageLayer = function (timeSeriesLayer, url, time) {
+            var configuration = timeSeriesLayer.configuration,
+                layerConfiguration = {
+                    sector: timeSeriesLayer.sector,
+                    levelZeroTileDelta: configuration.levelZeroTileDelta,
+                    numLevels: configuration.numLevels,
+                    imageFormat: configuration.imageFormat,
+                    tileWidth: configuration.tileWidth,
+                    tileHeight: configuration.tileHeight
+                };
+
+            return new RestTiledImageLayer(configuration.serverAddress || null, url, timeSeriesLayer.displayName,
+                layerConfiguration);
+        };
+
+        /**
+         * Creates a sub-layer displaying a frame read from a GeoTiff. The frame's URL is the GeoTiff's URL. The
+         * <code>symbolizer</code> property of the time series layer's configuration, if any, is assigned to the
+         * sub-layer so that single-band frames of scientific values are colored consistently; see {@link GeoTiffLayer}
+         * and {@link RasterSymbolizer}.
+         * @param {TimeSeriesLayer} timeSeriesLayer The time series layer for which to create the sub-layer.
+         * @param {String} url The frame's URL.
+         * @param {Date} time The frame's time.
+         * @returns {GeoTiffLayer} The new sub-layer.
+         */
+        TimeSeriesLayer.createGeoTiffLayer = function (timeSeriesLayer, url, time) {
+            var layer = new GeoTiffLayer(url, timeSeriesLayer.displayName);
+            layer.symbolizer = timeSeriesLayer.configuration.symbolizer || null;
+
+            return layer;
+        };
+
+        /**
+         * Creates a sub-layer displaying a frame retrieved from a WMS server. The <code>wmsConfiguration</code>
+         * property of the time series layer's configuration is passed to {@link WmsLayer} and the frame's time is
+         * passed as the WMS time parameter. The frame's URL is not used.
+         * @param {TimeSeriesLayer} timeSeriesLayer The time series layer for which to create the sub-layer.
+         * @param {String} url The frame's URL.
+         * @param {Date} time The frame's time.
+         * @returns {WmsLayer} The new sub-layer.
+         * @throws {ArgumentError} If the time series layer's configuration does not contain a WMS configuration.
+         */
+        TimeSeriesLayer.createWmsLayer = function (timeSeriesLayer, url, time) {
+            var wmsConfiguration = timeSeriesLayer.configuration.wmsConfiguration;
+            if (!wmsConfiguration) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "TimeSeriesLayer", "createWmsLayer",
+                        "No WMS configuration specified."));
+            }
+
+            return new WmsLayer(wmsConfiguration, time.toISOString());
+        };
+
+        /**
+         * Substitutes the time and index of a frame into a URL template. The following tokens are replaced:
+         * <ul>
+         *     <li>{time}: The ISO 8601 representation of the time, e.g., 2016-07-12T03:00:00.000Z</li>
+         *     <li>{date}: The UTC date, e.g., 2016-07-12</li>
+         *     <li>{yyyy}, {MM}, {dd}, {HH}, {mm}, {ss}: The UTC year, month, day, hours, minutes and seconds,
+         *     zero-padded to the token's length</li>
+         *     <li>{DDD}: The zero-padded UTC day of the year, in the range [001, 366]</li>
+         *     <li>{index}: The frame's index in the time sequence. The index is zero-padded to N digits when the
+         *     token is written {index:N}, e.g., {index:2} for 00, 01, 02 and so on.</li>
+         * </ul>
+         * @param {String} template The URL template.
+         * @param {Date} time The frame's time.
+         * @param {Number} index The frame's index.
+         * @returns {String} The URL with all tokens replaced.
+         */
+        TimeSeriesLayer.formatUrlTemplate = function (template, time, index) {
+            var pad = function (value, digits) {
+                    var s = value.toString();
+                    while (s.length < digits) {
+                        s = "0" + s;
+                    }
+                    return s;
+                },
+                dayOfYear = Math.floor((time.getTime() - Date.UTC(time.getUTCFullYear(), 0, 1)) / 86400000) + 1;
 
-            this.inCurrentFrame = layer.inCurrentFrame;
+            return template
+                .replace(/\{time\}/g, time.toISOString())
+                .replace(/\{date\}/g, time.toISOString().substring(0, 10))
+                .replace(/\{yyyy\}/g, pad(time.getUTCFullYear(), 4))
+                .replace(/\{MM\}/g, pad(time.getUTCMonth() + 1, 2))
+                .replace(/\{dd\}/g, pad(time.getUTCDate(), 2))
+                .replace(/\{HH\}/g, pad(time.getUTCHours(), 2))
+                .replace(/\{mm\}/g, pad(time.getUTCMinutes(), 2))
+                .replace(/\{ss\}/g, pad(time.getUTCSeconds(), 2))
+                .replace(/\{DDD\}/g, pad(dayOfYear, 3))
+                .replace(/\{index(?::(\d+))?\}/g, function (match, digits) {
+                    return pad(index, digits ? parseInt(digits, 10) : 0);
+                });
         };
 
         return TimeSeriesLayer;
-    });
\ No newline at end of file
+    });
@@ -8,20 +8,28 @@
  */
 define([
         '../error/ArgumentError',
+        '../util/CompositeTimeSequence',
         '../geom/Location',
         '../util/Logger',
-        '../util/PeriodicTimeSequence',
+        '../util/Promise',
         '../geom/Sector',
+        '../util/Tile',
         '../layer/TiledImageLayer',
-        '../util/WmsUrlBuilder'
+        '../ogc/WmsFeatureInfo',
+        '../util/WmsUrlBuilder',
+        '../util/WWMath'
     ],
     function (ArgumentError,
+              CompositeTimeSequence,
               Location,
               Logger,
-              PeriodicTimeSequence,
+              Promise,
               Sector,
+              Tile,
               TiledImageLayer,
-              WmsUrlBuilder) {
+              WmsFeatureInfo,
+              WmsUrlBuilder,
+              WWMath) {
         "use strict";
 
         /**
@@ -42,6 +50,12 @@ define([
          *     <li>size: {Number} The size in pixels of tiles for this layer.</li>
          *     <li>coordinateSystem (optional): {String} The coordinate system to use for this layer, e.g., EPSG:4326.</li>
          *     <li>styleNames (optional): {String} A comma separated list of the styles to include in this layer.</li>
+         *     <li>dimensionValues (optional): {Object} The values of the layer's non-time dimensions, keyed by
+         *     dimension name, e.g., {elevation: "500"}.</li>
+         *     <li>featureInfoService (optional): {String} The URL of the server's Get Feature Info operation, if it
+         *     differs from the service URL.</li>
+         *     <li>featureInfoFormats (optional): {String[]} The info formats the server's Get Feature Info operation
+         *     provides.</li>
          * </ul>
          * The function [WmsLayer.formLayerConfiguration]{@link WmsLayer#formLayerConfiguration} will create an
          * appropriate configuration object given a {@link WmsLayerCapabilities} object.
@@ -59,6 +73,9 @@ define([
             if (timeString) {
                 cachePath = cachePath + timeString;
             }
+            if (config.dimensionValues) {
+                cachePath = cachePath + JSON.stringify(config.dimensionValues);
+            }
 
             TiledImageLayer.call(this, config.sector, config.levelZeroDelta, config.numLevels, config.format,
                 cachePath, config.size, config.size);
@@ -71,6 +88,19 @@ define([
             if (config.coordinateSystem) {
                 this.urlBuilder.crs = config.coordinateSystem;
             }
+            if (config.dimensionValues) {
+                this.urlBuilder.dimensionValues = config.dimensionValues;
+            }
+            if (config.featureInfoService) {
+                this.urlBuilder.featureInfoAddress = config.featureInfoService;
+            }
+
+            /**
+             * The info formats this layer's server provides for Get Feature Info requests, as specified in the
+             * configuration. May be null, in which case the server is assumed to provide text/plain.
+             * @type {String[]}
+             */
+            this.featureInfoFormats = config.featureInfoFormats || null;
 
             /**
              * The time string passed to this layer's constructor.
@@ -82,13 +112,150 @@ define([
 
         WmsLayer.prototype = Object.create(TiledImageLayer.prototype);
 
+        /**
+         * Requests information about the features this layer displays at a specified screen point or geographic
+         * location, using the WMS Get Feature Info operation. The request identifies the pixel of the image this
+         * layer displays at the location, at the resolution currently displayed, for this layer's time and
+         * dimension values.
+         * @param {WorldWindow} wwd The world window displaying this layer.
+         * @param {Vec2|Location} target The screen point, in the world window's screen coordinates, or the
+         * geographic location of interest.
+         * @param {{}} options Optional properties of the request:
+         * <ul>
+         *     <li>infoFormat: {String} The info format to request. The default is the most suitable of this layer's
+         *     [feature info formats]{@link WmsLayer#featureInfoFormats}.</li>
+         *     <li>featureCount: {Number} The maximum number of features to request.</li>
+         * </ul>
+         * @returns {Promise} A promise resolved with a {@link WmsFeatureInfo} describing the features, whose layer
+         * and position properties identify this layer and the location queried. The promise is rejected with an
+         * Error if the screen point is not on the globe, the request fails or the server reports an exception.
+         * @throws {ArgumentError} If the specified world window or target is null or undefined.
+         */
+        WmsLayer.prototype.queryFeatureInfo = function (wwd, target, options) {
+            if (!wwd) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WmsLayer", "queryFeatureInfo", "missingWorldWindow"));
+            }
+
+            if (!target) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WmsLayer", "queryFeatureInfo",
+                        "The screen point or location is null or undefined."));
+            }
+
+            var location = target;
+            if (target.latitude === undefined) {
+                var terrainObject = wwd.pickTerrain(target).terrainObject();
+                if (!terrainObject) {
+                    return Promise.reject(new Error("The screen point is not on the globe."));
+                }
+
+                location = terrainObject.position;
+            }
+
+            var infoFormat = (options && options.infoFormat) || WmsFeatureInfo.selectFormat(this.featureInfoFormats),
+                url = this.featureInfoUrl(location, infoFormat, options && options.featureCount),
+                layer = this;
+
+            return new Promise(function (resolve, reject) {
+                var xhr = new XMLHttpRequest();
+
+                xhr.open("GET", url, true);
+                xhr.onreadystatechange = function () {
+                    if (xhr.readyState !== 4) {
+                        return;
+                    }
+
+                    if (xhr.status !== 200) {
+                        Logger.log(Logger.LEVEL_WARNING, "Feature info retrieval failed (" + xhr.statusText + "): "
+                            + url);
+                        reject(new Error("Feature info retrieval failed (" + xhr.statusText + "): " + url));
+                        return;
+                    }
+
+                    var featureInfo = new WmsFeatureInfo(xhr.responseText,
+                        xhr.getResponseHeader("Content-Type") || infoFormat);
+
+                    if (featureInfo.exception) {
+                        reject(new Error(featureInfo.exception));
+                        return;
+                    }
+
+                    featureInfo.layer = layer;
+                    featureInfo.position = location;
+                    resolve(featureInfo);
+                };
+
+                xhr.onerror = function () {
+                    Logger.log(Logger.LEVEL_WARNING, "Feature info retrieval failed: " + url);
+                    reject(new Error("Feature info retrieval failed: " + url));
+                };
+
+                xhr.send(null);
+            });
+        };
+
+        /**
+         * Creates the URL of a Get Feature Info request for a specified location. The request identifies the pixel
+         * of the tile containing the location at the most detailed level this layer currently displays there, or
+         * at this layer's first level if it displays no tile there.
+         * @param {Location} location The geographic location of interest.
+         * @param {String} infoFormat The info format to request.
+         * @param {Number} featureCount The maximum number of features to request. May be null, in which case the
+         * server's default is used.
+         * @returns {String} The request URL.
+         * @throws {ArgumentError} If the specified location or info format is null or undefined.
+         */
+        WmsLayer.prototype.featureInfoUrl = function (location, infoFormat, featureCount) {
+            if (!location) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WmsLayer", "featureInfoUrl", "missingLocation"));
+            }
+
+            var tile = this.featureInfoTile(location),
+                sector = tile.sector,
+                x = Math.floor((location.longitude - sector.minLongitude) / sector.deltaLongitude() * tile.tileWidth),
+                y = Math.floor((sector.maxLatitude - location.latitude) / sector.deltaLatitude() * tile.tileHeight);
+
+            return this.urlBuilder.urlForFeatureInfo(tile, this.retrievalImageFormat,
+                WWMath.clamp(x, 0, tile.tileWidth - 1), WWMath.clamp(y, 0, tile.tileHeight - 1),
+                infoFormat, featureCount);
+        };
+
+        // Internal use only. Determines the tile whose image is queried for a specified location.
+        WmsLayer.prototype.featureInfoTile = function (location) {
+            var tile = null;
+
+            for (var i = 0, len = this.currentTiles ? this.currentTiles.length : 0; i < len; i++) {
+                var currentTile = this.currentTiles[i];
+
+                if (currentTile.sector.containsLocation(location.latitude, location.longitude)
+                    && (!tile || currentTile.level.levelNumber > tile.level.levelNumber)) {
+                    tile = currentTile;
+                }
+            }
+
+            if (!tile) {
+                var level = this.levels.firstLevel(),
+                    row = Tile.computeRow(level.tileDelta.latitude, location.latitude),
+                    column = Tile.computeColumn(level.tileDelta.longitude, location.longitude);
+
+                tile = this.createTile(Tile.computeSector(level, row, column), level, row, column);
+            }
+
+            return tile;
+        };
+
         /**
          * Forms a configuration object for a specified {@link WmsLayerCapabilities} layer description. The
          * configuration object created and returned is suitable for passing to the WmsLayer constructor.
          * <p>
          *     This method also parses any time dimensions associated with the layer and returns them in the
          *     configuration object's "timeSequences" property. This property is a mixed array of Date objects
-         *     and {@link PeriodicTimeSequence} objects describing the dimensions found.
+         *     and {@link PeriodicTimeSequence} objects describing the dimensions found. The complete time
+         *     dimension, including its default value, is returned as a {@link CompositeTimeSequence} in the
+         *     configuration object's "timeDimension" property. The default values of any other dimensions, such
+         *     as elevation, are returned in the configuration object's "dimensionValues" property.
          * @param wmsLayerCapabilities {WmsLayerCapabilities} The WMS layer capabilities to create a configuration for.
          * @returns {{}} A configuration object.
          * @throws {ArgumentError} If the specified WMS layer capabilities is null or undefined.
@@ -157,9 +324,77 @@ define([
                 config.timeSequences = dimensions;
             }
 
+            var timeDimension = WmsLayer.parseTimeDimension(wmsLayerCapabilities);
+            if (timeDimension) {
+                config.timeDimension = timeDimension;
+            }
+
+            var dimensionValues = WmsLayer.parseDimensionValues(wmsLayerCapabilities);
+            if (dimensionValues) {
+                config.dimensionValues = dimensionValues;
+            }
+
+            // Determine the Get Feature Info operation, if the layer is queryable.
+            var getFeatureInfo = wmsLayerCapabilities.capability.request.getFeatureInfo;
+            if (getFeatureInfo && wmsLayerCapabilities.queryable) {
+                config.featureInfoService = getFeatureInfo.url;
+                config.featureInfoFormats = getFeatureInfo.formats;
+            }
+
             return config;
         };
 
+        /**
+         * Parses the time dimension of a specified {@link WmsLayerCapabilities} layer description.
+         * @param {WmsLayerCapabilities} wmsLayerCapabilities The WMS layer capabilities to parse.
+         * @returns {CompositeTimeSequence} The time sequence described by the layer's time dimension, honoring the
+         * dimension's default and nearestValue attributes, or null if the layer has no time dimension.
+         */
+        WmsLayer.parseTimeDimension = function (wmsLayerCapabilities) {
+            var dimensions = wmsLayerCapabilities.extents || wmsLayerCapabilities.dimensions;
+
+            for (var i = 0; dimensions && i < dimensions.length; i++) {
+                var dimension = dimensions[i];
+
+                if (WmsLayer.isTimeDimension(dimension) && dimension.content && dimension.content.trim()) {
+                    try {
+                        return new CompositeTimeSequence(dimension.content, dimension.default,
+                            dimension.nearestValue);
+                    } catch (e) {
+                        // The dimension contains no valid times, which the sequence has logged.
+                        return null;
+                    }
+                }
+            }
+
+            return null;
+        };
+
+        /**
+         * Determines the values of the non-time dimensions, such as elevation, of a specified
+         * {@link WmsLayerCapabilities} layer description. The value of each dimension is its default value, or
+         * the first value the dimension lists if it has no default.
+         * @param {WmsLayerCapabilities} wmsLayerCapabilities The WMS layer capabilities to parse.
+         * @returns {Object} The dimension values keyed by dimension name, or null if the layer has no non-time
+         * dimensions.
+         */
+        WmsLayer.parseDimensionValues = function (wmsLayerCapabilities) {
+            var dimensions = wmsLayerCapabilities.extents || wmsLayerCapabilities.dimensions,
+                dimensionValues = null;
+
+            for (var i = 0; dimensions && i < dimensions.length; i++) {
+                var dimension = dimensions[i],
+                    value = dimension.default || (dimension.content && dimension.content.split(",")[0].trim());
+
+                if (dimension.name && dimension.name.toLowerCase() !== "time" && value) {
+                    dimensionValues = dimensionValues || {};
+                    dimensionValues[dimension.name] = value;
+                }
+            }
+
+            return dimensionValues;
+        };
+
         WmsLayer.parseTimeDimensions = function (wmsLayerCapabilities) {
             var dimensions = wmsLayerCapabilities.extents || wmsLayerCapabilities.dimensions,
                 parsedDimensions = null;
@@ -170,18 +405,25 @@ define([
                 for (var i = 0; i < dimensions.length; i++) {
                     var dimension = dimensions[i];
 
-                    if (dimension.name.toLowerCase() === "time" &&
-                        (!dimension.units || dimension.units.toLowerCase() === "iso8601")) {
+                    if (WmsLayer.isTimeDimension(dimension)) {
                         var individualDimensions = dimension.content.split(",");
 
                         for (var j = 0; j < individualDimensions.length; j++) {
-                            var individualDimension = individualDimensions[j],
-                                splitDimension = individualDimension.split("/");
+                            var individualDimension = individualDimensions[j].trim();
+
+                            if (individualDimension.length > 0) {
+                                // Parse each element separately to retain the order of the elements. Elements
+                                // that are not valid are logged and skipped by the sequence.
+                                var sequence = WmsLayer.parseTimeElement(individualDimension);
+                                if (!sequence) {
+                                    continue;
+                                }
 
-                            if (splitDimension.length === 1) {
-                                parsedDimensions.push(new Date(individualDimension));
-                            } else if (splitDimension.length === 3) {
-                                parsedDimensions.push(new PeriodicTimeSequence(individualDimension));
+                                parsedDimensions = parsedDimensions.concat(sequence.instants,
+                                    sequence.periodicSequences);
+                                sequence.intervals.forEach(function (interval) {
+                                    parsedDimensions.push(interval[0], interval[1]);
+                                });
                             }
                         }
                     }
@@ -191,5 +433,21 @@ define([
             return parsedDimensions;
         };
 
+        // Intentionally not documented. Returns the sequence of one element of a time dimension, or null if the
+        // element is not valid.
+        WmsLayer.parseTimeElement = function (element) {
+            try {
+                return new CompositeTimeSequence(element);
+            } catch (e) {
+                return null;
+            }
+        };
+
+        // Intentionally not documented.
+        WmsLayer.isTimeDimension = function (dimension) {
+            return dimension.name && dimension.name.toLowerCase() === "time" &&
+                (!dimension.units || dimension.units.toLowerCase() === "iso8601");
+        };
+
         return WmsLayer;
     });
\ No newline at end of file
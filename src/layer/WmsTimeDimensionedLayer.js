@@ -8,13 +8,19 @@
  */
 define([
         '../error/ArgumentError',
+        '../util/BasicTimeSequence',
+        '../util/CompositeTimeSequence',
         '../layer/Layer',
         '../util/Logger',
+        '../util/Promise',
         '../layer/WmsLayer'
     ],
     function (ArgumentError,
+              BasicTimeSequence,
+              CompositeTimeSequence,
               Layer,
               Logger,
+              Promise,
               WmsLayer) {
         "use strict";
 
@@ -24,8 +30,9 @@ define([
          * @constructor
          * @augments Layer
          * @classdesc Displays a time-series WMS image layer. This layer contains a collection of {@link WmsLayer}s,
-         * each representing a different time in a time sequence. Only the layer indicated by this layer's
-         * [time]{@link WmsTimeDimensionedLayer#time} property is displayed during any frame.
+         * each representing a different time in a time sequence. Only the layer indicated by the World Window's
+         * [current time]{@link TimeController#time}, or by this layer's [time]{@link Layer#time} property when the
+         * World Window specifies no current time, is displayed during any frame.
          * @param {{}} config Specifies configuration information for the layer.
          * See the constructor description for {@link WmsLayer} for a description of the required properties.
          * @throws {ArgumentError} If the specified configuration is null or undefined.
@@ -50,26 +57,347 @@ define([
             this.displayName = config.title;
             this.pickEnabled = false;
 
-            // Intentionally not documented. Contains the lazily loaded list of sub-layers.
+            /**
+             * The times available from the WMS server for this layer, as determined from the configuration's time
+             * sequences. Null if the configuration specifies no time sequences. The times are not enumerated, since
+             * a dimension may describe millions of them, so they're determined from the sequence as needed.
+             * @type {CompositeTimeSequence}
+             */
+            this.timeSequence = WmsTimeDimensionedLayer.createTimeSequence(config.timeSequences);
+
+            /**
+             * Indicates whether to cross-fade the two available times bracketing the time to display. When true and
+             * the time to display lies between two [available times]{@link WmsTimeDimensionedLayer#timeSequence},
+             * the images of both times are displayed and the later one is blended over the earlier one in
+             * proportion to the time's position between them. When false, the image of the time to display is
+             * requested from the server as is.
+             * @type {Boolean}
+             * @default false
+             */
+            this.blendFrames = false;
+
+            /**
+             * The number of available times beyond the displayed one whose images are retrieved in advance, in the
+             * direction of playback. The images retrieved are those visible in the current view. The playback
+             * direction is determined from the most recent change of the time to display.
+             * @type {Number}
+             * @default 2
+             */
+            this.prefetchCount = 2;
+
+            /**
+             * The maximum number of time sub-layers retained by this layer. When exceeded, the least recently used
+             * sub-layers are released. Sub-layers used during the current frame are never released.
+             * @type {Number}
+             * @default 24
+             */
+            this.maxSubLayers = 24;
+
+            // Intentionally not documented. Contains the lazily loaded list of sub-layers, keyed by ISO time string.
             this.layers = {};
+
+            // Intentionally not documented. The keys of the sub-layers, ordered from least to most recently used.
+            this.layerKeys = [];
+
+            // Intentionally not documented. The direction of playback, 1 for forward and -1 for backward.
+            this.playbackDirection = 1;
+
+            // Intentionally not documented. The time and view for which upcoming times were last prefetched.
+            this.lastTime = null;
+            this.lastPrefetchTime = null;
+            this.lastPrefetchMvpMatrix = null;
         };
 
         WmsTimeDimensionedLayer.prototype = Object.create(Layer.prototype);
 
         WmsTimeDimensionedLayer.prototype.doRender = function (dc) {
-            if (this.time) {
-                var currentTimeString = this.time.toISOString(),
-                    layer = this.layers[currentTimeString];
+            var time = this.timeToDisplay(dc);
+
+            if (time) {
+                var times = this.timesToRender(time),
+                    usedKeys = {};
+
+                if (times.length > 1) {
+                    // Draw the earlier time's image, then blend the later time's image over it.
+                    this.renderSubLayer(dc, times[0], this.opacity, usedKeys);
+                    this.renderSubLayer(dc, times[1], this.opacity * times.fraction, usedKeys);
+                } else {
+                    this.renderSubLayer(dc, times[0], this.opacity, usedKeys);
+                }
 
-                if (!layer) {
-                    layer = new WmsLayer(this.config, currentTimeString);
-                    this.layers[currentTimeString] = layer;
+                if (this.lastTime && time.getTime() !== this.lastTime.getTime()) {
+                    this.playbackDirection = time.getTime() > this.lastTime.getTime() ? 1 : -1;
                 }
+                this.lastTime = time;
+
+                if (!dc.pickingMode) {
+                    this.prefetch(dc, time, usedKeys);
+                }
+
+                this.releaseSubLayers(usedKeys);
+            }
+        };
+
+        /**
+         * Indicates whether the images needed to display a specified time in the current view have been retrieved.
+         * Initiates retrieval of the images not yet retrieved. Applications playing this layer's times can use this
+         * method to hold playback until the next time is ready to display.
+         * @param {WorldWindow} wwd The world window displaying this layer.
+         * @param {Date} time The time of interest.
+         * @returns {Boolean} true if the specified time can be displayed without waiting for images, otherwise
+         * false.
+         * @throws {ArgumentError} If the specified world window or time is null or undefined.
+         */
+        WmsTimeDimensionedLayer.prototype.isTimeReady = function (wwd, time) {
+            if (!wwd) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WmsTimeDimensionedLayer", "isTimeReady",
+                        "missingWorldWindow"));
+            }
 
-                layer.opacity = this.opacity;
-                layer.doRender(dc);
+            if (!time) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WmsTimeDimensionedLayer", "isTimeReady", "missingTime"));
+            }
+
+            var times = this.timesToRender(time),
+                ready = true;
+
+            for (var i = 0; i < times.length; i++) {
+                // Query every time so that retrieval of all missing images is initiated.
+                ready = this.subLayer(times[i]).isCurrentViewPrePopulated(wwd) && ready;
+            }
+
+            return ready;
+        };
+
+        /**
+         * Requests information about the features this layer displays at a specified screen point or geographic
+         * location, using the WMS Get Feature Info operation. The time queried is the time most recently displayed,
+         * or, when blending, the nearer of the two times blended. See
+         * [WmsLayer.queryFeatureInfo]{@link WmsLayer#queryFeatureInfo} for a description of the request.
+         * @param {WorldWindow} wwd The world window displaying this layer.
+         * @param {Vec2|Location} target The screen point, in the world window's screen coordinates, or the
+         * geographic location of interest.
+         * @param {{}} options Optional properties of the request. See
+         * [WmsLayer.queryFeatureInfo]{@link WmsLayer#queryFeatureInfo}.
+         * @returns {Promise} A promise resolved with a {@link WmsFeatureInfo} describing the features. The promise
+         * is rejected with an Error if this layer has not displayed a time or its server does not provide feature
+         * information, or for the reasons described for [WmsLayer.queryFeatureInfo]{@link WmsLayer#queryFeatureInfo}.
+         * @throws {ArgumentError} If the specified world window or target is null or undefined.
+         */
+        WmsTimeDimensionedLayer.prototype.queryFeatureInfo = function (wwd, target, options) {
+            if (!wwd) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WmsTimeDimensionedLayer", "queryFeatureInfo",
+                        "missingWorldWindow"));
+            }
+
+            if (!target) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WmsTimeDimensionedLayer", "queryFeatureInfo",
+                        "The screen point or location is null or undefined."));
+            }
+
+            var time = this.lastTime || this.time;
+            if (!time) {
+                return Promise.reject(new Error("No time has been displayed."));
+            }
+
+            var times = this.timesToRender(time),
+                layer = this.subLayer(times.length > 1 && times.fraction >= 0.5 ? times[1] : times[0]);
+
+            if (!layer.queryFeatureInfo) {
+                return Promise.reject(new Error("The layer does not provide feature information."));
+            }
+
+            return layer.queryFeatureInfo(wwd, target, options);
+        };
+
+        // Intentionally not documented. Determines the times of the sub-layers displaying a specified time. Returns
+        // either the one time to display or the two times to blend, with the blend fraction as the array's fraction
+        // property.
+        WmsTimeDimensionedLayer.prototype.timesToRender = function (time) {
+            var bracket = this.blendFrames && this.bracketTime(time);
+
+            if (bracket && bracket.fraction > 0) {
+                var times = [bracket.lowerTime, bracket.upperTime];
+                times.fraction = bracket.fraction;
+                return times;
+            }
+
+            if (bracket) {
+                return [bracket.lowerTime];
+            }
 
-                this.inCurrentFrame = layer.inCurrentFrame;
+            // Request only times the server provides, if the configuration describes them.
+            return [this.config.timeDimension ? this.config.timeDimension.snapTime(time) : time];
+        };
+
+        // Intentionally not documented. Displays the sub-layer of a specified time at a specified opacity.
+        WmsTimeDimensionedLayer.prototype.renderSubLayer = function (dc, time, opacity, usedKeys) {
+            var layer = this.subLayer(time);
+
+            usedKeys[time.toISOString()] = true;
+
+            layer.opacity = opacity;
+            layer.doRender(dc);
+
+            this.inCurrentFrame = this.inCurrentFrame || layer.inCurrentFrame;
+        };
+
+        // Intentionally not documented. Returns the sub-layer of a specified time, creating it if necessary, and
+        // marks it as the most recently used.
+        WmsTimeDimensionedLayer.prototype.subLayer = function (time) {
+            var timeString = time.toISOString(),
+                layer = this.layers[timeString],
+                keyIndex = this.layerKeys.indexOf(timeString);
+
+            if (!layer) {
+                layer = this.createSubLayer(timeString);
+                this.layers[timeString] = layer;
+            }
+
+            if (keyIndex >= 0) {
+                this.layerKeys.splice(keyIndex, 1);
+            }
+            this.layerKeys.push(timeString);
+
+            return layer;
+        };
+
+        // Intentionally not documented. Creates the sub-layer of a specified ISO time string.
+        WmsTimeDimensionedLayer.prototype.createSubLayer = function (timeString) {
+            return new WmsLayer(this.config, timeString);
+        };
+
+        // Intentionally not documented. Initiates retrieval of the images of the available times following a
+        // specified time in the direction of playback. Retrieval is initiated only when the time or the view changes.
+        WmsTimeDimensionedLayer.prototype.prefetch = function (dc, time, usedKeys) {
+            var count = this.prefetchCount,
+                mvpMatrix = dc.navigatorState && dc.navigatorState.modelviewProjection;
+
+            if (count <= 0 || !this.timeSequence || this.timeSequence.intervalMilliseconds === 0) {
+                return;
+            }
+
+            var viewChanged = !mvpMatrix || !this.lastPrefetchMvpMatrix
+                    || !mvpMatrix.equals(this.lastPrefetchMvpMatrix),
+                timeChanged = !this.lastPrefetchTime || time.getTime() !== this.lastPrefetchTime.getTime();
+
+            if (!viewChanged && !timeChanged) {
+                // Keep the prefetched sub-layers from being released.
+                this.markPrefetchTimes(time, count, usedKeys);
+                return;
+            }
+
+            this.lastPrefetchTime = time;
+            this.lastPrefetchMvpMatrix = mvpMatrix;
+
+            var times = this.markPrefetchTimes(time, count, usedKeys);
+            for (var i = 0; i < times.length; i++) {
+                this.subLayer(times[i]).retrieveCurrentTiles(dc);
+            }
+        };
+
+        // Intentionally not documented. Determines the available times to prefetch after a specified time and marks
+        // them as used. Wraps around the ends of the available times, as playback typically repeats, but stops
+        // before returning to the time it started from.
+        WmsTimeDimensionedLayer.prototype.markPrefetchTimes = function (time, count, usedKeys) {
+            var sequence = this.timeSequence,
+                bracket = this.bracketTime(time),
+                forward = this.playbackDirection > 0,
+                startTime = forward ? bracket.lowerTime : bracket.upperTime,
+                prefetchTime = startTime,
+                times = [];
+
+            for (var i = 1; i <= count; i++) {
+                prefetchTime = forward ? sequence.timeAfter(prefetchTime) || sequence.startTime :
+                    sequence.timeBefore(prefetchTime) || sequence.endTime;
+
+                if (prefetchTime.getTime() === startTime.getTime()) {
+                    break;
+                }
+
+                if (!usedKeys[prefetchTime.toISOString()]) {
+                    usedKeys[prefetchTime.toISOString()] = true;
+                    times.push(prefetchTime);
+                }
+            }
+
+            return times;
+        };
+
+        // Intentionally not documented. Determines the two available times bracketing a specified time and the
+        // position of the specified time between them, as TimeSeriesUtil.bracketTime does for a list of times.
+        // Times outside the available times are clamped to the first or last available time. Returns null if no
+        // times are available.
+        WmsTimeDimensionedLayer.prototype.bracketTime = function (time) {
+            var sequence = this.timeSequence,
+                milliseconds = time.getTime();
+
+            if (!sequence) {
+                return null;
+            }
+
+            if (milliseconds <= sequence.startTime.getTime()) {
+                return {lowerTime: sequence.startTime, upperTime: sequence.startTime, fraction: 0};
+            }
+
+            if (milliseconds >= sequence.endTime.getTime()) {
+                return {lowerTime: sequence.endTime, upperTime: sequence.endTime, fraction: 0};
+            }
+
+            var lowerTime = sequence.timeBefore(new Date(milliseconds + 1)),
+                upperTime = lowerTime.getTime() === milliseconds ? lowerTime : sequence.timeAfter(time);
+
+            return {
+                lowerTime: lowerTime,
+                upperTime: upperTime,
+                fraction: upperTime === lowerTime ? 0 :
+                    (milliseconds - lowerTime.getTime()) / (upperTime.getTime() - lowerTime.getTime())
+            };
+        };
+
+        // Intentionally not documented. Creates the sequence of the times described by a list of Dates and time
+        // sequences, such as those returned by WmsLayer.parseTimeDimensions. Periodic sequences whose start and end
+        // are the same are ignored, as TimeSeriesUtil.timesOfSequences does. Returns null if the list describes no
+        // times.
+        WmsTimeDimensionedLayer.createTimeSequence = function (timeSequences) {
+            var elements = [];
+
+            for (var i = 0, len = timeSequences ? timeSequences.length : 0; i < len; i++) {
+                var timeSequence = timeSequences[i];
+
+                if (timeSequence instanceof Date) {
+                    elements.push(timeSequence.toISOString());
+                } else if (timeSequence instanceof CompositeTimeSequence) {
+                    elements.push(timeSequence.sequenceString);
+                } else if (timeSequence instanceof BasicTimeSequence) {
+                    timeSequence.dates.forEach(function (date) {
+                        elements.push(date.toISOString());
+                    });
+                } else if (timeSequence && !timeSequence.infiniteInterval) {
+                    elements.push(timeSequence.startTime.toISOString() + "/" + timeSequence.endTime.toISOString() +
+                        "/" + timeSequence.sequenceString.split("/")[2]);
+                }
+            }
+
+            return elements.length > 0 ? new CompositeTimeSequence(elements.join(",")) : null;
+        };
+
+        // Intentionally not documented. Releases the least recently used sub-layers exceeding the maximum number of
+        // sub-layers, other than those used during the current frame.
+        WmsTimeDimensionedLayer.prototype.releaseSubLayers = function (usedKeys) {
+            for (var i = 0; this.layerKeys.length > this.maxSubLayers && i < this.layerKeys.length;) {
+                var key = this.layerKeys[i];
+
+                if (usedKeys[key]) {
+                    i++;
+                } else {
+                    this.layerKeys.splice(i, 1);
+                    delete this.layers[key];
+                }
             }
         };
 
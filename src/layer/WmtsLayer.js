@@ -35,7 +35,6 @@ define([
         // TODO: Support tile matrix limits.
         // TODO: Extensibility for other projections.
         // TODO: Finish parsing capabilities document (ServiceIdentification and ServiceProvider).
-        // TODO: Time dimensions.
 
         /**
          * Constructs a WMTS image layer.
@@ -47,10 +46,13 @@ define([
          * @param {String} styleIdentifier The style to use for this layer. Must be one of those listed in the accompanying
          * layer capabilities. May be null, in which case the WMTS server's default style is used.
          * @param {String} timeString The time parameter passed to the WMTS server when imagery is requested. May be
-         * null, in which case no time parameter is passed to the server.
+         * null, in which case the default value of the layer's time dimension, if any, is passed to the server.
+         * @param {Object} dimensionValues The values of the layer's other dimensions, keyed by dimension identifier,
+         * e.g., {Elevation: "500"}. May be null, in which case the default values advertised in the layer
+         * capabilities are used.
          * @throws {ArgumentError} If the specified layer capabilities reference is null or undefined.
          */
-        var WmtsLayer = function (layerCaps, styleIdentifier, timeString) {
+        var WmtsLayer = function (layerCaps, styleIdentifier, timeString, dimensionValues) {
             if (!layerCaps) {
                 throw new ArgumentError(
                     Logger.logMessage(Logger.LEVEL_SEVERE, "WmtsLayer", "constructor",
@@ -80,6 +82,16 @@ define([
              */
             this.timeString = timeString;
 
+            /**
+             * The dimension values passed to the WMTS server when imagery is requested, keyed by dimension
+             * identifier. Includes the default values of the dimensions advertised in the layer capabilities, the
+             * dimension values passed to this layer's constructor and the time string passed to this layer's
+             * constructor.
+             * @type {Object}
+             * @readonly
+             */
+            this.dimensionValues = WmtsLayer.formDimensionValues(layerCaps, timeString, dimensionValues);
+
             // Determine image format
             var formats = layerCaps.format;
 
@@ -181,13 +193,13 @@ define([
                     layerCaps.wgs84BoundingBox.lowerCorner[0],
                     layerCaps.wgs84BoundingBox.upperCorner[0]);
             } else if (this.tileMatrixSet.boundingBox &&
-                WmtsLayerCapabilities.isEpsg4326Crs(this.tileMatrixSet.boundingBox.crs)) {
+                WmtsLayer.isEpsg4326Crs(this.tileMatrixSet.boundingBox.crs)) {
                 this.sector = new Sector(
                     this.tileMatrixSet.boundingBox.lowerCorner[1],
                     this.tileMatrixSet.boundingBox.upperCorner[1],
                     this.tileMatrixSet.boundingBox.lowerCorner[0],
                     this.tileMatrixSet.boundingBox.upperCorner[0]);
-            } else if (WmtsLayerCapabilities.isEpsg4326Crs(this.tileMatrixSet.supportedCRS)) {
+            } else if (WmtsLayer.isEpsg4326Crs(this.tileMatrixSet.supportedCRS)) {
                 // Throw an exception if there is no 4326 bounding box.
                 throw new ArgumentError(
                     Logger.logMessage(Logger.LEVEL_SEVERE, "WmtsLayer", "constructor",
@@ -197,8 +209,8 @@ define([
             // Form a unique string to identify cache entries.
             this.cachePath = (this.resourceUrl || this.serviceUrl) +
                 this.layerIdentifier + this.styleIdentifier + this.tileMatrixSet.identifier;
-            if (timeString) {
-                this.cachePath = this.cachePath + timeString;
+            if (Object.keys(this.dimensionValues).length > 0) {
+                this.cachePath = this.cachePath + JSON.stringify(this.dimensionValues);
             }
 
             // Determine a default display name.
@@ -226,6 +238,10 @@ define([
              * @default 1.75
              */
             this.detailControl = 1.75;
+
+            // Intentionally not documented. Indicates whether to suppress the redraw request upon successful image
+            // retrieval, as is done when retrieving images that are not displayed.
+            this.suppressRedraw = false;
         };
 
         WmtsLayer.prototype = Object.create(Layer.prototype);
@@ -251,6 +267,39 @@ define([
             }
         };
 
+        /**
+         * Indicates whether the images of this layer's tiles that are visible in the specified World Window have been
+         * retrieved. Initiates retrieval of the images not yet retrieved.
+         * @param {WorldWindow} wwd The world window associated with this layer.
+         * @returns {Boolean} true if all images needed to display this layer in the current view have been
+         * retrieved, otherwise false.
+         * @throws {ArgumentError} If the specified world window is null or undefined.
+         */
+        WmtsLayer.prototype.isCurrentViewPrePopulated = function (wwd) {
+            if (!wwd) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WmtsLayer", "isCurrentViewPrePopulated",
+                        "missingWorldWindow"));
+            }
+
+            this.retrieveCurrentTiles(wwd.drawContext);
+
+            // Tiles whose images are missing are displayed using an ancestor's image until their retrieval completes.
+            return this.currentRetrievals.length === 0;
+        };
+
+        // Intentionally not documented. Determines the tiles visible in the current frame and initiates retrieval of
+        // their images without requesting a redraw when they arrive.
+        WmtsLayer.prototype.retrieveCurrentTiles = function (dc) {
+            this.suppressRedraw = true;
+
+            try {
+                this.assembleTiles(dc);
+            } finally {
+                this.suppressRedraw = false;
+            }
+        };
+
         WmtsLayer.prototype.isLayerInView = function (dc) {
             return dc.terrain && dc.terrain.sector && dc.terrain.sector.intersects(this.sector);
         };
@@ -326,13 +375,13 @@ define([
                 // If the tile's texture has expired, cause it to be re-retrieved. Note that the current,
                 // expired texture is still used until the updated one arrives.
                 if (this.expiration && this.isTextureExpired(texture)) {
-                    this.retrieveTileImage(dc, tile);
+                    this.retrieveTileImage(dc, tile, this.suppressRedraw);
                 }
 
                 return;
             }
 
-            this.retrieveTileImage(dc, tile);
+            this.retrieveTileImage(dc, tile, this.suppressRedraw);
 
             if (this.currentAncestorTile) {
                 if (this.isTileTextureInMemory(dc, this.currentAncestorTile)) {
@@ -357,7 +406,7 @@ define([
             return tile.tileMatrix.levelNumber === (this.tileMatrixSet.tileMatrix.length - 1) || !tile.mustSubdivide(dc, s);
         };
 
-        WmtsLayer.prototype.retrieveTileImage = function (dc, tile) {
+        WmtsLayer.prototype.retrieveTileImage = function (dc, tile, suppressRedraw) {
             if (this.currentRetrievals.indexOf(tile.imagePath) < 0) {
                 if (this.absentResourceList.isResourceAbsent(tile.imagePath)) {
                     return;
@@ -386,10 +435,12 @@ define([
                         layer.currentTilesInvalid = true;
                         layer.absentResourceList.unmarkResourceAbsent(imagePath);
 
-                        // Send an event to request a redraw.
-                        var e = document.createEvent('Event');
-                        e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
-                        canvas.dispatchEvent(e);
+                        if (!suppressRedraw) {
+                            // Send an event to request a redraw.
+                            var e = document.createEvent('Event');
+                            e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+                            canvas.dispatchEvent(e);
+                        }
                     }
                 };
 
@@ -406,7 +457,7 @@ define([
         };
 
         WmtsLayer.prototype.resourceUrlForTile = function (tile, imageFormat) {
-            var url;
+            var url, identifier;
 
             if (this.resourceUrl) {
                 url = this.resourceUrl.replace("{Style}", this.styleIdentifier).
@@ -414,8 +465,10 @@ define([
                     replace("{TileMatrix}", tile.tileMatrix.identifier).
                     replace("{TileCol}", tile.column).replace("{TileRow}", tile.row);
 
-                if (this.timeString) {
-                    url.replace("{Time}", this.timeString);
+                for (identifier in this.dimensionValues) {
+                    if (this.dimensionValues.hasOwnProperty(identifier)) {
+                        url = url.split("{" + identifier + "}").join(this.dimensionValues[identifier]);
+                    }
                 }
             } else {
                 url = this.serviceUrl + "service=WMTS&request=GetTile&version=1.0.0";
@@ -428,8 +481,10 @@ define([
 
                 url += "&Format=" + imageFormat;
 
-                if (this.timeString) {
-                    url += "&Time=" + this.timeString;
+                for (identifier in this.dimensionValues) {
+                    if (this.dimensionValues.hasOwnProperty(identifier)) {
+                        url += "&" + identifier + "=" + encodeURIComponent(this.dimensionValues[identifier]);
+                    }
                 }
 
                 url += "&TileMatrixSet=" + this.tileMatrixSet.identifier;
@@ -592,6 +647,55 @@ define([
             return new Texture(dc.currentGlContext, destCanvas);
         };
 
+        /**
+         * Determines the dimension values to pass to the WMTS server for a specified layer. The value of each
+         * dimension advertised in the layer capabilities is its default value, or the first value it lists if it
+         * has no default, unless a value for the dimension is specified. The first value of a range is the range's
+         * start.
+         * @param {WmtsLayerCapabilities} layerCaps The WMTS layer capabilities describing the layer.
+         * @param {String} timeString The value of the layer's time dimension. May be null, in which case the
+         * default time is used.
+         * @param {Object} dimensionValues The values of the layer's other dimensions, keyed by dimension identifier.
+         * May be null.
+         * @returns {Object} The dimension values keyed by dimension identifier. Empty if the layer has no dimensions
+         * and no values are specified.
+         */
+        WmtsLayer.formDimensionValues = function (layerCaps, timeString, dimensionValues) {
+            var dimensions = layerCaps.dimension,
+                timeIdentifier = "Time",
+                values = {},
+                identifier;
+
+            for (var i = 0; dimensions && i < dimensions.length; i++) {
+                var dimension = dimensions[i],
+                    value = dimension.default || (dimension.value && dimension.value[0].split("/")[0].trim());
+
+                if (!dimension.identifier) {
+                    continue;
+                }
+
+                if (dimension.identifier.toLowerCase() === "time") {
+                    timeIdentifier = dimension.identifier;
+                }
+
+                if (value) {
+                    values[dimension.identifier] = value;
+                }
+            }
+
+            for (identifier in dimensionValues) {
+                if (dimensionValues.hasOwnProperty(identifier)) {
+                    values[identifier] = dimensionValues[identifier];
+                }
+            }
+
+            if (timeString) {
+                values[timeIdentifier] = timeString;
+            }
+
+            return values;
+        };
+
         WmtsLayer.isEpsg4326Crs = function (crs) {
             return (crs.indexOf("EPSG") >= 0) && (crs.indexOf("4326") >= 0);
         };
@@ -0,0 +1,141 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports WmtsTimeDimensionedLayer
+ */
+define([
+        '../error/ArgumentError',
+        '../util/CompositeTimeSequence',
+        '../util/Logger',
+        '../layer/WmsTimeDimensionedLayer',
+        '../layer/WmtsLayer'
+    ],
+    function (ArgumentError,
+              CompositeTimeSequence,
+              Logger,
+              WmsTimeDimensionedLayer,
+              WmtsLayer) {
+        "use strict";
+
+        /**
+         * Constructs a WMTS time-dimensioned image layer.
+         * @alias WmtsTimeDimensionedLayer
+         * @constructor
+         * @augments WmsTimeDimensionedLayer
+         * @classdesc Displays a time-series WMTS image layer, such as those provided by NASA GIBS. This layer
+         * contains a collection of {@link WmtsLayer}s, each representing a different time of the WMTS layer's time
+         * dimension. Only the layer indicated by the World Window's [current time]{@link TimeController#time}, or
+         * by this layer's [time]{@link Layer#time} property when the World Window specifies no current time, is
+         * displayed during any frame.
+         * <p>
+         * The available times are determined from the values of the time dimension advertised in the layer
+         * capabilities, which may be any mixture of single times and ranges in the form start/end/period. Times are
+         * passed to the server in the form the dimension's values use, e.g., 2016-07-12 for daily products.
+         * <p>
+         * Blending, prefetching and readiness for playback are as described for {@link WmsTimeDimensionedLayer}.
+         * @param {WmtsLayerCapabilities} layerCaps The WMTS layer capabilities describing this layer.
+         * @param {String} styleIdentifier The style to use for this layer. May be null, in which case the WMTS
+         * server's default style is used.
+         * @param {Object} dimensionValues The values of the layer's other dimensions, keyed by dimension identifier.
+         * May be null, in which case the default values advertised in the layer capabilities are used.
+         * @throws {ArgumentError} If the specified layer capabilities reference is null or undefined or the layer
+         * has no time dimension.
+         */
+        var WmtsTimeDimensionedLayer = function (layerCaps, styleIdentifier, dimensionValues) {
+            if (!layerCaps) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WmtsTimeDimensionedLayer", "constructor",
+                        "No layer configuration specified."));
+            }
+
+            var timeDimension = WmtsTimeDimensionedLayer.parseTimeDimension(layerCaps);
+            if (!timeDimension) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WmtsTimeDimensionedLayer", "constructor",
+                        "The layer has no time dimension."));
+            }
+
+            WmsTimeDimensionedLayer.call(this, {
+                title: layerCaps.title && layerCaps.title.length > 0 ? layerCaps.title[0].value :
+                    layerCaps.identifier,
+                timeSequences: [timeDimension],
+                timeDimension: timeDimension
+            });
+
+            /**
+             * The WMTS layer capabilities specified at construction.
+             * @type {WmtsLayerCapabilities}
+             * @readonly
+             */
+            this.layerCaps = layerCaps;
+
+            /**
+             * The style identifier specified at construction.
+             * @type {String}
+             * @readonly
+             */
+            this.styleIdentifier = styleIdentifier;
+
+            /**
+             * The values of the layer's other dimensions specified at construction.
+             * @type {Object}
+             * @readonly
+             */
+            this.dimensionValues = dimensionValues;
+
+            // Intentionally not documented. Indicates whether the server expects dates rather than full times.
+            this.dateOnly = WmtsTimeDimensionedLayer.isDateOnly(timeDimension.sequenceString);
+        };
+
+        WmtsTimeDimensionedLayer.prototype = Object.create(WmsTimeDimensionedLayer.prototype);
+
+        // Intentionally not documented. Creates the sub-layer of a specified ISO time string.
+        WmtsTimeDimensionedLayer.prototype.createSubLayer = function (timeString) {
+            return new WmtsLayer(this.layerCaps, this.styleIdentifier, this.formatTime(timeString),
+                this.dimensionValues);
+        };
+
+        // Intentionally not documented. Converts an ISO time string to the form of the time dimension's values.
+        WmtsTimeDimensionedLayer.prototype.formatTime = function (timeString) {
+            return this.dateOnly ? timeString.substring(0, 10) : timeString.replace(/\.000Z$/, "Z");
+        };
+
+        /**
+         * Parses the time dimension of a specified {@link WmtsLayerCapabilities} layer description.
+         * @param {WmtsLayerCapabilities} layerCaps The WMTS layer capabilities to parse.
+         * @returns {CompositeTimeSequence} The time sequence described by the values of the layer's time dimension,
+         * honoring the dimension's default value, or null if the layer has no time dimension.
+         */
+        WmtsTimeDimensionedLayer.parseTimeDimension = function (layerCaps) {
+            var dimensions = layerCaps.dimension;
+
+            for (var i = 0; dimensions && i < dimensions.length; i++) {
+                var dimension = dimensions[i];
+
+                if (dimension.identifier && dimension.identifier.toLowerCase() === "time" && dimension.value) {
+                    var values = dimension.value.map(function (value) {
+                        return value.trim();
+                    }).filter(function (value) {
+                        return value.length > 0;
+                    });
+
+                    if (values.length > 0) {
+                        return new CompositeTimeSequence(values.join(","), dimension.default);
+                    }
+                }
+            }
+
+            return null;
+        };
+
+        // Intentionally not documented. Indicates whether the times of a time dimension value are all dates.
+        WmtsTimeDimensionedLayer.isDateOnly = function (sequenceString) {
+            return sequenceString.split(/[,\/]/).every(function (element) {
+                return element.trim().charAt(0) === "P" || element.indexOf("T") < 0;
+            });
+        };
+
+        return WmtsTimeDimensionedLayer;
+    });
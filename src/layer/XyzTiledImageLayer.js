@@ -0,0 +1,235 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports XyzTiledImageLayer
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Color',
+        '../geom/Location',
+        '../util/Logger',
+        '../layer/MercatorTiledImageLayer',
+        '../geom/Sector',
+        '../layer/TiledImageLayer',
+        '../util/XyzUrlBuilder'
+    ],
+    function (ArgumentError,
+              Color,
+              Location,
+              Logger,
+              MercatorTiledImageLayer,
+              Sector,
+              TiledImageLayer,
+              XyzUrlBuilder) {
+        "use strict";
+
+        /**
+         * Constructs a layer displaying the tiles of a slippy-map tile service or tile folder.
+         * @alias XyzTiledImageLayer
+         * @constructor
+         * @augments MercatorTiledImageLayer
+         * @classdesc Displays XYZ or TMS tiles identified by a URL template, such as those of OpenStreetMap-style
+         * tile services or of a local tile folder. The template's placeholders are described by
+         * {@link XyzUrlBuilder}: {z}, {x} and {y} identify the tile, {-y} identifies its TMS row, {s} selects a
+         * subdomain, {quadkey} forms a Bing-style quadkey, {time} is replaced by the time this layer displays and
+         * {r} requests retina tiles.
+         * <p>
+         * Tiles are in the Web Mercator tiling scheme of slippy maps by default, or in a geographic tiling scheme
+         * whose zoom level 0 has two tiles, as in the CRS84 tile matrix sets of TMS and WMTS services.
+         * <p>
+         * When the URL template contains {time}, this layer displays the tiles of the World Window's current time,
+         * or of its [time]{@link Layer#time} property if the World Window specifies none. Times are formatted as
+         * ISO 8601 strings, e.g., 2016-01-01T00:00:00Z, unless a formatting function is configured.
+         * @param {{}} config The layer's configuration, with the following properties:
+         * <ul>
+         *     <li>url: {String} The URL template, e.g., https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png.
+         *     Relative URLs, such as tiles/{z}/{x}/{y}.png, address a tile folder.</li>
+         *     <li>subdomains (optional): {String|String[]} The subdomains replacing {s}. Default "abc".</li>
+         *     <li>tilingScheme (optional): {String} [WorldWind.WEB_MERCATOR]{@link WorldWind#WEB_MERCATOR}, the
+         *     default, or [WorldWind.GEOGRAPHIC]{@link WorldWind#GEOGRAPHIC}.</li>
+         *     <li>minZoom (optional): {Number} The lowest zoom level of the tiles. Tiles are neither retrieved nor
+         *     displayed at lower zoom levels. Default 0.</li>
+         *     <li>maxZoom (optional): {Number} The highest zoom level of the tiles. Default 19.</li>
+         *     <li>tileSize (optional): {Number} The width and height of the tiles in pixels. Default 256.</li>
+         *     <li>retina (optional): {Boolean} Indicates whether tiles of twice the tile size are requested, by
+         *     replacing {r} with "@2x", on displays whose device pixel ratio is greater than 1. Default false.</li>
+         *     <li>imageFormat (optional): {String} The mime type of the tiles. Default image/jpeg if the URL
+         *     template ends with .jpg or .jpeg, otherwise image/png.</li>
+         *     <li>attribution (optional): {String} The credit displayed while this layer is displayed, e.g.,
+         *     "©OpenStreetMap contributors".</li>
+         *     <li>displayName (optional): {String} This layer's display name. Default "XYZ Tiles".</li>
+         *     <li>time (optional): {Date|String} The initial value of this layer's [time]{@link Layer#time}
+         *     property.</li>
+         *     <li>formatTime (optional): {Function} A function returning the string replacing {time} for a Date.</li>
+         *     <li>cachePath (optional): {String} A string uniquely identifying this layer's tiles. Default the URL
+         *     template.</li>
+         * </ul>
+         * @throws {ArgumentError} If the specified configuration is null or undefined or does not specify a URL
+         * template.
+         */
+        var XyzTiledImageLayer = function (config) {
+            if (!config || !config.url) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "XyzTiledImageLayer", "constructor",
+                        "No configuration or URL template specified."));
+            }
+
+            var tilingScheme = config.tilingScheme || WorldWind.WEB_MERCATOR,
+                maxZoom = config.maxZoom !== undefined && config.maxZoom !== null ? config.maxZoom : 19,
+                retina = !!config.retina && typeof window !== "undefined" && window.devicePixelRatio > 1,
+                imageSize = (config.tileSize || 256) * (retina ? 2 : 1),
+                imageFormat = config.imageFormat || (/\.jpe?g(\?|$)/i.test(config.url) ? "image/jpeg" : "image/png"),
+                cachePath = config.cachePath || config.url;
+
+            if (tilingScheme === WorldWind.GEOGRAPHIC) {
+                MercatorTiledImageLayer.call(this, Sector.FULL_SPHERE, new Location(180, 180), maxZoom + 1,
+                    imageFormat, cachePath, imageSize, imageSize);
+            } else {
+                MercatorTiledImageLayer.call(this, new Sector(-85.05, 85.05, -180, 180), new Location(85.05, 180),
+                    Math.max(maxZoom, 1), imageFormat, cachePath, imageSize, imageSize);
+            }
+
+            this.imageSize = imageSize;
+            this.displayName = config.displayName || "XYZ Tiles";
+            this.pickEnabled = false;
+
+            /**
+             * The tiling scheme of this layer's tiles, either WorldWind.WEB_MERCATOR or WorldWind.GEOGRAPHIC.
+             * @type {String}
+             * @readonly
+             */
+            this.tilingScheme = tilingScheme;
+
+            /**
+             * The lowest zoom level of this layer's tiles. Tiles are neither retrieved nor displayed at lower zoom
+             * levels.
+             * @type {Number}
+             * @default 0
+             */
+            this.minZoom = config.minZoom || 0;
+
+            /**
+             * The highest zoom level of this layer's tiles.
+             * @type {Number}
+             * @readonly
+             */
+            this.maxZoom = maxZoom;
+
+            /**
+             * The credit displayed while this layer is displayed. May be null to display no credit.
+             * @type {String}
+             * @default null
+             */
+            this.attribution = config.attribution || null;
+
+            /**
+             * The URL builder forming the URLs of this layer's tiles.
+             * @type {XyzUrlBuilder}
+             * @readonly
+             */
+            this.urlBuilder = new XyzUrlBuilder(config.url, config.subdomains, tilingScheme);
+            this.urlBuilder.retina = retina;
+
+            if (config.time) {
+                this.time = config.time;
+            }
+
+            if (config.formatTime) {
+                this.formatTime = config.formatTime;
+            }
+
+            // The cache path of this layer's tiles regardless of time. Internal use only.
+            this.baseCachePath = cachePath;
+
+            // Indicates whether this layer's tiles depend on the time. Internal use only.
+            this.isTimeDependent = config.url.indexOf("{time}") >= 0;
+        };
+
+        XyzTiledImageLayer.prototype = Object.create(MercatorTiledImageLayer.prototype);
+
+        // Documented in superclass.
+        XyzTiledImageLayer.prototype.doRender = function (dc) {
+            if (this.isTimeDependent) {
+                this.updateTime(this.timeToDisplay(dc));
+            }
+
+            MercatorTiledImageLayer.prototype.doRender.call(this, dc);
+
+            if (this.inCurrentFrame && this.attribution) {
+                dc.screenCreditController.addStringCredit(this.attribution, Color.DARK_GRAY);
+            }
+        };
+
+        /**
+         * Formats the time replacing the {time} placeholder of this layer's URL template.
+         * @param {Date|String} time The time to format.
+         * @returns {String} The specified time if it is a string, otherwise its ISO 8601 representation without
+         * milliseconds, e.g., 2016-01-01T00:00:00Z.
+         */
+        XyzTiledImageLayer.prototype.formatTime = function (time) {
+            return time instanceof Date ? time.toISOString().replace(/\.\d{3}Z$/, "Z") : String(time);
+        };
+
+        // Internal use only. Switches to the tiles of a specified time when it differs from the time of the tiles
+        // currently displayed.
+        XyzTiledImageLayer.prototype.updateTime = function (time) {
+            var timeString = time ? this.formatTime(time) : null;
+
+            if (timeString !== this.urlBuilder.time) {
+                this.urlBuilder.time = timeString;
+                this.cachePath = this.baseCachePath + (timeString ? "/" + timeString : "");
+                this.topLevelTiles = null;
+                this.tileCache.clear(false);
+                this.currentTilesInvalid = true;
+            }
+        };
+
+        // Overridden from TiledImageLayer to retrieve no tiles below the minimum zoom level.
+        XyzTiledImageLayer.prototype.retrieveTileImage = function (dc, tile, suppressRedraw) {
+            if (this.urlBuilder.zoomForLevel(tile.level.levelNumber) >= this.minZoom) {
+                MercatorTiledImageLayer.prototype.retrieveTileImage.call(this, dc, tile, suppressRedraw);
+            }
+        };
+
+        // Overridden from TiledImageLayer. Web Mercator layers' first level holds the four tiles of zoom level 1.
+        XyzTiledImageLayer.prototype.createTopLevelTiles = function (dc) {
+            if (this.tilingScheme === WorldWind.GEOGRAPHIC) {
+                TiledImageLayer.prototype.createTopLevelTiles.call(this, dc);
+                return;
+            }
+
+            this.topLevelTiles = [];
+
+            this.topLevelTiles.push(this.createTile(null, this.levels.firstLevel(), 0, 0));
+            this.topLevelTiles.push(this.createTile(null, this.levels.firstLevel(), 0, 1));
+            this.topLevelTiles.push(this.createTile(null, this.levels.firstLevel(), 1, 0));
+            this.topLevelTiles.push(this.createTile(null, this.levels.firstLevel(), 1, 1));
+        };
+
+        // Overridden from MercatorTiledImageLayer. Geographic tiles have the sectors of their level set.
+        XyzTiledImageLayer.prototype.createTile = function (sector, level, row, column) {
+            if (this.tilingScheme === WorldWind.GEOGRAPHIC) {
+                return TiledImageLayer.prototype.createTile.call(this, sector, level, row, column);
+            }
+
+            return MercatorTiledImageLayer.prototype.createTile.call(this, sector, level, row, column);
+        };
+
+        // Overridden from MercatorTiledImageLayer. Geographic tiles need not be unprojected.
+        XyzTiledImageLayer.prototype.createTexture = function (dc, tile, image) {
+            if (this.tilingScheme === WorldWind.GEOGRAPHIC) {
+                return TiledImageLayer.prototype.createTexture.call(this, dc, tile, image);
+            }
+
+            return MercatorTiledImageLayer.prototype.createTexture.call(this, dc, tile, image);
+        };
+
+        // Determines the Web Mercator map size for a specified level number.
+        XyzTiledImageLayer.prototype.mapSizeForLevel = function (levelNumber) {
+            return this.imageSize << (levelNumber + 1);
+        };
+
+        return XyzTiledImageLayer;
+    });
@@ -0,0 +1,351 @@
+/*
+ * Copyright (C) 2015 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Logger'
+    ],
+    function (ArgumentError,
+              Logger) {
+        "use strict";
+        /**
+         * Provides functions for decoding GML features and geometries, such as those returned by WFS GetFeature
+         * requests, into GeoJSON objects. GML 2, 3.1 and 3.2 feature collections are recognized.
+         * <p>
+         * Coordinates are decoded in longitude, latitude order, as GeoJSON requires. Coordinates of geometries
+         * whose srsName is an EPSG:4326 URN or URL, such as urn:ogc:def:crs:EPSG::4326, are in latitude, longitude
+         * order and are swapped. All other coordinates are assumed to be in longitude, latitude order.
+         * @exports GmlDecoder
+         */
+        var GmlDecoder = {
+            /**
+             * Decodes a GML feature collection, such as the response to a WFS GetFeature request.
+             * @param {{}} xmlDom An XML DOM representing the feature collection.
+             * @returns {Object} A GeoJSON FeatureCollection containing the decoded features. The collection's
+             * numberMatched property holds the number of features matching the request, as indicated by the
+             * numberMatched or numberOfFeatures attributes of the collection, or null if it is not indicated.
+             * @throws {ArgumentError} If the specified XML DOM is null or undefined.
+             */
+            decodeFeatureCollection: function (xmlDom) {
+                if (!xmlDom) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GmlDecoder", "decodeFeatureCollection",
+                            "No XML DOM specified."));
+                }
+
+                var root = xmlDom.documentElement,
+                    numberMatched = parseInt(root.getAttribute("numberMatched")
+                        || root.getAttribute("numberOfFeatures")),
+                    collection = {
+                        type: "FeatureCollection",
+                        features: [],
+                        numberMatched: isNaN(numberMatched) ? null : numberMatched
+                    };
+
+                GmlDecoder.collectFeatures(root, collection.features);
+
+                return collection;
+            },
+
+            /**
+             * Decodes a GML feature.
+             * @param {Element} element The XML DOM element representing the feature.
+             * @returns {Object} A GeoJSON Feature whose geometry is the feature's first geometry property, or null if
+             * it has none, and whose properties are the feature's properties with simple content.
+             * @throws {ArgumentError} If the specified element is null or undefined.
+             */
+            decodeFeature: function (element) {
+                if (!element) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GmlDecoder", "decodeFeature", "missingDomElement"));
+                }
+
+                var feature = {
+                        type: "Feature",
+                        id: element.getAttribute("gml:id") || element.getAttribute("fid") || undefined,
+                        geometry: null,
+                        properties: {}
+                    },
+                    children = GmlDecoder.childElements(element);
+
+                for (var c = 0; c < children.length; c++) {
+                    var child = children[c],
+                        grandchildren = GmlDecoder.childElements(child);
+
+                    if (GmlDecoder.isGmlElement(child)) {
+                        continue; // boundedBy, name, description and other standard properties
+                    }
+
+                    if (grandchildren.length === 0) {
+                        feature.properties[child.localName] = child.textContent.trim();
+                    } else if (!feature.geometry && GmlDecoder.isGmlElement(grandchildren[0])) {
+                        feature.geometry = GmlDecoder.decodeGeometry(grandchildren[0]);
+                    }
+                }
+
+                if (feature.id === undefined) {
+                    delete feature.id;
+                }
+
+                return feature;
+            },
+
+            /**
+             * Decodes a GML geometry. Points, line strings, curves, linear rings, polygons, surfaces, their
+             * multi-geometry counterparts and multi-geometries are recognized.
+             * @param {Element} element The XML DOM element representing the geometry.
+             * @param {String} srsName The srsName of the geometry's parent, inherited by the geometry if it does not
+             * specify one. May be null.
+             * @returns {Object} A GeoJSON geometry, or null if the geometry is not recognized.
+             * @throws {ArgumentError} If the specified element is null or undefined.
+             */
+            decodeGeometry: function (element, srsName) {
+                if (!element) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GmlDecoder", "decodeGeometry", "missingDomElement"));
+                }
+
+                var srs = element.getAttribute("srsName") || srsName,
+                    swap = GmlDecoder.isLatitudeFirst(srs);
+
+                switch (element.localName) {
+                    case "Point":
+                        return {type: "Point", coordinates: GmlDecoder.decodePositions(element, swap)[0]};
+                    case "LineString":
+                    case "Curve":
+                    case "LinearRing":
+                        return {type: "LineString", coordinates: GmlDecoder.decodePositions(element, swap)};
+                    case "Polygon":
+                        return {type: "Polygon", coordinates: GmlDecoder.decodeRings(element, swap)};
+                    case "Surface":
+                        var patches = GmlDecoder.descendants(element, "PolygonPatch").map(function (patch) {
+                            return GmlDecoder.decodeRings(patch, swap);
+                        });
+                        return patches.length === 1 ? {type: "Polygon", coordinates: patches[0]} :
+                            {type: "MultiPolygon", coordinates: patches};
+                    case "MultiPoint":
+                    case "MultiLineString":
+                    case "MultiCurve":
+                    case "MultiPolygon":
+                    case "MultiSurface":
+                    case "MultiGeometry":
+                        return GmlDecoder.decodeMultiGeometry(element, srs);
+                    default:
+                        Logger.log(Logger.LEVEL_WARNING, "Unsupported GML geometry: " + element.localName);
+                        return null;
+                }
+            },
+
+            // Internal use only. Decodes a multi-geometry from the geometries of its members.
+            decodeMultiGeometry: function (element, srsName) {
+                var members = [],
+                    memberElements = GmlDecoder.childElements(element),
+                    types = {
+                        MultiPoint: "MultiPoint",
+                        MultiLineString: "MultiLineString",
+                        MultiCurve: "MultiLineString",
+                        MultiPolygon: "MultiPolygon",
+                        MultiSurface: "MultiPolygon"
+                    },
+                    type = types[element.localName],
+                    i, j;
+
+                for (i = 0; i < memberElements.length; i++) {
+                    // Members are either single geometry properties, e.g., pointMember, or arrays, e.g., pointMembers.
+                    var geometryElements = GmlDecoder.childElements(memberElements[i]);
+                    for (j = 0; j < geometryElements.length; j++) {
+                        var geometry = GmlDecoder.decodeGeometry(geometryElements[j], srsName);
+                        if (geometry) {
+                            members.push(geometry);
+                        }
+                    }
+                }
+
+                if (!type) {
+                    return {type: "GeometryCollection", geometries: members};
+                }
+
+                var coordinates = [];
+                for (i = 0; i < members.length; i++) {
+                    if (members[i].type === "MultiPolygon") {
+                        coordinates = coordinates.concat(members[i].coordinates); // a surface of several patches
+                    } else {
+                        coordinates.push(members[i].coordinates);
+                    }
+                }
+
+                return {type: type, coordinates: coordinates};
+            },
+
+            // Internal use only. Decodes the exterior and interior rings of a polygon or polygon patch.
+            decodeRings: function (element, swap) {
+                var rings = [],
+                    exterior = null,
+                    children = GmlDecoder.childElements(element);
+
+                for (var c = 0; c < children.length; c++) {
+                    var name = children[c].localName,
+                        ring = GmlDecoder.childElements(children[c])[0];
+
+                    if (!ring) {
+                        continue;
+                    }
+
+                    if (name === "exterior" || name === "outerBoundaryIs") {
+                        exterior = GmlDecoder.decodePositions(ring, swap);
+                    } else if (name === "interior" || name === "innerBoundaryIs") {
+                        rings.push(GmlDecoder.decodePositions(ring, swap));
+                    }
+                }
+
+                return exterior ? [exterior].concat(rings) : rings;
+            },
+
+            // Internal use only. Decodes the positions of a geometry from its posList, pos, coordinates or coord
+            // descendants.
+            decodePositions: function (element, swap) {
+                var positions = [],
+                    posLists = GmlDecoder.descendants(element, "posList"),
+                    values, dimension, i, j;
+
+                if (posLists.length > 0) {
+                    for (i = 0; i < posLists.length; i++) {
+                        values = GmlDecoder.parseNumbers(posLists[i].textContent, /\s+/);
+                        dimension = parseInt(posLists[i].getAttribute("srsDimension")
+                                || posLists[i].getAttribute("dimension")) || 2;
+
+                        for (j = 0; j + dimension <= values.length; j += dimension) {
+                            positions.push(GmlDecoder.makePosition(values.slice(j, j + dimension), swap));
+                        }
+                    }
+
+                    return positions;
+                }
+
+                var coordinates = GmlDecoder.descendants(element, "coordinates");
+                if (coordinates.length > 0) {
+                    var decimal = coordinates[0].getAttribute("decimal") || ".",
+                        cs = coordinates[0].getAttribute("cs") || ",",
+                        ts = coordinates[0].getAttribute("ts") || " ",
+                        tuples = coordinates[0].textContent.trim().split(ts === " " ? /\s+/ : ts);
+
+                    for (i = 0; i < tuples.length; i++) {
+                        values = GmlDecoder.parseNumbers(tuples[i].split(decimal).join("."), cs);
+                        if (values.length >= 2) {
+                            positions.push(GmlDecoder.makePosition(values, swap));
+                        }
+                    }
+
+                    return positions;
+                }
+
+                var pos = GmlDecoder.descendants(element, "pos");
+                for (i = 0; i < pos.length; i++) {
+                    positions.push(GmlDecoder.makePosition(GmlDecoder.parseNumbers(pos[i].textContent, /\s+/), swap));
+                }
+
+                var coord = GmlDecoder.descendants(element, "coord");
+                for (i = 0; i < coord.length; i++) {
+                    values = ["X", "Y", "Z"].map(function (name) {
+                        var axis = GmlDecoder.descendants(coord[i], name)[0];
+                        return axis ? parseFloat(axis.textContent) : NaN;
+                    }).filter(function (value) {
+                        return !isNaN(value);
+                    });
+                    positions.push(GmlDecoder.makePosition(values, swap));
+                }
+
+                return positions;
+            },
+
+            // Internal use only.
+            makePosition: function (values, swap) {
+                var position = swap ? [values[1], values[0]] : [values[0], values[1]];
+
+                if (values.length > 2) {
+                    position.push(values[2]);
+                }
+
+                return position;
+            },
+
+            // Internal use only.
+            parseNumbers: function (text, separator) {
+                return text.trim().split(separator).map(parseFloat).filter(function (value) {
+                    return !isNaN(value);
+                });
+            },
+
+            /**
+             * Indicates whether coordinates in a specified coordinate reference system are in latitude, longitude
+             * order. This is the case for EPSG:4326 identified by a URN or URL.
+             * @param {String} srsName The coordinate reference system's name. May be null.
+             * @returns {Boolean} true if the coordinates are in latitude, longitude order, otherwise false.
+             */
+            isLatitudeFirst: function (srsName) {
+                return !!srsName && /4326$/.test(srsName) && /^(urn:|http:\/\/www\.opengis\.net\/def\/)/.test(srsName);
+            },
+
+            // Internal use only. Collects the features of a feature collection's featureMember, featureMembers and
+            // member elements, including those of nested collections.
+            collectFeatures: function (collection, result) {
+                var members = GmlDecoder.childElements(collection);
+
+                for (var i = 0; i < members.length; i++) {
+                    var name = members[i].localName;
+
+                    if (name !== "featureMember" && name !== "featureMembers" && name !== "member") {
+                        continue;
+                    }
+
+                    var features = GmlDecoder.childElements(members[i]);
+                    for (var j = 0; j < features.length; j++) {
+                        if (features[j].localName === "FeatureCollection") {
+                            GmlDecoder.collectFeatures(features[j], result);
+                        } else {
+                            result.push(GmlDecoder.decodeFeature(features[j]));
+                        }
+                    }
+                }
+            },
+
+            // Intentionally not documented.
+            isGmlElement: function (element) {
+                return !!element.namespaceURI && element.namespaceURI.indexOf("http://www.opengis.net/gml") === 0;
+            },
+
+            // Intentionally not documented.
+            childElements: function (element) {
+                var children = element.children || element.childNodes,
+                    result = [];
+
+                for (var c = 0; c < children.length; c++) {
+                    if (children[c].nodeType === 1) {
+                        result.push(children[c]);
+                    }
+                }
+
+                return result;
+            },
+
+            // Intentionally not documented. Returns the descendant elements of a specified local name, in document
+            // order.
+            descendants: function (element, localName) {
+                var result = [],
+                    children = GmlDecoder.childElements(element);
+
+                for (var c = 0; c < children.length; c++) {
+                    if (children[c].localName === localName) {
+                        result.push(children[c]);
+                    } else {
+                        result = result.concat(GmlDecoder.descendants(children[c], localName));
+                    }
+                }
+
+                return result;
+            }
+        };
+
+        return GmlDecoder;
+    });
@@ -32,18 +32,25 @@ define([
 
             this.name = element.getAttribute("name");
 
-            var children = element.children;
+            var children = element.children || element.childNodes;
             for (var c = 0; c < children.length; c++) {
                 var child = children[c];
 
                 if (child.localName === "AllowedValues") {
                     this.allowedValues = this.allowedValues || [];
 
-                    for (var cc = 0; cc < child.children.length; cc++) {
-                        if (child.children[cc].localName === "Value") {
-                            this.allowedValues.push(child.children[cc].textContent);
+                    var values = child.children || child.childNodes;
+                    for (var cc = 0; cc < values.length; cc++) {
+                        if (values[cc].localName === "Value") {
+                            this.allowedValues.push(values[cc].textContent);
                         }
                     }
+                } else if (child.localName === "Value") {
+                    // OWS 1.0 lists values directly, without an AllowedValues element.
+                    this.allowedValues = this.allowedValues || [];
+                    this.allowedValues.push(child.textContent);
+                } else if (child.localName === "DefaultValue") {
+                    this.defaultValue = child.textContent;
                 } else if (child.localName === "AnyValue") {
                     this.anyValue = true;
                 } else if (child.localName === "NoValues") {
@@ -22,7 +22,8 @@ define([
          * @classdesc Represents an OWS Operations Metadata section of an OGC capabilities document.
          * This object holds as properties all the fields specified in the OWS Operations Metadata section.
          * Most fields can be accessed as properties named according to their document names converted to camel case.
-         * For example, "operations".
+         * For example, "operation", "parameter" and "constraint". Parameters are represented as {@link OwsConstraint}
+         * objects, which have the same structure.
          * @param {Element} element An XML DOM element representing the OWS Service Provider section.
          * @throws {ArgumentError} If the specified XML DOM element is null or undefined.
          */
@@ -32,15 +33,21 @@ define([
                     Logger.logMessage(Logger.LEVEL_SEVERE, "OwsOperationsMetadata", "constructor", "missingDomElement"));
             }
 
-            var children = element.children;
+            var children = element.children || element.childNodes;
             for (var c = 0; c < children.length; c++) {
                 var child = children[c];
 
                 if (child.localName === "Operation") {
                     this.operation = this.operation || [];
                     this.operation.push(OwsOperationsMetadata.assembleOperation(child));
+                } else if (child.localName === "Parameter") {
+                    this.parameter = this.parameter || [];
+                    this.parameter.push(new OwsConstraint(child));
+                } else if (child.localName === "Constraint") {
+                    this.constraint = this.constraint || [];
+                    this.constraint.push(new OwsConstraint(child));
                 }
-                // TODO: Parameter, Constraint, ExtendedCapabilities
+                // TODO: ExtendedCapabilities
             }
         };
 
@@ -49,15 +56,21 @@ define([
 
             operation.name = element.getAttribute("name");
 
-            var children = element.children;
+            var children = element.children || element.childNodes;
             for (var c = 0; c < children.length; c++) {
                 var child = children[c];
 
                 if (child.localName === "DCP") {
                     operation.dcp = operation.dcp || [];
                     operation.dcp.push(OwsOperationsMetadata.assembleDcp(child));
+                } else if (child.localName === "Parameter") {
+                    operation.parameter = operation.parameter || [];
+                    operation.parameter.push(new OwsConstraint(child));
+                } else if (child.localName === "Constraint") {
+                    operation.constraint = operation.constraint || [];
+                    operation.constraint.push(new OwsConstraint(child));
                 }
-                // TODO: Parameter, Constraint, Metadata
+                // TODO: Metadata
             }
 
             return operation;
@@ -66,7 +79,7 @@ define([
         OwsOperationsMetadata.assembleDcp = function (element) {
             var dcp = {};
 
-            var children = element.children;
+            var children = element.children || element.childNodes;
             for (var c = 0; c < children.length; c++) {
                 var child = children[c];
 
@@ -81,7 +94,7 @@ define([
         OwsOperationsMetadata.assembleHttp = function (element) {
             var result = {};
 
-            var children = element.children;
+            var children = element.children || element.childNodes;
             for (var c = 0; c < children.length; c++) {
                 var child = children[c];
 
@@ -101,7 +114,7 @@ define([
 
             result.href = element.getAttribute("xlink:href");
 
-            var children = element.children;
+            var children = element.children || element.childNodes;
             for (var c = 0; c < children.length; c++) {
                 var child = children[c];
 
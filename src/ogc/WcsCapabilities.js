@@ -0,0 +1,272 @@
+/*
+ * Copyright (C) 2015 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports WcsCapabilities
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Logger',
+        '../ogc/OwsOperationsMetadata',
+        '../ogc/OwsServiceIdentification',
+        '../ogc/OwsServiceProvider',
+        '../geom/Sector'
+    ],
+    function (ArgumentError,
+              Logger,
+              OwsOperationsMetadata,
+              OwsServiceIdentification,
+              OwsServiceProvider,
+              Sector) {
+        "use strict";
+
+        /**
+         * Constructs an OGC WCS capabilities document from an XML DOM.
+         * @alias WcsCapabilities
+         * @constructor
+         * @classdesc Represents an OGC WCS 1.0 or 2.0 capabilities document. The document's coverages are held in
+         * the "coverages" property for both versions, each an object with the properties "coverageId", "title",
+         * "abstract" and "wgs84BoundingBox", a {@link Sector}. The output formats the server supports are held in
+         * the "formatsSupported" property.
+         * <p>
+         * The WCS 2.0 service identification, service provider and operations metadata are held in the
+         * "serviceIdentification", "serviceProvider" and "operationsMetadata" properties. The WCS 1.0 service
+         * description is held in the "service" property, and the addresses of its operations are provided by
+         * [getGetCoverageAddress]{@link WcsCapabilities#getGetCoverageAddress} and
+         * [getDescribeCoverageAddress]{@link WcsCapabilities#getDescribeCoverageAddress} for both versions.
+         * @param {{}} xmlDom An XML DOM representing the OGC WCS capabilities document.
+         * @throws {ArgumentError} If the specified XML DOM is null or undefined.
+         */
+        var WcsCapabilities = function (xmlDom) {
+            if (!xmlDom) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WcsCapabilities", "constructor", "No XML DOM specified."));
+            }
+
+            this.coverages = [];
+            this.formatsSupported = [];
+
+            this.assembleDocument(xmlDom);
+        };
+
+        WcsCapabilities.prototype.assembleDocument = function (dom) {
+            var root = dom.documentElement;
+
+            this.version = root.getAttribute("version");
+            this.updateSequence = root.getAttribute("updateSequence");
+
+            var children = root.children || root.childNodes;
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c];
+
+                if (child.localName === "ServiceIdentification") {
+                    this.serviceIdentification = new OwsServiceIdentification(child);
+                } else if (child.localName === "ServiceProvider") {
+                    this.serviceProvider = new OwsServiceProvider(child);
+                } else if (child.localName === "OperationsMetadata") {
+                    this.operationsMetadata = new OwsOperationsMetadata(child);
+                } else if (child.localName === "ServiceMetadata") {
+                    this.assembleServiceMetadata(child);
+                } else if (child.localName === "Contents" || child.localName === "ContentMetadata") {
+                    this.assembleContents(child);
+                } else if (child.localName === "Service") {
+                    this.service = WcsCapabilities.assembleService(child);
+                } else if (child.localName === "Capability") {
+                    this.capability = WcsCapabilities.assembleCapability(child);
+                }
+            }
+        };
+
+        WcsCapabilities.prototype.assembleServiceMetadata = function (element) {
+            var children = element.children || element.childNodes;
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c];
+
+                if (child.localName === "formatSupported") {
+                    this.formatsSupported.push(child.textContent.trim());
+                }
+            }
+        };
+
+        WcsCapabilities.prototype.assembleContents = function (element) {
+            var children = element.children || element.childNodes;
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c];
+
+                if (child.localName === "CoverageSummary" || child.localName === "CoverageOfferingBrief") {
+                    try {
+                        this.coverages.push(WcsCapabilities.assembleCoverage(child));
+                    } catch (e) {
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "WcsCapabilities", "constructor",
+                            "Exception reading WCS coverage description: " + e.message);
+                    }
+                }
+            }
+        };
+
+        WcsCapabilities.assembleCoverage = function (element) {
+            var coverage = {};
+
+            var children = element.children || element.childNodes;
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c];
+
+                if (child.localName === "CoverageId" || child.localName === "name") {
+                    coverage.coverageId = child.textContent.trim();
+                } else if (child.localName === "Title" || child.localName === "label") {
+                    coverage.title = coverage.title || child.textContent;
+                } else if (child.localName === "Abstract" || child.localName === "description") {
+                    coverage.abstract = coverage.abstract || child.textContent;
+                } else if (child.localName === "CoverageSubtype") {
+                    coverage.coverageSubtype = child.textContent.trim();
+                } else if (child.localName === "WGS84BoundingBox" || child.localName === "lonLatEnvelope") {
+                    coverage.wgs84BoundingBox = WcsCapabilities.assembleBoundingBox(child);
+                }
+            }
+
+            return coverage;
+        };
+
+        // Internal use only. Assembles an OWS WGS84BoundingBox or a WCS 1.0 lonLatEnvelope, both of which list
+        // longitude before latitude.
+        WcsCapabilities.assembleBoundingBox = function (element) {
+            var corners = [];
+
+            var children = element.children || element.childNodes;
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c];
+
+                if (child.localName === "LowerCorner" || child.localName === "UpperCorner"
+                    || child.localName === "pos") {
+                    var values = child.textContent.trim().split(/\s+/);
+                    corners.push([parseFloat(values[0]), parseFloat(values[1])]);
+                }
+            }
+
+            if (corners.length < 2) {
+                return null;
+            }
+
+            return new Sector(corners[0][1], corners[1][1], corners[0][0], corners[1][0]);
+        };
+
+        WcsCapabilities.assembleService = function (element) {
+            var service = {};
+
+            var children = element.children || element.childNodes;
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c];
+
+                if (child.localName === "name") {
+                    service.name = child.textContent;
+                } else if (child.localName === "label") {
+                    service.label = child.textContent;
+                } else if (child.localName === "description") {
+                    service.description = child.textContent;
+                } else if (child.localName === "fees") {
+                    service.fees = child.textContent;
+                } else if (child.localName === "accessConstraints") {
+                    service.accessConstraints = child.textContent;
+                }
+            }
+
+            return service;
+        };
+
+        WcsCapabilities.assembleCapability = function (element) {
+            var capability = {};
+
+            var children = element.children || element.childNodes;
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c];
+
+                if (child.localName === "Request") {
+                    capability.request = {};
+
+                    var children2 = child.children || child.childNodes;
+                    for (var c2 = 0; c2 < children2.length; c2++) {
+                        var child2 = children2[c2];
+
+                        if (child2.nodeType === 1) {
+                            capability.request[child2.localName] = {
+                                name: child2.localName,
+                                url: WcsCapabilities.assembleGetAddress(child2)
+                            };
+                        }
+                    }
+                }
+            }
+
+            return capability;
+        };
+
+        // Internal use only. Returns the address of the HTTP Get DCP of a WCS 1.0 request element.
+        WcsCapabilities.assembleGetAddress = function (element) {
+            var children = element.children || element.childNodes;
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c];
+
+                if (child.localName === "OnlineResource") {
+                    return child.getAttribute("xlink:href");
+                } else if (child.nodeType === 1 && child.localName !== "Post") {
+                    var address = WcsCapabilities.assembleGetAddress(child);
+                    if (address) {
+                        return address;
+                    }
+                }
+            }
+
+            return null;
+        };
+
+        /**
+         * Returns the address of the server's KVP GetCoverage operation.
+         * @returns {String} The address of the GetCoverage operation, or null if the capabilities document does not
+         * specify one.
+         */
+        WcsCapabilities.prototype.getGetCoverageAddress = function () {
+            return this.getOperationAddress("GetCoverage");
+        };
+
+        /**
+         * Returns the address of the server's KVP DescribeCoverage operation.
+         * @returns {String} The address of the DescribeCoverage operation, or null if the capabilities document does
+         * not specify one.
+         */
+        WcsCapabilities.prototype.getDescribeCoverageAddress = function () {
+            return this.getOperationAddress("DescribeCoverage");
+        };
+
+        /**
+         * Returns the summary of a specified coverage.
+         * @param {String} coverageId The identifier of the coverage.
+         * @returns {Object} The coverage summary, or null if the capabilities document does not list the coverage.
+         */
+        WcsCapabilities.prototype.getCoverage = function (coverageId) {
+            for (var i = 0; i < this.coverages.length; i++) {
+                if (this.coverages[i].coverageId === coverageId) {
+                    return this.coverages[i];
+                }
+            }
+
+            return null;
+        };
+
+        // Internal use only. Returns the address of the HTTP Get DCP of a specified operation.
+        WcsCapabilities.prototype.getOperationAddress = function (name) {
+            var operations = this.operationsMetadata && this.operationsMetadata.operation,
+                request = this.capability && this.capability.request && this.capability.request[name];
+
+            for (var i = 0; operations && i < operations.length; i++) {
+                var dcp = operations[i].dcp;
+                if (operations[i].name === name && dcp && dcp[0].http && dcp[0].http.get) {
+                    return dcp[0].http.get[0].href;
+                }
+            }
+
+            return request ? request.url : null;
+        };
+
+        return WcsCapabilities;
+    });
@@ -0,0 +1,501 @@
+/*
+ * Copyright (C) 2015 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports WcsClient
+ */
+define([
+        '../error/ArgumentError',
+        '../globe/GeoTiffElevationModel',
+        '../formats/geotiff/GeoTiffReader',
+        '../util/Logger',
+        '../util/Promise',
+        '../ogc/WcsCoverage',
+        '../ogc/WcsCoverageDescriptions',
+        '../util/WmsUrlBuilder'
+    ],
+    function (ArgumentError,
+              GeoTiffElevationModel,
+              GeoTiffReader,
+              Logger,
+              Promise,
+              WcsCoverage,
+              WcsCoverageDescriptions,
+              WmsUrlBuilder) {
+        "use strict";
+
+        /**
+         * Constructs a WCS client for a specified WCS server.
+         * @alias WcsClient
+         * @constructor
+         * @classdesc Retrieves coverages from a WCS 1.0 or 2.0 server as GeoTIFFs. Coverages are requested for a
+         * geographic region and optionally a time, and are read by a {@link GeoTiffReader}. A coverage may serve
+         * as terrain, by an elevation model created with
+         * [createElevationModel]{@link WcsClient#createElevationModel}, or as a raster of data values, such as
+         * temperatures, by a {@link WcsCoverage} retrieved with
+         * [retrieveCoverage]{@link WcsClient#retrieveCoverage}.
+         * <p>
+         * Requests are more precise once the coverages are described by the server, so applications typically call
+         * [describeCoverage]{@link WcsClient#describeCoverage} before requesting coverages. The descriptions provide
+         * the coverages' axis labels, NODATA values and output formats. Coverages should have a single band, or a
+         * single field should be selected with the "field" option of the requests.
+         * @param {WcsCapabilities} capabilities The capabilities of the WCS server.
+         * @throws {ArgumentError} If the specified capabilities are null or undefined or do not specify the address
+         * of the GetCoverage operation.
+         */
+        var WcsClient = function (capabilities) {
+            if (!capabilities) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WcsClient", "constructor", "No capabilities specified."));
+            }
+
+            var address = capabilities.getGetCoverageAddress();
+            if (!address) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WcsClient", "constructor",
+                        "The capabilities do not specify the address of the GetCoverage operation."));
+            }
+
+            /**
+             * The capabilities of the WCS server, as specified to this client's constructor.
+             * @type {WcsCapabilities}
+             * @readonly
+             */
+            this.capabilities = capabilities;
+
+            /**
+             * The address of the WCS server's GetCoverage operation.
+             * @type {String}
+             * @readonly
+             */
+            this.serviceAddress = address;
+
+            /**
+             * The WCS version requested.
+             * @type {String}
+             * @readonly
+             */
+            this.version = capabilities.version && capabilities.version >= "2.0.0" ? "2.0.1" : "1.0.0";
+
+            /**
+             * The largest width and height, in pixels, requested when the application does not specify the size of
+             * the coverage. Larger WCS 2.0 coverages are requested at a reduced size, which requires the server to
+             * support the scaling extension.
+             * @type {Number}
+             * @default 1024
+             */
+            this.maxSize = 1024;
+
+            // The coverage descriptions retrieved by describeCoverage, keyed by coverage identifier. Internal use only.
+            this.descriptions = {};
+        };
+
+        /**
+         * Creates the URL of a KVP DescribeCoverage request.
+         * @param {String[]} coverageIds The identifiers of the coverages to describe.
+         * @returns {String} The request URL.
+         * @throws {ArgumentError} If the specified coverage identifiers are null, undefined or empty.
+         */
+        WcsClient.prototype.describeCoverageUrl = function (coverageIds) {
+            if (!coverageIds || coverageIds.length === 0) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WcsClient", "describeCoverageUrl",
+                        "No coverage identifiers specified."));
+            }
+
+            var address = this.capabilities.getDescribeCoverageAddress() || this.serviceAddress,
+                sb = WmsUrlBuilder.fixGetMapString(address);
+
+            sb = sb + "service=WCS&request=DescribeCoverage&version=" + this.version;
+            sb = sb + (this.version === "1.0.0" ? "&coverage=" : "&coverageId=")
+                + coverageIds.map(encodeURIComponent).join(",");
+
+            return sb;
+        };
+
+        /**
+         * Retrieves the descriptions of specified coverages. The descriptions are retained by this client and used
+         * by subsequent requests for the coverages.
+         * @param {String[]} coverageIds The identifiers of the coverages to describe.
+         * @returns {Promise} A promise resolved with the {@link WcsCoverageDescriptions} when they are retrieved.
+         * The promise is rejected with an Error if the request fails or the server reports an exception.
+         * @throws {ArgumentError} If the specified coverage identifiers are null, undefined or empty.
+         */
+        WcsClient.prototype.describeCoverage = function (coverageIds) {
+            var url = this.describeCoverageUrl(coverageIds),
+                client = this;
+
+            return new Promise(function (resolve, reject) {
+                var xhr = new XMLHttpRequest();
+
+                xhr.open("GET", url, true);
+                xhr.onreadystatechange = function () {
+                    if (xhr.readyState !== 4) {
+                        return;
+                    }
+
+                    var root = xhr.responseXML && xhr.responseXML.documentElement;
+
+                    if (xhr.status !== 200 || !root) {
+                        Logger.log(Logger.LEVEL_WARNING, "WCS coverage description retrieval failed ("
+                            + xhr.statusText + "): " + url);
+                        reject(new Error("WCS coverage description retrieval failed (" + xhr.statusText + "): "
+                            + url));
+                    } else if (root.localName === "ExceptionReport" || root.localName === "ServiceExceptionReport") {
+                        reject(new Error(root.textContent.trim()));
+                    } else {
+                        resolve(client.addDescriptions(new WcsCoverageDescriptions(xhr.responseXML)));
+                    }
+                };
+
+                xhr.onerror = function () {
+                    Logger.log(Logger.LEVEL_WARNING, "WCS coverage description retrieval failed: " + url);
+                    reject(new Error("WCS coverage description retrieval failed: " + url));
+                };
+
+                xhr.send(null);
+            });
+        };
+
+        /**
+         * Adds coverage descriptions to those this client uses for its requests. Applications typically call
+         * [describeCoverage]{@link WcsClient#describeCoverage} instead, which adds the descriptions it retrieves.
+         * @param {WcsCoverageDescriptions} descriptions The coverage descriptions.
+         * @returns {WcsCoverageDescriptions} The specified coverage descriptions.
+         * @throws {ArgumentError} If the specified descriptions are null or undefined.
+         */
+        WcsClient.prototype.addDescriptions = function (descriptions) {
+            if (!descriptions) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WcsClient", "addDescriptions",
+                        "No coverage descriptions specified."));
+            }
+
+            for (var i = 0; i < descriptions.coverages.length; i++) {
+                this.descriptions[descriptions.coverages[i].coverageId] = descriptions.coverages[i];
+            }
+
+            return descriptions;
+        };
+
+        /**
+         * Creates the URL of a KVP GetCoverage request for a GeoTIFF in geographic coordinates.
+         * @param {String} coverageId The identifier of the coverage.
+         * @param {Sector} sector The region to retrieve.
+         * @param {{}} options Optional properties of the request:
+         * <ul>
+         *     <li>time: {Date|Date[]} The time of the coverage, or a two-element array containing the start and end
+         *     of the period of the coverage.</li>
+         *     <li>width, height: {Number} The size in pixels of the coverage to retrieve. When not specified, the
+         *     native resolution is requested if the coverage is described, limited to
+         *     [maxSize]{@link WcsClient#maxSize}. WCS 2.0 servers must support the scaling extension to provide
+         *     a size other than the native resolution.</li>
+         *     <li>field: {String} The name of the field, or band, to retrieve, for WCS 2.0 servers supporting the
+         *     range subsetting extension.</li>
+         *     <li>format: {String} The output format. The default is the GeoTIFF format the server provides.</li>
+         * </ul>
+         * @returns {String} The request URL.
+         * @throws {ArgumentError} If the specified coverage identifier or sector is null or undefined.
+         */
+        WcsClient.prototype.getCoverageUrl = function (coverageId, sector, options) {
+            if (!coverageId) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WcsClient", "getCoverageUrl",
+                        "No coverage identifier specified."));
+            }
+
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WcsClient", "getCoverageUrl", "missingSector"));
+            }
+
+            options = options || {};
+
+            var description = this.descriptions[coverageId] || null,
+                format = options.format || this.selectFormat(description),
+                sb = WmsUrlBuilder.fixGetMapString(this.serviceAddress);
+
+            sb = sb + "service=WCS&request=GetCoverage&version=" + this.version;
+
+            if (this.version === "1.0.0") {
+                var size = this.outputSize(sector, options, description);
+
+                sb = sb + "&coverage=" + encodeURIComponent(coverageId);
+                sb = sb + "&crs=EPSG:4326&bbox=" + sector.minLongitude + "," + sector.minLatitude + ","
+                    + sector.maxLongitude + "," + sector.maxLatitude;
+                sb = sb + "&width=" + size[0] + "&height=" + size[1];
+                sb = sb + "&format=" + encodeURIComponent(format);
+
+                if (options.time) {
+                    sb = sb + "&time=" + (Array.isArray(options.time) ?
+                            WcsClient.formatTime(options.time[0]) + "/" + WcsClient.formatTime(options.time[1]) :
+                            WcsClient.formatTime(options.time));
+                }
+            } else {
+                var axisLabels = description ? description.axisLabels : [],
+                    axisLabel = function (pattern, defaultLabel) {
+                        var index = WcsCoverageDescriptions.axisIndex(axisLabels, pattern);
+                        return index >= 0 ? axisLabels[index] : defaultLabel;
+                    },
+                    latLabel = axisLabel(/^lat/i, "Lat"),
+                    lonLabel = axisLabel(/^lon/i, "Long"),
+                    timeLabel = axisLabel(/^(time|t|ansi|date)$/i, "time");
+
+                sb = sb + "&coverageId=" + encodeURIComponent(coverageId);
+                sb = sb + "&subset=" + latLabel + "(" + sector.minLatitude + "," + sector.maxLatitude + ")";
+                sb = sb + "&subset=" + lonLabel + "(" + sector.minLongitude + "," + sector.maxLongitude + ")";
+
+                if (description && description.crs && !/(4326|CRS84)$/.test(description.crs)) {
+                    // The coverage is not geographic, so subset and retrieve it in geographic coordinates.
+                    sb = sb + "&subsettingCrs=" + encodeURIComponent(WcsClient.EPSG_4326_URL);
+                    sb = sb + "&outputCrs=" + encodeURIComponent(WcsClient.EPSG_4326_URL);
+                }
+
+                if (options.time) {
+                    sb = sb + "&subset=" + timeLabel + "(" + (Array.isArray(options.time) ?
+                            "%22" + WcsClient.formatTime(options.time[0]) + "%22,%22"
+                            + WcsClient.formatTime(options.time[1]) + "%22" :
+                            "%22" + WcsClient.formatTime(options.time) + "%22") + ")";
+                }
+
+                var outputSize = this.outputSize(sector, options, description),
+                    nativeSize = this.nativeSize(sector, description);
+
+                // Servers without the scaling extension can still provide the native resolution.
+                if (!nativeSize || outputSize[0] !== nativeSize[0] || outputSize[1] !== nativeSize[1]) {
+                    sb = sb + "&scaleSize=" + lonLabel + "(" + outputSize[0] + ")," + latLabel + "(" + outputSize[1]
+                        + ")";
+                }
+
+                if (options.field) {
+                    sb = sb + "&rangeSubset=" + encodeURIComponent(options.field);
+                }
+
+                sb = sb + "&format=" + encodeURIComponent(format);
+            }
+
+            return sb;
+        };
+
+        /**
+         * Retrieves a coverage and reads its values.
+         * @param {String} coverageId The identifier of the coverage.
+         * @param {Sector} sector The region to retrieve.
+         * @param {{}} options Optional properties of the request, as described for
+         * [getCoverageUrl]{@link WcsClient#getCoverageUrl}.
+         * @returns {Promise} A promise resolved with a {@link WcsCoverage} holding the coverage's values. The
+         * promise is rejected with an Error if the request fails, the server reports an exception or the response
+         * is not a GeoTIFF.
+         * @throws {ArgumentError} If the specified coverage identifier or sector is null or undefined.
+         */
+        WcsClient.prototype.retrieveCoverage = function (coverageId, sector, options) {
+            var url = this.getCoverageUrl(coverageId, sector, options),
+                noDataValue = this.noDataValue(coverageId, options && options.field);
+
+            return this.retrieveGeoTiff(url).then(function (arrayBuffer) {
+                return new Promise(function (resolve, reject) {
+                    try {
+                        var reader = new GeoTiffReader(arrayBuffer);
+                        reader.readAsData(function (values) {
+                            if (!values) {
+                                reject(new Error("The coverage's sample format is not supported: " + url));
+                                return;
+                            }
+
+                            var coverage = new WcsCoverage(coverageId, reader, values, noDataValue);
+                            coverage.time = options && options.time || null;
+                            resolve(coverage);
+                        }, function (message) {
+                            reject(new Error(message));
+                        });
+                    } catch (e) {
+                        reject(e);
+                    }
+                });
+            });
+        };
+
+        /**
+         * Creates an elevation model whose elevations are those of a coverage, such as a digital elevation model.
+         * The coverage is retrieved asynchronously, and the elevation model provides the base elevation model's
+         * elevations until it is available.
+         * @param {String} coverageId The identifier of the coverage.
+         * @param {Sector} sector The region to retrieve.
+         * @param {{}} options Optional properties of the request, as described for
+         * [getCoverageUrl]{@link WcsClient#getCoverageUrl}. In addition, a "callback" property may specify a
+         * function called with the elevation model once the coverage's elevations are available.
+         * @param {ElevationModel} baseElevationModel The elevation model providing elevations outside the
+         * coverage. May be null or undefined, in which case those elevations are 0.
+         * @returns {GeoTiffElevationModel} The new elevation model.
+         * @throws {ArgumentError} If the specified coverage identifier or sector is null or undefined.
+         */
+        WcsClient.prototype.createElevationModel = function (coverageId, sector, options, baseElevationModel) {
+            var url = this.getCoverageUrl(coverageId, sector, options),
+                noDataValue = this.noDataValue(coverageId, options && options.field),
+                elevationModel = new GeoTiffElevationModel([], baseElevationModel);
+
+            elevationModel.displayName = coverageId;
+
+            if (noDataValue !== null) {
+                elevationModel.noDataValue = noDataValue;
+            }
+
+            this.retrieveGeoTiff(url).then(function (arrayBuffer) {
+                // A GeoTIFF that cannot be read is logged by the elevation model.
+                elevationModel.addGeoTiff(arrayBuffer, options && options.callback);
+            }, function (e) {
+                Logger.log(Logger.LEVEL_WARNING, "WCS elevation retrieval failed: " + e.message);
+            });
+
+            return elevationModel;
+        };
+
+        // Intentionally not documented. The URL of the EPSG:4326 coordinate system, as used in WCS 2.0 requests.
+        WcsClient.EPSG_4326_URL = "http://www.opengis.net/def/crs/EPSG/0/4326";
+
+        // Internal use only. Retrieves a GeoTIFF as an array buffer. Rejects with the server's exception message
+        // when the response is not a TIFF.
+        WcsClient.prototype.retrieveGeoTiff = function (url) {
+            return new Promise(function (resolve, reject) {
+                var xhr = new XMLHttpRequest();
+
+                xhr.open("GET", url, true);
+                xhr.responseType = 'arraybuffer';
+                xhr.onreadystatechange = function () {
+                    if (xhr.readyState !== 4) {
+                        return;
+                    }
+
+                    if (xhr.status !== 200 || !xhr.response) {
+                        Logger.log(Logger.LEVEL_WARNING, "WCS coverage retrieval failed (" + xhr.statusText + "): "
+                            + url);
+                        reject(new Error("WCS coverage retrieval failed (" + xhr.statusText + "): " + url));
+                    } else if (!WcsClient.isTiff(xhr.response)) {
+                        reject(new Error(WcsClient.exceptionMessage(xhr.response)));
+                    } else {
+                        resolve(xhr.response);
+                    }
+                };
+
+                xhr.onerror = function () {
+                    Logger.log(Logger.LEVEL_WARNING, "WCS coverage retrieval failed: " + url);
+                    reject(new Error("WCS coverage retrieval failed: " + url));
+                };
+
+                xhr.send(null);
+            });
+        };
+
+        // Internal use only. Selects the GeoTIFF output format of a coverage.
+        WcsClient.prototype.selectFormat = function (description) {
+            var formats = (description ? description.formats : []).concat(this.capabilities.formatsSupported);
+
+            for (var i = 0; i < formats.length; i++) {
+                if (/tiff/i.test(formats[i])) {
+                    return formats[i];
+                }
+            }
+
+            return this.version === "1.0.0" ? "GeoTIFF" : "image/tiff";
+        };
+
+        // Internal use only. Determines the NODATA value of a coverage's field from its description, or returns
+        // null if the coverage is not described.
+        WcsClient.prototype.noDataValue = function (coverageId, fieldName) {
+            var description = this.descriptions[coverageId],
+                fields = description ? description.fields : [];
+
+            for (var i = 0; i < fields.length; i++) {
+                if ((!fieldName || fields[i].name === fieldName) && fields[i].nilValues.length > 0) {
+                    return fields[i].nilValues[0];
+                }
+            }
+
+            return null;
+        };
+
+        // Internal use only. Determines the width and height of a request.
+        WcsClient.prototype.outputSize = function (sector, options, description) {
+            var width = options.width,
+                height = options.height,
+                aspect = sector.deltaLatitude() / sector.deltaLongitude(),
+                nativeSize = this.nativeSize(sector, description);
+
+            if (width && height) {
+                return [width, height];
+            }
+
+            if (nativeSize) {
+                width = nativeSize[0];
+                height = nativeSize[1];
+            } else {
+                width = this.maxSize;
+                height = Math.ceil(this.maxSize * aspect);
+            }
+
+            if (width > this.maxSize || height > this.maxSize) {
+                var scale = this.maxSize / Math.max(width, height);
+                width = Math.ceil(width * scale);
+                height = Math.ceil(height * scale);
+            }
+
+            return [Math.max(1, width), Math.max(1, height)];
+        };
+
+        // Internal use only. Determines the width and height of a sector at a described coverage's native
+        // resolution, or returns null if the coverage's grid or geographic extent is not described.
+        WcsClient.prototype.nativeSize = function (sector, description) {
+            if (!description || !description.gridSize || !description.sector) {
+                return null;
+            }
+
+            return [
+                Math.ceil(description.gridSize[0] * sector.deltaLongitude() / description.sector.deltaLongitude()),
+                Math.ceil(description.gridSize[1] * sector.deltaLatitude() / description.sector.deltaLatitude())
+            ];
+        };
+
+        // Intentionally not documented.
+        WcsClient.formatTime = function (time) {
+            return time instanceof Date ? time.toISOString().replace(".000Z", "Z") : String(time);
+        };
+
+        // Internal use only. Indicates whether an array buffer holds a TIFF, classic or BigTIFF.
+        WcsClient.isTiff = function (arrayBuffer) {
+            if (arrayBuffer.byteLength < 4) {
+                return false;
+            }
+
+            var bytes = new Uint8Array(arrayBuffer, 0, 4);
+
+            return (bytes[0] === 0x49 && bytes[1] === 0x49 && (bytes[2] === 42 || bytes[2] === 43) && bytes[3] === 0)
+                || (bytes[0] === 0x4D && bytes[1] === 0x4D && bytes[2] === 0 && (bytes[3] === 42 || bytes[3] === 43));
+        };
+
+        // Internal use only. Returns the message of the service exception report held in an array buffer, or a
+        // generic message if it holds none.
+        WcsClient.exceptionMessage = function (arrayBuffer) {
+            var bytes = new Uint8Array(arrayBuffer, 0, Math.min(arrayBuffer.byteLength, 8192)),
+                text = "";
+
+            for (var i = 0; i < bytes.length; i++) {
+                text += String.fromCharCode(bytes[i]);
+            }
+
+            if (/^\s*</.test(text)) {
+                try {
+                    var root = new DOMParser().parseFromString(text, "text/xml").documentElement;
+                    if (root && /ExceptionReport$/.test(root.localName)) {
+                        return root.textContent.trim();
+                    }
+                } catch (e) {
+                    // Fall through to the generic message.
+                }
+            }
+
+            return "The WCS response is not a GeoTIFF.";
+        };
+
+        return WcsClient;
+    });
@@ -0,0 +1,204 @@
+/*
+ * Copyright (C) 2015 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports WcsCoverage
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Logger',
+        '../shapes/SurfaceImage'
+    ],
+    function (ArgumentError,
+              Logger,
+              SurfaceImage) {
+        "use strict";
+
+        /**
+         * Constructs a WCS coverage from the values of a GeoTIFF retrieved from a WCS server.
+         * Applications typically do not call this constructor. It is called by
+         * [WcsClient.retrieveCoverage]{@link WcsClient#retrieveCoverage}.
+         * @alias WcsCoverage
+         * @constructor
+         * @classdesc Holds the values of a single-band coverage retrieved from a WCS server, such as temperatures or
+         * heights, as the numbers the server provides rather than as colors. The value at a location, such as a
+         * picked location, is provided by [valueAtLocation]{@link WcsCoverage#valueAtLocation}. The coverage may be
+         * displayed by creating a {@link SurfaceImage} with
+         * [createSurfaceImage]{@link WcsCoverage#createSurfaceImage}, which colors its values with a
+         * {@link RasterSymbolizer}.
+         * @param {String} coverageId The identifier of the coverage.
+         * @param {GeoTiffReader} reader The reader of the GeoTIFF holding the coverage's values.
+         * @param {Number[]} values The coverage's values, as read by the reader, in row major order starting with the
+         * top row.
+         * @param {Number} noDataValue The value representing missing data. May be null, in which case the NODATA
+         * value specified by the GeoTIFF, if any, is used.
+         * @throws {ArgumentError} If the specified reader or values are null or undefined.
+         */
+        var WcsCoverage = function (coverageId, reader, values, noDataValue) {
+            if (!reader) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WcsCoverage", "constructor", "No reader specified."));
+            }
+
+            if (!values) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WcsCoverage", "constructor", "missingArray"));
+            }
+
+            var metadata = reader.metadata;
+
+            if ((noDataValue === null || noDataValue === undefined)
+                && metadata.noData !== null && metadata.noData !== undefined) {
+                noDataValue = parseFloat(metadata.noData);
+            }
+
+            if (noDataValue !== null && noDataValue !== undefined && ArrayBuffer.isView(values)) {
+                // Represent the NODATA value as the values do, so that float NODATA values compare equal.
+                noDataValue = new values.constructor([noDataValue])[0];
+            }
+
+            /**
+             * The identifier of this coverage.
+             * @type {String}
+             * @readonly
+             */
+            this.coverageId = coverageId;
+
+            /**
+             * The reader of the GeoTIFF holding this coverage's values.
+             * @type {GeoTiffReader}
+             * @readonly
+             */
+            this.reader = reader;
+
+            /**
+             * This coverage's values, in row major order starting with the top row.
+             * @type {Number[]}
+             * @readonly
+             */
+            this.values = values;
+
+            /**
+             * The number of columns of this coverage's values.
+             * @type {Number}
+             * @readonly
+             */
+            this.width = metadata.imageWidth;
+
+            /**
+             * The number of rows of this coverage's values.
+             * @type {Number}
+             * @readonly
+             */
+            this.height = metadata.imageLength;
+
+            /**
+             * The geographic region this coverage spans.
+             * @type {Sector}
+             * @readonly
+             */
+            this.sector = metadata.bbox;
+
+            /**
+             * The value representing missing data, or null if there is none.
+             * @type {Number}
+             * @readonly
+             */
+            this.noDataValue = noDataValue === undefined || noDataValue === null ? null : noDataValue;
+
+            /**
+             * The time of this coverage, as requested from the server. Assigned by the WCS client retrieving the
+             * coverage.
+             * @type {Date|Date[]}
+             */
+            this.time = null;
+
+            /**
+             * The smallest value of this coverage, ignoring missing data, or null if all data is missing.
+             * @type {Number}
+             * @readonly
+             */
+            this.minValue = null;
+
+            /**
+             * The largest value of this coverage, ignoring missing data, or null if all data is missing.
+             * @type {Number}
+             * @readonly
+             */
+            this.maxValue = null;
+
+            for (var i = 0, len = values.length; i < len; i++) {
+                if (!this.isNoData(values[i])) {
+                    this.minValue = this.minValue === null ? values[i] : Math.min(this.minValue, values[i]);
+                    this.maxValue = this.maxValue === null ? values[i] : Math.max(this.maxValue, values[i]);
+                }
+            }
+        };
+
+        /**
+         * Returns the value of this coverage at a specified location: the value of the grid cell containing the
+         * location.
+         * @param {Number} latitude The location's latitude in degrees.
+         * @param {Number} longitude The location's longitude in degrees.
+         * @returns {Number} The value at the specified location, or null if the location is outside this coverage or
+         * its value is missing.
+         */
+        WcsCoverage.prototype.valueAtLocation = function (latitude, longitude) {
+            if (!this.sector || !this.sector.containsLocation(latitude, longitude)) {
+                return null;
+            }
+
+            var pixel = this.reader.locationToGeoTiffImage(latitude, longitude),
+                x = Math.min(Math.floor(pixel[0]), this.width - 1),
+                y = Math.min(Math.floor(pixel[1]), this.height - 1);
+
+            if (x < 0 || y < 0 || isNaN(x) || isNaN(y)) {
+                return null;
+            }
+
+            var value = this.values[y * this.width + x];
+
+            return this.isNoData(value) ? null : value;
+        };
+
+        /**
+         * Indicates whether a value is missing, either because it is NaN or because it equals this coverage's
+         * NODATA value.
+         * @param {Number} value The value to test.
+         * @returns {Boolean} true if the value is missing, otherwise false.
+         */
+        WcsCoverage.prototype.isNoData = function (value) {
+            return isNaN(value) || (this.noDataValue !== null && value === this.noDataValue);
+        };
+
+        /**
+         * Creates a surface image displaying this coverage's values colored by a specified symbolizer. The values are
+         * colored by a copy of the symbolizer whose NODATA value is this coverage's, and whose minimum and maximum
+         * values are this coverage's if the symbolizer's are the default 0 and 1. The specified symbolizer is not
+         * modified, so it may be shared by several coverages.
+         * @param {RasterSymbolizer} symbolizer The symbolizer coloring the values.
+         * @returns {SurfaceImage} The new surface image.
+         * @throws {ArgumentError} If the specified symbolizer is null or undefined.
+         */
+        WcsCoverage.prototype.createSurfaceImage = function (symbolizer) {
+            if (!symbolizer) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WcsCoverage", "createSurfaceImage",
+                        "No symbolizer specified."));
+            }
+
+            var coverageSymbolizer = symbolizer.clone();
+            coverageSymbolizer.noDataValue = this.noDataValue;
+
+            if (symbolizer.minValue === 0 && symbolizer.maxValue === 1 && this.minValue !== null) {
+                coverageSymbolizer.minValue = this.minValue;
+                coverageSymbolizer.maxValue = this.maxValue;
+            }
+
+            return new SurfaceImage(this.sector,
+                coverageSymbolizer.createImageSource(this.values, this.width, this.height));
+        };
+
+        return WcsCoverage;
+    });
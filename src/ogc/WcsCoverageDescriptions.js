@@ -0,0 +1,310 @@
+/*
+ * Copyright (C) 2015 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports WcsCoverageDescriptions
+ */
+define([
+        '../error/ArgumentError',
+        '../ogc/GmlDecoder',
+        '../util/Logger',
+        '../geom/Sector'
+    ],
+    function (ArgumentError,
+              GmlDecoder,
+              Logger,
+              Sector) {
+        "use strict";
+
+        /**
+         * Constructs WCS coverage descriptions from an XML DOM.
+         * @alias WcsCoverageDescriptions
+         * @constructor
+         * @classdesc Represents the response to a WCS 1.0 or 2.0 DescribeCoverage request. The described coverages
+         * are held in the "coverages" property, each an object with the following properties:
+         * <ul>
+         *     <li>coverageId: The coverage's identifier.</li>
+         *     <li>title: The coverage's title, if any.</li>
+         *     <li>crs: The coverage's native coordinate system.</li>
+         *     <li>axisLabels: The labels of the coverage's axes, as used to subset WCS 2.0 GetCoverage requests.
+         *     Empty for WCS 1.0.</li>
+         *     <li>sector: The geographic region the coverage spans, or null if it is not described in geographic
+         *     coordinates.</li>
+         *     <li>gridSize: The number of columns and rows of the coverage's grid, or null if not described.</li>
+         *     <li>times: The times at which the coverage is available, as Date objects. Empty if none are listed.</li>
+         *     <li>timePeriod: The period over which the coverage is available, an object with "begin" and "end"
+         *     Dates, or null if none is described.</li>
+         *     <li>fields: The coverage's fields, or bands, each an object with the properties "name", "nilValues",
+         *     an array of the numbers representing missing data, and "uom", the field's unit of measure.</li>
+         *     <li>formats: The output formats of the coverage. Empty if the description does not list them.</li>
+         *     <li>crsSupported: The coordinate systems in which the coverage may be requested. Empty if the
+         *     description does not list them.</li>
+         * </ul>
+         * @param {{}} xmlDom An XML DOM representing the DescribeCoverage response.
+         * @throws {ArgumentError} If the specified XML DOM is null or undefined.
+         */
+        var WcsCoverageDescriptions = function (xmlDom) {
+            if (!xmlDom) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WcsCoverageDescriptions", "constructor",
+                        "No XML DOM specified."));
+            }
+
+            this.version = xmlDom.documentElement.getAttribute("version");
+
+            this.coverages = [];
+
+            var elements = WcsCoverageDescriptions.descendants(xmlDom.documentElement,
+                ["CoverageDescription", "CoverageOffering"]);
+
+            for (var i = 0; i < elements.length; i++) {
+                try {
+                    this.coverages.push(WcsCoverageDescriptions.assembleCoverage(elements[i]));
+                } catch (e) {
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WcsCoverageDescriptions", "constructor",
+                        "Exception reading WCS coverage description: " + e.message);
+                }
+            }
+        };
+
+        /**
+         * Returns the description of a specified coverage.
+         * @param {String} coverageId The identifier of the coverage.
+         * @returns {Object} The coverage description, or null if this object does not describe the coverage.
+         */
+        WcsCoverageDescriptions.prototype.getCoverage = function (coverageId) {
+            for (var i = 0; i < this.coverages.length; i++) {
+                if (this.coverages[i].coverageId === coverageId) {
+                    return this.coverages[i];
+                }
+            }
+
+            return null;
+        };
+
+        WcsCoverageDescriptions.assembleCoverage = function (element) {
+            var coverage = {
+                    coverageId: null,
+                    title: null,
+                    crs: null,
+                    axisLabels: [],
+                    sector: null,
+                    gridSize: null,
+                    times: [],
+                    timePeriod: null,
+                    fields: [],
+                    formats: [],
+                    crsSupported: []
+                },
+                children = GmlDecoder.childElements(element),
+                c, child;
+
+            for (c = 0; c < children.length; c++) {
+                child = children[c];
+
+                if (child.localName === "CoverageId" || child.localName === "name") {
+                    coverage.coverageId = child.textContent.trim();
+                } else if (child.localName === "label" || child.localName === "Title") {
+                    coverage.title = child.textContent;
+                } else if (child.localName === "lonLatEnvelope") {
+                    coverage.sector = WcsCoverageDescriptions.assembleLonLatEnvelope(child);
+                } else if (child.localName === "boundedBy") {
+                    WcsCoverageDescriptions.assembleBoundedBy(child, coverage);
+                } else if (child.localName === "domainSet") {
+                    WcsCoverageDescriptions.assembleDomainSet(child, coverage);
+                } else if (child.localName === "rangeSet" || child.localName === "rangeType") {
+                    WcsCoverageDescriptions.assembleFields(child, coverage);
+                } else if (child.localName === "supportedCRSs") {
+                    WcsCoverageDescriptions.assembleTexts(child, ["requestResponseCRSs", "requestCRSs"],
+                        coverage.crsSupported);
+                    if (!coverage.crs) {
+                        var nativeCrs = [];
+                        WcsCoverageDescriptions.assembleTexts(child, ["nativeCRSs"], nativeCrs);
+                        coverage.crs = nativeCrs[0] || null;
+                    }
+                } else if (child.localName === "supportedFormats") {
+                    WcsCoverageDescriptions.assembleTexts(child, ["formats"], coverage.formats);
+                } else if (child.localName === "ServiceParameters") {
+                    WcsCoverageDescriptions.assembleTexts(child, ["nativeFormat"], coverage.formats);
+                }
+            }
+
+            if (!coverage.coverageId) {
+                coverage.coverageId = element.getAttribute("gml:id");
+            }
+
+            return coverage;
+        };
+
+        // Internal use only. Assembles a WCS 1.0 lonLatEnvelope, which lists longitude before latitude.
+        WcsCoverageDescriptions.assembleLonLatEnvelope = function (element) {
+            var positions = WcsCoverageDescriptions.descendants(element, ["pos"]);
+
+            if (positions.length < 2) {
+                return null;
+            }
+
+            var lower = GmlDecoder.parseNumbers(positions[0].textContent, /\s+/),
+                upper = GmlDecoder.parseNumbers(positions[1].textContent, /\s+/);
+
+            return new Sector(lower[1], upper[1], lower[0], upper[0]);
+        };
+
+        // Internal use only. Assembles the WCS 2.0 bounding envelope, which determines the coverage's coordinate
+        // system and axis labels, its sector when the coordinate system is geographic and its time period.
+        WcsCoverageDescriptions.assembleBoundedBy = function (element, coverage) {
+            var envelope = GmlDecoder.childElements(element)[0];
+            if (!envelope) {
+                return;
+            }
+
+            var srsName = envelope.getAttribute("srsName"),
+                axisLabels = envelope.getAttribute("axisLabels"),
+                lower = null,
+                upper = null,
+                children = GmlDecoder.childElements(envelope);
+
+            coverage.crs = srsName || null;
+            coverage.axisLabels = axisLabels ? axisLabels.trim().split(/\s+/) : [];
+
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c];
+
+                if (child.localName === "lowerCorner") {
+                    lower = child.textContent.trim().split(/\s+/);
+                } else if (child.localName === "upperCorner") {
+                    upper = child.textContent.trim().split(/\s+/);
+                } else if (child.localName === "beginPosition") {
+                    coverage.timePeriod = coverage.timePeriod || {};
+                    coverage.timePeriod.begin = new Date(child.textContent.trim());
+                } else if (child.localName === "endPosition") {
+                    coverage.timePeriod = coverage.timePeriod || {};
+                    coverage.timePeriod.end = new Date(child.textContent.trim());
+                }
+            }
+
+            if (lower && upper && /(4326|CRS84)$/.test(srsName)) {
+                var latIndex = WcsCoverageDescriptions.axisIndex(coverage.axisLabels, /^lat/i),
+                    lonIndex = WcsCoverageDescriptions.axisIndex(coverage.axisLabels, /^lon/i);
+
+                if (latIndex < 0 || lonIndex < 0) {
+                    latIndex = /CRS84$/.test(srsName) ? 1 : 0;
+                    lonIndex = 1 - latIndex;
+                }
+
+                coverage.sector = new Sector(parseFloat(lower[latIndex]), parseFloat(upper[latIndex]),
+                    parseFloat(lower[lonIndex]), parseFloat(upper[lonIndex]));
+            }
+        };
+
+        // Internal use only. Assembles the grid size from the domain set, as well as the WCS 1.0 spatial envelope
+        // and temporal domain.
+        WcsCoverageDescriptions.assembleDomainSet = function (element, coverage) {
+            var highs = WcsCoverageDescriptions.descendants(element, ["high"]),
+                envelopes = WcsCoverageDescriptions.descendants(element, ["Envelope", "EnvelopeWithTimePeriod"]),
+                timePositions = WcsCoverageDescriptions.descendants(element, ["timePosition"]),
+                timePeriods = WcsCoverageDescriptions.descendants(element, ["TimePeriod"]),
+                i;
+
+            if (highs.length > 0) {
+                var high = GmlDecoder.parseNumbers(highs[0].textContent, /\s+/);
+                coverage.gridSize = [high[0] + 1, high[1] + 1];
+            }
+
+            if (envelopes.length > 0 && !coverage.crs) {
+                coverage.crs = envelopes[0].getAttribute("srsName") || null;
+            }
+
+            for (i = 0; i < timePositions.length; i++) {
+                coverage.times.push(new Date(timePositions[i].textContent.trim()));
+            }
+
+            for (i = 0; i < timePeriods.length && !coverage.timePeriod; i++) {
+                var begin = WcsCoverageDescriptions.descendants(timePeriods[i], ["beginPosition"]),
+                    end = WcsCoverageDescriptions.descendants(timePeriods[i], ["endPosition"]);
+
+                if (begin.length > 0 && end.length > 0) {
+                    coverage.timePeriod = {
+                        begin: new Date(begin[0].textContent.trim()),
+                        end: new Date(end[0].textContent.trim())
+                    };
+                }
+            }
+        };
+
+        // Internal use only. Assembles the fields of a WCS 2.0 range type or the range set of WCS 1.0.
+        WcsCoverageDescriptions.assembleFields = function (element, coverage) {
+            var fields = WcsCoverageDescriptions.descendants(element, ["field", "RangeSet"]);
+
+            for (var i = 0; i < fields.length; i++) {
+                var field = {
+                        name: fields[i].getAttribute("name") || null,
+                        nilValues: [],
+                        uom: null
+                    },
+                    nilValues = WcsCoverageDescriptions.descendants(fields[i], ["nilValue", "singleValue"]),
+                    uoms = WcsCoverageDescriptions.descendants(fields[i], ["uom"]),
+                    names = GmlDecoder.childElements(fields[i]).filter(function (child) {
+                        return child.localName === "name";
+                    });
+
+                if (!field.name && names.length > 0) {
+                    field.name = names[0].textContent.trim();
+                }
+
+                for (var j = 0; j < nilValues.length; j++) {
+                    var value = parseFloat(nilValues[j].textContent);
+                    if (!isNaN(value)) {
+                        field.nilValues.push(value);
+                    }
+                }
+
+                if (uoms.length > 0) {
+                    field.uom = uoms[0].getAttribute("code") || null;
+                }
+
+                coverage.fields.push(field);
+            }
+        };
+
+        // Internal use only. Appends the text of the child elements of specified names to an array.
+        WcsCoverageDescriptions.assembleTexts = function (element, names, result) {
+            var children = GmlDecoder.childElements(element);
+
+            for (var c = 0; c < children.length; c++) {
+                if (names.indexOf(children[c].localName) >= 0) {
+                    var values = children[c].textContent.trim().split(/\s+/);
+                    for (var v = 0; v < values.length; v++) {
+                        if (values[v] && result.indexOf(values[v]) < 0) {
+                            result.push(values[v]);
+                        }
+                    }
+                }
+            }
+        };
+
+        // Intentionally not documented. Returns the descendant elements of any of the specified local names.
+        WcsCoverageDescriptions.descendants = function (element, localNames) {
+            var result = [];
+
+            for (var i = 0; i < localNames.length; i++) {
+                result = result.concat(GmlDecoder.descendants(element, localNames[i]));
+            }
+
+            return result;
+        };
+
+        // Intentionally not documented.
+        WcsCoverageDescriptions.axisIndex = function (axisLabels, pattern) {
+            for (var i = 0; i < axisLabels.length; i++) {
+                if (pattern.test(axisLabels[i])) {
+                    return i;
+                }
+            }
+
+            return -1;
+        };
+
+        return WcsCoverageDescriptions;
+    });
@@ -0,0 +1,248 @@
+/*
+ * Copyright (C) 2015 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports WfsCapabilities
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Logger',
+        '../ogc/OwsOperationsMetadata',
+        '../ogc/OwsServiceIdentification',
+        '../ogc/OwsServiceProvider'
+    ],
+    function (ArgumentError,
+              Logger,
+              OwsOperationsMetadata,
+              OwsServiceIdentification,
+              OwsServiceProvider) {
+        "use strict";
+
+        /**
+         * Constructs an OGC WFS capabilities document from an XML DOM.
+         * @alias WfsCapabilities
+         * @constructor
+         * @classdesc Represents an OGC WFS 1.1 or 2.0 capabilities document.
+         * This object holds as properties all the fields specified in the OGC WFS capabilities document.
+         * Most fields can be accessed as properties named according to their document names converted to camel case.
+         * For example, "serviceIdentification", "operationsMetadata" and "featureTypeList.featureType". The default
+         * and other coordinate systems of feature types are held in the "defaultCrs" and "otherCrs" properties for
+         * both WFS 1.1, which calls them SRS, and WFS 2.0.
+         * @param {{}} xmlDom An XML DOM representing the OGC WFS capabilities document.
+         * @throws {ArgumentError} If the specified XML DOM is null or undefined.
+         */
+        var WfsCapabilities = function (xmlDom) {
+            if (!xmlDom) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WfsCapabilities", "constructor", "No XML DOM specified."));
+            }
+
+            this.assembleDocument(xmlDom);
+        };
+
+        WfsCapabilities.prototype.assembleDocument = function (dom) {
+            var root = dom.documentElement;
+
+            this.version = root.getAttribute("version");
+            this.updateSequence = root.getAttribute("updateSequence");
+
+            var children = root.children || root.childNodes;
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c];
+
+                if (child.localName === "ServiceIdentification") {
+                    this.serviceIdentification = new OwsServiceIdentification(child);
+                } else if (child.localName === "ServiceProvider") {
+                    this.serviceProvider = new OwsServiceProvider(child);
+                } else if (child.localName === "OperationsMetadata") {
+                    this.operationsMetadata = new OwsOperationsMetadata(child);
+                } else if (child.localName === "FeatureTypeList") {
+                    this.featureTypeList = this.assembleFeatureTypeList(child);
+                }
+                // TODO: Filter_Capabilities
+            }
+        };
+
+        WfsCapabilities.prototype.assembleFeatureTypeList = function (element) {
+            var featureTypeList = {};
+
+            var children = element.children || element.childNodes;
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c];
+
+                if (child.localName === "FeatureType") {
+                    featureTypeList.featureType = featureTypeList.featureType || [];
+                    try {
+                        featureTypeList.featureType.push(WfsCapabilities.assembleFeatureType(child));
+                    } catch (e) {
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "WfsCapabilities", "constructor",
+                            "Exception reading WFS feature type description: " + e.message);
+                    }
+                }
+            }
+
+            return featureTypeList;
+        };
+
+        WfsCapabilities.assembleFeatureType = function (element) {
+            var featureType = {};
+
+            var children = element.children || element.childNodes;
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c];
+
+                if (child.localName === "Name") {
+                    featureType.name = child.textContent.trim();
+                } else if (child.localName === "Title") {
+                    featureType.title = featureType.title || child.textContent;
+                } else if (child.localName === "Abstract") {
+                    featureType.abstract = featureType.abstract || child.textContent;
+                } else if (child.localName === "DefaultSRS" || child.localName === "DefaultCRS") {
+                    featureType.defaultCrs = child.textContent.trim();
+                } else if (child.localName === "OtherSRS" || child.localName === "OtherCRS") {
+                    featureType.otherCrs = featureType.otherCrs || [];
+                    featureType.otherCrs.push(child.textContent.trim());
+                } else if (child.localName === "OutputFormats") {
+                    featureType.outputFormats = WfsCapabilities.assembleFormats(child);
+                } else if (child.localName === "WGS84BoundingBox") {
+                    featureType.wgs84BoundingBox = WfsCapabilities.assembleBoundingBox(child);
+                }
+                // TODO: Keywords, MetadataURL
+            }
+
+            return featureType;
+        };
+
+        WfsCapabilities.assembleFormats = function (element) {
+            var formats = [];
+
+            var children = element.children || element.childNodes;
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c];
+
+                if (child.localName === "Format") {
+                    formats.push(child.textContent.trim());
+                }
+            }
+
+            return formats;
+        };
+
+        WfsCapabilities.assembleBoundingBox = function (element) {
+            var result = {};
+
+            var children = element.children || element.childNodes;
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c];
+
+                if (child.localName === "LowerCorner") {
+                    var lc = child.textContent.trim().split(/\s+/);
+                    result.lowerCorner = [parseFloat(lc[0]), parseFloat(lc[1])];
+                } else if (child.localName === "UpperCorner") {
+                    var uc = child.textContent.trim().split(/\s+/);
+                    result.upperCorner = [parseFloat(uc[0]), parseFloat(uc[1])];
+                }
+            }
+
+            return result;
+        };
+
+        /**
+         * Returns the address of the server's KVP GetFeature operation.
+         * @returns {String} The address of the GetFeature operation, or null if the capabilities document does not
+         * specify one.
+         */
+        WfsCapabilities.prototype.getGetFeatureAddress = function () {
+            var operation = this.getOperation("GetFeature");
+
+            if (operation && operation.dcp && operation.dcp[0].http && operation.dcp[0].http.get) {
+                return operation.dcp[0].http.get[0].href;
+            }
+
+            return null;
+        };
+
+        /**
+         * Returns the description of a specified feature type.
+         * @param {String} name The name of the feature type, with or without its namespace prefix.
+         * @returns {Object} The feature type description, or null if the capabilities document does not describe
+         * the feature type.
+         */
+        WfsCapabilities.prototype.getFeatureType = function (name) {
+            var featureTypes = this.featureTypeList && this.featureTypeList.featureType;
+
+            for (var i = 0; featureTypes && i < featureTypes.length; i++) {
+                var featureTypeName = featureTypes[i].name;
+
+                if (featureTypeName === name || featureTypeName.substring(featureTypeName.indexOf(":") + 1) === name) {
+                    return featureTypes[i];
+                }
+            }
+
+            return null;
+        };
+
+        /**
+         * Returns the output formats the server provides for a specified feature type.
+         * @param {Object} featureType The feature type description. May be null, in which case the output formats of
+         * the GetFeature operation are returned.
+         * @returns {String[]} The output formats of the feature type if it lists them, otherwise those of the
+         * GetFeature operation. Empty if neither lists output formats.
+         */
+        WfsCapabilities.prototype.getOutputFormats = function (featureType) {
+            if (featureType && featureType.outputFormats && featureType.outputFormats.length > 0) {
+                return featureType.outputFormats;
+            }
+
+            var parameter = this.getOperationConstraint("GetFeature", "outputFormat", "parameter");
+
+            return parameter && parameter.allowedValues ? parameter.allowedValues : [];
+        };
+
+        /**
+         * Indicates whether the server supports paging of GetFeature results using the startIndex and count
+         * parameters. Paging is defined by WFS 2.0 servers declaring the ImplementsResultPaging constraint.
+         * @returns {Boolean} true if the server supports result paging, otherwise false.
+         */
+        WfsCapabilities.prototype.supportsResultPaging = function () {
+            if (!this.version || this.version < "2.0.0") {
+                return false;
+            }
+
+            var constraint = this.getOperationConstraint(null, "ImplementsResultPaging", "constraint")
+                || this.getOperationConstraint("GetFeature", "ImplementsResultPaging", "constraint");
+
+            return !!constraint && !!constraint.defaultValue && constraint.defaultValue.trim().toUpperCase() === "TRUE";
+        };
+
+        // Internal use only. Returns the operation of a specified name, or null if there is none.
+        WfsCapabilities.prototype.getOperation = function (name) {
+            var operations = this.operationsMetadata && this.operationsMetadata.operation;
+
+            for (var i = 0; operations && i < operations.length; i++) {
+                if (operations[i].name === name) {
+                    return operations[i];
+                }
+            }
+
+            return null;
+        };
+
+        // Internal use only. Returns the parameter or constraint of a specified name of an operation, or of the
+        // operations metadata when no operation is specified.
+        WfsCapabilities.prototype.getOperationConstraint = function (operationName, name, kind) {
+            var owner = operationName ? this.getOperation(operationName) : this.operationsMetadata,
+                constraints = owner && owner[kind];
+
+            for (var i = 0; constraints && i < constraints.length; i++) {
+                if (constraints[i].name === name) {
+                    return constraints[i];
+                }
+            }
+
+            return null;
+        };
+
+        return WfsCapabilities;
+    });
@@ -0,0 +1,463 @@
+/*
+ * Copyright (C) 2015 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports WfsClient
+ */
+define([
+        '../error/ArgumentError',
+        '../formats/geojson/GeoJSONParser',
+        '../ogc/GmlDecoder',
+        '../util/Logger',
+        '../util/Promise',
+        '../geom/Sector',
+        '../util/WmsUrlBuilder'
+    ],
+    function (ArgumentError,
+              GeoJSONParser,
+              GmlDecoder,
+              Logger,
+              Promise,
+              Sector,
+              WmsUrlBuilder) {
+        "use strict";
+
+        /**
+         * Constructs a WFS client for a specified WFS server.
+         * @alias WfsClient
+         * @constructor
+         * @classdesc Retrieves features from a WFS 1.1 or 2.0 server and creates shapes for them. Features are
+         * requested with the WFS GetFeature operation, restricted to a geographic region such as the current view
+         * and optionally to a time and to property values. Features are requested as GeoJSON if the server provides
+         * it, otherwise as GML.
+         * <p>
+         * Shapes are created by a {@link GeoJSONParser}, so the shapes created and the shape configuration
+         * callback applications use to configure them are those described for
+         * [GeoJSONParser.load]{@link GeoJSONParser#load}: {@link Placemark}s for points,
+         * {@link SurfacePolyline}s for lines and {@link SurfacePolygon}s for polygons.
+         * <p>
+         * When the server supports result paging, features are requested in pages of
+         * [pageSize]{@link WfsClient#pageSize} features, and each page's shapes are added to the layer as the
+         * page arrives.
+         * @param {WfsCapabilities} capabilities The capabilities of the WFS server.
+         * @throws {ArgumentError} If the specified capabilities are null or undefined or do not specify the address
+         * of the GetFeature operation.
+         */
+        var WfsClient = function (capabilities) {
+            if (!capabilities) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WfsClient", "constructor", "No capabilities specified."));
+            }
+
+            var address = capabilities.getGetFeatureAddress();
+            if (!address) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WfsClient", "constructor",
+                        "The capabilities do not specify the address of the GetFeature operation."));
+            }
+
+            /**
+             * The capabilities of the WFS server, as specified to this client's constructor.
+             * @type {WfsCapabilities}
+             * @readonly
+             */
+            this.capabilities = capabilities;
+
+            /**
+             * The address of the WFS server's GetFeature operation.
+             * @type {String}
+             * @readonly
+             */
+            this.serviceAddress = address;
+
+            /**
+             * The WFS version requested.
+             * @type {String}
+             * @readonly
+             */
+            this.version = capabilities.version && capabilities.version >= "2.0.0" ? "2.0.0" : "1.1.0";
+
+            /**
+             * The number of features requested per page when the server supports result paging.
+             * @type {Number}
+             * @default 500
+             */
+            this.pageSize = 500;
+        };
+
+        /**
+         * The GeoJSON output formats recognized, in order of preference.
+         * @type {String[]}
+         */
+        WfsClient.JSON_FORMATS = ["application/json", "application/geo+json", "json", "geojson"];
+
+        /**
+         * Retrieves the features of a specified feature type and adds shapes representing them to a specified layer.
+         * @param {String} typeName The name of the feature type.
+         * @param {RenderableLayer} layer The layer to hold the shapes.
+         * @param {{}} options Optional properties of the request:
+         * <ul>
+         *     <li>sector: {Sector} The region of interest. The default is the region visible in the world window
+         *     specified in the wwd option, if any, otherwise the whole globe.</li>
+         *     <li>wwd: {WorldWindow} The world window whose current view determines the region of interest.</li>
+         *     <li>maxFeatures: {Number} The maximum number of features to retrieve. The default is all features.</li>
+         *     <li>time, timeProperty, geometryProperty, propertyValues, outputFormat: The time and property values
+         *     of the features to retrieve, as described for [getFeatureUrl]{@link WfsClient#getFeatureUrl}.</li>
+         *     <li>shapeConfigurationCallback: {Function} The function called to configure the shape created for
+         *     each geometry, as described for [GeoJSONParser.load]{@link GeoJSONParser#load}.</li>
+         *     <li>pageCallback: {Function} A function called with the layer and the GeoJSON feature collection of
+         *     each page after the page's shapes are added to the layer.</li>
+         * </ul>
+         * @returns {Promise} A promise resolved with the number of features retrieved when all pages are
+         * retrieved. The promise is rejected with an Error if a request fails or the server reports an exception.
+         * @throws {ArgumentError} If the specified type name or layer is null or undefined.
+         */
+        WfsClient.prototype.loadFeatures = function (typeName, layer, options) {
+            if (!typeName) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WfsClient", "loadFeatures", "No type name specified."));
+            }
+
+            if (!layer) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WfsClient", "loadFeatures", "missingLayer"));
+            }
+
+            var client = this,
+                requestOptions = {},
+                paging = this.capabilities.supportsResultPaging(),
+                maxFeatures = options && options.maxFeatures,
+                numberRetrieved = 0,
+                key;
+
+            for (key in options) {
+                if (options.hasOwnProperty(key)) {
+                    requestOptions[key] = options[key];
+                }
+            }
+
+            requestOptions.sector = requestOptions.sector || WfsClient.viewSector(requestOptions.wwd);
+            requestOptions.outputFormat = requestOptions.outputFormat || this.selectOutputFormat(typeName);
+
+            var requestPage = function () {
+                requestOptions.startIndex = paging ? numberRetrieved : null;
+                requestOptions.count = paging ?
+                    Math.min(client.pageSize, maxFeatures ? maxFeatures - numberRetrieved : client.pageSize) :
+                    maxFeatures;
+
+                return client.requestFeatures(client.getFeatureUrl(typeName, requestOptions)).then(function (page) {
+                    client.addRenderables(page, layer, requestOptions.shapeConfigurationCallback);
+                    numberRetrieved += page.features.length;
+
+                    if (requestOptions.pageCallback) {
+                        requestOptions.pageCallback(layer, page);
+                    }
+
+                    var done = !paging || page.features.length < requestOptions.count
+                        || (maxFeatures && numberRetrieved >= maxFeatures)
+                        || (page.numberMatched !== null && numberRetrieved >= page.numberMatched);
+
+                    return done ? numberRetrieved : requestPage();
+                });
+            };
+
+            return requestPage();
+        };
+
+        /**
+         * Creates the URL of a KVP GetFeature request.
+         * @param {String} typeName The name of the feature type to request.
+         * @param {{}} options Optional properties of the request:
+         * <ul>
+         *     <li>sector: {Sector} The region of interest. Features are requested within the region's bounding
+         *     box.</li>
+         *     <li>time: {Date|Date[]} The time of the features, or a two-element array containing the start and end
+         *     of the times of the features. Requires the timeProperty option.</li>
+         *     <li>timeProperty: {String} The name of the feature property holding the feature's time.</li>
+         *     <li>propertyValues: {Object} The values of the features' properties, keyed by property name.</li>
+         *     <li>geometryProperty: {String} The name of the geometry property the region of interest applies to.
+         *     May be omitted, in which case the feature type's default geometry is used.</li>
+         *     <li>outputFormat: {String} The output format to request. The default is the server's default,
+         *     typically GML.</li>
+         *     <li>startIndex: {Number} The index of the first feature to request, for paging.</li>
+         *     <li>count: {Number} The maximum number of features to request.</li>
+         * </ul>
+         * The region of interest is passed as the BBOX parameter when no time or property values are specified,
+         * and otherwise as part of a filter combining all conditions, because WFS does not allow both.
+         * @returns {String} The request URL.
+         * @throws {ArgumentError} If the specified type name is null or undefined.
+         */
+        WfsClient.prototype.getFeatureUrl = function (typeName, options) {
+            if (!typeName) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WfsClient", "getFeatureUrl", "No type name specified."));
+            }
+
+            options = options || {};
+
+            var is20 = this.version >= "2.0.0",
+                sb = WmsUrlBuilder.fixGetMapString(this.serviceAddress),
+                filter = this.createFilter(options);
+
+            sb = sb + "service=WFS&request=GetFeature&version=" + this.version;
+            sb = sb + (is20 ? "&typeNames=" : "&typeName=") + encodeURIComponent(typeName);
+            sb = sb + "&srsName=" + encodeURIComponent(WfsClient.SRS_NAME);
+
+            if (options.outputFormat) {
+                sb = sb + "&outputFormat=" + encodeURIComponent(options.outputFormat);
+            }
+
+            if (filter) {
+                sb = sb + "&filter=" + encodeURIComponent(filter);
+            } else if (options.sector) {
+                sb = sb + "&bbox=" + WfsClient.boundingBox(options.sector).join(",") + ","
+                    + encodeURIComponent(WfsClient.SRS_NAME);
+            }
+
+            if (options.startIndex !== null && options.startIndex !== undefined) {
+                sb = sb + "&startIndex=" + options.startIndex;
+            }
+
+            if (options.count) {
+                sb = sb + (is20 ? "&count=" : "&maxFeatures=") + options.count;
+            }
+
+            return sb;
+        };
+
+        // Intentionally not documented. The coordinate system requested, whose axis order is latitude, longitude.
+        WfsClient.SRS_NAME = "urn:ogc:def:crs:EPSG::4326";
+
+        // Internal use only. Selects the output format to request: GeoJSON if the server provides it, otherwise
+        // the server's default.
+        WfsClient.prototype.selectOutputFormat = function (typeName) {
+            var formats = this.capabilities.getOutputFormats(this.capabilities.getFeatureType(typeName)),
+                lowerCaseFormats = formats.map(function (format) {
+                    return format.toLowerCase();
+                });
+
+            for (var i = 0; i < WfsClient.JSON_FORMATS.length; i++) {
+                var index = lowerCaseFormats.indexOf(WfsClient.JSON_FORMATS[i]);
+                if (index >= 0) {
+                    return formats[index];
+                }
+            }
+
+            return null;
+        };
+
+        // Internal use only. Creates the filter combining the region, time and property values specified in a
+        // request's options, or returns null if no time or property values are specified.
+        WfsClient.prototype.createFilter = function (options) {
+            var is20 = this.version >= "2.0.0",
+                prefix = is20 ? "fes:" : "ogc:",
+                propertyElement = is20 ? "ValueReference" : "PropertyName",
+                conditions = [],
+                property = function (name) {
+                    return "<" + prefix + propertyElement + ">" + WfsClient.escape(name) + "</" + prefix
+                        + propertyElement + ">";
+                },
+                literal = function (value) {
+                    var text = value instanceof Date ? value.toISOString() : String(value);
+                    return "<" + prefix + "Literal>" + WfsClient.escape(text) + "</" + prefix + "Literal>";
+                },
+                name;
+
+            for (name in options.propertyValues) {
+                if (options.propertyValues.hasOwnProperty(name)) {
+                    conditions.push("<" + prefix + "PropertyIsEqualTo>" + property(name)
+                        + literal(options.propertyValues[name]) + "</" + prefix + "PropertyIsEqualTo>");
+                }
+            }
+
+            if (options.time && options.timeProperty) {
+                if (Array.isArray(options.time)) {
+                    conditions.push("<" + prefix + "PropertyIsBetween>" + property(options.timeProperty)
+                        + "<" + prefix + "LowerBoundary>" + literal(options.time[0]) + "</" + prefix
+                        + "LowerBoundary><" + prefix + "UpperBoundary>" + literal(options.time[1]) + "</" + prefix
+                        + "UpperBoundary></" + prefix + "PropertyIsBetween>");
+                } else {
+                    conditions.push("<" + prefix + "PropertyIsEqualTo>" + property(options.timeProperty)
+                        + literal(options.time) + "</" + prefix + "PropertyIsEqualTo>");
+                }
+            }
+
+            if (conditions.length === 0) {
+                return null;
+            }
+
+            if (options.sector) {
+                var bbox = WfsClient.boundingBox(options.sector);
+                conditions.unshift("<" + prefix + "BBOX>"
+                    + (options.geometryProperty ? property(options.geometryProperty) : "")
+                    + "<gml:Envelope srsName=\"" + WfsClient.SRS_NAME + "\"><gml:lowerCorner>" + bbox[0] + " "
+                    + bbox[1] + "</gml:lowerCorner><gml:upperCorner>" + bbox[2] + " " + bbox[3]
+                    + "</gml:upperCorner></gml:Envelope></" + prefix + "BBOX>");
+            }
+
+            var namespaces = is20 ?
+                " xmlns:fes=\"http://www.opengis.net/fes/2.0\" xmlns:gml=\"http://www.opengis.net/gml/3.2\"" :
+                " xmlns:ogc=\"http://www.opengis.net/ogc\" xmlns:gml=\"http://www.opengis.net/gml\"";
+
+            return "<" + prefix + "Filter" + namespaces + ">"
+                + (conditions.length > 1 ? "<" + prefix + "And>" + conditions.join("") + "</" + prefix + "And>" :
+                    conditions[0])
+                + "</" + prefix + "Filter>";
+        };
+
+        // Internal use only. Retrieves a page of features and decodes it as a GeoJSON feature collection.
+        WfsClient.prototype.requestFeatures = function (url) {
+            return new Promise(function (resolve, reject) {
+                var xhr = new XMLHttpRequest();
+
+                xhr.open("GET", url, true);
+                xhr.onreadystatechange = function () {
+                    if (xhr.readyState !== 4) {
+                        return;
+                    }
+
+                    if (xhr.status !== 200) {
+                        Logger.log(Logger.LEVEL_WARNING, "WFS feature retrieval failed (" + xhr.statusText + "): "
+                            + url);
+                        reject(new Error("WFS feature retrieval failed (" + xhr.statusText + "): " + url));
+                        return;
+                    }
+
+                    try {
+                        resolve(WfsClient.decodeFeatures(xhr.responseText));
+                    } catch (e) {
+                        reject(e);
+                    }
+                };
+
+                xhr.onerror = function () {
+                    Logger.log(Logger.LEVEL_WARNING, "WFS feature retrieval failed: " + url);
+                    reject(new Error("WFS feature retrieval failed: " + url));
+                };
+
+                xhr.send(null);
+            });
+        };
+
+        /**
+         * Decodes the response to a GetFeature request, either GeoJSON or GML.
+         * @param {String} text The response text.
+         * @returns {Object} A GeoJSON FeatureCollection containing the features. Its numberMatched property holds
+         * the number of features matching the request, or null if the response does not indicate it.
+         * @throws {Error} If the response is a service exception report or cannot be decoded.
+         */
+        WfsClient.decodeFeatures = function (text) {
+            var collection;
+
+            if (/^\s*\{/.test(text)) {
+                collection = JSON.parse(text);
+                if (!Array.isArray(collection.features)) {
+                    throw new Error("The WFS response is not a GeoJSON feature collection.");
+                }
+
+                var numberMatched = collection.numberMatched !== undefined ? collection.numberMatched :
+                    collection.totalFeatures;
+                collection.numberMatched = typeof numberMatched === "number" ? numberMatched : null;
+
+                // Servers honoring the requested coordinate system return latitude, longitude order and say so by
+                // naming it, as GML responses do.
+                var crs = collection.crs;
+                if (crs && crs.properties && GmlDecoder.isLatitudeFirst(crs.properties.name)) {
+                    collection.features.forEach(function (feature) {
+                        WfsClient.swapAxes(feature.geometry);
+                    });
+                }
+            } else {
+                var xmlDom = new DOMParser().parseFromString(text, "text/xml"),
+                    root = xmlDom && xmlDom.documentElement;
+
+                if (!root || root.localName === "parsererror") {
+                    throw new Error("The WFS response is neither GeoJSON nor XML.");
+                }
+
+                if (root.localName === "ExceptionReport" || root.localName === "ServiceExceptionReport") {
+                    throw new Error(root.textContent.trim());
+                }
+
+                collection = GmlDecoder.decodeFeatureCollection(xmlDom);
+            }
+
+            // The coordinates are longitude, latitude order, so any EPSG:4326 coordinate system the response
+            // names is the GeoJSON default.
+            if (collection.crs && collection.crs.properties && /4326$|CRS84$/.test(collection.crs.properties.name)) {
+                delete collection.crs;
+            }
+
+            return collection;
+        };
+
+        // Internal use only. Swaps the first two axes of a GeoJSON geometry's positions in place.
+        WfsClient.swapAxes = function (geometry) {
+            if (!geometry) {
+                return;
+            }
+
+            if (geometry.geometries) {
+                geometry.geometries.forEach(WfsClient.swapAxes);
+                return;
+            }
+
+            var swap = function (coordinates) {
+                if (typeof coordinates[0] === "number") {
+                    var first = coordinates[0];
+                    coordinates[0] = coordinates[1];
+                    coordinates[1] = first;
+                } else {
+                    coordinates.forEach(swap);
+                }
+            };
+
+            if (geometry.coordinates) {
+                swap(geometry.coordinates);
+            }
+        };
+
+        // Internal use only. Adds shapes for the features of a GeoJSON feature collection to a layer.
+        WfsClient.prototype.addRenderables = function (collection, layer, shapeConfigurationCallback) {
+            var features = collection.features.filter(function (feature) {
+                return !!feature.geometry; // features without geometry have nothing to display
+            });
+
+            if (features.length === 0) {
+                return;
+            }
+
+            var parser = new GeoJSONParser(JSON.stringify({
+                type: "FeatureCollection",
+                crs: collection.crs,
+                features: features
+            }));
+
+            parser.load(null, shapeConfigurationCallback, layer);
+        };
+
+        /**
+         * Determines the region visible in a world window.
+         * @param {WorldWindow} wwd The world window. May be null.
+         * @returns {Sector} The region spanned by the terrain of the world window's most recent frame, or the
+         * whole globe if the world window is not specified or has not drawn a frame.
+         */
+        WfsClient.viewSector = function (wwd) {
+            var terrain = wwd && wwd.drawContext && wwd.drawContext.terrain;
+
+            return terrain && terrain.sector ? terrain.sector : Sector.FULL_SPHERE;
+        };
+
+        // Internal use only. Returns the bounding box of a sector in latitude, longitude order.
+        WfsClient.boundingBox = function (sector) {
+            return [sector.minLatitude, sector.minLongitude, sector.maxLatitude, sector.maxLongitude];
+        };
+
+        // Internal use only.
+        WfsClient.escape = function (text) {
+            return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+        };
+
+        return WfsClient;
+    });
@@ -0,0 +1,311 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports WmsFeatureInfo
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Logger'
+    ],
+    function (ArgumentError,
+              Logger) {
+        "use strict";
+
+        /**
+         * Constructs a WMS feature info instance from the response to a Get Feature Info request.
+         * @alias WmsFeatureInfo
+         * @constructor
+         * @classdesc Represents the response to a WMS Get Feature Info request. The response is parsed according to
+         * its format:
+         * <ul>
+         *     <li>JSON responses, such as GeoJSON feature collections, provide their features' properties and
+         *     geometries.</li>
+         *     <li>GML and other XML responses provide the properties of their features. The feature members of GML
+         *     feature collections, the features of MapServer's GML output and the fields of Esri's feature info
+         *     responses are recognized.</li>
+         *     <li>Plain text responses provide the properties listed in "name = value" lines, with each feature
+         *     introduced by a header line.</li>
+         *     <li>HTML responses are not parsed. Applications typically display their
+         *     [text]{@link WmsFeatureInfo#text}.</li>
+         * </ul>
+         * Responses that are WMS service exception reports provide the exception message in this object's
+         * [exception]{@link WmsFeatureInfo#exception} property.
+         * @param {String} text The response text.
+         * @param {String} format The mime type of the response, e.g., application/json.
+         * @throws {ArgumentError} If the specified text is null or undefined.
+         */
+        var WmsFeatureInfo = function (text, format) {
+            if (text === null || text === undefined) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WmsFeatureInfo", "constructor",
+                        "No response text specified."));
+            }
+
+            /**
+             * The mime type of the response, as specified to this object's constructor.
+             * @type {String}
+             * @readonly
+             */
+            this.format = format ? format.split(";")[0].trim().toLowerCase() : "text/plain";
+
+            /**
+             * The response text.
+             * @type {String}
+             * @readonly
+             */
+            this.text = text;
+
+            /**
+             * The features described by the response. Each feature is an object with the properties "id", the
+             * feature's identifier or null, "properties", the feature's attributes keyed by name, and "geometry",
+             * the feature's GeoJSON geometry or null. Empty if the response describes no features or is HTML.
+             * @type {Object[]}
+             * @readonly
+             */
+            this.features = [];
+
+            /**
+             * The message of the service exception the response reports, or null if the response is not a service
+             * exception report.
+             * @type {String}
+             * @readonly
+             */
+            this.exception = null;
+
+            /**
+             * The layer queried. Assigned by the layer performing the query.
+             * @type {Layer}
+             */
+            this.layer = null;
+
+            /**
+             * The geographic position queried. Assigned by the layer performing the query.
+             * @type {Location}
+             */
+            this.position = null;
+
+            if (WmsFeatureInfo.isJsonFormat(this.format)) {
+                this.parseJson(text);
+            } else if (WmsFeatureInfo.isXmlFormat(this.format)) {
+                this.parseXml(text);
+            } else if (this.format !== "text/html") {
+                this.parsePlainText(text);
+            }
+        };
+
+        /**
+         * The info formats requested when the application does not specify one, in order of preference.
+         * @type {String[]}
+         */
+        WmsFeatureInfo.PREFERRED_FORMATS = [
+            "application/json",
+            "application/geo+json",
+            "application/vnd.ogc.gml",
+            "application/vnd.ogc.gml/3.1.1",
+            "text/xml",
+            "text/plain",
+            "text/html"
+        ];
+
+        /**
+         * Selects the info format to request from those a WMS server advertises.
+         * @param {String[]} formats The info formats the server advertises. May be null.
+         * @returns {String} The most preferred of the specified formats, the first of the specified formats if
+         * none is preferred, or text/plain if no formats are specified.
+         */
+        WmsFeatureInfo.selectFormat = function (formats) {
+            if (!formats || formats.length === 0) {
+                return "text/plain";
+            }
+
+            for (var i = 0; i < WmsFeatureInfo.PREFERRED_FORMATS.length; i++) {
+                if (formats.indexOf(WmsFeatureInfo.PREFERRED_FORMATS[i]) >= 0) {
+                    return WmsFeatureInfo.PREFERRED_FORMATS[i];
+                }
+            }
+
+            return formats[0];
+        };
+
+        // Intentionally not documented.
+        WmsFeatureInfo.isJsonFormat = function (format) {
+            return format.indexOf("json") >= 0;
+        };
+
+        // Intentionally not documented.
+        WmsFeatureInfo.isXmlFormat = function (format) {
+            return format.indexOf("xml") >= 0 || format.indexOf("gml") >= 0;
+        };
+
+        // Internal use only. Parses a JSON response, either a GeoJSON feature collection, a GeoJSON feature or an
+        // array of features.
+        WmsFeatureInfo.prototype.parseJson = function (text) {
+            var json;
+
+            try {
+                json = JSON.parse(text);
+            } catch (e) {
+                Logger.log(Logger.LEVEL_WARNING, "The feature info response is not valid JSON: " + e.message);
+                return;
+            }
+
+            var features = Array.isArray(json) ? json :
+                json && json.type === "Feature" ? [json] :
+                    json && Array.isArray(json.features) ? json.features : [];
+
+            for (var i = 0; i < features.length; i++) {
+                var feature = features[i] || {};
+
+                this.features.push({
+                    id: feature.id !== undefined ? feature.id : null,
+                    properties: feature.properties || {},
+                    geometry: feature.geometry || null
+                });
+            }
+        };
+
+        // Internal use only. Parses a GML or other XML response.
+        WmsFeatureInfo.prototype.parseXml = function (text) {
+            var root;
+
+            try {
+                root = new DOMParser().parseFromString(text, "text/xml").documentElement;
+            } catch (e) {
+                root = null;
+            }
+
+            if (!root || root.localName === "parsererror") {
+                Logger.log(Logger.LEVEL_WARNING, "The feature info response is not valid XML.");
+                return;
+            }
+
+            if (root.localName === "ServiceExceptionReport" || root.localName === "ExceptionReport") {
+                this.exception = root.textContent.trim();
+                return;
+            }
+
+            var elements = [];
+            WmsFeatureInfo.collectFeatureElements(root, elements);
+
+            for (var i = 0; i < elements.length; i++) {
+                this.features.push({
+                    id: elements[i].getAttribute("gml:id") || elements[i].getAttribute("fid") || null,
+                    properties: WmsFeatureInfo.propertiesOfElement(elements[i]),
+                    geometry: null
+                });
+            }
+        };
+
+        // Internal use only. Parses a plain text response. Each feature starts at a header line, such as
+        // "Feature 1:" or "Results for FeatureType 'states':", or a line of dashes following properties.
+        WmsFeatureInfo.prototype.parsePlainText = function (text) {
+            var lines = text.split(/\r?\n/),
+                feature = null;
+
+            for (var i = 0; i < lines.length; i++) {
+                var line = lines[i].trim(),
+                    separator = line.indexOf("=");
+
+                if (separator > 0) {
+                    if (!feature) {
+                        feature = {id: null, properties: {}, geometry: null};
+                        this.features.push(feature);
+                    }
+
+                    var name = line.substring(0, separator).trim(),
+                        value = line.substring(separator + 1).trim().replace(/^'(.*)'$/, "$1");
+
+                    feature.properties[name] = value;
+                } else if (/^-+$/.test(line) || /:$/.test(line)) {
+                    feature = null;
+                }
+            }
+        };
+
+        // Internal use only. Collects the elements describing features. GML feature members are preferred, then the
+        // features of MapServer's GML output, then Esri's FIELDS elements.
+        WmsFeatureInfo.collectFeatureElements = function (root, result) {
+            var members = WmsFeatureInfo.descendants(root, function (element) {
+                    return element.localName === "featureMember" || element.localName === "featureMembers";
+                }),
+                i, j;
+
+            for (i = 0; i < members.length; i++) {
+                var children = WmsFeatureInfo.childElements(members[i]);
+                for (j = 0; j < children.length; j++) {
+                    result.push(children[j]);
+                }
+            }
+
+            if (result.length === 0) {
+                var features = WmsFeatureInfo.descendants(root, function (element) {
+                    return /_feature$/.test(element.localName) || element.localName === "FIELDS";
+                });
+
+                for (i = 0; i < features.length; i++) {
+                    result.push(features[i]);
+                }
+            }
+        };
+
+        // Internal use only. Determines the properties of a feature element from its attributes, for Esri's FIELDS
+        // elements, or from its child elements containing only text, for all others.
+        WmsFeatureInfo.propertiesOfElement = function (element) {
+            var properties = {},
+                i;
+
+            if (element.localName === "FIELDS") {
+                for (i = 0; i < element.attributes.length; i++) {
+                    properties[element.attributes[i].name] = element.attributes[i].value;
+                }
+
+                return properties;
+            }
+
+            var children = WmsFeatureInfo.childElements(element);
+            for (i = 0; i < children.length; i++) {
+                var child = children[i];
+
+                if (child.prefix !== "gml" && WmsFeatureInfo.childElements(child).length === 0) {
+                    properties[child.localName] = child.textContent.trim();
+                }
+            }
+
+            return properties;
+        };
+
+        // Intentionally not documented.
+        WmsFeatureInfo.childElements = function (element) {
+            var children = element.children || element.childNodes,
+                result = [];
+
+            for (var c = 0; c < children.length; c++) {
+                if (children[c].nodeType === 1) {
+                    result.push(children[c]);
+                }
+            }
+
+            return result;
+        };
+
+        // Intentionally not documented. Returns the descendant elements satisfying a test, not searching below
+        // the elements found.
+        WmsFeatureInfo.descendants = function (element, test) {
+            var result = [],
+                children = WmsFeatureInfo.childElements(element);
+
+            for (var c = 0; c < children.length; c++) {
+                if (test(children[c])) {
+                    result.push(children[c]);
+                } else {
+                    result = result.concat(WmsFeatureInfo.descendants(children[c], test));
+                }
+            }
+
+            return result;
+        };
+
+        return WmsFeatureInfo;
+    });
@@ -275,6 +275,23 @@ define([
              */
             this.surfaceOpacity = 1;
 
+            /**
+             * The current time of the World Window associated with this draw context, as indicated by its
+             * [time controller]{@link WorldWindow#timeController}. Null indicates that no current time is specified.
+             * @type {Date}
+             * @readonly
+             */
+            this.currentTime = null;
+
+            /**
+             * The current time interval of the World Window associated with this draw context, as indicated by its
+             * [time controller]{@link WorldWindow#timeController}. The interval is a two-element array containing the
+             * begin and end times. Null indicates that no current time interval is specified.
+             * @type {Date[]}
+             * @readonly
+             */
+            this.currentTimeInterval = null;
+
             /**
              * Frame statistics.
              * @type {FrameStatistics}
@@ -385,6 +402,8 @@ define([
             this.navigatorState = null;
             this.terrain = null;
             this.verticalExaggeration = 1;
+            this.currentTime = null;
+            this.currentTimeInterval = null;
             this.frameStatistics = null;
             this.accumulateOrderedRenderables = true;
 
@@ -53,6 +53,51 @@ define([
              * @default An empty object
              */
             this.userProperties = {};
+
+            /**
+             * The time at which this renderable's validity interval begins. When the World Window has a
+             * [current time]{@link TimeController#time} or [time interval]{@link TimeController#timeInterval}, this
+             * renderable is displayed and pickable only when that time or interval is within or overlaps its
+             * validity interval. If null, the validity interval has no beginning.
+             * @type {Date}
+             * @default null
+             */
+            this.beginTime = null;
+
+            /**
+             * The time at which this renderable's validity interval ends. See
+             * [beginTime]{@link Renderable#beginTime}. If null, the validity interval has no end.
+             * @type {Date}
+             * @default null
+             */
+            this.endTime = null;
+        };
+
+        /**
+         * Indicates whether this renderable's validity interval includes the World Window's current time, or
+         * overlaps its current time interval. Layers such as {@link RenderableLayer} do not render renderables for
+         * which this method returns false, so those renderables are neither displayed nor picked.
+         * @param {DrawContext} dc The current draw context.
+         * @returns {Boolean} true if this renderable is valid at the current time or the World Window has no current
+         * time, otherwise false.
+         */
+        Renderable.prototype.isValidAtCurrentTime = function (dc) {
+            if (!this.beginTime && !this.endTime) {
+                return true;
+            }
+
+            var begin = this.beginTime ? this.beginTime.getTime() : -Number.MAX_VALUE,
+                end = this.endTime ? this.endTime.getTime() : Number.MAX_VALUE;
+
+            if (dc.currentTimeInterval) {
+                return begin <= dc.currentTimeInterval[1].getTime() && end >= dc.currentTimeInterval[0].getTime();
+            }
+
+            if (dc.currentTime) {
+                return begin <= dc.currentTime.getTime() && end >= dc.currentTime.getTime();
+            }
+
+            return true;
         };
 
         /**
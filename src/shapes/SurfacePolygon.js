@@ -92,6 +92,9 @@ define([
             }
 
             this._boundaries = newBoundaries;
+
+            // Internal use only. The boundaries as specified, used when this polygon is exported.
+            this._specifiedBoundaries = boundaries;
         };
 
         SurfacePolygon.prototype = Object.create(SurfaceShape.prototype);
@@ -0,0 +1,194 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports ColorRamp
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Color',
+        '../util/Logger',
+        '../util/WWMath'
+    ],
+    function (ArgumentError,
+              Color,
+              Logger,
+              WWMath) {
+        "use strict";
+
+        /**
+         * Constructs a color ramp from a list of colors and their positions along the ramp.
+         * @alias ColorRamp
+         * @constructor
+         * @classdesc Represents a continuous sequence of colors, interpolated between a list of colors positioned
+         * along the ramp. Positions are fractions between 0, the start of the ramp, and 1, its end. Color ramps are
+         * typically used by a {@link RasterSymbolizer} to color the values of single-band rasters. Several commonly
+         * used ramps are predefined, see for example [ColorRamp.VIRIDIS]{@link ColorRamp.VIRIDIS}.
+         * @param {Color[]} colors The colors of the ramp, at least two.
+         * @param {Number[]} positions The position of each color along the ramp, in ascending order from 0 to 1.
+         * May be null or undefined, in which case the colors are evenly spaced along the ramp.
+         * @throws {ArgumentError} If fewer than two colors are specified or the number of positions differs from the
+         * number of colors.
+         */
+        var ColorRamp = function (colors, positions) {
+            if (!colors || colors.length < 2) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ColorRamp", "constructor",
+                        "A color ramp needs at least two colors."));
+            }
+
+            if (positions && positions.length !== colors.length) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ColorRamp", "constructor",
+                        "The number of positions differs from the number of colors."));
+            }
+
+            /**
+             * The colors of this ramp.
+             * @type {Color[]}
+             * @readonly
+             */
+            this.colors = colors;
+
+            /**
+             * The position of each of this ramp's colors, in ascending order from 0 to 1.
+             * @type {Number[]}
+             * @readonly
+             */
+            this.positions = positions || colors.map(function (color, index) {
+                    return index / (colors.length - 1);
+                });
+        };
+
+        /**
+         * Computes the color at a specified position along this ramp, interpolating linearly between the ramp's
+         * colors.
+         * @param {Number} fraction The position along this ramp, a number between 0 and 1. Positions outside that
+         * range are clamped to it.
+         * @param {Color} result A pre-allocated color in which to return the computed color.
+         * @returns {Color} The result argument set to the color at the specified position.
+         * @throws {ArgumentError} If the specified result is null or undefined.
+         */
+        ColorRamp.prototype.colorAt = function (fraction, result) {
+            if (!result) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ColorRamp", "colorAt", "missingResult"));
+            }
+
+            var colors = this.colors,
+                positions = this.positions,
+                last = colors.length - 1,
+                i;
+
+            fraction = WWMath.clamp(fraction, 0, 1);
+
+            if (fraction <= positions[0]) {
+                return result.copy(colors[0]);
+            }
+
+            if (fraction >= positions[last]) {
+                return result.copy(colors[last]);
+            }
+
+            // Find the colors on either side of the position.
+            i = 1;
+            while (positions[i] < fraction) {
+                i++;
+            }
+
+            var c0 = colors[i - 1],
+                c1 = colors[i],
+                span = positions[i] - positions[i - 1],
+                t = span > 0 ? (fraction - positions[i - 1]) / span : 1;
+
+            return result.set(
+                c0.red + t * (c1.red - c0.red),
+                c0.green + t * (c1.green - c0.green),
+                c0.blue + t * (c1.blue - c0.blue),
+                c0.alpha + t * (c1.alpha - c0.alpha));
+        };
+
+        /**
+         * Creates a color ramp whose colors are in the reverse order of this ramp's.
+         * @returns {ColorRamp} A new color ramp running from the end of this ramp to its start.
+         */
+        ColorRamp.prototype.reversed = function () {
+            var colors = this.colors.slice().reverse(),
+                positions = this.positions.map(function (position) {
+                    return 1 - position;
+                }).reverse();
+
+            return new ColorRamp(colors, positions);
+        };
+
+        // Creates a ramp of evenly spaced colors specified as RRGGBB hexadecimal strings. Internal use only.
+        var rampFromHex = function (hexColors) {
+            return new ColorRamp(hexColors.map(function (hexColor) {
+                return Color.colorFromHex(hexColor + "ff");
+            }));
+        };
+
+        /**
+         * A ramp from black to white.
+         * @type {ColorRamp}
+         * @constant
+         */
+        ColorRamp.GRAYSCALE = rampFromHex(["000000", "ffffff"]);
+
+        /**
+         * A perceptually uniform ramp from dark purple through blue and green to yellow.
+         * @type {ColorRamp}
+         * @constant
+         */
+        ColorRamp.VIRIDIS = rampFromHex(["440154", "3b528b", "21918c", "5ec962", "fde725"]);
+
+        /**
+         * A ramp through the colors of the rainbow, from blue to red.
+         * @type {ColorRamp}
+         * @constant
+         */
+        ColorRamp.RAINBOW = rampFromHex(["0000ff", "00ffff", "00ff00", "ffff00", "ff0000"]);
+
+        /**
+         * A diverging ramp from blue through white to red, suitable for temperatures and anomalies.
+         * @type {ColorRamp}
+         * @constant
+         */
+        ColorRamp.TEMPERATURE = rampFromHex(["2166ac", "67a9cf", "f7f7f7", "ef8a62", "b2182b"]);
+
+        /**
+         * A ramp from brown through yellow to dark green, suitable for vegetation indices such as NDVI.
+         * @type {ColorRamp}
+         * @constant
+         */
+        ColorRamp.VEGETATION = rampFromHex(["8c510a", "d8b365", "ffffbf", "91cf60", "1a9850", "00441b"]);
+
+        /**
+         * A ramp from white through blue to purple, suitable for precipitation.
+         * @type {ColorRamp}
+         * @constant
+         */
+        ColorRamp.PRECIPITATION = rampFromHex(["ffffff", "9ecae1", "3182bd", "08519c", "54278f"]);
+
+        /**
+         * A ramp from green through brown to white, suitable for elevations above sea level.
+         * @type {ColorRamp}
+         * @constant
+         */
+        ColorRamp.TERRAIN = rampFromHex(["1a9641", "a6d96a", "ffffbf", "a6611a", "ffffff"]);
+
+        /**
+         * Returns the predefined color ramp with a specified name. The name is that of the ramp's constant, e.g.,
+         * "VIRIDIS", and is case insensitive.
+         * @param {String} name The ramp's name.
+         * @returns {ColorRamp} The predefined ramp with the specified name, or null if there is no such ramp.
+         */
+        ColorRamp.rampForName = function (name) {
+            var ramp = name ? ColorRamp[name.toUpperCase()] : null;
+
+            return ramp instanceof ColorRamp ? ramp : null;
+        };
+
+        return ColorRamp;
+    });
@@ -0,0 +1,554 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports CompositeTimeSequence
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Logger',
+        '../util/PeriodicTimeSequence'
+    ],
+    function (ArgumentError,
+              Logger,
+              PeriodicTimeSequence) {
+        "use strict";
+
+        /**
+         * Constructs a time sequence from the value of a WMS time dimension.
+         * @alias CompositeTimeSequence
+         * @constructor
+         * @classdesc Represents the times advertised by a WMS time dimension, as specified by the WMS 1.1.1 and
+         * 1.3.0 specifications. The dimension value is a comma-separated list of any mixture of the following:
+         * <ul>
+         *     <li>Single ISO 8601 times, e.g., 2016-07-12T00:00:00Z.</li>
+         *     <li>Periodic ranges in the form start/end/period, e.g., 2016-07-12/2016-07-18/PT3H.</li>
+         *     <li>Continuous ranges in the form start/end or start/end/0, e.g., 2016-07-12/2016-07-18.</li>
+         * </ul>
+         * The values "current", "present" and "now" indicate the current time wherever a time is expected.
+         * <p>
+         * This class provides iteration over the sequence's distinct times in ascending order. The distinct times
+         * of a continuous range are its start and end times. It also determines the valid time nearest to a
+         * specified one, which applications use to request only times the server provides.
+         * @param {String} sequenceString The value of the WMS time dimension.
+         * @param {String} defaultString The dimension's default value. May be null, in which case the default time
+         * is the sequence's end time.
+         * @param {Boolean} nearestValue The dimension's nearestValue attribute, indicating whether the server
+         * accepts any time within the sequence's extent and provides the nearest valid time.
+         * @throws {ArgumentError} If the specified sequence string is null, undefined or contains no valid times.
+         * Elements of the dimension value that are not valid are logged and skipped.
+         */
+        var CompositeTimeSequence = function (sequenceString, defaultString, nearestValue) {
+            if (!sequenceString) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "CompositeTimeSequence", "constructor", "missingString"));
+            }
+
+            /**
+             * This sequence's sequence string, as specified to the constructor.
+             * @type {String}
+             * @readonly
+             */
+            this.sequenceString = sequenceString;
+
+            /**
+             * The single times of this sequence, in ascending order.
+             * @type {Date[]}
+             * @readonly
+             */
+            this.instants = [];
+
+            /**
+             * The periodic ranges of this sequence.
+             * @type {PeriodicTimeSequence[]}
+             * @readonly
+             */
+            this.periodicSequences = [];
+
+            /**
+             * The continuous ranges of this sequence, each a two-element array containing the range's start and end
+             * times.
+             * @type {Array}
+             * @readonly
+             */
+            this.intervals = [];
+
+            var elements = sequenceString.split(",");
+            for (var i = 0; i < elements.length; i++) {
+                var element = elements[i].trim();
+                if (element.length > 0) {
+                    this.addElement(element);
+                }
+            }
+
+            if (this.instants.length === 0 && this.periodicSequences.length === 0 && this.intervals.length === 0) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "CompositeTimeSequence", "constructor",
+                        "The time dimension " + sequenceString + " contains no times."));
+            }
+
+            this.instants.sort(function (a, b) {
+                return a.getTime() - b.getTime();
+            });
+
+            /**
+             * This sequence's earliest time.
+             * @type {Date}
+             * @readonly
+             */
+            this.startTime = this.extremeTime(Math.min);
+
+            /**
+             * This sequence's latest time.
+             * @type {Date}
+             * @readonly
+             */
+            this.endTime = this.extremeTime(Math.max);
+
+            // Intentionally not documented.
+            this.intervalMilliseconds = this.endTime.getTime() - this.startTime.getTime();
+
+            /**
+             * Indicates whether the server accepts any time within this sequence's extent and provides the nearest
+             * valid time, as specified to the constructor.
+             * @type {Boolean}
+             * @readonly
+             */
+            this.nearestValue = !!nearestValue;
+
+            /**
+             * The time the server provides when no time is requested. This is the valid time nearest the dimension's
+             * default value, or this sequence's end time if the dimension specifies no valid default.
+             * @type {Date}
+             * @readonly
+             */
+            var defaultTime = CompositeTimeSequence.readTime(defaultString);
+            this.defaultTime = defaultTime ? this.nearestTime(defaultTime) : this.endTime;
+
+            // Documented with property accessor below.
+            this._currentTime = this.startTime;
+        };
+
+        Object.defineProperties(CompositeTimeSequence.prototype, {
+            /**
+             * This sequence's current time.
+             * @type {Date}
+             * @default This sequence's start time.
+             * @memberof CompositeTimeSequence.prototype
+             */
+            currentTime: {
+                get: function () {
+                    return this._currentTime;
+                },
+                set: function (value) {
+                    this._currentTime = value;
+                }
+            },
+            /**
+             * Indicates the position of this sequence's current time relative to the sequence's total interval,
+             * in the range [0, 1]. A value of 0 indicates this sequence's start time. A value of 1 indicates
+             * this sequence's end time. A value of 0.5 indicates a current time that's exactly mid-way between
+             * this sequence's start time and end time.
+             * @type {Number}
+             * @memberof CompositeTimeSequence.prototype
+             */
+            scaleForCurrentTime: {
+                get: function () {
+                    if (!this.currentTime || this.intervalMilliseconds === 0) {
+                        return 1;
+                    } else {
+                        return (this.currentTime.getTime() - this.startTime.getTime()) / this.intervalMilliseconds;
+                    }
+                }
+            }
+        });
+
+        /**
+         * Sets this sequence's current time to the next time in the sequence and returns that time.
+         * @returns {Date|null} The next time of this sequence, or null if no more times are in the sequence.
+         * Use [reset]{@link CompositeTimeSequence#reset} to re-start this sequence.
+         * Use [previous]{@link CompositeTimeSequence#previous} to step backwards through this sequence.
+         */
+        CompositeTimeSequence.prototype.next = function () {
+            this.currentTime = this.currentTime ? this.timeAfter(this.currentTime) : this.startTime;
+
+            return this.currentTime;
+        };
+
+        /**
+         * Sets this sequence's current time to the previous time in the sequence and returns that time.
+         * @returns {Date|null} The previous time of this sequence, or null if the sequence is currently at its start
+         * time.
+         * Use [next]{@link CompositeTimeSequence#next} to step forwards through this sequence.
+         */
+        CompositeTimeSequence.prototype.previous = function () {
+            this.currentTime = this.currentTime ? this.timeBefore(this.currentTime) : this.endTime;
+
+            return this.currentTime;
+        };
+
+        /**
+         * Resets this sequence's current time to its start time.
+         * Use [next]{@link CompositeTimeSequence#next} to step forwards through this sequence.
+         * Use [previous]{@link CompositeTimeSequence#previous} to step backwards through this sequence.
+         */
+        CompositeTimeSequence.prototype.reset = function () {
+            this.currentTime = null;
+        };
+
+        /**
+         * Returns the valid time nearest the time associated with a specified value in the range [0, 1]. A value
+         * of 0 returns this sequence's start time. A value of 1 returns this sequence's end time.
+         * @param scale The scale value. This value is clamped to the range [0, 1] before the time is determined.
+         * @returns {Date}
+         */
+        CompositeTimeSequence.prototype.getTimeForScale = function (scale) {
+            if (scale <= 0) {
+                return this.startTime;
+            }
+
+            if (scale >= 1) {
+                return this.endTime;
+            }
+
+            return this.nearestTime(new Date(this.startTime.getTime() + scale * this.intervalMilliseconds));
+        };
+
+        /**
+         * Indicates whether a specified time may be requested from the server. When this sequence's
+         * [nearestValue]{@link CompositeTimeSequence#nearestValue} is true, any time within this sequence's extent
+         * is valid. Otherwise the time must be one of the sequence's times or lie within one of its continuous
+         * ranges.
+         * @param {Date} time The time to test.
+         * @returns {Boolean} true if the specified time is valid, otherwise false.
+         * @throws {ArgumentError} If the specified time is null or undefined.
+         */
+        CompositeTimeSequence.prototype.isValidTime = function (time) {
+            if (!time) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "CompositeTimeSequence", "isValidTime", "missingTime"));
+            }
+
+            var milliseconds = time.getTime();
+
+            if (this.nearestValue) {
+                return milliseconds >= this.startTime.getTime() && milliseconds <= this.endTime.getTime();
+            }
+
+            return this.nearestTime(time).getTime() === milliseconds;
+        };
+
+        /**
+         * Returns the time of this sequence nearest a specified time. A time within a continuous range is its own
+         * nearest time. When two times are equally near, the earlier one is returned.
+         * @param {Date} time The time of interest.
+         * @returns {Date} The nearest time of this sequence.
+         * @throws {ArgumentError} If the specified time is null or undefined.
+         */
+        CompositeTimeSequence.prototype.nearestTime = function (time) {
+            if (!time) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "CompositeTimeSequence", "nearestTime", "missingTime"));
+            }
+
+            var milliseconds = time.getTime(),
+                nearest = null,
+                nearestDistance = Number.MAX_VALUE,
+                candidates = [],
+                i;
+
+            for (i = 0; i < this.instants.length; i++) {
+                candidates.push(this.instants[i]);
+            }
+
+            for (i = 0; i < this.intervals.length; i++) {
+                var interval = this.intervals[i];
+                candidates.push(new Date(Math.min(Math.max(milliseconds, interval[0].getTime()),
+                    interval[1].getTime())));
+            }
+
+            for (i = 0; i < this.periodicSequences.length; i++) {
+                var floor = CompositeTimeSequence.floorTime(this.periodicSequences[i], time),
+                    ceiling = CompositeTimeSequence.ceilingTime(this.periodicSequences[i], time);
+
+                if (floor) {
+                    candidates.push(floor);
+                }
+
+                if (ceiling) {
+                    candidates.push(ceiling);
+                }
+            }
+
+            for (i = 0; i < candidates.length; i++) {
+                var distance = Math.abs(candidates[i].getTime() - milliseconds);
+                if (distance < nearestDistance
+                    || (distance === nearestDistance && candidates[i].getTime() < nearest.getTime())) {
+                    nearest = candidates[i];
+                    nearestDistance = distance;
+                }
+            }
+
+            return nearest;
+        };
+
+        /**
+         * Determines the time to request from the server for a specified time. Returns this sequence's
+         * [default time]{@link CompositeTimeSequence#defaultTime} if the specified time is null or undefined,
+         * otherwise the [nearest time]{@link CompositeTimeSequence#nearestTime} of this sequence.
+         * @param {Date} time The requested time. May be null or undefined.
+         * @returns {Date} The time to request.
+         */
+        CompositeTimeSequence.prototype.snapTime = function (time) {
+            return time ? this.nearestTime(time) : this.defaultTime;
+        };
+
+        // Intentionally not documented. Returns the earliest distinct time of this sequence after a specified time,
+        // or null if there is none.
+        CompositeTimeSequence.prototype.timeAfter = function (time) {
+            var milliseconds = time.getTime(),
+                candidates = [],
+                i;
+
+            for (i = 0; i < this.instants.length; i++) {
+                candidates.push(this.instants[i]);
+            }
+
+            for (i = 0; i < this.intervals.length; i++) {
+                candidates.push(this.intervals[i][0], this.intervals[i][1]);
+            }
+
+            for (i = 0; i < this.periodicSequences.length; i++) {
+                var ceiling = CompositeTimeSequence.ceilingTime(this.periodicSequences[i],
+                    new Date(milliseconds + 1));
+                if (ceiling) {
+                    candidates.push(ceiling);
+                }
+            }
+
+            return CompositeTimeSequence.closestCandidate(candidates, function (candidate) {
+                return candidate.getTime() > milliseconds ? candidate.getTime() - milliseconds : -1;
+            });
+        };
+
+        // Intentionally not documented. Returns the latest distinct time of this sequence before a specified time,
+        // or null if there is none.
+        CompositeTimeSequence.prototype.timeBefore = function (time) {
+            var milliseconds = time.getTime(),
+                candidates = [],
+                i;
+
+            for (i = 0; i < this.instants.length; i++) {
+                candidates.push(this.instants[i]);
+            }
+
+            for (i = 0; i < this.intervals.length; i++) {
+                candidates.push(this.intervals[i][0], this.intervals[i][1]);
+            }
+
+            for (i = 0; i < this.periodicSequences.length; i++) {
+                var floor = CompositeTimeSequence.floorTime(this.periodicSequences[i], new Date(milliseconds - 1));
+                if (floor) {
+                    candidates.push(floor);
+                }
+            }
+
+            return CompositeTimeSequence.closestCandidate(candidates, function (candidate) {
+                return candidate.getTime() < milliseconds ? milliseconds - candidate.getTime() : -1;
+            });
+        };
+
+        // Intentionally not documented. Parses one element of the dimension value and adds it to this sequence.
+        // Elements that are not valid are logged and skipped, so that one malformed element does not discard the
+        // dimension's other times.
+        CompositeTimeSequence.prototype.addElement = function (element) {
+            var parts = element.split("/"),
+                startTime = CompositeTimeSequence.readTime(parts[0]),
+                endTime = parts.length > 1 ? CompositeTimeSequence.readTime(parts[1]) : startTime,
+                periodString = parts.length === 3 ? parts[2].trim() : null,
+                validPeriod = !periodString || periodString === "0" ||
+                    CompositeTimeSequence.PERIOD_PATTERN.test(periodString);
+
+            if (parts.length > 3 || !startTime || !endTime || !validPeriod) {
+                Logger.log(Logger.LEVEL_WARNING, "Skipping time dimension element " + element +
+                    ", which is not valid.");
+                return;
+            }
+
+            if (endTime.getTime() < startTime.getTime()) {
+                Logger.log(Logger.LEVEL_WARNING, "Skipping time dimension element " + element +
+                    ", which ends before it starts.");
+                return;
+            }
+
+            var period = periodString && periodString !== "0" ?
+                    PeriodicTimeSequence.parsePeriodString(periodString, false) : null,
+                emptyPeriod = !period || period.every(function (value) {
+                        return value === 0;
+                    });
+
+            if (startTime.getTime() === endTime.getTime()) {
+                this.instants.push(startTime);
+            } else if (emptyPeriod) {
+                this.intervals.push([startTime, endTime]);
+            } else {
+                this.periodicSequences.push(new PeriodicTimeSequence(
+                    startTime.toISOString() + "/" + endTime.toISOString() + "/" + periodString));
+            }
+        };
+
+        // Intentionally not documented. Returns this sequence's earliest or latest time, as determined by a
+        // specified selection function, either Math.min or Math.max.
+        CompositeTimeSequence.prototype.extremeTime = function (select) {
+            var milliseconds = [],
+                i;
+
+            for (i = 0; i < this.instants.length; i++) {
+                milliseconds.push(this.instants[i].getTime());
+            }
+
+            for (i = 0; i < this.intervals.length; i++) {
+                milliseconds.push(this.intervals[i][0].getTime(), this.intervals[i][1].getTime());
+            }
+
+            for (i = 0; i < this.periodicSequences.length; i++) {
+                var sequence = this.periodicSequences[i];
+                milliseconds.push(sequence.startTime.getTime(),
+                    CompositeTimeSequence.floorTime(sequence, sequence.endTime).getTime());
+            }
+
+            return new Date(select.apply(null, milliseconds));
+        };
+
+        /**
+         * Parses a time of a WMS time dimension. The values "current", "present" and "now" indicate the current
+         * time.
+         * @param {String} timeString The time to parse.
+         * @returns {Date} The parsed time.
+         * @throws {ArgumentError} If the specified string is null, undefined or not a valid time.
+         */
+        CompositeTimeSequence.parseTime = function (timeString) {
+            if (!timeString) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "CompositeTimeSequence", "parseTime", "missingString"));
+            }
+
+            var time = CompositeTimeSequence.readTime(timeString);
+            if (!time) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "CompositeTimeSequence", "parseTime",
+                        "The time " + timeString + " is not a valid ISO 8601 time."));
+            }
+
+            return time;
+        };
+
+        // Intentionally not documented. Parses a time as parseTime does, but returns null rather than throwing if
+        // the string is not a valid time.
+        CompositeTimeSequence.readTime = function (timeString) {
+            var trimmed = (timeString || "").trim(),
+                lowerCase = trimmed.toLowerCase();
+
+            if (lowerCase === "current" || lowerCase === "present" || lowerCase === "now") {
+                return new Date();
+            }
+
+            var time = trimmed ? new Date(trimmed) : null;
+
+            return time && !isNaN(time.getTime()) ? time : null;
+        };
+
+        // Intentionally not documented. The form of the ISO 8601 periods PeriodicTimeSequence parses.
+        CompositeTimeSequence.PERIOD_PATTERN = /^P((\d+Y)?(\d+M)?(\d+W)?(\d+D)?)?(T(\d+H)?(\d+M)?(\d+S)?)?$/i;
+
+        // Intentionally not documented. Returns the latest time of a periodic sequence at or before a specified
+        // time, or null if the specified time precedes the sequence.
+        CompositeTimeSequence.floorTime = function (sequence, time) {
+            var startMilliseconds = sequence.startTime.getTime(),
+                limit = Math.min(time.getTime(), sequence.endTime.getTime()),
+                period = sequence.period;
+
+            if (time.getTime() < startMilliseconds) {
+                return null;
+            }
+
+            if (period[0] === 0 && period[1] === 0) {
+                // Periods without years and months have a fixed length, so the step is computed directly.
+                var periodMilliseconds = ((((period[2] * 7 + period[3]) * 24 + period[4]) * 60 + period[5]) * 60
+                    + period[6]) * 1000;
+
+                return new Date(startMilliseconds
+                    + Math.floor((limit - startMilliseconds) / periodMilliseconds) * periodMilliseconds);
+            }
+
+            var startTime = sequence.startTime,
+                periodMonths = period[0] * 12 + period[1],
+                calendarPeriod = period.slice(2).every(function (value) {
+                    return value === 0;
+                });
+
+            if (calendarPeriod && startTime.getUTCDate() <= 28) {
+                // Periods of whole years and months step by calendar months. Days of the month up to 28 exist in
+                // every month, so the step is computed directly. It may follow the limit within the limit's month.
+                var limitTime = new Date(limit),
+                    elapsedMonths = (limitTime.getUTCFullYear() - startTime.getUTCFullYear()) * 12
+                        + limitTime.getUTCMonth() - startTime.getUTCMonth();
+
+                for (var steps = Math.floor(elapsedMonths / periodMonths); steps >= 0; steps--) {
+                    var monthTime = new Date(startTime.getTime());
+                    monthTime.setUTCMonth(monthTime.getUTCMonth() + steps * periodMonths);
+
+                    if (monthTime.getTime() <= limit) {
+                        return monthTime;
+                    }
+                }
+            }
+
+            var stepTime = startTime;
+            for (;;) {
+                var nextTime = PeriodicTimeSequence.incrementTime(stepTime, period);
+                if (nextTime.getTime() > limit) {
+                    return stepTime;
+                }
+                stepTime = nextTime;
+            }
+        };
+
+        // Intentionally not documented. Returns the earliest time of a periodic sequence at or after a specified
+        // time, or null if the specified time follows the sequence.
+        CompositeTimeSequence.ceilingTime = function (sequence, time) {
+            var floor = CompositeTimeSequence.floorTime(sequence, time);
+
+            if (!floor) {
+                return sequence.startTime;
+            }
+
+            if (floor.getTime() === time.getTime()) {
+                return floor;
+            }
+
+            var ceiling = PeriodicTimeSequence.incrementTime(floor, sequence.period);
+
+            return ceiling.getTime() <= sequence.endTime.getTime() ? ceiling : null;
+        };
+
+        // Intentionally not documented. Returns the candidate with the smallest non-negative distance, as
+        // determined by a specified distance function, or null if no candidate has a non-negative distance.
+        CompositeTimeSequence.closestCandidate = function (candidates, distanceFunction) {
+            var closest = null,
+                closestDistance = Number.MAX_VALUE;
+
+            for (var i = 0; i < candidates.length; i++) {
+                var distance = distanceFunction(candidates[i]);
+                if (distance >= 0 && distance < closestDistance) {
+                    closest = candidates[i];
+                    closestDistance = distance;
+                }
+            }
+
+            return closest;
+        };
+
+        return CompositeTimeSequence;
+    });
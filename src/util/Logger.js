@@ -138,6 +138,8 @@ define(function () {
             missingText: "The specified text is null or undefined.",
             missingTexture: "The specified texture is null or undefined.",
             missingTile: "The specified tile is null or undefined.",
+            missingTime: "The specified time is null or undefined.",
+            missingTimeSequence: "The specified time sequence is null or undefined.",
             missingType: "The specified type is null or undefined.",
             missingUrl: "The specified URL is null or undefined",
             missingVector: "The specified vector is null or undefined.",
@@ -0,0 +1,285 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports RTree
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Logger'
+    ],
+    function (ArgumentError,
+              Logger) {
+        "use strict";
+
+        /**
+         * Constructs an empty R-tree.
+         * @alias RTree
+         * @constructor
+         * @classdesc Provides an in-memory spatial index of items associated with a {@link Sector}, e.g., the
+         * bounding sectors of shapes. The index finds the items whose sector intersects a specified sector without
+         * testing every item. Items are added either one at a time with [insert]{@link RTree#insert} or, more
+         * efficiently and resulting in faster searches, all at once with [load]{@link RTree#load}.
+         * <p>
+         * The index assumes normalized sectors, i.e., sectors within the range [-90, 90] latitude and [-180, 180]
+         * longitude.
+         * @param {Number} maxEntries The maximum number of entries in each node of the tree. May be null or undefined,
+         * in which case 9 is used.
+         */
+        var RTree = function (maxEntries) {
+            // Internal use only. Intentionally not documented.
+            this.maxEntries = Math.max(4, maxEntries || 9);
+
+            // Internal use only. Intentionally not documented.
+            this.minEntries = Math.max(2, Math.ceil(this.maxEntries * 0.4));
+
+            // Internal use only. Intentionally not documented.
+            this.root = this.createNode([], true);
+
+            // Documented in defineProperties below.
+            this._size = 0;
+        };
+
+        Object.defineProperties(RTree.prototype, {
+            /**
+             * The number of items in this index.
+             * @memberof RTree.prototype
+             * @type {Number}
+             * @readonly
+             */
+            size: {
+                get: function () {
+                    return this._size;
+                }
+            }
+        });
+
+        /**
+         * Removes all items from this index.
+         */
+        RTree.prototype.clear = function () {
+            this.root = this.createNode([], true);
+            this._size = 0;
+        };
+
+        /**
+         * Adds an item to this index.
+         * @param {Sector} sector The sector of the item, typically its bounding sector.
+         * @param {*} item The item. May be any value.
+         * @throws {ArgumentError} If the specified sector is null or undefined.
+         */
+        RTree.prototype.insert = function (sector, item) {
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "RTree", "insert", "missingSector"));
+            }
+
+            var entry = {bounds: this.boundsForSector(sector), item: item},
+                node = this.root,
+                path = [];
+
+            // Descend to the leaf whose bounds need the least enlargement to include the entry.
+            while (!node.isLeaf) {
+                path.push(node);
+                node = this.chooseChild(node, entry.bounds);
+            }
+
+            node.children.push(entry);
+            this.extendBounds(node.bounds, entry.bounds);
+            path.push(node);
+
+            // Split the nodes that overflowed, from the leaf up, and enlarge the bounds of their ancestors.
+            for (var level = path.length - 1; level >= 0; level--) {
+                if (path[level].children.length > this.maxEntries) {
+                    var sibling = this.split(path[level]);
+                    if (level > 0) {
+                        path[level - 1].children.push(sibling);
+                    } else {
+                        this.root = this.createNode([path[0], sibling], false);
+                    }
+                }
+
+                if (level > 0) {
+                    this.extendBounds(path[level - 1].bounds, entry.bounds);
+                }
+            }
+
+            this._size++;
+        };
+
+        /**
+         * Replaces the items of this index with the specified items. Loading all items at once builds a better
+         * balanced tree, and is faster, than inserting them one at a time.
+         * @param {Sector[]} sectors The sectors of the items.
+         * @param {Array} items The items, in the same order as their sectors.
+         * @throws {ArgumentError} If either the specified sectors or items are null or undefined, or if their
+         * lengths differ.
+         */
+        RTree.prototype.load = function (sectors, items) {
+            if (!sectors || !items || sectors.length !== items.length) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "RTree", "load",
+                        "The sectors or items are missing or their number differ."));
+            }
+
+            var entries = [];
+            for (var i = 0; i < sectors.length; i++) {
+                entries.push({bounds: this.boundsForSector(sectors[i]), item: items[i]});
+            }
+
+            // Build the tree bottom-up by Sort-Tile-Recursive packing, one level at a time.
+            var nodes = this.packLevel(entries, true);
+            while (nodes.length > 1) {
+                nodes = this.packLevel(nodes, false);
+            }
+
+            this.root = nodes.length > 0 ? nodes[0] : this.createNode([], true);
+            this._size = entries.length;
+        };
+
+        /**
+         * Finds the items whose sector intersects a specified sector.
+         * @param {Sector} sector The sector of interest.
+         * @param {Array} result An array in which to add the items found. May be null or undefined, in which case
+         * a new array is created.
+         * @returns {Array} The result argument, or a new array if none was specified, containing the items found.
+         * The order of the items is unspecified.
+         * @throws {ArgumentError} If the specified sector is null or undefined.
+         */
+        RTree.prototype.search = function (sector, result) {
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "RTree", "search", "missingSector"));
+            }
+
+            var bounds = this.boundsForSector(sector),
+                stack = [this.root];
+
+            result = result || [];
+
+            if (this._size === 0) {
+                return result;
+            }
+
+            while (stack.length > 0) {
+                var node = stack.pop();
+
+                for (var i = 0, len = node.children.length; i < len; i++) {
+                    var child = node.children[i];
+
+                    if (RTree.boundsIntersect(child.bounds, bounds)) {
+                        if (node.isLeaf) {
+                            result.push(child.item);
+                        } else {
+                            stack.push(child);
+                        }
+                    }
+                }
+            }
+
+            return result;
+        };
+
+        // Creates a tree node. Bounds are arrays holding the minimum and maximum latitude and the minimum and maximum
+        // longitude, in that order. Internal use only.
+        RTree.prototype.createNode = function (children, isLeaf) {
+            var node = {bounds: [Infinity, -Infinity, Infinity, -Infinity], children: children, isLeaf: isLeaf};
+
+            for (var i = 0; i < children.length; i++) {
+                this.extendBounds(node.bounds, children[i].bounds);
+            }
+
+            return node;
+        };
+
+        // Internal use only. Intentionally not documented.
+        RTree.prototype.boundsForSector = function (sector) {
+            return [sector.minLatitude, sector.maxLatitude, sector.minLongitude, sector.maxLongitude];
+        };
+
+        // Internal use only. Intentionally not documented.
+        RTree.prototype.extendBounds = function (bounds, other) {
+            bounds[0] = Math.min(bounds[0], other[0]);
+            bounds[1] = Math.max(bounds[1], other[1]);
+            bounds[2] = Math.min(bounds[2], other[2]);
+            bounds[3] = Math.max(bounds[3], other[3]);
+        };
+
+        // Returns the child of a node whose bounds need the least enlargement to include the specified bounds,
+        // preferring the smaller child when enlargements are equal. Internal use only.
+        RTree.prototype.chooseChild = function (node, bounds) {
+            var best = null,
+                bestEnlargement = Infinity,
+                bestArea = Infinity;
+
+            for (var i = 0; i < node.children.length; i++) {
+                var child = node.children[i],
+                    area = RTree.area(child.bounds),
+                    enlargement = (Math.max(child.bounds[1], bounds[1]) - Math.min(child.bounds[0], bounds[0])) *
+                        (Math.max(child.bounds[3], bounds[3]) - Math.min(child.bounds[2], bounds[2])) - area;
+
+                if (enlargement < bestEnlargement || (enlargement === bestEnlargement && area < bestArea)) {
+                    best = child;
+                    bestEnlargement = enlargement;
+                    bestArea = area;
+                }
+            }
+
+            return best;
+        };
+
+        // Splits an overflowing node in two along its longest axis. The node keeps the first half of its children
+        // and the returned new node holds the second half. Internal use only.
+        RTree.prototype.split = function (node) {
+            var axis = (node.bounds[1] - node.bounds[0]) > (node.bounds[3] - node.bounds[2]) ? 0 : 2,
+                children = node.children.slice().sort(function (a, b) {
+                    return (a.bounds[axis] + a.bounds[axis + 1]) - (b.bounds[axis] + b.bounds[axis + 1]);
+                }),
+                splitIndex = Math.max(this.minEntries, Math.floor(children.length / 2)),
+                sibling = this.createNode(children.slice(splitIndex), node.isLeaf),
+                remaining = this.createNode(children.slice(0, splitIndex), node.isLeaf);
+
+            node.children = remaining.children;
+            node.bounds = remaining.bounds;
+
+            return sibling;
+        };
+
+        // Groups entries or nodes into the nodes of the level above them: the entries are sorted by longitude and cut
+        // into vertical slices, then each slice is sorted by latitude and cut into nodes. Internal use only.
+        RTree.prototype.packLevel = function (entries, isLeaf) {
+            var maxEntries = this.maxEntries,
+                nodeCount = Math.ceil(entries.length / maxEntries),
+                sliceSize = Math.ceil(Math.sqrt(nodeCount)) * maxEntries,
+                nodes = [];
+
+            entries.sort(function (a, b) {
+                return (a.bounds[2] + a.bounds[3]) - (b.bounds[2] + b.bounds[3]);
+            });
+
+            for (var i = 0; i < entries.length; i += sliceSize) {
+                var slice = entries.slice(i, i + sliceSize).sort(function (a, b) {
+                    return (a.bounds[0] + a.bounds[1]) - (b.bounds[0] + b.bounds[1]);
+                });
+
+                for (var j = 0; j < slice.length; j += maxEntries) {
+                    nodes.push(this.createNode(slice.slice(j, j + maxEntries), isLeaf));
+                }
+            }
+
+            return nodes;
+        };
+
+        // Internal use only. Intentionally not documented.
+        RTree.area = function (bounds) {
+            return (bounds[1] - bounds[0]) * (bounds[3] - bounds[2]);
+        };
+
+        // Internal use only. Intentionally not documented.
+        RTree.boundsIntersect = function (a, b) {
+            return a[0] <= b[1] && a[1] >= b[0] && a[2] <= b[3] && a[3] >= b[2];
+        };
+
+        return RTree;
+    });
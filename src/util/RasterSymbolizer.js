@@ -0,0 +1,473 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports RasterSymbolizer
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Color',
+        '../util/ColorRamp',
+        '../util/ImageSource',
+        '../util/Logger',
+        '../util/Offset',
+        '../shapes/ScreenImage',
+        '../util/WWMath'
+    ],
+    function (ArgumentError,
+              Color,
+              ColorRamp,
+              ImageSource,
+              Logger,
+              Offset,
+              ScreenImage,
+              WWMath) {
+        "use strict";
+
+        /**
+         * Constructs a raster symbolizer with a specified color ramp.
+         * @alias RasterSymbolizer
+         * @constructor
+         * @classdesc Colors the values of single-band rasters, such as temperatures, vegetation indices,
+         * precipitation or elevations, using a color ramp. Values are classified linearly, logarithmically or into
+         * discrete classes between a minimum and a maximum value, which may be assigned directly or computed from a
+         * raster's values with [stretch]{@link RasterSymbolizer#stretch}. Values equal to the NODATA value are given
+         * the NODATA color, transparent by default.
+         * <p>
+         * The colored raster may be displayed by a {@link SurfaceImage} using the image source returned by
+         * [createImageSource]{@link RasterSymbolizer#createImageSource}, or by a {@link GeoTiffLayer} by assigning
+         * the symbolizer to the layer's [symbolizer]{@link GeoTiffLayer#symbolizer} property. A legend describing
+         * the symbolization is created by [createLegend]{@link RasterSymbolizer#createLegend}.
+         * @param {ColorRamp|String} colorRamp The color ramp, or the name of a predefined color ramp as accepted by
+         * [ColorRamp.rampForName]{@link ColorRamp.rampForName}. May be null or undefined, in which case
+         * [ColorRamp.GRAYSCALE]{@link ColorRamp.GRAYSCALE} is used.
+         * @throws {ArgumentError} If the specified color ramp is the name of no predefined color ramp.
+         */
+        var RasterSymbolizer = function (colorRamp) {
+            if (typeof colorRamp === "string" && !ColorRamp.rampForName(colorRamp)) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "RasterSymbolizer", "constructor",
+                        "Unknown color ramp: " + colorRamp));
+            }
+
+            /**
+             * The color ramp coloring the values.
+             * @type {ColorRamp}
+             * @default ColorRamp.GRAYSCALE
+             */
+            this.colorRamp = (typeof colorRamp === "string" ? ColorRamp.rampForName(colorRamp) : colorRamp) ||
+                ColorRamp.GRAYSCALE;
+
+            /**
+             * Indicates how values are mapped to the color ramp. Recognized values are:
+             * <ul>
+             *     <li>[WorldWind.LINEAR]{@link WorldWind#LINEAR}: values are mapped linearly from the minimum value
+             *     at the start of the ramp to the maximum value at its end.</li>
+             *     <li>[WorldWind.LOGARITHMIC]{@link WorldWind#LOGARITHMIC}: the logarithm of each value's distance
+             *     from the minimum value, plus one, is mapped linearly, emphasizing differences between small
+             *     values.</li>
+             *     <li>[WorldWind.DISCRETE]{@link WorldWind#DISCRETE}: values are grouped into classes, each given a
+             *     single color of the ramp. See [classBreaks]{@link RasterSymbolizer#classBreaks}.</li>
+             * </ul>
+             * @type {String}
+             * @default WorldWind.LINEAR
+             */
+            this.classification = WorldWind.LINEAR;
+
+            /**
+             * The value mapped to the start of the color ramp. Smaller values are given the ramp's first color.
+             * @type {Number}
+             * @default 0
+             */
+            this.minValue = 0;
+
+            /**
+             * The value mapped to the end of the color ramp. Larger values are given the ramp's last color.
+             * @type {Number}
+             * @default 1
+             */
+            this.maxValue = 1;
+
+            /**
+             * The values separating the classes of discrete classification, in ascending order. A value belongs to
+             * the class following the last break that is less than or equal to the value. May be null, in which case
+             * the range from the minimum to the maximum value is divided into
+             * [numClasses]{@link RasterSymbolizer#numClasses} equal intervals.
+             * @type {Number[]}
+             * @default null
+             */
+            this.classBreaks = null;
+
+            /**
+             * The number of equal interval classes of discrete classification when no class breaks are specified.
+             * @type {Number}
+             * @default 5
+             */
+            this.numClasses = 5;
+
+            /**
+             * The NODATA value of the rasters. May be null, in which case only NaN values are considered missing.
+             * @type {Number}
+             * @default null
+             */
+            this.noDataValue = null;
+
+            /**
+             * The color of NODATA values.
+             * @type {Color}
+             * @default Transparent (0, 0, 0, 0)
+             */
+            this.noDataColor = Color.TRANSPARENT;
+
+            // Internal use only. Scratch color used to avoid allocating colors while symbolizing rasters.
+            this.scratchColor = new Color(0, 0, 0, 0);
+        };
+
+        /**
+         * Creates a new copy of this symbolizer with identical property values.
+         * @returns {RasterSymbolizer} A new symbolizer instance with its property values the same as this one's.
+         */
+        RasterSymbolizer.prototype.clone = function () {
+            var result = new RasterSymbolizer(this.colorRamp);
+
+            result.classification = this.classification;
+            result.minValue = this.minValue;
+            result.maxValue = this.maxValue;
+            result.classBreaks = this.classBreaks ? this.classBreaks.slice() : null;
+            result.numClasses = this.numClasses;
+            result.noDataValue = this.noDataValue;
+            result.noDataColor = this.noDataColor.clone();
+
+            return result;
+        };
+
+        /**
+         * Assigns this symbolizer's minimum and maximum values from the values of a raster. Percentiles other than 0
+         * and 100 exclude outliers from the range so that the ramp's colors are spread over the remaining values.
+         * NODATA values are ignored.
+         * @param {Number[]} values The raster's values.
+         * @param {Number} lowerPercentile The percentile of the values assigned to the minimum value, a number between
+         * 0 and 100. May be null or undefined, in which case the smallest value is assigned.
+         * @param {Number} upperPercentile The percentile of the values assigned to the maximum value, a number between
+         * 0 and 100. May be null or undefined, in which case the largest value is assigned.
+         * @returns {RasterSymbolizer} This symbolizer with its minimum and maximum values assigned. The values are
+         * unchanged if the raster holds only NODATA values.
+         * @throws {ArgumentError} If the specified values are null or undefined.
+         */
+        RasterSymbolizer.prototype.stretch = function (values, lowerPercentile, upperPercentile) {
+            if (!values) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "RasterSymbolizer", "stretch", "missingArray"));
+            }
+
+            var validValues = [];
+            for (var i = 0, len = values.length; i < len; i++) {
+                if (!this.isNoData(values[i])) {
+                    validValues.push(values[i]);
+                }
+            }
+
+            if (validValues.length === 0) {
+                return this;
+            }
+
+            validValues.sort(function (a, b) {
+                return a - b;
+            });
+
+            var last = validValues.length - 1,
+                lower = WWMath.clamp(lowerPercentile || 0, 0, 100),
+                upper = WWMath.clamp(upperPercentile === null || upperPercentile === undefined ? 100 :
+                    upperPercentile, 0, 100);
+
+            this.minValue = validValues[Math.round(lower / 100 * last)];
+            this.maxValue = validValues[Math.round(upper / 100 * last)];
+
+            return this;
+        };
+
+        /**
+         * Indicates whether a value is missing, either because it is NaN or because it equals this symbolizer's
+         * NODATA value.
+         * @param {Number} value The value to test.
+         * @returns {Boolean} true if the value is missing, otherwise false.
+         */
+        RasterSymbolizer.prototype.isNoData = function (value) {
+            var noData = this.noDataValue;
+
+            return isNaN(value) ||
+                (noData !== null && (value === noData || Math.fround(value) === Math.fround(noData)));
+        };
+
+        /**
+         * Computes the position along this symbolizer's color ramp of a value, according to this symbolizer's
+         * classification.
+         * @param {Number} value The value.
+         * @returns {Number} The value's position along the color ramp, a number between 0 and 1.
+         */
+        RasterSymbolizer.prototype.fractionForValue = function (value) {
+            var min = this.minValue,
+                max = this.maxValue;
+
+            if (this.classification === WorldWind.DISCRETE) {
+                var breaks = this.computeClassBreaks(),
+                    classIndex = 0;
+
+                while (classIndex < breaks.length && breaks[classIndex] <= value) {
+                    classIndex++;
+                }
+
+                return breaks.length > 0 ? classIndex / breaks.length : 0;
+            }
+
+            if (max <= min) {
+                return value < min ? 0 : 1;
+            }
+
+            if (this.classification === WorldWind.LOGARITHMIC) {
+                return WWMath.clamp(Math.log(Math.max(value - min, 0) + 1) / Math.log(max - min + 1), 0, 1);
+            }
+
+            return WWMath.clamp((value - min) / (max - min), 0, 1);
+        };
+
+        /**
+         * Returns the breaks between the classes of discrete classification: either this symbolizer's class breaks
+         * or the breaks dividing the range from the minimum to the maximum value into equal intervals.
+         * @returns {Number[]} The class breaks, in ascending order.
+         */
+        RasterSymbolizer.prototype.computeClassBreaks = function () {
+            if (this.classBreaks) {
+                return this.classBreaks;
+            }
+
+            var breaks = [],
+                interval = (this.maxValue - this.minValue) / this.numClasses;
+
+            for (var i = 1; i < this.numClasses; i++) {
+                breaks.push(this.minValue + i * interval);
+            }
+
+            return breaks;
+        };
+
+        /**
+         * Computes the color of a value.
+         * @param {Number} value The value.
+         * @param {Color} result A pre-allocated color in which to return the computed color.
+         * @returns {Color} The result argument set to the value's color, which is the NODATA color if the value is
+         * missing.
+         * @throws {ArgumentError} If the specified result is null or undefined.
+         */
+        RasterSymbolizer.prototype.colorForValue = function (value, result) {
+            if (!result) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "RasterSymbolizer", "colorForValue", "missingResult"));
+            }
+
+            if (this.isNoData(value)) {
+                return result.copy(this.noDataColor);
+            }
+
+            return this.colorRamp.colorAt(this.fractionForValue(value), result);
+        };
+
+        /**
+         * Colors the values of a raster.
+         * @param {Number[]} values The raster's values.
+         * @param {Uint8ClampedArray} result An optional array in which to return the colors, with four elements per
+         * value. A new array is created when this argument is null or undefined.
+         * @returns {Uint8ClampedArray} The red, green, blue and alpha bytes of each value's color, e.g., for use as
+         * the data of a canvas' ImageData.
+         * @throws {ArgumentError} If the specified values are null or undefined.
+         */
+        RasterSymbolizer.prototype.symbolize = function (values, result) {
+            if (!values) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "RasterSymbolizer", "symbolize", "missingArray"));
+            }
+
+            var color = this.scratchColor;
+
+            result = result || new Uint8ClampedArray(values.length * 4);
+
+            for (var i = 0, len = values.length, offset = 0; i < len; i++, offset += 4) {
+                this.colorForValue(values[i], color);
+                result[offset] = Math.round(color.red * 255);
+                result[offset + 1] = Math.round(color.green * 255);
+                result[offset + 2] = Math.round(color.blue * 255);
+                result[offset + 3] = Math.round(color.alpha * 255);
+            }
+
+            return result;
+        };
+
+        /**
+         * Creates a canvas displaying the colored values of a raster.
+         * @param {Number[]} values The raster's values, in row major order starting with the top row.
+         * @param {Number} width The raster's width.
+         * @param {Number} height The raster's height.
+         * @returns {HTMLCanvasElement} The new canvas.
+         * @throws {ArgumentError} If the specified values are null or undefined.
+         */
+        RasterSymbolizer.prototype.createCanvas = function (values, width, height) {
+            if (!values) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "RasterSymbolizer", "createCanvas", "missingArray"));
+            }
+
+            var canvas = document.createElement("canvas"),
+                ctx2D;
+
+            canvas.width = width;
+            canvas.height = height;
+            ctx2D = canvas.getContext("2d");
+
+            var imageData = ctx2D.createImageData(width, height);
+            this.symbolize(values, imageData.data);
+            ctx2D.putImageData(imageData, 0, 0);
+
+            return canvas;
+        };
+
+        /**
+         * Creates an image source for the colored values of a raster, for display by a {@link SurfaceImage}.
+         * @param {Number[]} values The raster's values, in row major order starting with the top row.
+         * @param {Number} width The raster's width.
+         * @param {Number} height The raster's height.
+         * @returns {ImageSource} The new image source.
+         * @throws {ArgumentError} If the specified values are null or undefined.
+         */
+        RasterSymbolizer.prototype.createImageSource = function (values, width, height) {
+            return new ImageSource(this.createCanvas(values, width, height));
+        };
+
+        /**
+         * Creates a legend describing this symbolizer's colors. The legend shows the color ramp, or the color of each
+         * class for discrete classification, labeled with the corresponding values. Create a new legend after
+         * changing this symbolizer's properties.
+         * @param {Offset} screenOffset The offset of the legend's lower left corner on the screen. May be null or
+         * undefined, in which case the legend is placed 10 pixels from the lower left corner of the World Window.
+         * @param {{}} options An optional object with properties configuring the legend:
+         * <ul>
+         *     <li>title: {String} The legend's title, e.g., the quantity and units of the values. Default none.</li>
+         *     <li>width: {Number} The width of the color bar in pixels. Default 256.</li>
+         *     <li>height: {Number} The height of the color bar in pixels. Default 16.</li>
+         *     <li>numLabels: {Number} The number of labeled values below a continuous color bar. Default 5.</li>
+         *     <li>font: {String} The CSS font of the title and labels. Default "12px sans-serif".</li>
+         *     <li>formatValue: {Function} A function returning the label of a value. Default shows four significant
+         *     digits.</li>
+         * </ul>
+         * @returns {ScreenImage} The legend, for display in a {@link RenderableLayer}.
+         */
+        RasterSymbolizer.prototype.createLegend = function (screenOffset, options) {
+            var legend = new ScreenImage(
+                screenOffset || new Offset(WorldWind.OFFSET_PIXELS, 10, WorldWind.OFFSET_PIXELS, 10),
+                new ImageSource(this.createLegendCanvas(options || {})));
+
+            legend.imageOffset = new Offset(WorldWind.OFFSET_FRACTION, 0, WorldWind.OFFSET_FRACTION, 0);
+
+            return legend;
+        };
+
+        // Draws this symbolizer's legend. Internal use only.
+        RasterSymbolizer.prototype.createLegendCanvas = function (options) {
+            var barWidth = options.width || 256,
+                barHeight = options.height || 16,
+                font = options.font || "12px sans-serif",
+                formatValue = options.formatValue || function (value) {
+                        return Number(value.toPrecision(4)).toString();
+                    },
+                lineHeight = parseInt(font.match(/(\d+)px/) ? font.match(/(\d+)px/)[1] : 12, 10) + 4,
+                margin = 6,
+                labels = this.legendLabels(options.numLabels || 5),
+                canvas = document.createElement("canvas"),
+                ctx2D = canvas.getContext("2d"),
+                color = this.scratchColor,
+                barTop, x, i;
+
+            // Leave room for the first and last labels to extend past the ends of the bar.
+            ctx2D.font = font;
+            var labelOverhang = 0;
+            for (i = 0; i < labels.length; i++) {
+                labelOverhang = Math.max(labelOverhang, ctx2D.measureText(formatValue(labels[i].value)).width / 2);
+            }
+
+            canvas.width = barWidth + 2 * (margin + labelOverhang);
+            canvas.height = (options.title ? lineHeight : 0) + barHeight + lineHeight + 2 * margin;
+            ctx2D = canvas.getContext("2d");
+            ctx2D.font = font; // resizing the canvas resets its state
+
+            ctx2D.fillStyle = "rgba(255, 255, 255, 0.8)";
+            ctx2D.fillRect(0, 0, canvas.width, canvas.height);
+
+            ctx2D.fillStyle = "rgb(0, 0, 0)";
+            ctx2D.textBaseline = "top";
+            if (options.title) {
+                ctx2D.textAlign = "left";
+                ctx2D.fillText(options.title, margin, margin);
+            }
+
+            barTop = margin + (options.title ? lineHeight : 0);
+            var barLeft = margin + labelOverhang;
+
+            // Draw the bar one pixel column at a time, coloring each column by its position along the bar.
+            for (x = 0; x < barWidth; x++) {
+                this.colorRamp.colorAt(this.legendFraction((x + 0.5) / barWidth), color);
+                ctx2D.fillStyle = color.toRGBAString();
+                ctx2D.fillRect(barLeft + x, barTop, 1, barHeight);
+            }
+
+            ctx2D.strokeStyle = "rgb(0, 0, 0)";
+            ctx2D.strokeRect(barLeft, barTop, barWidth, barHeight);
+
+            ctx2D.fillStyle = "rgb(0, 0, 0)";
+            ctx2D.textAlign = "center";
+            for (i = 0; i < labels.length; i++) {
+                x = barLeft + labels[i].position * barWidth;
+                ctx2D.fillRect(x, barTop + barHeight, 1, 3);
+                ctx2D.fillText(formatValue(labels[i].value), x, barTop + barHeight + 4);
+            }
+
+            return canvas;
+        };
+
+        // Returns the labeled values of the legend and their positions along the legend's color bar: the class
+        // breaks for discrete classification, otherwise evenly spaced values. Internal use only.
+        RasterSymbolizer.prototype.legendLabels = function (numLabels) {
+            var labels = [],
+                i;
+
+            if (this.classification === WorldWind.DISCRETE) {
+                var breaks = this.computeClassBreaks();
+                for (i = 0; i < breaks.length; i++) {
+                    labels.push({value: breaks[i], position: (i + 1) / (breaks.length + 1)});
+                }
+
+                return labels;
+            }
+
+            for (i = 0; i < numLabels; i++) {
+                var position = numLabels > 1 ? i / (numLabels - 1) : 0;
+                labels.push({value: this.minValue + position * (this.maxValue - this.minValue), position: position});
+            }
+
+            return labels;
+        };
+
+        // Returns the position along the color ramp of a position along the legend's color bar. The bar spans the
+        // minimum to the maximum value, except for discrete classification, where each class spans an equal part of
+        // the bar. Internal use only.
+        RasterSymbolizer.prototype.legendFraction = function (position) {
+            if (this.classification !== WorldWind.DISCRETE) {
+                return this.fractionForValue(this.minValue + position * (this.maxValue - this.minValue));
+            }
+
+            var numBreaks = this.computeClassBreaks().length;
+
+            return numBreaks > 0 ? Math.min(Math.floor(position * (numBreaks + 1)), numBreaks) / numBreaks : 0;
+        };
+
+        return RasterSymbolizer;
+    });
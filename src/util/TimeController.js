@@ -0,0 +1,172 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports TimeController
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Logger'
+    ],
+    function (ArgumentError,
+              Logger) {
+        "use strict";
+
+        /**
+         * Constructs a time controller. Applications typically do not call this constructor. A time controller is
+         * created by a {@link WorldWindow} during its construction and is available as its
+         * [timeController]{@link WorldWindow#timeController} property.
+         * @alias TimeController
+         * @constructor
+         * @classdesc Holds the current time of a World Window. The current time is an instant, optionally accompanied
+         * by a time interval, and is made available to layers and shapes during rendering via the
+         * [currentTime]{@link DrawContext#currentTime} and [currentTimeInterval]{@link DrawContext#currentTimeInterval}
+         * properties of the draw context. Time-aware layers display the contents associated with the current time,
+         * and features with a time range are displayed only when that range matches the current time.
+         * <p>
+         * Listeners registered via [addTimeListener]{@link TimeController#addTimeListener} are called whenever the
+         * current time or time interval changes.
+         */
+        var TimeController = function () {
+
+            // Documented with its property accessor below.
+            this._time = null;
+
+            // Documented with its property accessor below.
+            this._timeInterval = null;
+
+            // Internal. Intentionally not documented. The registered time listeners.
+            this.listeners = [];
+        };
+
+        Object.defineProperties(TimeController.prototype, {
+            /**
+             * The current time. Null indicates that no time has been specified, in which case time-aware layers
+             * display the contents indicated by their own [time]{@link Layer#time} property.
+             * @type {Date}
+             * @default null
+             * @memberof TimeController.prototype
+             */
+            time: {
+                get: function () {
+                    return this._time;
+                },
+                set: function (value) {
+                    this.setTime(value, this._timeInterval);
+                }
+            },
+
+            /**
+             * The current time interval, specified as a two-element array containing the interval's begin and end
+             * times, in that order. Null indicates that no interval has been specified.
+             * @type {Date[]}
+             * @default null
+             * @memberof TimeController.prototype
+             */
+            timeInterval: {
+                get: function () {
+                    return this._timeInterval;
+                },
+                set: function (value) {
+                    this.setTime(this._time, value);
+                }
+            }
+        });
+
+        /**
+         * Sets this controller's current time and time interval. The time listeners are called once if either value
+         * differs from its previous value.
+         * @param {Date} time The current time. May be null to indicate no current time.
+         * @param {Date[]} timeInterval The current time interval as a two-element array containing the begin and end
+         * times. May be null to indicate no current time interval.
+         * @throws {ArgumentError} If the specified time interval does not contain exactly two elements.
+         */
+        TimeController.prototype.setTime = function (time, timeInterval) {
+            if (timeInterval && timeInterval.length !== 2) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "TimeController", "setTime",
+                        "The specified time interval does not contain two elements."));
+            }
+
+            var timeChanged = !TimeController.timesEqual(this._time, time),
+                intervalChanged = !TimeController.intervalsEqual(this._timeInterval, timeInterval);
+
+            this._time = time || null;
+            this._timeInterval = timeInterval || null;
+
+            if (timeChanged || intervalChanged) {
+                this.callTimeListeners();
+            }
+        };
+
+        /**
+         * Registers a function to call when this controller's current time or time interval changes. The function is
+         * passed one argument, this time controller.
+         * @param {Function} listener The function to call.
+         * @throws {ArgumentError} If the specified listener is null or undefined.
+         */
+        TimeController.prototype.addTimeListener = function (listener) {
+            if (!listener) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "TimeController", "addTimeListener", "missingListener"));
+            }
+
+            if (this.listeners.indexOf(listener) < 0) { // suppress duplicate listeners
+                this.listeners.push(listener);
+            }
+        };
+
+        /**
+         * Removes a time listener from this controller.
+         * @param {Function} listener The listener to remove. Must be the same function passed to
+         * [addTimeListener]{@link TimeController#addTimeListener}.
+         * @throws {ArgumentError} If the specified listener is null or undefined.
+         */
+        TimeController.prototype.removeTimeListener = function (listener) {
+            if (!listener) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "TimeController", "removeTimeListener", "missingListener"));
+            }
+
+            var index = this.listeners.indexOf(listener);
+            if (index > -1) {
+                this.listeners.splice(index, 1);
+            }
+        };
+
+        // Internal. Intentionally not documented.
+        TimeController.prototype.callTimeListeners = function () {
+            var listeners = this.listeners.slice(0); // listeners may remove themselves while being called
+
+            for (var i = 0, len = listeners.length; i < len; i++) {
+                try {
+                    listeners[i](this);
+                } catch (e) {
+                    Logger.log(Logger.LEVEL_SEVERE, "Exception calling time listener.\n" + e.toString());
+                    // Keep going. Call the rest of the listeners.
+                }
+            }
+        };
+
+        // Internal. Intentionally not documented.
+        TimeController.timesEqual = function (timeA, timeB) {
+            if (!timeA || !timeB) {
+                return !timeA && !timeB;
+            }
+
+            return timeA.getTime() === timeB.getTime();
+        };
+
+        // Internal. Intentionally not documented.
+        TimeController.intervalsEqual = function (intervalA, intervalB) {
+            if (!intervalA || !intervalB) {
+                return !intervalA && !intervalB;
+            }
+
+            return TimeController.timesEqual(intervalA[0], intervalB[0])
+                && TimeController.timesEqual(intervalA[1], intervalB[1]);
+        };
+
+        return TimeController;
+    });
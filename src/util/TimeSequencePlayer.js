@@ -0,0 +1,452 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports TimeSequencePlayer
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Logger',
+        '../util/TimeSeriesUtil'
+    ],
+    function (ArgumentError,
+              Logger,
+              TimeSeriesUtil) {
+        "use strict";
+
+        /**
+         * Constructs a time sequence player.
+         * @alias TimeSequencePlayer
+         * @constructor
+         * @classdesc Plays the times of a time sequence. This class holds the playback state and has no user
+         * interface, so any number of players may be used on a page and they may be driven by code or by an
+         * application's controls. Playback may loop or bounce at the ends of the sequence, and its speed may be
+         * varied while playing.
+         * <p>
+         * When a [readiness function]{@link TimeSequencePlayer#isTimeReady} is specified, such as one calling
+         * [WmsTimeDimensionedLayer.isTimeReady]{@link WmsTimeDimensionedLayer#isTimeReady} or its WMTS counterpart
+         * [WmtsTimeDimensionedLayer.isTimeReady]{@link WmtsTimeDimensionedLayer#isTimeReady}, playback holds each
+         * frame until the next one is ready to display. A frame that is not ready within the
+         * [maximum frame delay]{@link TimeSequencePlayer#maxFrameDelay} is skipped.
+         * <p>
+         * Applications are notified of playback changes via listeners registered with
+         * [addPlaybackListener]{@link TimeSequencePlayer#addPlaybackListener}.
+         * @param {TimeController} timeController The time controller to drive, typically a World Window's
+         * [timeController]{@link WorldWindow#timeController}. May be null, in which case the player only notifies
+         * its listeners.
+         */
+        var TimeSequencePlayer = function (timeController) {
+            /**
+             * The time controller this player drives, as specified to the constructor.
+             * @type {TimeController}
+             * @readonly
+             */
+            this.timeController = timeController || null;
+
+            /**
+             * The time in milliseconds to display each frame at normal speed.
+             * @type {Number}
+             * @default 1000 milliseconds
+             */
+            this.frameTime = 1000;
+
+            /**
+             * The playback speed relative to the [frame time]{@link TimeSequencePlayer#frameTime}. A speed of 2
+             * displays each frame for half the frame time.
+             * @type {Number}
+             * @default 1
+             */
+            this.speed = 1;
+
+            /**
+             * Indicates what playback does at the ends of the sequence. Accepted values are
+             * TimeSequencePlayer.REPEAT_NONE, to stop playback, TimeSequencePlayer.REPEAT_LOOP, to continue at the
+             * other end of the sequence, and TimeSequencePlayer.REPEAT_BOUNCE, to reverse the playback direction.
+             * @type {String}
+             * @default TimeSequencePlayer.REPEAT_NONE
+             */
+            this.repeatMode = TimeSequencePlayer.REPEAT_NONE;
+
+            /**
+             * The direction of playback, 1 for forward and -1 for backward.
+             * @type {Number}
+             * @default 1
+             */
+            this.direction = 1;
+
+            /**
+             * A function indicating whether a specified time is ready to display. The function's argument is the
+             * time, a Date, and its return value is a Boolean. If null, all times are considered ready.
+             * @type {Function}
+             * @default null
+             */
+            this.isTimeReady = null;
+
+            /**
+             * The maximum time in milliseconds to wait for the next frame to become ready before skipping it.
+             * @type {Number}
+             * @default 5000 milliseconds
+             */
+            this.maxFrameDelay = 5000;
+
+            /**
+             * The time in milliseconds between checks of whether the next frame is ready, while playback holds
+             * waiting for it.
+             * @type {Number}
+             * @default 100 milliseconds
+             */
+            this.readyCheckInterval = 100;
+
+            // Documented with property accessor below.
+            this._timeSequence = null;
+
+            // Documented with property accessor below.
+            this._times = [];
+
+            // Documented with property accessor below.
+            this._currentIndex = -1;
+
+            // Documented with property accessor below.
+            this._isPlaying = false;
+
+            // Intentionally not documented.
+            this.playbackListeners = [];
+            this.timer = null;
+            this.waitStartTime = null;
+        };
+
+        /**
+         * Indicates that playback stops at the ends of the sequence.
+         * @constant
+         */
+        TimeSequencePlayer.REPEAT_NONE = "none";
+
+        /**
+         * Indicates that playback continues at the other end of the sequence.
+         * @constant
+         */
+        TimeSequencePlayer.REPEAT_LOOP = "loop";
+
+        /**
+         * Indicates that playback reverses direction at the ends of the sequence.
+         * @constant
+         */
+        TimeSequencePlayer.REPEAT_BOUNCE = "bounce";
+
+        Object.defineProperties(TimeSequencePlayer.prototype, {
+            /**
+             * The time sequence this player plays. Setting this property stops playback and positions the player
+             * at the sequence's current time, or at its first time if the sequence has no current time. The
+             * sequence must be finite. The player does not modify the sequence.
+             * @type {PeriodicTimeSequence|BasicTimeSequence|CompositeTimeSequence}
+             * @default null
+             * @memberof TimeSequencePlayer.prototype
+             */
+            timeSequence: {
+                get: function () {
+                    return this._timeSequence;
+                },
+                set: function (value) {
+                    this.pause();
+
+                    this._timeSequence = value;
+                    this._times = value ? TimeSeriesUtil.timesOfSequence(value) : [];
+
+                    var index = value ? TimeSeriesUtil.nearestTimeIndex(this._times, value.currentTime) : -1;
+                    this.setCurrentIndex(index < 0 && this._times.length > 0 ? 0 : index);
+                }
+            },
+
+            /**
+             * The times of this player's time sequence, in the order of the sequence.
+             * @type {Date[]}
+             * @readonly
+             * @memberof TimeSequencePlayer.prototype
+             */
+            times: {
+                get: function () {
+                    return this._times;
+                }
+            },
+
+            /**
+             * The index of this player's current time in its [times]{@link TimeSequencePlayer#times}, or -1 if the
+             * player has no time sequence.
+             * @type {Number}
+             * @readonly
+             * @memberof TimeSequencePlayer.prototype
+             */
+            currentIndex: {
+                get: function () {
+                    return this._currentIndex;
+                }
+            },
+
+            /**
+             * This player's current time, or null if the player has no time sequence.
+             * @type {Date}
+             * @readonly
+             * @memberof TimeSequencePlayer.prototype
+             */
+            currentTime: {
+                get: function () {
+                    return this._currentIndex >= 0 ? this._times[this._currentIndex] : null;
+                }
+            },
+
+            /**
+             * Indicates the position of this player's current time within its times, in the range [0, 1]. A value
+             * of 0 indicates the first time and a value of 1 the last time.
+             * @type {Number}
+             * @readonly
+             * @memberof TimeSequencePlayer.prototype
+             */
+            scaleForCurrentTime: {
+                get: function () {
+                    return this._times.length > 1 ? Math.max(this._currentIndex, 0) / (this._times.length - 1) : 0;
+                }
+            },
+
+            /**
+             * Indicates whether this player is playing.
+             * @type {Boolean}
+             * @readonly
+             * @memberof TimeSequencePlayer.prototype
+             */
+            isPlaying: {
+                get: function () {
+                    return this._isPlaying;
+                }
+            }
+        });
+
+        /**
+         * Starts playback from the current time. Does nothing if the player is already playing or has no times.
+         */
+        TimeSequencePlayer.prototype.play = function () {
+            if (this._isPlaying || this._times.length === 0) {
+                return;
+            }
+
+            this._isPlaying = true;
+            this.waitStartTime = null;
+            this.callPlaybackListeners("play");
+            this.scheduleTick(this.frameInterval());
+        };
+
+        /**
+         * Stops playback, leaving the player at its current time. Does nothing if the player is not playing.
+         */
+        TimeSequencePlayer.prototype.pause = function () {
+            if (!this._isPlaying) {
+                return;
+            }
+
+            this._isPlaying = false;
+            this.cancelTick();
+            this.callPlaybackListeners("pause");
+        };
+
+        /**
+         * Moves the player to the time after the current time, continuing at the first time after the last time.
+         */
+        TimeSequencePlayer.prototype.stepForward = function () {
+            this.step(1);
+        };
+
+        /**
+         * Moves the player to the time before the current time, continuing at the last time before the first time.
+         */
+        TimeSequencePlayer.prototype.stepBackward = function () {
+            this.step(-1);
+        };
+
+        /**
+         * Moves the player to the time of its time sequence nearest a specified time.
+         * @param {Date} time The time to move to.
+         * @throws {ArgumentError} If the specified time is null or undefined.
+         */
+        TimeSequencePlayer.prototype.seek = function (time) {
+            if (!time) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "TimeSequencePlayer", "seek", "missingTime"));
+            }
+
+            if (this._times.length > 0) {
+                this.setCurrentIndex(TimeSeriesUtil.nearestTimeIndex(this._times, time));
+            }
+        };
+
+        /**
+         * Moves the player to the time at a specified position within its times.
+         * @param {Number} scale The position, in the range [0, 1]. A value of 0 indicates the first time and a value
+         * of 1 the last time. The value is clamped to that range.
+         */
+        TimeSequencePlayer.prototype.seekToScale = function (scale) {
+            if (this._times.length > 0) {
+                var clampedScale = Math.min(Math.max(scale, 0), 1);
+                this.setCurrentIndex(Math.round(clampedScale * (this._times.length - 1)));
+            }
+        };
+
+        /**
+         * Registers a function to call when this player's playback changes. The function is called with this
+         * player and a string identifying the change: "time" when the current time changes, "play" and "pause"
+         * when playback starts and stops, "skip" when a frame not ready in time is skipped, and "end" when
+         * playback stops at an end of the sequence.
+         * @param {Function} listener The function to call.
+         * @throws {ArgumentError} If the specified listener is null or undefined.
+         */
+        TimeSequencePlayer.prototype.addPlaybackListener = function (listener) {
+            if (!listener) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "TimeSequencePlayer", "addPlaybackListener",
+                        "missingListener"));
+            }
+
+            this.playbackListeners.push(listener);
+        };
+
+        /**
+         * Unregisters a function previously registered with
+         * [addPlaybackListener]{@link TimeSequencePlayer#addPlaybackListener}.
+         * @param {Function} listener The function to unregister.
+         * @throws {ArgumentError} If the specified listener is null or undefined.
+         */
+        TimeSequencePlayer.prototype.removePlaybackListener = function (listener) {
+            if (!listener) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "TimeSequencePlayer", "removePlaybackListener",
+                        "missingListener"));
+            }
+
+            var index = this.playbackListeners.indexOf(listener);
+            if (index >= 0) {
+                this.playbackListeners.splice(index, 1);
+            }
+        };
+
+        // Intentionally not documented. Advances playback by one frame, holding or skipping frames not yet ready.
+        TimeSequencePlayer.prototype.tick = function () {
+            this.timer = null;
+
+            if (!this._isPlaying) {
+                return;
+            }
+
+            var nextStep = this.nextStep();
+            if (!nextStep) {
+                this._isPlaying = false;
+                this.callPlaybackListeners("end");
+                return;
+            }
+
+            this.direction = nextStep.direction;
+
+            if (this.isTimeReady && !this.isTimeReady(this._times[nextStep.index])) {
+                var now = Date.now();
+
+                if (this.waitStartTime === null) {
+                    this.waitStartTime = now;
+                }
+
+                if (now - this.waitStartTime < this.maxFrameDelay) {
+                    this.scheduleTick(this.readyCheckInterval);
+                } else {
+                    // Move past the frame without displaying it and wait for the frame after it.
+                    this.waitStartTime = null;
+                    this._currentIndex = nextStep.index;
+                    this.callPlaybackListeners("skip");
+                    this.scheduleTick(0);
+                }
+
+                return;
+            }
+
+            this.waitStartTime = null;
+            this.setCurrentIndex(nextStep.index);
+            this.scheduleTick(this.frameInterval());
+        };
+
+        // Intentionally not documented. Determines the index and playback direction of the next frame, applying the
+        // repeat mode at the ends of the sequence. Returns null if playback ends.
+        TimeSequencePlayer.prototype.nextStep = function () {
+            var lastIndex = this._times.length - 1,
+                index = this._currentIndex + this.direction;
+
+            if (index >= 0 && index <= lastIndex) {
+                return {index: index, direction: this.direction};
+            }
+
+            if (this.repeatMode === TimeSequencePlayer.REPEAT_LOOP) {
+                return {index: this.direction > 0 ? 0 : lastIndex, direction: this.direction};
+            }
+
+            if (this.repeatMode === TimeSequencePlayer.REPEAT_BOUNCE) {
+                index = this._currentIndex - this.direction;
+                return {index: Math.min(Math.max(index, 0), lastIndex), direction: -this.direction};
+            }
+
+            return null;
+        };
+
+        // Intentionally not documented.
+        TimeSequencePlayer.prototype.step = function (increment) {
+            var numTimes = this._times.length;
+
+            if (numTimes > 0) {
+                this.setCurrentIndex(((this._currentIndex + increment) % numTimes + numTimes) % numTimes);
+            }
+        };
+
+        // Intentionally not documented.
+        TimeSequencePlayer.prototype.setCurrentIndex = function (index) {
+            this._currentIndex = index;
+
+            if (this.timeController) {
+                this.timeController.time = this.currentTime;
+            }
+
+            this.callPlaybackListeners("time");
+        };
+
+        // Intentionally not documented.
+        TimeSequencePlayer.prototype.frameInterval = function () {
+            return this.frameTime / (this.speed > 0 ? this.speed : 1);
+        };
+
+        // Intentionally not documented.
+        TimeSequencePlayer.prototype.scheduleTick = function (delay) {
+            var thisPlayer = this;
+
+            this.cancelTick();
+            this.timer = setTimeout(function () {
+                thisPlayer.tick();
+            }, delay);
+        };
+
+        // Intentionally not documented.
+        TimeSequencePlayer.prototype.cancelTick = function () {
+            if (this.timer !== null) {
+                clearTimeout(this.timer);
+                this.timer = null;
+            }
+        };
+
+        // Intentionally not documented.
+        TimeSequencePlayer.prototype.callPlaybackListeners = function (event) {
+            var listeners = this.playbackListeners.slice(0);
+
+            for (var i = 0; i < listeners.length; i++) {
+                try {
+                    listeners[i](this, event);
+                } catch (e) {
+                    Logger.log(Logger.LEVEL_SEVERE, "Exception calling playback listener.\n" + e.toString());
+                    // Keep going. Call the rest of the listeners.
+                }
+            }
+        };
+
+        return TimeSequencePlayer;
+    });
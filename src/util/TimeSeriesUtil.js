@@ -0,0 +1,170 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+define([
+        '../error/ArgumentError',
+        '../util/BasicTimeSequence',
+        '../util/CompositeTimeSequence',
+        '../util/Logger',
+        '../util/PeriodicTimeSequence'
+    ],
+    function (ArgumentError,
+              BasicTimeSequence,
+              CompositeTimeSequence,
+              Logger,
+              PeriodicTimeSequence) {
+        "use strict";
+        /**
+         * Provides functions for selecting the frames of time-series layers.
+         * @exports TimeSeriesUtil
+         */
+        var TimeSeriesUtil = {
+            /**
+             * Enumerates the times of a time sequence without modifying the sequence's current time.
+             * @param {PeriodicTimeSequence|BasicTimeSequence|CompositeTimeSequence} timeSequence The time sequence.
+             * @returns {Date[]} The sequence's times, in the order of the sequence.
+             * @throws {ArgumentError} If the specified time sequence is null, undefined or infinite.
+             */
+            timesOfSequence: function (timeSequence) {
+                if (!timeSequence) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "TimeSeriesUtil", "timesOfSequence",
+                            "missingTimeSequence"));
+                }
+
+                if (timeSequence instanceof BasicTimeSequence) {
+                    return timeSequence.dates.slice(0);
+                }
+
+                if (timeSequence instanceof CompositeTimeSequence) {
+                    var compositeTimes = [],
+                        compositeTime = timeSequence.startTime;
+
+                    while (compositeTime) {
+                        compositeTimes.push(compositeTime);
+                        compositeTime = timeSequence.timeAfter(compositeTime);
+                    }
+
+                    return compositeTimes;
+                }
+
+                if (timeSequence.infiniteInterval) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "TimeSeriesUtil", "timesOfSequence",
+                            "The time sequence " + timeSequence.sequenceString + " is infinite."));
+                }
+
+                var times = [],
+                    time = timeSequence.startTime;
+
+                while (time.getTime() <= timeSequence.endTime.getTime()) {
+                    times.push(time);
+
+                    var nextTime = PeriodicTimeSequence.incrementTime(time, timeSequence.period);
+                    if (nextTime.getTime() <= time.getTime()) {
+                        break; // the period is empty
+                    }
+                    time = nextTime;
+                }
+
+                return times;
+            },
+
+            /**
+             * Enumerates and merges the times of a list of Dates and time sequences, such as the time sequences
+             * returned by [WmsLayer.parseTimeDimensions]{@link WmsLayer#parseTimeDimensions}. Infinite sequences
+             * are ignored.
+             * @param {Array} timeSequences A mixed array of Date, {@link PeriodicTimeSequence},
+             * {@link BasicTimeSequence} and {@link CompositeTimeSequence} objects.
+             * @returns {Date[]} The distinct times of the specified list, in ascending order.
+             */
+            timesOfSequences: function (timeSequences) {
+                var times = [];
+
+                for (var i = 0, len = timeSequences ? timeSequences.length : 0; i < len; i++) {
+                    var timeSequence = timeSequences[i];
+
+                    if (timeSequence instanceof Date) {
+                        times.push(timeSequence);
+                    } else if (timeSequence && !timeSequence.infiniteInterval) {
+                        times = times.concat(TimeSeriesUtil.timesOfSequence(timeSequence));
+                    }
+                }
+
+                times.sort(function (a, b) {
+                    return a.getTime() - b.getTime();
+                });
+
+                return times.filter(function (time, index) {
+                    return index === 0 || time.getTime() !== times[index - 1].getTime();
+                });
+            },
+
+            /**
+             * Returns the index of the time nearest a specified time.
+             * @param {Date[]} times The times to search, in ascending order.
+             * @param {Date} time The time of interest.
+             * @returns {Number} The index of the nearest time, or -1 if the specified time is null or undefined or
+             * the list of times is empty.
+             */
+            nearestTimeIndex: function (times, time) {
+                var bracket = TimeSeriesUtil.bracketTime(times, time);
+                if (!bracket) {
+                    return -1;
+                }
+
+                return bracket.fraction <= 0.5 ? bracket.lowerIndex : bracket.upperIndex;
+            },
+
+            /**
+             * Determines the two times bracketing a specified time and the position of the specified time between
+             * them. Times before the first time or after the last time are clamped to the first or last time,
+             * respectively.
+             * @param {Date[]} times The times to search, in ascending order.
+             * @param {Date} time The time of interest.
+             * @returns {{lowerIndex: Number, upperIndex: Number, fraction: Number}} The indices of the bracketing
+             * times and the fractional position of the specified time between them, in the range [0, 1]. A fraction
+             * of 0 indicates the lower time and a fraction of 1 the upper time. Returns null if the specified time is
+             * null or undefined or the list of times is empty.
+             */
+            bracketTime: function (times, time) {
+                if (!time || !times || times.length === 0) {
+                    return null;
+                }
+
+                var milliseconds = time.getTime(),
+                    low = 0,
+                    high = times.length - 1;
+
+                if (milliseconds <= times[low].getTime()) {
+                    return {lowerIndex: low, upperIndex: low, fraction: 0};
+                }
+
+                if (milliseconds >= times[high].getTime()) {
+                    return {lowerIndex: high, upperIndex: high, fraction: 0};
+                }
+
+                // Binary search for the two times bracketing the specified time.
+                while (high - low > 1) {
+                    var middle = Math.floor((low + high) / 2);
+                    if (times[middle].getTime() <= milliseconds) {
+                        low = middle;
+                    } else {
+                        high = middle;
+                    }
+                }
+
+                var lowTime = times[low].getTime(),
+                    highTime = times[high].getTime();
+
+                return {
+                    lowerIndex: low,
+                    upperIndex: high,
+                    fraction: (milliseconds - lowTime) / (highTime - lowTime)
+                };
+            }
+        };
+
+        return TimeSeriesUtil;
+    });
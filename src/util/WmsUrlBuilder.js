@@ -18,7 +18,7 @@ define([
          * Constructs a WMS URL builder.
          * @alias WmsUrlBuilder
          * @constructor
-         * @classdesc Provides a factory to create URLs for WMS Get Map requests.
+         * @classdesc Provides a factory to create URLs for WMS Get Map and Get Feature Info requests.
          * @param {String} serviceAddress The address of the WMS server.
          * @param {String} layerNames The comma-separated list of names of the layers to retrieve.
          * @param {String} styleNames The comma-separated list of names of the styles to retrieve. May be null.
@@ -87,6 +87,23 @@ define([
              * @type {String}
              */
             this.timeString = timeString;
+
+            /**
+             * The values of non-time dimensions included in GetMap requests, keyed by dimension name. The
+             * elevation dimension is passed as the ELEVATION parameter and all others as DIM_ parameters, as
+             * specified by the WMS specification. If null, no dimension parameters are included in the requests.
+             * @type {Object}
+             * @default null
+             */
+            this.dimensionValues = null;
+
+            /**
+             * The address of the WMS server's Get Feature Info operation. If null, Get Feature Info requests are sent
+             * to the [service address]{@link WmsUrlBuilder#serviceAddress}.
+             * @type {String}
+             * @default null
+             */
+            this.featureInfoAddress = null;
         };
 
         /**
@@ -107,8 +124,6 @@ define([
                         "The image format is null or undefined."));
             }
 
-            var sector = tile.sector;
-
             var sb = WmsUrlBuilder.fixGetMapString(this.serviceAddress);
 
             if (sb.search(/service=wms/i) < 0) {
@@ -116,6 +131,77 @@ define([
             }
 
             sb = sb + "&request=GetMap";
+            sb = sb + this.mapParameters(tile, imageFormat);
+
+            sb = sb.replace(" ", "%20");
+
+            return sb;
+        };
+
+        /**
+         * Creates the URL string for a WMS Get Feature Info request. The request identifies a pixel of the image
+         * a Get Map request for the same tile returns. The pixel is passed as the I and J parameters to WMS 1.3.0
+         * and greater servers, and as the X and Y parameters to earlier servers.
+         * @param {Tile} tile The tile whose image contains the pixel of interest.
+         * @param {String} imageFormat The image format of the tile's image.
+         * @param {Number} x The column of the pixel of interest, in the range [0, tile width - 1], with 0 at the
+         * left edge of the image.
+         * @param {Number} y The row of the pixel of interest, in the range [0, tile height - 1], with 0 at the top
+         * edge of the image.
+         * @param {String} infoFormat The mime type of the feature information to request, e.g., text/html.
+         * @param {Number} featureCount The maximum number of features to request. May be null, in which case the
+         * server's default is used.
+         * @throws {ArgumentError} If the specified tile, image format or info format are null or undefined.
+         */
+        WmsUrlBuilder.prototype.urlForFeatureInfo = function (tile, imageFormat, x, y, infoFormat, featureCount) {
+            if (!tile) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WmsUrlBuilder", "urlForFeatureInfo", "missingTile"));
+            }
+
+            if (!imageFormat) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WmsUrlBuilder", "urlForFeatureInfo",
+                        "The image format is null or undefined."));
+            }
+
+            if (!infoFormat) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WmsUrlBuilder", "urlForFeatureInfo",
+                        "The info format is null or undefined."));
+            }
+
+            var sb = WmsUrlBuilder.fixGetMapString(this.featureInfoAddress || this.serviceAddress);
+
+            if (sb.search(/service=wms/i) < 0) {
+                sb = sb + "service=WMS";
+            }
+
+            sb = sb + "&request=GetFeatureInfo";
+            sb = sb + this.mapParameters(tile, imageFormat);
+            sb = sb + "&query_layers=" + this.layerNames;
+            sb = sb + "&info_format=" + encodeURIComponent(infoFormat);
+
+            if (featureCount) {
+                sb = sb + "&feature_count=" + featureCount;
+            }
+
+            if (this.isWms130OrGreater) {
+                sb = sb + "&i=" + x + "&j=" + y;
+            } else {
+                sb = sb + "&x=" + x + "&y=" + y;
+            }
+
+            sb = sb.replace(" ", "%20");
+
+            return sb;
+        };
+
+        // Intentionally not documented. Forms the parameters Get Map and Get Feature Info requests share.
+        WmsUrlBuilder.prototype.mapParameters = function (tile, imageFormat) {
+            var sector = tile.sector,
+                sb = "";
+
             sb = sb + "&version=" + this.wmsVersion;
             sb = sb + "&transparent=" + (this.transparent ? "TRUE" : "FALSE");
             sb = sb + "&layers=" + this.layerNames;
@@ -128,6 +214,13 @@ define([
                 sb = sb + "&time=" + this.timeString;
             }
 
+            for (var dimensionName in this.dimensionValues) {
+                if (this.dimensionValues.hasOwnProperty(dimensionName)) {
+                    sb = sb + "&" + WmsUrlBuilder.dimensionParameterName(dimensionName) + "="
+                        + encodeURIComponent(this.dimensionValues[dimensionName]);
+                }
+            }
+
             if (this.isWms130OrGreater) {
                 sb = sb + "&crs=" + this.crs;
                 sb = sb + "&bbox=";
@@ -145,11 +238,16 @@ define([
                 sb = sb + sector.maxLongitude+ "," + sector.maxLatitude;
             }
 
-            sb = sb.replace(" ", "%20");
-
             return sb;
         };
 
+        // Intentionally not documented.
+        WmsUrlBuilder.dimensionParameterName = function (dimensionName) {
+            var upperCaseName = dimensionName.toUpperCase();
+
+            return upperCaseName === "ELEVATION" ? upperCaseName : "DIM_" + upperCaseName;
+        };
+
         // Intentionally not documented.
         WmsUrlBuilder.fixGetMapString = function (serviceAddress) {
             if (!serviceAddress) {
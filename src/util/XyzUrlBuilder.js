@@ -0,0 +1,179 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+/**
+ * @exports XyzUrlBuilder
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Logger'
+    ],
+    function (ArgumentError,
+              Logger) {
+        "use strict";
+
+        /**
+         * Constructs a URL builder for XYZ and TMS tiles.
+         * @alias XyzUrlBuilder
+         * @constructor
+         * @classdesc Provides a factory to create tile URLs from a URL template, as used by slippy-map tile
+         * services and tile folders. The template's placeholders are replaced by the tile's values:
+         * <ul>
+         *     <li>{z}: The tile's zoom level.</li>
+         *     <li>{x}: The tile's column, starting with 0 at longitude -180.</li>
+         *     <li>{y}: The tile's row, starting with 0 at the north, as in XYZ tiling.</li>
+         *     <li>{-y}: The tile's row, starting with 0 at the south, as in TMS tiling.</li>
+         *     <li>{s}: One of the [subdomains]{@link XyzUrlBuilder#subdomains}, chosen by the tile's position so
+         *     that requests are spread among them.</li>
+         *     <li>{quadkey}: The tile's quadkey, as used by Bing Maps.</li>
+         *     <li>{time}: This builder's [time]{@link XyzUrlBuilder#time}.</li>
+         *     <li>{r}: "@2x" if [retina]{@link XyzUrlBuilder#retina} is true, otherwise empty.</li>
+         * </ul>
+         * For example, the template <em>https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png</em> forms the URL
+         * <em>https://b.tile.openstreetmap.org/3/4/2.png</em> for the tile at zoom level 3, column 4 and row 2.
+         * @param {String} urlTemplate The URL template.
+         * @param {String|String[]} subdomains The subdomains replacing {s}, either an array of strings or a string
+         * whose characters are the subdomains. May be null or undefined, in which case "a", "b" and "c" are used.
+         * @param {String} tilingScheme The tiling scheme of the tiles, either
+         * [WorldWind.WEB_MERCATOR]{@link WorldWind#WEB_MERCATOR} or [WorldWind.GEOGRAPHIC]{@link WorldWind#GEOGRAPHIC}.
+         * May be null or undefined, in which case WorldWind.WEB_MERCATOR is used.
+         * @throws {ArgumentError} If the specified URL template is null or undefined.
+         */
+        var XyzUrlBuilder = function (urlTemplate, subdomains, tilingScheme) {
+            if (!urlTemplate) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "XyzUrlBuilder", "constructor",
+                        "The specified URL template is null or undefined."));
+            }
+
+            /**
+             * The URL template.
+             * @type {String}
+             */
+            this.urlTemplate = urlTemplate;
+
+            /**
+             * The subdomains replacing the {s} placeholder.
+             * @type {String[]}
+             * @default ["a", "b", "c"]
+             */
+            this.subdomains = typeof subdomains === "string" ? subdomains.split("") : subdomains || ["a", "b", "c"];
+
+            /**
+             * The tiling scheme of the tiles.
+             * @type {String}
+             * @default WorldWind.WEB_MERCATOR
+             */
+            this.tilingScheme = tilingScheme || WorldWind.WEB_MERCATOR;
+
+            /**
+             * The string replacing the {time} placeholder.
+             * @type {String}
+             * @default null
+             */
+            this.time = null;
+
+            /**
+             * Indicates whether high resolution tiles are requested by replacing the {r} placeholder with "@2x".
+             * @type {Boolean}
+             * @default false
+             */
+            this.retina = false;
+        };
+
+        /**
+         * Creates the URL string for a tile.
+         * @param {Tile} tile The tile for which to create the URL.
+         * @param {String} imageFormat The image format to request. Not used, since the URL template determines the
+         * format.
+         * @returns {String} The tile's URL.
+         * @throws {ArgumentError} If the specified tile is null or undefined.
+         */
+        XyzUrlBuilder.prototype.urlForTile = function (tile, imageFormat) {
+            if (!tile) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "XyzUrlBuilder", "urlForTile", "missingTile"));
+            }
+
+            var zoom = this.zoomForLevel(tile.level.levelNumber),
+                row = tile.row;
+
+            if (this.tilingScheme === WorldWind.GEOGRAPHIC) {
+                // World Wind numbers geographic rows from the south.
+                var numRows = Math.round(tile.level.sector.deltaLatitude() / tile.level.tileDelta.latitude);
+                row = numRows - 1 - row;
+            }
+
+            return this.urlForIndices(zoom, tile.column, row);
+        };
+
+        /**
+         * Creates the URL string for a tile identified by its zoom level, column and row.
+         * @param {Number} zoom The tile's zoom level.
+         * @param {Number} x The tile's column, starting with 0 at longitude -180.
+         * @param {Number} y The tile's row, starting with 0 at the north.
+         * @returns {String} The tile's URL.
+         */
+        XyzUrlBuilder.prototype.urlForIndices = function (zoom, x, y) {
+            var numRows = 1 << zoom, // both tiling schemes have 2^zoom rows
+                builder = this;
+
+            return this.urlTemplate.replace(/\{(-?y|z|x|s|quadkey|time|r)\}/g, function (match, name) {
+                switch (name) {
+                    case "z":
+                        return zoom;
+                    case "x":
+                        return x;
+                    case "y":
+                        return y;
+                    case "-y":
+                        return numRows - 1 - y;
+                    case "s":
+                        return builder.subdomains.length > 0 ?
+                            builder.subdomains[Math.abs(x + y) % builder.subdomains.length] : "";
+                    case "quadkey":
+                        return XyzUrlBuilder.quadKey(zoom, x, y);
+                    case "time":
+                        return builder.time ? encodeURIComponent(builder.time) : "";
+                    case "r":
+                        return builder.retina ? "@2x" : "";
+                }
+            });
+        };
+
+        /**
+         * Returns the zoom level of the tiles of a specified level of a {@link LevelSet}. Web Mercator layers'
+         * first level holds the four tiles of zoom level 1, and geographic layers' first level holds the two tiles
+         * of zoom level 0.
+         * @param {Number} levelNumber The level number.
+         * @returns {Number} The zoom level.
+         */
+        XyzUrlBuilder.prototype.zoomForLevel = function (levelNumber) {
+            return this.tilingScheme === WorldWind.GEOGRAPHIC ? levelNumber : levelNumber + 1;
+        };
+
+        // Intentionally not documented.
+        XyzUrlBuilder.quadKey = function (zoom, x, y) {
+            var digits = "";
+
+            for (var i = zoom; i > 0; i--) {
+                var digit = 0,
+                    mask = 1 << (i - 1);
+
+                if ((x & mask) !== 0) {
+                    digit += 1;
+                }
+
+                if ((y & mask) !== 0) {
+                    digit += 2;
+                }
+
+                digits += digit.toString();
+            }
+
+            return digits;
+        };
+
+        return XyzUrlBuilder;
+    });
@@ -0,0 +1,117 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/WorldWind',
+    'src/formats/geojson/GeoJSONExporter',
+    'src/geom/Location',
+    'src/shapes/Path',
+    'src/shapes/Placemark',
+    'src/shapes/Polygon',
+    'src/geom/Position',
+    'src/layer/RenderableLayer',
+    'src/geom/Sector',
+    'src/shapes/SurfaceCircle',
+    'src/shapes/SurfacePolygon',
+    'src/shapes/SurfacePolyline',
+    'src/shapes/SurfaceSector'
+], function (
+    CatchTest,
+    WorldWind,
+    GeoJSONExporter,
+    Location,
+    Path,
+    Placemark,
+    Polygon,
+    Position,
+    RenderableLayer,
+    Sector,
+    SurfaceCircle,
+    SurfacePolygon,
+    SurfacePolyline,
+    SurfaceSector
+) {
+    "use strict";
+    TestCase("GeoJSONExporterTest", {
+        testPlacemark: CatchTest(function () {
+            var placemark = new Placemark(new Position(40, -105, 1500), false, null);
+            placemark.label = "Boulder";
+            placemark.userProperties = {population: 107000};
+
+            var feature = JSON.parse(GeoJSONExporter.exportRenderable(placemark));
+
+            assertEquals("Feature", feature.type);
+            assertEquals({type: "Point", coordinates: [-105, 40, 1500]}, feature.geometry);
+            assertEquals({name: "Boulder", population: 107000}, feature.properties);
+        }),
+
+        testPath: CatchTest(function () {
+            var path = new Path([new Position(10, 20, 100), new Position(11, 21, 200)], null);
+
+            assertEquals({type: "LineString", coordinates: [[20, 10, 100], [21, 11, 200]]},
+                GeoJSONExporter.geometryForRenderable(path));
+        }),
+
+        testPolygon: CatchTest(function () {
+            var outer = [new Position(0, 0, 10), new Position(0, 10, 10), new Position(10, 10, 10)],
+                hole = [new Position(1, 2, 10), new Position(2, 2, 10), new Position(2, 3, 10), new Position(1, 2, 10)],
+                polygon = new Polygon([outer, hole], null);
+
+            assertEquals({
+                type: "Polygon",
+                coordinates: [
+                    [[0, 0, 10], [10, 0, 10], [10, 10, 10], [0, 0, 10]],
+                    [[2, 1, 10], [2, 2, 10], [3, 2, 10], [2, 1, 10]]
+                ]
+            }, GeoJSONExporter.geometryForRenderable(polygon));
+        }),
+
+        testSurfaceShapes: CatchTest(function () {
+            var polyline = new SurfacePolyline([new Location(0, 0), new Location(1, 1)], null),
+                polygon = new SurfacePolygon([new Location(0, 0), new Location(0, 1), new Location(1, 1)], null),
+                sector = new SurfaceSector(new Sector(0, 1, 2, 3), null);
+
+            assertEquals({type: "LineString", coordinates: [[0, 0], [1, 1]]},
+                GeoJSONExporter.geometryForRenderable(polyline));
+            assertEquals({type: "Polygon", coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]]},
+                GeoJSONExporter.geometryForRenderable(polygon));
+            assertEquals({type: "Polygon", coordinates: [[[2, 0], [2, 1], [3, 1], [3, 0], [2, 0]]]},
+                GeoJSONExporter.geometryForRenderable(sector));
+        }),
+
+        testCircle: CatchTest(function () {
+            var circle = new SurfaceCircle(new Location(0, 0), 100000, null);
+            circle.intervals = 32;
+
+            var ring = GeoJSONExporter.geometryForRenderable(circle).coordinates[0];
+
+            assertEquals(33, ring.length);
+            assertEquals(ring[0], ring[32]);
+            for (var i = 0; i < ring.length; i++) {
+                var distance = Location.greatCircleDistance(new Location(0, 0), new Location(ring[i][1], ring[i][0]));
+                assertTrue(Math.abs(distance * WorldWind.EARTH_RADIUS - 100000) < 1);
+            }
+
+            // The circle's own boundaries are left for the globe it's drawn on to compute.
+            assertNull(circle._boundaries);
+        }),
+
+        testLayer: CatchTest(function () {
+            var layer = new RenderableLayer("Digitized");
+            layer.addRenderable(new Placemark(new Position(1, 2, 3), false, null));
+            layer.addRenderable(new SurfacePolyline([new Location(0, 0), new Location(1, 1)], null));
+            layer.addRenderable(new RenderableLayer("Unsupported"));
+
+            var featureCollection = JSON.parse(GeoJSONExporter.exportLayer(layer));
+
+            assertEquals("FeatureCollection", featureCollection.type);
+            assertEquals(2, featureCollection.features.length);
+            assertEquals("LineString", featureCollection.features[1].geometry.type);
+            assertEquals({}, featureCollection.features[1].properties);
+        })
+    });
+});
@@ -0,0 +1,92 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/formats/geotiff/GeoTiffReader',
+    'src/util/Logger'
+], function (
+    CatchTest,
+    GeoTiffReader,
+    Logger
+) {
+    "use strict";
+    TestCase("GeoTiffReaderTest", {
+        testProjection: CatchTest(function () {
+            var reader = new GeoTiffReader("test.tif");
+
+            assertNull(reader.getProjection());
+
+            assertTrue(reader.isProjectionSupported());
+
+            reader.metadata.projectedCSType = 32633;
+            assertEquals("EPSG:32633", reader.getProjection());
+            assertTrue(reader.isProjectionSupported());
+        }),
+
+        testUnsupportedProjectionWarnsOnce: CatchTest(function () {
+            var reader = new GeoTiffReader("test.tif"),
+                log = Logger.log,
+                warnings = 0;
+
+            reader.metadata.projectedCSType = 2193;
+            Logger.log = function (level) {
+                if (level === Logger.LEVEL_WARNING) {
+                    warnings++;
+                }
+            };
+
+            try {
+                // The locations of the geotiff are not known, so its users reject it.
+                for (var i = 0; i < 10; i++) {
+                    assertFalse(reader.isProjectionSupported());
+                }
+            } finally {
+                Logger.log = log;
+            }
+
+            assertEquals(1, warnings);
+        }),
+
+        testMalformedGeoTiff: CatchTest(function () {
+            var reader = new GeoTiffReader(new ArrayBuffer(16)),
+                messages = [];
+
+            reader.readAsData(function () {
+                fail("Expected the error callback.");
+            }, function (message) {
+                messages.push(message);
+            });
+
+            assertEquals(1, messages.length);
+        }),
+
+        testUnreadableBlob: CatchTest(function () {
+            var originalFileReader = window.FileReader,
+                messages = [];
+
+            window.FileReader = function () {
+            };
+            window.FileReader.prototype.readAsArrayBuffer = function () {
+                this.onerror();
+            };
+
+            try {
+                var blob = new Blob([new Uint8Array(16)]);
+                blob.name = "dem.tif";
+                new GeoTiffReader(blob).readAsImage(function () {
+                    fail("Expected the error callback.");
+                }, function (message) {
+                    messages.push(message);
+                });
+            } finally {
+                window.FileReader = originalFileReader;
+            }
+
+            assertEquals(["GeoTiff reading failed: dem.tif"], messages);
+        })
+    });
+});
@@ -0,0 +1,92 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/formats/geotiff/TiffConstants',
+    'src/formats/geotiff/TiffDecompression'
+], function (
+    CatchTest,
+    TiffConstants,
+    TiffDecompression
+) {
+    "use strict";
+    var toArray = function (data) {
+        return Array.prototype.slice.call(data);
+    };
+
+    TestCase("TiffDecompressionTest", {
+        testLzw: CatchTest(function () {
+            var compressed = new Uint8Array([128, 21, 9, 228, 34, 41, 60, 164, 78, 39, 149, 32, 80, 72, 52, 46, 11,
+                7, 132, 192, 64]);
+
+            var result = TiffDecompression.decompress(TiffConstants.Compression.LZW, compressed, 24);
+
+            assertEquals("TOBEORNOTTOBEORTOBEORNOT", String.fromCharCode.apply(null, toArray(result)));
+        }),
+
+        testDeflate: CatchTest(function () {
+            var compressed = new Uint8Array([120, 156, 99, 100, 98, 102, 97, 101, 99, 231, 96, 196, 65, 3, 0, 8, 192,
+                0, 145]);
+
+            var result = TiffDecompression.decompress(TiffConstants.Compression.DEFLATE, compressed, 32);
+
+            assertEquals([1, 2, 3, 4, 5, 6, 7, 8, 1, 2, 3, 4, 5, 6, 7, 8, 1, 2, 3, 4, 5, 6, 7, 8, 1, 2, 3, 4, 5, 6,
+                7, 8], toArray(result));
+        }),
+
+        testPackBits: CatchTest(function () {
+            var compressed = new Uint8Array([0xFE, 0xAA, 0x02, 0x80, 0x00, 0x2A, 0xFD, 0xAA, 0x03, 0x80, 0x00, 0x2A,
+                0x22, 0xF7, 0xAA]);
+
+            var result = TiffDecompression.decompress(TiffConstants.Compression.PACK_BITS, compressed, 24);
+
+            assertEquals([0xAA, 0xAA, 0xAA, 0x80, 0x00, 0x2A, 0xAA, 0xAA, 0xAA, 0xAA, 0x80, 0x00, 0x2A, 0x22,
+                0xAA, 0xAA, 0xAA, 0xAA, 0xAA, 0xAA, 0xAA, 0xAA, 0xAA, 0xAA], toArray(result));
+        }),
+
+        testHorizontalPredictor: CatchTest(function () {
+            // Two rows of two pixels with two 8 bit samples each.
+            var data = new Uint8Array([10, 20, 1, 2, 30, 40, 255, 3]);
+
+            TiffDecompression.undoPredictor(TiffConstants.Predictor.HORIZONTAL, data, 2, 2, 8, true);
+
+            assertEquals([10, 20, 11, 22, 30, 40, 29, 43], toArray(data));
+        }),
+
+        testHorizontalPredictor16Bit: CatchTest(function () {
+            var data = new Uint8Array(new Uint16Array([1000, 24, 65535]).buffer);
+
+            TiffDecompression.undoPredictor(TiffConstants.Predictor.HORIZONTAL, data, 3, 1, 16, true);
+
+            assertEquals([1000, 1024, 1023], toArray(new Uint16Array(data.buffer)));
+        }),
+
+        testFloatingPointPredictor: CatchTest(function () {
+            var values = new Float32Array([1.5, -2.25]),
+                bytes = new Uint8Array(values.buffer),
+                data = new Uint8Array(8);
+
+            // Group the bytes by significance, most significant first, and difference them.
+            for (var i = 0; i < 2; i++) {
+                for (var j = 0; j < 4; j++) {
+                    data[j * 2 + i] = bytes[i * 4 + 3 - j];
+                }
+            }
+            for (var k = data.length - 1; k > 0; k--) {
+                data[k] = (data[k] - data[k - 1]) & 0xFF;
+            }
+
+            TiffDecompression.undoPredictor(TiffConstants.Predictor.FLOATING_POINT, data, 2, 1, 32, true);
+
+            assertEquals([1.5, -2.25], toArray(new Float32Array(data.buffer)));
+        }),
+
+        testUnsupportedCompression: CatchTest(function () {
+            assertNull(TiffDecompression.decompress(TiffConstants.Compression.JPEG, new Uint8Array(4), 4));
+        })
+    });
+});
@@ -0,0 +1,190 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/WorldWind',
+    'src/shapes/Annotation',
+    'src/util/Color',
+    'src/util/jszip',
+    'src/formats/kml/KmlExporter',
+    'src/geom/Location',
+    'src/shapes/Path',
+    'src/shapes/Placemark',
+    'src/shapes/PlacemarkAttributes',
+    'src/geom/Position',
+    'src/layer/RenderableLayer',
+    'src/shapes/ShapeAttributes',
+    'src/shapes/SurfacePolygon'
+], function (CatchTest,
+             WorldWind,
+             Annotation,
+             Color,
+             JsZip,
+             KmlExporter,
+             Location,
+             Path,
+             Placemark,
+             PlacemarkAttributes,
+             Position,
+             RenderableLayer,
+             ShapeAttributes,
+             SurfacePolygon) {
+    "use strict";
+
+    var contains = function (text, part) {
+        assertTrue("Missing " + part, text.indexOf(part) !== -1);
+    };
+
+    var createShapeAttributes = function () {
+        var attributes = new ShapeAttributes(null);
+        attributes.outlineColor = new Color(1, 0, 0, 1);
+        attributes.interiorColor = new Color(0, 0, 1, 0.5);
+        attributes.outlineWidth = 3;
+        attributes.drawInterior = true;
+        attributes.drawOutline = false;
+
+        return attributes;
+    };
+
+    var createPlacemark = function (imageSource) {
+        var attributes = new PlacemarkAttributes(null),
+            placemark = new Placemark(new Position(10, 20, 30), false, attributes);
+
+        attributes.imageSource = imageSource;
+        attributes.imageScale = 2;
+        attributes.imageColor = new Color(0, 1, 0, 1);
+        placemark.label = "A & B";
+        placemark.altitudeMode = WorldWind.RELATIVE_TO_GROUND;
+
+        return placemark;
+    };
+
+    TestCase("KmlExporterTest", {
+        testPlacemark: CatchTest(function () {
+            var kml = KmlExporter.exportRenderables([createPlacemark("http://example.com/icons/pin.png")], "Doc");
+
+            contains(kml, '<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>Doc</name>');
+            contains(kml, "<name>A &amp; B</name>");
+            contains(kml, "<styleUrl>#style0</styleUrl>");
+            contains(kml, '<Style id="style0"><IconStyle><color>ff00ff00</color><scale>2</scale>' +
+                "<Icon><href>http://example.com/icons/pin.png</href></Icon>");
+            contains(kml, "<Point><altitudeMode>relativeToGround</altitudeMode>" +
+                "<coordinates>20,10,30</coordinates></Point>");
+        }),
+
+        testPath: CatchTest(function () {
+            var attributes = createShapeAttributes(),
+                path = new Path([new Position(0, 0, 100), new Position(1, 1, 200)], attributes);
+
+            attributes.drawVerticals = true;
+            path.beginTime = new Date(Date.UTC(2020, 0, 1));
+            path.endTime = new Date(Date.UTC(2020, 11, 31));
+
+            var kml = KmlExporter.exportRenderables([path]);
+
+            contains(kml, "<TimeSpan><begin>2020-01-01T00:00:00.000Z</begin>" +
+                "<end>2020-12-31T00:00:00.000Z</end></TimeSpan>");
+            contains(kml, "<LineString><extrude>1</extrude><altitudeMode>absolute</altitudeMode>" +
+                "<coordinates>0,0,100 1,1,200</coordinates></LineString>");
+            contains(kml, "<LineStyle><color>ff0000ff</color><width>3</width></LineStyle>");
+            contains(kml, "<PolyStyle><color>80ff0000</color><fill>1</fill><outline>0</outline></PolyStyle>");
+        }),
+
+        testSurfacePolygon: CatchTest(function () {
+            var outer = [new Location(0, 0), new Location(0, 10), new Location(10, 10)],
+                inner = [new Location(1, 2), new Location(2, 2), new Location(2, 3)],
+                polygon = new SurfacePolygon([outer, inner], createShapeAttributes());
+
+            polygon.userProperties.population = 42;
+
+            var kml = KmlExporter.exportRenderables([polygon]);
+
+            contains(kml, '<ExtendedData><Data name="population"><value>42</value></Data></ExtendedData>');
+            contains(kml, "<Polygon><tessellate>1</tessellate><altitudeMode>clampToGround</altitudeMode>" +
+                "<outerBoundaryIs><LinearRing><coordinates>0,0 10,0 10,10 0,0</coordinates></LinearRing>" +
+                "</outerBoundaryIs><innerBoundaryIs><LinearRing><coordinates>2,1 2,2 3,2 2,1</coordinates>" +
+                "</LinearRing></innerBoundaryIs></Polygon>");
+        }),
+
+        testAnnotation: CatchTest(function () {
+            var annotation = new Annotation(new Position(5, 6, 7), null);
+
+            annotation.label = "Note";
+            annotation.attributes.backgroundColor = new Color(1, 1, 1, 1);
+
+            var kml = KmlExporter.exportRenderables([annotation]);
+
+            contains(kml, "<name>Note</name><description>Note</description>");
+            contains(kml, "<BalloonStyle><bgColor>ffffffff</bgColor>");
+            contains(kml, "<coordinates>6,5,7</coordinates>");
+        }),
+
+        testSharedStyles: CatchTest(function () {
+            var attributes = createShapeAttributes(),
+                first = new Path([new Position(0, 0, 0), new Position(1, 1, 0)], attributes),
+                second = new Path([new Position(2, 2, 0), new Position(3, 3, 0)], attributes),
+                kml = KmlExporter.exportRenderables([first, second]);
+
+            assertEquals(1, kml.split("<Style id=").length - 1);
+            assertEquals(2, kml.split("<styleUrl>#style0</styleUrl>").length - 1);
+        }),
+
+        testLayers: CatchTest(function () {
+            var layer = new RenderableLayer("Places");
+
+            layer.enabled = false;
+            layer.addRenderable(createPlacemark(null));
+
+            var kml = KmlExporter.exportLayer(layer);
+
+            contains(kml, "<Document><name>Places</name>");
+            contains(kml, "<Folder><name>Places</name><visibility>0</visibility><Placemark>");
+        }),
+
+        testMissingLayer: CatchTest(function () {
+            try {
+                KmlExporter.exportLayer(null);
+                fail("Expected an ArgumentError");
+            } catch (e) {
+                assertEquals("ArgumentError", e.name);
+            }
+        })
+    });
+
+    AsyncTestCase("KmlExporterKmzTest", {
+        testKmz: CatchTest(function (queue) {
+            var requestIcon = KmlExporter.requestIcon,
+                layer = new RenderableLayer("Places"),
+                kmz = null;
+
+            layer.addRenderable(createPlacemark("http://example.com/icons/pin.png"));
+            layer.addRenderable(createPlacemark("http://example.com/icons/missing.png"));
+
+            KmlExporter.requestIcon = function (url) {
+                return url.indexOf("missing") === -1 ? Promise.resolve(new Uint8Array([1, 2, 3]).buffer) :
+                    Promise.reject(new Error("Not found"));
+            };
+
+            queue.call("Package the layer", function (callbacks) {
+                KmlExporter.exportKmz([layer], "Doc", "uint8array").then(callbacks.add(function (content) {
+                    kmz = content;
+                }));
+            });
+
+            queue.call("The KMZ file holds the document and the retrieved icon", function () {
+                KmlExporter.requestIcon = requestIcon;
+
+                var zip = new JsZip(kmz),
+                    kml = zip.file("doc.kml").asText();
+
+                assertEquals(3, zip.file("files/0_pin.png").asUint8Array().length);
+                contains(kml, "<href>files/0_pin.png</href>");
+                contains(kml, "<href>http://example.com/icons/missing.png</href>");
+            });
+        })
+    });
+});
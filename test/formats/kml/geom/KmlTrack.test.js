@@ -0,0 +1,114 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+},[
+    'test/CatchTest',
+    'src/formats/kml/geom/KmlMultiTrack',
+    'src/formats/kml/features/KmlPlacemark',
+    'src/formats/kml/geom/KmlTrack',
+    'src/shapes/Placemark',
+    'src/geom/Position',
+    'src/util/XmlDocument',
+    'src/WorldWind'
+], function (
+    CatchTest,
+    KmlMultiTrack,
+    KmlPlacemark,
+    KmlTrack,
+    Placemark,
+    Position,
+    XmlDocument,
+    WorldWind
+) {
+    "use strict";
+    var kmlContainingTrack = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+        "<kml xmlns=\"http://www.opengis.net/kml/2.2\" xmlns:gx=\"http://www.google.com/kml/ext/2.2\">" +
+        "<gx:MultiTrack id=\"1\">" +
+        "<gx:interpolate>1</gx:interpolate>" +
+        "<gx:Track id=\"2\">" +
+        "   <when>2010-05-28T02:00:00Z</when>" +
+        "   <when>2010-05-28T03:00:00Z</when>" +
+        "   <gx:coord>-122.2 37.4 100</gx:coord>" +
+        "   <gx:coord>-122.0 37.6 200</gx:coord>" +
+        "   <gx:angles>350 10 0</gx:angles>" +
+        "   <gx:angles>10 20 0</gx:angles>" +
+        "   <ExtendedData><SchemaData schemaUrl=\"#schema\">" +
+        "       <gx:SimpleArrayData name=\"speed\"><gx:value>10</gx:value><gx:value>20</gx:value></gx:SimpleArrayData>" +
+        "   </SchemaData></ExtendedData>" +
+        "</gx:Track>" +
+        "<gx:Track id=\"3\">" +
+        "   <when>2010-05-28T05:00:00Z</when>" +
+        "   <when>2010-05-28T06:00:00Z</when>" +
+        "   <gx:coord>-121.6 37.6 200</gx:coord>" +
+        "   <gx:coord>-121.4 37.6 200</gx:coord>" +
+        "</gx:Track>" +
+        "</gx:MultiTrack>" +
+        "</kml>";
+    var multiTrack, track;
+
+    TestCase("KmlTrack", {
+        setUp: function(){
+            var kmlRepresentation = new XmlDocument(kmlContainingTrack).dom();
+            multiTrack = new KmlMultiTrack({objectNode: kmlRepresentation.getElementsByTagName("gx:MultiTrack")[0],
+                style: {then: function(){}}});
+            track = multiTrack.kmlTracks[0];
+        },
+
+        testParsing: CatchTest(function() {
+            assertEquals(2, multiTrack.kmlTracks.length);
+            assertTrue(multiTrack.kmlInterpolate);
+            assertEquals(2, track.kmlWhens.length);
+            assertEquals(Date.UTC(2010, 4, 28, 2), track.kmlWhens[0].getTime());
+            assertEquals(37.4, track.kmlCoords[0].latitude);
+            assertEquals(-122.2, track.kmlCoords[0].longitude);
+            assertEquals(100, track.kmlCoords[0].altitude);
+            assertEquals(350, track.kmlAngles[0].heading);
+            assertEquals(["10", "20"], track.kmlSimpleArrays.speed);
+        }),
+
+        testStateAt: CatchTest(function() {
+            var state = track.stateAt(new Date("2010-05-28T02:30:00Z"));
+
+            assertEquals(37.5, Math.round(state.position.latitude * 1e6) / 1e6);
+            assertEquals(-122.1, Math.round(state.position.longitude * 1e6) / 1e6);
+            assertEquals(150, Math.round(state.position.altitude * 1e6) / 1e6);
+            assertEquals(0, Math.round(state.heading * 1e6) / 1e6);
+            assertEquals(15, Math.round(state.tilt * 1e6) / 1e6);
+            assertEquals("10", state.values.speed);
+        }),
+
+        testStateOutsideTrack: CatchTest(function() {
+            assertNull(track.stateAt(new Date("2010-05-28T01:00:00Z")));
+            assertNull(track.stateAt(new Date("2010-05-28T04:00:00Z")));
+            assertEquals(200, track.stateAt(null).position.altitude);
+        }),
+
+        testPlacemarkFollowsTrack: CatchTest(function() {
+            var kmlRepresentation = new XmlDocument("<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                    "<kml xmlns=\"http://www.opengis.net/kml/2.2\" xmlns:gx=\"http://www.google.com/kml/ext/2.2\">" +
+                    "<Placemark id=\"trackPlacemark\"><gx:Track id=\"trackOfPlacemark\">" +
+                    "   <when>2010-05-28T02:00:00Z</when>" +
+                    "   <gx:coord>-122.2 37.4 100</gx:coord>" +
+                    "   <gx:angles>10 20 0</gx:angles>" +
+                    "</gx:Track></Placemark></kml>").dom(),
+                placemark = new KmlPlacemark({objectNode: kmlRepresentation.getElementsByTagName("Placemark")[0],
+                    style: {then: function(){}}});
+
+            placemark._renderable = new Placemark(new Position(0, 0, 0), false, null);
+
+            assertTrue(placemark.moveAlongTrack({currentTime: new Date("2010-05-28T02:00:00Z")}));
+            assertEquals(10, placemark._renderable.imageRotation);
+            assertEquals(WorldWind.RELATIVE_TO_GLOBE, placemark._renderable.imageRotationReference);
+        }),
+
+        testMultiTrackInterpolatesGaps: CatchTest(function() {
+            var state = multiTrack.stateAt(new Date("2010-05-28T04:00:00Z"));
+
+            assertEquals(-121.8, Math.round(state.position.longitude * 1e6) / 1e6);
+            assertNull(multiTrack.stateAt(new Date("2010-05-28T07:00:00Z")));
+        })
+    });
+});
@@ -0,0 +1,231 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+},[
+    'test/CatchTest',
+    'src/formats/kml/tour/KmlAnimatedUpdate',
+    'src/formats/kml/features/KmlDocument',
+    'src/formats/kml/tour/KmlFlyTo',
+    'src/formats/kml/KmlLookAt',
+    'src/formats/kml/features/KmlPlacemark',
+    'src/formats/kml/tour/KmlSoundCue',
+    'src/formats/kml/features/KmlTour',
+    'src/formats/kml/tour/KmlTourControl',
+    'src/formats/kml/tour/KmlTourPlayer',
+    'src/formats/kml/tour/KmlWait',
+    'src/globe/Globe',
+    'src/geom/Location',
+    'src/util/XmlDocument',
+    'src/globe/ZeroElevationModel'
+], function (
+    CatchTest,
+    KmlAnimatedUpdate,
+    KmlDocument,
+    KmlFlyTo,
+    KmlLookAt,
+    KmlPlacemark,
+    KmlSoundCue,
+    KmlTour,
+    KmlTourControl,
+    KmlTourPlayer,
+    KmlWait,
+    Globe,
+    Location,
+    XmlDocument,
+    ZeroElevationModel
+) {
+    "use strict";
+    // Elements are cached application wide by their ids, so every test uses its own ids.
+    var kmlContainingTour = function (id) {
+        return "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\" xmlns:gx=\"http://www.google.com/kml/ext/2.2\">" +
+            "<Document id=\"document" + id + "\">" +
+            "<Placemark id=\"placemark" + id + "\"><visibility>0</visibility></Placemark>" +
+            "<gx:Tour id=\"tour" + id + "\">" +
+            "<gx:Playlist>" +
+            "   <gx:FlyTo>" +
+            "       <gx:duration>4</gx:duration>" +
+            "       <gx:flyToMode>smooth</gx:flyToMode>" +
+            "       <LookAt><longitude>10</longitude><latitude>0</latitude><range>1000</range>" +
+            "           <heading>90</heading></LookAt>" +
+            "   </gx:FlyTo>" +
+            "   <gx:AnimatedUpdate>" +
+            "       <gx:duration>1</gx:duration>" +
+            "       <Update><Change>" +
+            "           <Placemark targetId=\"placemark" + id + "\"><visibility>1</visibility></Placemark>" +
+            "       </Change></Update>" +
+            "   </gx:AnimatedUpdate>" +
+            "   <gx:Wait><gx:duration>2</gx:duration></gx:Wait>" +
+            "   <gx:TourControl><gx:playMode>pause</gx:playMode></gx:TourControl>" +
+            "   <gx:FlyTo>" +
+            "       <gx:duration>2</gx:duration>" +
+            "       <LookAt><longitude>10</longitude><latitude>10</latitude><range>1000</range></LookAt>" +
+            "   </gx:FlyTo>" +
+            "</gx:Playlist>" +
+            "</gx:Tour>" +
+            "</Document>" +
+            "</kml>";
+    };
+    var testCount = 0, kmlDocument, tour, worldWindow;
+
+    var placemarkVisibility = function () {
+        assertTrue(kmlDocument.kmlShapes[0] instanceof KmlPlacemark);
+        return kmlDocument.kmlShapes[0].kmlVisibility;
+    };
+
+    TestCase("KmlTourPlayer", {
+        setUp: function () {
+            var kmlRepresentation = new XmlDocument(kmlContainingTour(testCount++)).dom();
+            kmlDocument = new KmlDocument({objectNode: kmlRepresentation.getElementsByTagName("Document")[0]});
+            tour = kmlDocument.kmlShapes[1];
+            worldWindow = {
+                globe: new Globe(new ZeroElevationModel()),
+                navigator: {lookAtLocation: new Location(0, 0), range: 1000, heading: 0, tilt: 0, roll: 0},
+                redraw: function () {
+                }
+            };
+        },
+
+        testParsing: CatchTest(function () {
+            var primitives = tour.kmlPlaylist.kmlTourPrimitives;
+
+            assertEquals(5, primitives.length);
+            assertTrue(primitives[0] instanceof KmlFlyTo);
+            assertEquals(4, primitives[0].kmlDuration);
+            assertEquals("smooth", primitives[0].kmlFlyToMode);
+            assertTrue(primitives[0].kmlAbstractView instanceof KmlLookAt);
+            assertTrue(primitives[1] instanceof KmlAnimatedUpdate);
+            assertTrue(primitives[2] instanceof KmlWait);
+            assertTrue(primitives[3] instanceof KmlTourControl);
+            assertEquals("pause", primitives[3].kmlPlayMode);
+        }),
+
+        testSeek: CatchTest(function () {
+            var player = new KmlTourPlayer(worldWindow, tour),
+                times = [];
+
+            player.addPlaybackListener(function (player, event) {
+                times.push(player.currentTime);
+            });
+
+            assertEquals(8, player.duration);
+
+            player.seek(2);
+            assertEquals(5, Math.round(worldWindow.navigator.lookAtLocation.longitude * 1e6) / 1e6);
+            assertEquals(45, Math.round(worldWindow.navigator.heading * 1e6) / 1e6);
+
+            player.seek(7);
+            assertEquals(5, Math.round(worldWindow.navigator.lookAtLocation.latitude * 1e6) / 1e6);
+
+            player.seek(100);
+            assertEquals(10, Math.round(worldWindow.navigator.lookAtLocation.latitude * 1e6) / 1e6);
+            assertEquals([2, 7, 8], times);
+        }),
+
+        testAnimatedUpdate: CatchTest(function () {
+            var player = new KmlTourPlayer(worldWindow, tour);
+
+            assertFalse(placemarkVisibility());
+
+            player.seek(5);
+            assertTrue(placemarkVisibility());
+
+            player.seek(1);
+            assertFalse(placemarkVisibility());
+        }),
+
+        testPauseAtTourControl: CatchTest(function () {
+            var player = new KmlTourPlayer(worldWindow, tour),
+                events = [];
+
+            player.addPlaybackListener(function (player, event) {
+                events.push(event);
+            });
+            player.scheduleTick = function () {
+            };
+
+            player.play();
+            player.lastTickTime -= 10000;
+            player.tick();
+
+            assertEquals(["play", "time", "pause"], events);
+            assertEquals(6, player.currentTime);
+            assertFalse(player.isPlaying);
+        }),
+
+        testSoundCues: CatchTest(function () {
+            var player = new KmlTourPlayer(worldWindow, tour),
+                originalAudio = window.Audio,
+                sounds = [];
+
+            window.Audio = function (href) {
+                this.src = href;
+                this.ended = false;
+                this.plays = 0;
+                sounds.push(this);
+            };
+            window.Audio.prototype.play = function () {
+                this.plays++;
+                return {
+                    catch: function () {
+                    }
+                };
+            };
+            window.Audio.prototype.pause = function () {
+            };
+
+            try {
+                player._timeline.soundCues = [
+                    {primitive: {kmlHref: "start.mp3"}, start: 0},
+                    {primitive: {kmlHref: "later.mp3"}, start: 3, soundDuration: 2}
+                ];
+                player.scheduleTick = function () {
+                };
+
+                // The cue at the start of the tour plays.
+                player.play();
+                player.tick();
+                assertEquals(["start.mp3"], sounds.map(function (sound) {
+                    return sound.src;
+                }));
+
+                // Seeking into the later cue's sound starts it at the corresponding offset.
+                player.pause();
+                player.seek(4);
+                player.play();
+                player.tick();
+                assertEquals("later.mp3", sounds[2].src);
+                assertEquals(1, Math.round(sounds[2].currentTime));
+
+                // Only the sounds still playing resume after a pause.
+                sounds[1].ended = true;
+                player.pause();
+                player.play();
+                assertEquals(1, sounds[1].plays);
+                assertEquals(2, sounds[2].plays);
+
+                // Sounds that ended before the current time don't start again.
+                player.pause();
+                player.seek(5.5);
+                player.play();
+                player.tick();
+                assertEquals(4, sounds.length);
+                assertEquals("start.mp3", sounds[3].src);
+            } finally {
+                window.Audio = originalAudio;
+            }
+        }),
+
+        testMissingTour: CatchTest(function () {
+            try {
+                new KmlTourPlayer(worldWindow, null);
+                fail("Expected an ArgumentError.");
+            } catch (e) {
+                assertEquals("ArgumentError", e.name);
+            }
+        })
+    });
+});
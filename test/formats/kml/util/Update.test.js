@@ -0,0 +1,56 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/formats/kml/util/Update',
+    'src/util/XmlDocument'
+], function (CatchTest,
+             Update,
+             XmlDocument) {
+    "use strict";
+    var kmlWithUpdates = function (id) {
+        return "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\"><Document>" +
+            "<Placemark id=\"placemark" + id + "\"><name>Original</name><visibility>0</visibility></Placemark>" +
+            "<Update><Change><Placemark targetId=\"placemark" + id + "\"><name>First</name></Placemark></Change>" +
+            "<Change><Placemark targetId=\"placemark" + id + "\"><visibility>1</visibility></Placemark></Change>" +
+            "</Update>" +
+            "<Update><Change><Placemark targetId=\"placemark" + id + "\"><name>Second</name></Placemark></Change>" +
+            "</Update>" +
+            "</Document></kml>";
+    };
+
+    var childText = function (node, name) {
+        return node.getElementsByTagName(name)[0].textContent;
+    };
+
+    TestCase("UpdateTest", {
+        testRevertChangesOfSameTarget: CatchTest(function () {
+            var document = new XmlDocument(kmlWithUpdates("UpdateSameTarget")).dom(),
+                placemark = document.getElementsByTagName("Placemark")[0],
+                updateNodes = document.getElementsByTagName("Update"),
+                first = new Update({objectNode: updateNodes[0]}),
+                second = new Update({objectNode: updateNodes[1]});
+
+            var revertFirst = first.apply();
+            assertEquals("First", childText(placemark, "name"));
+            assertEquals("1", childText(placemark, "visibility"));
+
+            var revertSecond = second.apply();
+            assertEquals("Second", childText(placemark, "name"));
+
+            revertSecond();
+            assertEquals("First", childText(placemark, "name"));
+            assertEquals("1", childText(placemark, "visibility"));
+
+            revertFirst();
+            assertEquals("Original", childText(placemark, "name"));
+            assertEquals("0", childText(placemark, "visibility"));
+            assertEquals(placemark, document.getElementsByTagName("Placemark")[0]);
+        })
+    });
+});
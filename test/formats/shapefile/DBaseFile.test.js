@@ -0,0 +1,111 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/util/ByteBuffer',
+    'src/formats/shapefile/DBaseFile',
+    'test/formats/shapefile/ShapefileTestData'
+], function (CatchTest,
+             ByteBuffer,
+             DBaseFile,
+             ShapefileTestData) {
+    "use strict";
+
+    // "Zürich" encoded in ISO-8859-1 and in UTF-8.
+    var LATIN1_NAME = [0x5A, 0xFC, 0x72, 0x69, 0x63, 0x68],
+        UTF8_NAME = [0x5A, 0xC3, 0xBC, 0x72, 0x69, 0x63, 0x68];
+
+    // Creates a dBase file as if it was loaded, with a single record of the specified fields and values.
+    var createLoadedFile = function (fields, values, encoding) {
+        var dbaseFile = new DBaseFile("test.dbf");
+
+        dbaseFile.encoding = encoding || null;
+        dbaseFile._buffer = new ByteBuffer(ShapefileTestData.createDBaseFile(fields, [values]));
+        dbaseFile.parse();
+
+        return dbaseFile;
+    };
+
+    TestCase("DBaseFileTest", {
+        testEncodingForCodePage: CatchTest(function () {
+            assertEquals("utf-8", DBaseFile.encodingForCodePage("UTF-8\r\n"));
+            assertEquals("utf-8", DBaseFile.encodingForCodePage("65001"));
+            assertEquals("iso-8859-1", DBaseFile.encodingForCodePage("88591"));
+            assertEquals("iso-8859-15", DBaseFile.encodingForCodePage("ISO 8859-15"));
+            assertEquals("windows-1252", DBaseFile.encodingForCodePage("ANSI 1252"));
+            assertEquals("windows-1251", DBaseFile.encodingForCodePage("1251"));
+            assertEquals("ibm866", DBaseFile.encodingForCodePage("CP866"));
+            assertEquals("big5", DBaseFile.encodingForCodePage("Big5"));
+            assertNull(DBaseFile.encodingForCodePage(" "));
+        }),
+
+        testEncoding: CatchTest(function () {
+            var fields = [{name: "NAME", type: "C", length: 10}];
+
+            assertEquals("Zürich", createLoadedFile(fields, [LATIN1_NAME]).nextRecord().values.NAME);
+            assertEquals("Zürich", createLoadedFile(fields, [UTF8_NAME], "utf-8").nextRecord().values.NAME);
+
+            // The encoding specified overrides the code page file's.
+            var dbaseFile = new DBaseFile("test.dbf");
+            dbaseFile._codePageEncoding = "utf-8";
+            assertEquals("utf-8", dbaseFile.getEncoding());
+            dbaseFile.encoding = "iso-8859-1";
+            assertEquals("iso-8859-1", dbaseFile.getEncoding());
+        }),
+
+        testUnsupportedEncoding: CatchTest(function () {
+            var fields = [{name: "NAME", type: "C", length: 10}];
+
+            assertEquals("Zürich", createLoadedFile(fields, [LATIN1_NAME], "x-unsupported").nextRecord().values.NAME);
+        }),
+
+        testTypedValues: CatchTest(function () {
+            var fields = [
+                    {name: "COUNT", type: "N", length: 5},
+                    {name: "RATIO", type: "F", length: 6},
+                    {name: "BLANK", type: "N", length: 5},
+                    {name: "OVERFLOW", type: "N", length: 3},
+                    {name: "FLAG", type: "L", length: 1},
+                    {name: "UNKNOWN", type: "L", length: 1},
+                    {name: "DAY", type: "D", length: 8},
+                    {name: "BAD_DAY", type: "D", length: 8},
+                    {name: "ID", type: "I", length: 4},
+                    {name: "VALUE", type: "O", length: 8},
+                    {name: "STAMP", type: "T", length: 8},
+                    {name: "NOTES", type: "M", length: 10}
+                ],
+                values = createLoadedFile(fields, [
+                    "  -42", "0.125", "", "***", "n", "?", "20150403", "20150230",
+                    function (view, offset) {
+                        view.setInt32(offset, 123456, true);
+                    },
+                    function (view, offset) {
+                        view.setFloat64(offset, 1.5, true);
+                    },
+                    function (view, offset) {
+                        // April 3, 2015, 12:00 UTC.
+                        view.setInt32(offset, 2457116, true);
+                        view.setInt32(offset + 4, 43200000, true);
+                    },
+                    "         1"
+                ]).nextRecord().values;
+
+            assertEquals(-42, values.COUNT);
+            assertEquals(0.125, values.RATIO);
+            assertNull(values.BLANK);
+            assertNull(values.OVERFLOW);
+            assertFalse(values.FLAG);
+            assertNull(values.UNKNOWN);
+            assertEquals(Date.UTC(2015, 3, 3), values.DAY.getTime());
+            assertNull(values.BAD_DAY);
+            assertEquals(123456, values.ID);
+            assertEquals(1.5, values.VALUE);
+            assertEquals(Date.UTC(2015, 3, 3, 12), values.STAMP.getTime());
+            assertNull(values.NOTES);
+        })
+    });
+});
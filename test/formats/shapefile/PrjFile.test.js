@@ -0,0 +1,76 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/formats/shapefile/PrjFile',
+    'test/formats/shapefile/ShapefileTestData'
+], function (CatchTest,
+             PrjFile,
+             ShapefileTestData) {
+    "use strict";
+
+    var GEOGRAPHIC_WKT = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+            'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]',
+        UNRECOGNIZED_WKT = 'PROJCS["Local_Grid",GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",' +
+            'SPHEROID["WGS_1984",6378137.0,298.257223563]]],PROJECTION["Unsupported_Projection"],UNIT["Meter",1.0]]',
+        UTM_ZONE_33N_DEFINITION = "+proj=utm +zone=33 +datum=WGS84 +units=m +no_defs";
+
+    TestCase("PrjFileTest", {
+        testGeographicCoordinateSystem: CatchTest(function () {
+            var prjFile = new PrjFile("test.prj");
+            prjFile.parse(GEOGRAPHIC_WKT);
+
+            assertTrue(prjFile.isGeographicCoordinateSystem());
+            assertFalse(prjFile.isProjectedCoordinateSystem());
+            assertEquals(PrjFile.COORDINATE_SYSTEM_GEOGRAPHIC, prjFile.coordinateSystem);
+            assertNull(prjFile.projection);
+        }),
+
+        testUtmCoordinateSystem: CatchTest(function () {
+            var prjFile = new PrjFile("test.prj");
+            prjFile.parse(ShapefileTestData.UTM_ZONE_33N_WKT);
+
+            assertTrue(prjFile.isProjectedCoordinateSystem());
+            assertEquals(PrjFile.PROJECTION_UTM, prjFile.params[PrjFile.PROJECTION_NAME]);
+            assertEquals(33, prjFile.params[PrjFile.PROJECTION_ZONE]);
+            assertEquals(PrjFile.PROJECTION_HEMISPHERE_NORTH, prjFile.params[PrjFile.PROJECTION_HEMISPHERE]);
+            assertEquals(ShapefileTestData.UTM_ZONE_33N_WKT, prjFile.text);
+
+            var location = prjFile.projection.forward([500000, 5538630.703]);
+            assertEqualsDelta(15, location[0], 1e-9);
+            assertEqualsDelta(50, location[1], 1e-6);
+        }),
+
+        testUnrecognizedCoordinateSystem: CatchTest(function () {
+            var prjFile = new PrjFile("test.prj");
+            prjFile.parse(UNRECOGNIZED_WKT);
+
+            assertTrue(prjFile.isProjectedCoordinateSystem());
+            assertEquals(PrjFile.PROJECTION_UNKNOWN, prjFile.params[PrjFile.PROJECTION_NAME]);
+            assertNull(prjFile.projection);
+        }),
+
+        testDefinitionCallback: CatchTest(function () {
+            var prjFile = new PrjFile("test.prj"),
+                wkt = null;
+
+            prjFile.definitionCallback = function (text) {
+                wkt = text;
+                return UTM_ZONE_33N_DEFINITION;
+            };
+            prjFile.parse(UNRECOGNIZED_WKT);
+
+            assertEquals(UNRECOGNIZED_WKT, wkt);
+            assertEqualsDelta(15, prjFile.projection.forward([500000, 0])[0], 1e-9);
+
+            // A coordinate system given a definition is projected even if its text is not well-known text.
+            prjFile.parse("Local grid");
+            assertTrue(prjFile.isProjectedCoordinateSystem());
+            assertNotNull(prjFile.projection);
+        })
+    });
+});
@@ -0,0 +1,47 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/formats/shapefile/QixFile',
+    'src/geom/Sector',
+    'test/formats/shapefile/ShapefileTestData'
+], function (CatchTest,
+             QixFile,
+             Sector,
+             ShapefileTestData) {
+    "use strict";
+    TestCase("QixFileTest", {
+        testParse: CatchTest(function () {
+            var indexFile = new QixFile("test.qix");
+
+            assertFalse(indexFile.isLoaded);
+            indexFile.parse(ShapefileTestData.createIndexFile());
+
+            assertTrue(indexFile.isLoaded);
+            assertEquals(3, indexFile.numberOfShapes);
+        }),
+
+        testSearch: CatchTest(function () {
+            var indexFile = new QixFile("test.qix");
+            indexFile.parse(ShapefileTestData.createIndexFile());
+
+            assertEquals([0, 2], indexFile.search(new Sector(-90, 90, -180, 180)));
+            assertEquals([2], indexFile.search(new Sector(25, 30, 25, 30)));
+            assertEquals([0], indexFile.search(new Sector(5, 6, 5, 6)));
+            assertEquals([], indexFile.search(new Sector(12, 18, 12, 18)));
+        }),
+
+        testInvalidFile: CatchTest(function () {
+            try {
+                new QixFile("test.qix").parse(new ArrayBuffer(16));
+                fail("Expected an Error");
+            } catch (e) {
+                assertEquals("The file is not a quadtree spatial index", e.message);
+            }
+        })
+    });
+});
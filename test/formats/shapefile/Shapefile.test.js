@@ -0,0 +1,148 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/WorldWind',
+    'src/util/ByteBuffer',
+    'src/layer/RenderableLayer',
+    'src/geom/Sector',
+    'src/formats/shapefile/Shapefile',
+    'src/util/proj4-src',
+    'test/formats/shapefile/ShapefileTestData'
+], function (CatchTest,
+             WorldWind,
+             ByteBuffer,
+             RenderableLayer,
+             Sector,
+             Shapefile,
+             Proj4,
+             ShapefileTestData) {
+    "use strict";
+
+    // Converts the points of the test shapefile to UTM zone 33 north coordinates of the points 10 times closer
+    // to 10 degrees longitude, 40 degrees latitude.
+    var toUtm = function (point) {
+        return Proj4(ShapefileTestData.UTM_ZONE_33N_WKT).forward([10 + point[0] / 10, 40 + point[1] / 10]);
+    };
+
+    // Creates a shapefile as if it was loaded, with its attribute file and optionally its index file. If
+    // projected, the shapefile's coordinates are in UTM zone 33 north.
+    var createLoadedShapefile = function (hasIndexFile, isProjected) {
+        var shapefile = new Shapefile("test.shp");
+
+        if (isProjected) {
+            shapefile.projectionFile.parse(ShapefileTestData.UTM_ZONE_33N_WKT);
+        }
+
+        if (hasIndexFile) {
+            shapefile.indexFile.parse(ShapefileTestData.createIndexFile());
+        }
+
+        shapefile.attributeFile._buffer = new ByteBuffer(ShapefileTestData.createAttributeFile());
+        shapefile.attributeFile.parse();
+        shapefile._buffer = new ByteBuffer(ShapefileTestData.createShapefile(isProjected ? toUtm : null));
+        shapefile.parse();
+
+        return shapefile;
+    };
+
+    var recordNumbers = function (records) {
+        return records.map(function (record) {
+            return record.recordNumber;
+        });
+    };
+
+    TestCase("ShapefileTest", {
+        testRecordsIntersecting: CatchTest(function () {
+            var shapefile = createLoadedShapefile(false);
+
+            assertEquals([1, 3], recordNumbers(shapefile.recordsIntersecting(new Sector(-90, 90, -180, 180))));
+            assertEquals([3], recordNumbers(shapefile.recordsIntersecting(new Sector(25, 30, 25, 30))));
+            assertEquals([], shapefile.recordsIntersecting(new Sector(12, 18, 12, 18)));
+
+            var record = shapefile.recordsIntersecting(new Sector(5, 6, 5, 6))[0];
+            assertEquals("First", record.attributes.values.NAME);
+            assertEquals([0, 0, 10, 10], Array.prototype.slice.call(record.pointBuffer(0)));
+        }),
+
+        testRecordsIntersectingWithIndexFile: CatchTest(function () {
+            var shapefile = createLoadedShapefile(true);
+
+            assertNull(shapefile._spatialIndex);
+            assertEquals([1, 3], recordNumbers(shapefile.recordsIntersecting(new Sector(-90, 90, -180, 180))));
+            assertEquals([3], recordNumbers(shapefile.recordsIntersecting(new Sector(45, 50, 45, 50))));
+            // The index file finds the third record, which is then excluded by its bounding rectangle.
+            assertEquals([2], shapefile.indexFile.search(new Sector(55, 58, 55, 58)));
+            assertEquals([], shapefile.recordsIntersecting(new Sector(55, 58, 55, 58)));
+        }),
+
+        testRecordsMatching: CatchTest(function () {
+            var shapefile = createLoadedShapefile(false),
+                records = shapefile.recordsMatching(function (attributes) {
+                    return attributes.values.POP < 250;
+                });
+
+            // The second record is a null record.
+            assertEquals([1], recordNumbers(records));
+            assertEquals("Third", shapefile.recordsMatching(function (attributes) {
+                return attributes.values.NAME === "Third";
+            })[0].attributes.values.NAME);
+        }),
+
+        testQueriesKeepSequence: CatchTest(function () {
+            var shapefile = createLoadedShapefile(false);
+
+            assertEquals(1, shapefile.next().recordNumber);
+
+            var position = shapefile._buffer.position,
+                attributePosition = shapefile.attributeFile._buffer.position;
+
+            shapefile.recordsIntersecting(new Sector(-90, 90, -180, 180));
+            shapefile.recordsMatching(function () {
+                return true;
+            });
+
+            assertEquals(position, shapefile._buffer.position);
+            assertEquals(attributePosition, shapefile.attributeFile._buffer.position);
+        }),
+
+        testAddRenderablesForSector: CatchTest(function () {
+            var shapefile = createLoadedShapefile(false),
+                layer = new RenderableLayer();
+
+            assertEquals(1, shapefile.addRenderablesForSector(layer, new Sector(0, 5, 0, 5)).length);
+            assertEquals(1, layer.renderables.length);
+
+            // The first record's shape was already created.
+            assertEquals([3], recordNumbers(shapefile.addRenderablesForSector(layer, new Sector(0, 30, 0, 30))));
+            assertEquals(3, layer.renderables.length);
+        }),
+
+        testProjectedShapefile: CatchTest(function () {
+            var shapefile = createLoadedShapefile(true, true),
+                expected = [10, 40, 11, 41];
+
+            // The index file's bounds are projected coordinates, so a spatial index is built instead.
+            assertNotNull(shapefile._spatialIndex);
+
+            var header = shapefile.readHeader(new ByteBuffer(ShapefileTestData.createShapefile(toUtm)));
+            assertEqualsDelta(40, header.boundingRectangle[0], 1e-6);
+            assertEqualsDelta(15, header.boundingRectangle[3], 1e-6);
+
+            var record = shapefile.recordsIntersecting(new Sector(40.5, 40.6, 10.5, 10.6))[0],
+                points = record.pointBuffer(0);
+
+            assertEquals(1, record.recordNumber);
+            for (var i = 0; i < expected.length; i++) {
+                assertEqualsDelta(expected[i], points[i], 1e-6);
+            }
+
+            assertEqualsDelta(42, shapefile.recordAt(2).boundingRectangle[0], 1e-6);
+            assertEquals([3], recordNumbers(shapefile.recordsIntersecting(new Sector(44, 46, 14, 16))));
+        })
+    });
+});
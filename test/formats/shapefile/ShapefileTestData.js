@@ -0,0 +1,197 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+define([], function () {
+    "use strict";
+
+    // The well-known text of the WGS84 UTM zone 33 north coordinate system, as written by ESRI software.
+    var UTM_ZONE_33N_WKT = 'PROJCS["WGS_1984_UTM_Zone_33N",GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",' +
+        'SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],' +
+        'PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",500000.0],PARAMETER["False_Northing",0.0],' +
+        'PARAMETER["Central_Meridian",15.0],PARAMETER["Scale_Factor",0.9996],PARAMETER["Latitude_Of_Origin",0.0],' +
+        'UNIT["Meter",1.0]]';
+
+    // Writes a polyline record of the specified parts, each a list of [x, y] points, or a null record if no parts
+    // are specified. Returns the offset following the record.
+    var writeRecord = function (view, offset, recordNumber, parts) {
+        var points = parts ? [].concat.apply([], parts) : [],
+            contentLength = parts ? 44 + parts.length * 4 + points.length * 16 : 4;
+
+        view.setInt32(offset, recordNumber, false);
+        view.setInt32(offset + 4, contentLength / 2, false);
+        view.setInt32(offset + 8, parts ? 3 : 0, true);
+
+        if (parts) {
+            var xs = points.map(function (point) {
+                    return point[0];
+                }),
+                ys = points.map(function (point) {
+                    return point[1];
+                });
+
+            [Math.min.apply(null, xs), Math.min.apply(null, ys), Math.max.apply(null, xs), Math.max.apply(null, ys)]
+                .forEach(function (value, index) {
+                    view.setFloat64(offset + 12 + index * 8, value, true);
+                });
+            view.setInt32(offset + 44, parts.length, true);
+            view.setInt32(offset + 48, points.length, true);
+
+            var partStart = 0;
+            parts.forEach(function (part, index) {
+                view.setInt32(offset + 52 + index * 4, partStart, true);
+                partStart += part.length;
+            });
+
+            var pointOffset = offset + 52 + parts.length * 4;
+            points.forEach(function (point, index) {
+                view.setFloat64(pointOffset + index * 16, point[0], true);
+                view.setFloat64(pointOffset + index * 16 + 8, point[1], true);
+            });
+        }
+
+        return offset + 8 + contentLength;
+    };
+
+    // Creates a polyline shapefile of a one part record, a null record and a two part record. The points are
+    // converted by the optional transform function, e.g., to create a shapefile in a projected coordinate system.
+    var createShapefile = function (transform) {
+        var buffer = new ArrayBuffer(324),
+            view = new DataView(buffer),
+            part = function (points) {
+                return transform ? points.map(transform) : points;
+            };
+
+        view.setInt32(0, 9994, false);
+        view.setInt32(24, 324 / 2, false);
+        view.setInt32(28, 1000, true);
+        view.setInt32(32, 3, true);
+        [].concat.apply([], part([[0, 0], [50, 50]])).forEach(function (value, index) {
+            view.setFloat64(36 + index * 8, value, true);
+        });
+
+        var offset = writeRecord(view, 100, 1, [part([[0, 0], [10, 10]])]);
+        offset = writeRecord(view, offset, 2, null);
+        writeRecord(view, offset, 3, [part([[20, 20], [30, 30]]), part([[40, 40], [50, 50]])]);
+
+        return buffer;
+    };
+
+    // Creates the attribute file of the shapefile, with a 10 character NAME field and a 5 digit POP field.
+    var createAttributeFile = function () {
+        var buffer = new ArrayBuffer(145),
+            view = new DataView(buffer),
+            bytes = new Uint8Array(buffer),
+            writeString = function (offset, string) {
+                for (var i = 0; i < string.length; i++) {
+                    bytes[offset + i] = string.charCodeAt(i);
+                }
+            };
+
+        bytes[0] = 3;
+        view.setInt32(4, 3, true);
+        view.setInt16(8, 97, true);
+        view.setInt16(10, 16, true);
+
+        writeString(32, "NAME");
+        writeString(43, "C");
+        bytes[48] = 10;
+        writeString(64, "POP");
+        writeString(75, "N");
+        bytes[80] = 5;
+        bytes[96] = 0x0D;
+
+        writeString(97, " First       100");
+        writeString(113, " Second      200");
+        writeString(129, " Third       300");
+
+        return buffer;
+    };
+
+    // Creates an attribute file of the specified fields, each an object with a name, a type and a length, and
+    // records, each an array of field values. A value is either a string, written as ISO-8859-1 and padded with
+    // spaces, an array of bytes, or a function writing the value given a DataView and the value's offset.
+    var createDBaseFile = function (fields, records) {
+        var headerLength = 32 + fields.length * 32 + 1,
+            recordLength = fields.reduce(function (length, field) {
+                return length + field.length;
+            }, 1),
+            buffer = new ArrayBuffer(headerLength + records.length * recordLength),
+            view = new DataView(buffer),
+            bytes = new Uint8Array(buffer);
+
+        bytes[0] = 3;
+        view.setInt32(4, records.length, true);
+        view.setInt16(8, headerLength, true);
+        view.setInt16(10, recordLength, true);
+
+        fields.forEach(function (field, index) {
+            var offset = 32 + index * 32;
+            for (var i = 0; i < field.name.length; i++) {
+                bytes[offset + i] = field.name.charCodeAt(i);
+            }
+            bytes[offset + 11] = field.type.charCodeAt(0);
+            bytes[offset + 16] = field.length;
+        });
+        bytes[headerLength - 1] = 0x0D;
+
+        records.forEach(function (values, recordIndex) {
+            var offset = headerLength + recordIndex * recordLength;
+
+            bytes[offset++] = 0x20;
+            values.forEach(function (value, index) {
+                if (typeof value === "function") {
+                    value(view, offset);
+                } else {
+                    for (var i = 0; i < fields[index].length; i++) {
+                        bytes[offset + i] = i >= value.length ? 0x20 :
+                            typeof value === "string" ? value.charCodeAt(i) : value[i];
+                    }
+                }
+                offset += fields[index].length;
+            });
+        });
+
+        return buffer;
+    };
+
+    // Creates the quadtree index file of the shapefile: a root node holding no shape, whose two children hold the
+    // first and the third record. The second child extends beyond the third record, up to 60 degrees.
+    var createIndexFile = function () {
+        var buffer = new ArrayBuffer(156),
+            view = new DataView(buffer),
+            writeNode = function (offset, childrenLength, bounds, shapes, numberOfChildren) {
+                view.setInt32(offset, childrenLength, true);
+                bounds.forEach(function (value, index) {
+                    view.setFloat64(offset + 4 + index * 8, value, true);
+                });
+                view.setInt32(offset + 36, shapes.length, true);
+                shapes.forEach(function (shape, index) {
+                    view.setInt32(offset + 40 + index * 4, shape, true);
+                });
+                view.setInt32(offset + 40 + shapes.length * 4, numberOfChildren, true);
+
+                return offset + 44 + shapes.length * 4;
+            };
+
+        [83, 81, 84, 1, 1].forEach(function (value, index) {
+            view.setUint8(index, value);
+        });
+        view.setInt32(8, 3, true);
+        view.setInt32(12, 2, true);
+
+        var offset = writeNode(16, 96, [0, 0, 60, 60], [], 2);
+        offset = writeNode(offset, 0, [0, 0, 10, 10], [0], 0);
+        writeNode(offset, 0, [20, 20, 60, 60], [2], 0);
+
+        return buffer;
+    };
+
+    return {
+        UTM_ZONE_33N_WKT: UTM_ZONE_33N_WKT,
+        createShapefile: createShapefile,
+        createAttributeFile: createAttributeFile,
+        createIndexFile: createIndexFile,
+        createDBaseFile: createDBaseFile
+    };
+});
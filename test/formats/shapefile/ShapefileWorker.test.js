@@ -0,0 +1,200 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/WorldWind',
+    'src/layer/RenderableLayer',
+    'src/geom/Sector',
+    'src/formats/shapefile/Shapefile',
+    'src/formats/shapefile/ShapefileRecordParser',
+    'src/formats/shapefile/ShapefileWorker',
+    'src/util/proj4-src',
+    'test/formats/shapefile/ShapefileTestData'
+], function (CatchTest,
+             WorldWind,
+             RenderableLayer,
+             Sector,
+             Shapefile,
+             ShapefileRecordParser,
+             ShapefileWorker,
+             Proj4,
+             ShapefileTestData) {
+    "use strict";
+    var createShapefile = ShapefileTestData.createShapefile,
+        createAttributeFile = ShapefileTestData.createAttributeFile;
+
+    TestCase("ShapefileWorkerTest", {
+        testReadRecords: CatchTest(function () {
+            var reader = ShapefileWorker.createReader(createShapefile(), createAttributeFile(), null),
+                records = reader.nextRecords(10);
+
+            assertEquals(3, reader.header.shapeType);
+            assertEquals([0, 50, 0, 50], reader.header.boundingRectangle);
+            assertEquals(3, reader.header.numberOfRecords);
+            assertFalse(reader.hasNext());
+
+            assertEquals(2, records.length);
+            assertEquals(1, records[0].recordNumber);
+            assertEquals([0, 0, 10, 10], Array.prototype.slice.call(records[0].parts[0]));
+            assertEquals({NAME: "First", POP: 100}, records[0].attributes.values);
+
+            assertEquals(3, records[1].recordNumber);
+            assertEquals(2, records[1].parts.length);
+            assertEquals(4, records[1].numberOfPoints);
+            assertEquals([20, 50, 20, 50], records[1].boundingRectangle);
+            assertEquals([40, 40, 50, 50], Array.prototype.slice.call(records[1].parts[1]));
+            assertEquals({NAME: "Third", POP: 300}, records[1].attributes.values);
+        }),
+
+        testReadBatches: CatchTest(function () {
+            var reader = ShapefileWorker.createReader(createShapefile(), null, null);
+
+            assertEquals(1, reader.nextRecords(1).length);
+            assertEquals(188, reader.position());
+            assertEquals(0, reader.nextRecords(1).length);
+            assertEquals({}, reader.nextRecords(1)[0].attributes.values);
+            assertEquals(324, reader.position());
+            assertFalse(reader.hasNext());
+        }),
+
+        testSectorFilter: CatchTest(function () {
+            var reader = ShapefileWorker.createReader(createShapefile(), null, new Sector(35, 60, 35, 60)),
+                records = reader.nextRecords(10);
+
+            assertEquals(1, records.length);
+            assertEquals(3, records[0].recordNumber);
+        }),
+
+        testTypedValuesAndEncoding: CatchTest(function () {
+            var fields = [{name: "NAME", type: "C", length: 10}, {name: "DAY", type: "D", length: 8},
+                    {name: "ID", type: "I", length: 4}, {name: "POP", type: "N", length: 5}],
+                id = function (view, offset) {
+                    view.setInt32(offset, 7, true);
+                },
+                dbf = ShapefileTestData.createDBaseFile(fields, [
+                    [[0x5A, 0xC3, 0xBC, 0x72, 0x69, 0x63, 0x68], "20150403", id, ""],
+                    ["Second", "", id, "2"],
+                    ["Third", "2015", id, "***"]
+                ]),
+                records = ShapefileWorker.createReader(createShapefile(), dbf, null, false, "utf-8").nextRecords(10);
+
+            assertEquals("Zürich", records[0].attributes.values.NAME);
+            assertEquals(Date.UTC(2015, 3, 3), records[0].attributes.values.DAY.getTime());
+            assertEquals(7, records[0].attributes.values.ID);
+            assertNull(records[0].attributes.values.POP);
+            assertNull(records[1].attributes.values.DAY);
+            assertNull(records[1].attributes.values.POP);
+        }),
+
+        testNormalizedPoint: CatchTest(function () {
+            var view = new DataView(new ArrayBuffer(16));
+            view.setFloat64(0, 190, true);
+            view.setFloat64(8, 95, true);
+
+            var geographic = ShapefileRecordParser.readShapeContents(view, 0, 16, 1, false),
+                projected = ShapefileRecordParser.readShapeContents(view, 0, 16, 1, true);
+
+            assertEquals([-170, 85], Array.prototype.slice.call(geographic.parts[0]));
+            assertEquals([85, 85, -170, -170], geographic.boundingRectangle);
+            assertEquals([190, 95], Array.prototype.slice.call(projected.parts[0]));
+        }),
+
+        testInvalidShapefile: CatchTest(function () {
+            try {
+                ShapefileWorker.createReader(new ArrayBuffer(100), null, null);
+                fail("Expected an Error");
+            } catch (e) {
+                assertEquals("Shapefile header is invalid", e.message);
+            }
+        })
+    });
+
+    TestCase("ShapefileStreamTest", {
+        testReadIncrementally: CatchTest(function () {
+            var shapefile = new Shapefile("test.shp"),
+                layer = new RenderableLayer(),
+                progress = null;
+
+            shapefile._layer = layer;
+            shapefile.readIncrementally(createShapefile(), createAttributeFile(), {
+                useWorker: false,
+                attributeFilter: function (attributes, record) {
+                    return attributes.values.POP > 150;
+                },
+                progressCallback: function (fraction, numberOfRecords) {
+                    progress = [fraction, numberOfRecords];
+                }
+            });
+
+            assertEquals(Shapefile.POLYLINE, shapefile.shapeType);
+            assertEquals([1, 1], progress);
+            // The two parts of the third record are represented by one shape each.
+            assertEquals(2, layer.renderables.length);
+        }),
+
+        testTruncatedRecord: CatchTest(function () {
+            var shapefile = new Shapefile("test.shp"),
+                layer = new RenderableLayer(),
+                completed = null;
+
+            // The third record's header is kept but its points are cut off.
+            shapefile._layer = layer;
+            shapefile.readIncrementally(createShapefile().slice(0, 250), null, {
+                useWorker: false,
+                completionCallback: function (shapefile) {
+                    completed = shapefile;
+                }
+            });
+
+            assertSame(shapefile, completed);
+            assertEquals(0, layer.renderables.length);
+        }),
+
+        testRecordCallback: CatchTest(function () {
+            var shapefile = new Shapefile("test.shp"),
+                delivered = [];
+
+            shapefile._layer = new RenderableLayer();
+            shapefile.readIncrementally(createShapefile(), null, {
+                useWorker: false,
+                batchSize: 10,
+                recordCallback: function (records) {
+                    delivered = delivered.concat(records);
+                }
+            });
+
+            assertEquals(2, delivered.length);
+            assertEquals(3, delivered[1].recordNumber);
+            assertEquals(1, delivered[1].lastPartNumber);
+            assertTrue(delivered[1].isPolylineType());
+            assertEquals(0, shapefile.layer.renderables.length);
+        }),
+
+        testReadProjected: CatchTest(function () {
+            var shapefile = new Shapefile("test.shp"),
+                utm = Proj4(ShapefileTestData.UTM_ZONE_33N_WKT),
+                delivered = [];
+
+            shapefile.projectionFile.parse(ShapefileTestData.UTM_ZONE_33N_WKT);
+            shapefile.readIncrementally(createShapefile(function (point) {
+                return utm.forward([10 + point[0] / 10, 40 + point[1] / 10]);
+            }), null, {
+                useWorker: false,
+                sector: new Sector(44, 46, 14, 16),
+                recordCallback: function (records) {
+                    delivered = delivered.concat(records);
+                }
+            });
+
+            assertEquals(1, delivered.length);
+            assertEquals(3, delivered[0].recordNumber);
+            assertEqualsDelta(42, delivered[0].boundingRectangle[0], 1e-6);
+            assertEqualsDelta(14, delivered[0].pointBuffer(1)[0], 1e-6);
+            assertEqualsDelta(44, delivered[0].pointBuffer(1)[1], 1e-6);
+        })
+    });
+});
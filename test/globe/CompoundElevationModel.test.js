@@ -0,0 +1,122 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/globe/CompoundElevationModel',
+    'src/geom/Sector',
+    'src/globe/ZeroElevationModel'
+], function (
+    CatchTest,
+    CompoundElevationModel,
+    Sector,
+    ZeroElevationModel
+) {
+    "use strict";
+    // Creates an elevation model of constant elevation within a sector, achieving a specified resolution.
+    var createModel = function (sector, elevation, resolution) {
+        var model = new ZeroElevationModel();
+
+        model.coverageSector = sector;
+        model.minElevation = elevation;
+        model.maxElevation = elevation;
+        model.minAndMaxElevationsForSector = function (sector) {
+            return [elevation, elevation];
+        };
+        model.elevationAtLocation = function (latitude, longitude) {
+            return elevation;
+        };
+        model.elevationsForGrid = function (gridSector, numLat, numLon, targetResolution, result) {
+            var deltaLat = gridSector.deltaLatitude() / (numLat > 1 ? numLat - 1 : 1),
+                deltaLon = gridSector.deltaLongitude() / (numLon > 1 ? numLon - 1 : 1);
+
+            for (var i = 0, index = 0; i < numLat; i++) {
+                for (var j = 0; j < numLon; j++, index++) {
+                    if (sector.containsLocation(gridSector.minLatitude + i * deltaLat,
+                            gridSector.minLongitude + j * deltaLon)) {
+                        result[index] = elevation;
+                    }
+                }
+            }
+
+            return resolution;
+        };
+
+        return model;
+    };
+
+    var gridElevations = function (model) {
+        var result = [0, 0, 0];
+        model.elevationsForGrid(new Sector(0, 20, 5, 5), 3, 1, 0.01, result);
+        return result;
+    };
+
+    TestCase("CompoundElevationModelTest", {
+        testPriority: CatchTest(function () {
+            var base = createModel(Sector.FULL_SPHERE, 10, 0.01),
+                regional = createModel(new Sector(0, 10, 0, 10), 100, 0.01),
+                model = new CompoundElevationModel([base, regional]);
+
+            assertEquals([100, 100, 10], gridElevations(model));
+            assertEquals(100, model.elevationAtLocation(5, 5));
+            assertEquals(10, model.elevationAtLocation(50, 50));
+        }),
+
+        testBestResolution: CatchTest(function () {
+            var base = createModel(Sector.FULL_SPHERE, 10, 0.01),
+                coarse = createModel(new Sector(0, 10, 0, 10), 100, 0.1),
+                fine = createModel(new Sector(0, 10, 0, 10), 200, 0.001);
+
+            var model = new CompoundElevationModel([base, coarse]);
+            assertEquals([10, 10, 10], gridElevations(model));
+
+            model.addElevationModel(fine, -1);
+            assertSame(fine, model.elevationModels[0]);
+            assertSame(coarse, model.elevationModels[2]);
+            assertEquals([200, 200, 10], gridElevations(model));
+        }),
+
+        testOpacity: CatchTest(function () {
+            var base = createModel(Sector.FULL_SPHERE, 10, 0.01),
+                regional = createModel(new Sector(0, 10, 0, 10), 100, 0.01),
+                model = new CompoundElevationModel([base, regional]);
+
+            regional.opacity = 0.5;
+
+            assertEquals([55, 55, 10], gridElevations(model));
+            assertEquals(55, model.elevationAtLocation(5, 5));
+        }),
+
+        testMinAndMaxElevationsForSector: CatchTest(function () {
+            var base = createModel(Sector.FULL_SPHERE, 10, 0.01),
+                regional = createModel(new Sector(0, 10, 0, 10), 100, 0.01),
+                model = new CompoundElevationModel();
+
+            assertNull(model.minAndMaxElevationsForSector(new Sector(0, 20, 0, 20)));
+
+            model.addElevationModel(base);
+            model.addElevationModel(regional);
+
+            assertEquals([10, 100], model.minAndMaxElevationsForSector(new Sector(0, 20, 0, 20)));
+            assertEquals([10, 10], model.minAndMaxElevationsForSector(new Sector(30, 40, 0, 20)));
+            assertEquals(10, model.minElevation);
+            assertEquals(100, model.maxElevation);
+        }),
+
+        testRemoveElevationModel: CatchTest(function () {
+            var base = createModel(Sector.FULL_SPHERE, 10, 0.01),
+                regional = createModel(new Sector(0, 10, 0, 10), 100, 0.01),
+                model = new CompoundElevationModel([base, regional]);
+
+            model.removeElevationModel(regional);
+
+            assertEquals(1, model.elevationModels.length);
+            assertSame(base, model.elevationModels[0]);
+            assertEquals([10, 10, 10], gridElevations(model));
+            assertEquals(Sector.FULL_SPHERE.maxLatitude, model.coverageSector.maxLatitude);
+        })
+    });
+});
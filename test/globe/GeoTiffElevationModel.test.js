@@ -0,0 +1,116 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/globe/GeoTiffElevationModel',
+    'src/formats/geotiff/GeoTiffReader',
+    'src/geom/Sector',
+    'src/globe/ZeroElevationModel'
+], function (
+    CatchTest,
+    GeoTiffElevationModel,
+    GeoTiffReader,
+    Sector,
+    ZeroElevationModel
+) {
+    "use strict";
+    // A 4 x 2 geographic raster spanning 10 to 12 degrees longitude and 20 to 21 degrees latitude.
+    var createReader = function () {
+        var reader = new GeoTiffReader("dem.tif");
+
+        reader.metadata.imageWidth = 4;
+        reader.metadata.imageLength = 2;
+        reader.metadata.modelTiepoint = [0, 0, 0, 10, 21, 0];
+        reader.metadata.modelPixelScale = [0.5, 0.5, 0];
+        reader.metadata.bbox = new Sector(20, 21, 10, 12);
+        reader.metadata.noData = "-9999";
+
+        return reader;
+    };
+
+    var createModel = function (baseElevationModel) {
+        var model = new GeoTiffElevationModel([], baseElevationModel);
+        model.addRaster(createReader(), new Float32Array([
+            100, 200, 300, 400,
+            100, 200, -9999, 400
+        ]));
+
+        return model;
+    };
+
+    var createBase = function () {
+        var base = new ZeroElevationModel();
+        base.elevationAtLocation = function (latitude, longitude) {
+            return -5;
+        };
+
+        return base;
+    };
+
+    TestCase("GeoTiffElevationModelTest", {
+        testElevationAtLocation: CatchTest(function () {
+            var model = createModel(createBase());
+
+            assertEquals(100, model.elevationAtLocation(20.75, 10.25));
+            assertEquals(150, model.elevationAtLocation(20.75, 10.5));
+            assertEquals(-5, model.elevationAtLocation(50, 50));
+        }),
+
+        testNoData: CatchTest(function () {
+            var model = createModel(createBase());
+
+            // Surrounded by NODATA only, so the base elevation model provides the elevation.
+            assertEquals(-5, model.elevationAtLocation(20.25, 11.25));
+            // Halfway between an elevation and NODATA.
+            assertEquals(200, model.elevationAtLocation(20.25, 11));
+        }),
+
+        testUnsupportedProjection: CatchTest(function () {
+            var model = new GeoTiffElevationModel([], createBase()),
+                reader = createReader();
+
+            reader.metadata.projectedCSType = 2193;
+            model.addRaster(reader, new Float32Array([100, 200, 300, 400, 100, 200, 300, 400]));
+
+            assertEquals(0, model.rasters.length);
+            assertEquals(-5, model.elevationAtLocation(20.75, 10.25));
+        }),
+
+        testElevationsForGrid: CatchTest(function () {
+            var model = createModel(createBase()),
+                result = [0, 0, 0, 0, 0, 0];
+
+            model.elevationsForGrid(new Sector(20, 21, 10, 12), 2, 3, 0.001, result);
+
+            assertEquals([100, 200, 400, 100, 250, 400], result);
+        }),
+
+        testElevationsForGridOutsideRasters: CatchTest(function () {
+            var model = createModel(null),
+                result = [7, 7, 7, 7];
+
+            model.elevationsForGrid(new Sector(40, 41, 10, 12), 2, 2, 0.001, result);
+
+            assertEquals([7, 7, 7, 7], result);
+        }),
+
+        testMinAndMaxElevationsForSector: CatchTest(function () {
+            assertEquals([0, 400], createModel(createBase()).minAndMaxElevationsForSector(new Sector(20, 30, 5, 15)));
+            assertEquals([100, 400], createModel(null).minAndMaxElevationsForSector(new Sector(20, 30, 5, 15)));
+            assertNull(createModel(null).minAndMaxElevationsForSector(new Sector(40, 50, 5, 15)));
+        }),
+
+        testCoverageAndExtremes: CatchTest(function () {
+            var model = createModel(null);
+
+            assertEquals(100, model.minElevation);
+            assertEquals(400, model.maxElevation);
+            assertEquals(20, model.coverageSector.minLatitude);
+            assertEquals(12, model.coverageSector.maxLongitude);
+        })
+    });
+});
@@ -0,0 +1,276 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/WorldWind',
+    'src/layer/GeoTiffLayer',
+    'src/util/Color',
+    'src/util/ColorRamp',
+    'src/geom/Location',
+    'src/util/RasterSymbolizer',
+    'src/geom/Sector'
+], function (
+    CatchTest,
+    WorldWind,
+    GeoTiffLayer,
+    Color,
+    ColorRamp,
+    Location,
+    RasterSymbolizer,
+    Sector
+) {
+    "use strict";
+    // Writes an image file directory of [tag, type, count, value] entries. Types are 2 (ASCII), 3 (SHORT),
+    // 4 (LONG) and 12 (DOUBLE), and values not fitting in the entry are written at the offset given as the value.
+    var writeImageFileDirectory = function (view, offset, entries, nextOffset) {
+        view.setUint16(offset, entries.length, true);
+
+        for (var i = 0; i < entries.length; i++) {
+            var entryOffset = offset + 2 + i * 12;
+            view.setUint16(entryOffset, entries[i][0], true);
+            view.setUint16(entryOffset + 2, entries[i][1], true);
+            view.setUint32(entryOffset + 4, entries[i][2], true);
+            view.setUint32(entryOffset + 8, entries[i][3], true);
+        }
+
+        view.setUint32(offset + 2 + entries.length * 12, nextOffset, true);
+    };
+
+    // Creates a 4 x 4 pixel, 8 bit grayscale GeoTiff of 2 x 2 pixel tiles spanning 10 to 14 degrees latitude and
+    // longitude, followed by a 2 x 2 pixel overview held in one strip. Its NODATA value is 0.
+    var createGeoTiff = function () {
+        var buffer = new ArrayBuffer(436),
+            view = new DataView(buffer),
+            bytes = new Uint8Array(buffer),
+            i;
+
+        view.setUint16(0, 0x4949, true);
+        view.setUint16(2, 42, true);
+        view.setUint32(4, 8, true);
+
+        writeImageFileDirectory(view, 8, [
+            [256, 3, 1, 4], // image width
+            [257, 3, 1, 4], // image length
+            [258, 3, 1, 8], // bits per sample
+            [259, 3, 1, 1], // no compression
+            [262, 3, 1, 1], // black is zero
+            [277, 3, 1, 1], // samples per pixel
+            [322, 3, 1, 2], // tile width
+            [323, 3, 1, 2], // tile length
+            [324, 4, 4, 296], // tile offsets
+            [325, 4, 4, 312], // tile byte counts
+            [33550, 12, 3, 328], // model pixel scale
+            [33922, 12, 6, 352], // model tiepoint
+            [34735, 3, 8, 400], // geo key directory
+            [42113, 2, 2, 48] // GDAL NODATA "0"
+        ], 182);
+
+        writeImageFileDirectory(view, 182, [
+            [256, 3, 1, 2],
+            [257, 3, 1, 2],
+            [258, 3, 1, 8],
+            [259, 3, 1, 1],
+            [262, 3, 1, 1],
+            [273, 4, 1, 432], // strip offsets
+            [277, 3, 1, 1],
+            [278, 3, 1, 2], // rows per strip
+            [279, 4, 1, 4] // strip byte counts
+        ], 0);
+
+        for (i = 0; i < 4; i++) {
+            view.setUint32(296 + i * 4, 416 + i * 4, true);
+            view.setUint32(312 + i * 4, 4, true);
+        }
+
+        [1, 1, 0].forEach(function (value, index) {
+            view.setFloat64(328 + index * 8, value, true);
+        });
+        [0, 0, 0, 10, 14, 0].forEach(function (value, index) {
+            view.setFloat64(352 + index * 8, value, true);
+        });
+        [1, 1, 0, 1, 1024, 0, 1, 2].forEach(function (value, index) {
+            view.setUint16(400 + index * 2, value, true);
+        });
+
+        // The image's rows are 0 10 20 30, 40 50 60 70, 80 90 100 110 and 120 130 140 150, stored by tile.
+        bytes.set([0, 10, 40, 50, 20, 30, 60, 70, 80, 90, 120, 130, 100, 110, 140, 150], 416);
+        bytes.set([25, 65, 105, 145], 432);
+
+        return buffer;
+    };
+
+    // Creates a tile of a level whose texels have a specified size.
+    var createTile = function (sector, width, height, texelSize) {
+        return {
+            sector: sector,
+            tileWidth: width,
+            tileHeight: height,
+            level: {
+                tileDelta: new Location(texelSize * 256, texelSize * 256),
+                tileHeight: 256
+            }
+        };
+    };
+
+    var tileImageData = function (layer, tile) {
+        var result = null;
+        layer.createTileImageData(tile, function (imageData) {
+            result = imageData;
+        });
+
+        return result;
+    };
+
+    // Returns the red component of each pixel of an image.
+    var reds = function (imageData) {
+        var result = [];
+        for (var i = 0; i < imageData.length; i += 4) {
+            result.push(imageData[i]);
+        }
+
+        return result;
+    };
+
+    TestCase("GeoTiffLayerTest", {
+        testReadHeader: CatchTest(function () {
+            var readyLayer = null,
+                layer = new GeoTiffLayer(createGeoTiff(), "Test", function (layer) {
+                    readyLayer = layer;
+                });
+
+            assertSame(layer, readyLayer);
+            assertTrue(layer.isReady);
+            assertEquals(2, layer.images.length);
+            assertEquals(2, layer.reader.getImageMetadata(1).imageWidth);
+            assertNull(layer.reader.getImageMetadata(2));
+            assertEquals(10, layer.reader.metadata.bbox.minLatitude);
+            assertEquals(14, layer.reader.metadata.bbox.maxLongitude);
+            assertEquals([0], layer.bands);
+            assertEquals([[0, 255]], layer.bandRanges);
+            assertEquals(0, layer.noDataValue);
+        }),
+
+        testImageForTile: CatchTest(function () {
+            var layer = new GeoTiffLayer(createGeoTiff()),
+                sector = new Sector(10, 14, 10, 14);
+
+            assertSame(layer.images[0], layer.imageForTile(createTile(sector, 4, 4, 1)));
+            assertSame(layer.images[1], layer.imageForTile(createTile(sector, 2, 2, 2)));
+            assertSame(layer.images[1], layer.imageForTile(createTile(sector, 1, 1, 4)));
+        }),
+
+        testCreateTileImageData: CatchTest(function () {
+            var layer = new GeoTiffLayer(createGeoTiff()),
+                imageData = tileImageData(layer, createTile(new Sector(10, 14, 10, 14), 4, 4, 1));
+
+            assertEquals([0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100, 110, 120, 130, 140, 150], reds(imageData));
+            assertEquals(50, imageData[5 * 4 + 2]);
+            assertEquals(255, imageData[5 * 4 + 3]);
+        }),
+
+        testOverview: CatchTest(function () {
+            var layer = new GeoTiffLayer(createGeoTiff()),
+                imageData = tileImageData(layer, createTile(new Sector(10, 14, 10, 14), 2, 2, 2));
+
+            assertEquals([25, 65, 105, 145], reds(imageData));
+        }),
+
+        testNoData: CatchTest(function () {
+            var layer = new GeoTiffLayer(createGeoTiff()),
+                imageData = tileImageData(layer, createTile(new Sector(12, 14, 10, 12), 2, 2, 1));
+
+            // The upper left pixel's value is the NODATA value, so it's transparent.
+            assertEquals(0, imageData[3]);
+            assertEquals(255, imageData[7]);
+        }),
+
+        testOutsideImage: CatchTest(function () {
+            var layer = new GeoTiffLayer(createGeoTiff()),
+                imageData = tileImageData(layer, createTile(new Sector(14, 18, 10, 14), 2, 2, 2));
+
+            assertEquals([0, 0, 0, 0], Array.prototype.slice.call(imageData, 0, 4));
+        }),
+
+        testBandRanges: CatchTest(function () {
+            var layer = new GeoTiffLayer(createGeoTiff());
+
+            layer.bandRanges = [[50, 100]];
+            layer.noDataValue = null;
+
+            var imageData = tileImageData(layer, createTile(new Sector(12, 14, 10, 14), 4, 2, 1));
+
+            assertEquals([0, 0, 0, 0, 0, 0, 51, 102], reds(imageData));
+        }),
+
+        testSymbolizer: CatchTest(function () {
+            var layer = new GeoTiffLayer(createGeoTiff());
+
+            layer.symbolizer = new RasterSymbolizer(new ColorRamp([Color.BLUE, Color.RED]));
+            layer.symbolizer.maxValue = 100;
+
+            var imageData = tileImageData(layer, createTile(new Sector(12, 14, 10, 12), 2, 2, 1));
+
+            assertEquals([0, 0, 0, 0, 26, 0, 230, 255, 102, 0, 153, 255, 128, 0, 128, 255],
+                Array.prototype.slice.call(imageData));
+        }),
+
+        testFailedBlockRetrieval: CatchTest(function () {
+            var layer = new GeoTiffLayer(createGeoTiff()),
+                tile = createTile(new Sector(10, 14, 10, 14), 4, 4, 1),
+                dc = {gpuResourceCache: {}, currentGlContext: {canvas: {}}};
+
+            layer.reader.requestRange = function (start, end, callback, errorCallback) {
+                errorCallback("Range retrieval failed");
+            };
+            tile.imagePath = "0/0/0_0.png";
+
+            layer.retrieveTileImage(dc, tile);
+
+            assertEquals(0, layer.currentRetrievals.length);
+            assertTrue(layer.absentResourceList.isResourceAbsent(tile.imagePath));
+            assertEquals({}, layer.blockRetrievals);
+        }),
+
+        testFailedBandRanges: CatchTest(function () {
+            var layer = new GeoTiffLayer(createGeoTiff()),
+                finished = false;
+
+            layer.reader.metadata.bitsPerSample = [16];
+            layer.reader.requestRange = function (start, end, callback, errorCallback) {
+                errorCallback("Range retrieval failed");
+            };
+
+            layer.computeBandRanges(function () {
+                finished = true;
+            });
+
+            assertTrue(finished);
+            assertEquals([[0, 65535]], layer.bandRanges);
+        }),
+
+        testUnsupportedProjection: CatchTest(function () {
+            var geoTiff = createGeoTiff(),
+                view = new DataView(geoTiff);
+
+            // Replace the geographic model type key by a projected coordinate system proj4 does not define.
+            view.setUint16(408, 3072, true);
+            view.setUint16(414, 2193, true);
+
+            var layer = new GeoTiffLayer(geoTiff);
+
+            assertEquals(2193, layer.reader.metadata.projectedCSType);
+            assertFalse(layer.isReady);
+            assertEquals(0, layer.images.length);
+        }),
+
+        testInvalidHeader: CatchTest(function () {
+            var layer = new GeoTiffLayer(new ArrayBuffer(16));
+
+            assertFalse(layer.isReady);
+        })
+    });
+});
@@ -0,0 +1,72 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/layer/RenderableLayer',
+    'src/render/Renderable'
+], function (
+    CatchTest,
+    RenderableLayer,
+    Renderable
+) {
+    "use strict";
+    var createRenderable = function (beginTime, endTime) {
+        var renderable = new Renderable();
+
+        renderable.beginTime = beginTime ? new Date(beginTime) : null;
+        renderable.endTime = endTime ? new Date(endTime) : null;
+        renderable.renderCount = 0;
+        renderable.render = function (dc) {
+            this.renderCount++;
+        };
+
+        return renderable;
+    };
+
+    var drawContext = function (time, interval) {
+        return {
+            orderedRenderables: [],
+            currentTime: time ? new Date(time) : null,
+            currentTimeInterval: interval ? [new Date(interval[0]), new Date(interval[1])] : null
+        };
+    };
+
+    TestCase("RenderableLayerTest", {
+        testSkipsRenderablesOutsideCurrentTime: CatchTest(function () {
+            var layer = new RenderableLayer("Test"),
+                always = createRenderable(null, null),
+                past = createRenderable("2016-01-01T00:00:00Z", "2016-02-01T00:00:00Z"),
+                current = createRenderable("2016-07-01T00:00:00Z", null);
+
+            layer.addRenderables([always, past, current]);
+            layer.doRender(drawContext("2016-07-12T00:00:00Z"));
+
+            assertEquals(1, always.renderCount);
+            assertEquals(0, past.renderCount);
+            assertEquals(1, current.renderCount);
+        }),
+
+        testRendersAllWithoutCurrentTime: CatchTest(function () {
+            var layer = new RenderableLayer("Test"),
+                past = createRenderable("2016-01-01T00:00:00Z", "2016-02-01T00:00:00Z");
+
+            layer.addRenderable(past);
+            layer.doRender(drawContext(null));
+
+            assertEquals(1, past.renderCount);
+        }),
+
+        testTimeIntervalOverlap: CatchTest(function () {
+            var renderable = createRenderable("2016-01-01T00:00:00Z", "2016-02-01T00:00:00Z");
+
+            assertTrue(renderable.isValidAtCurrentTime(
+                drawContext(null, ["2016-01-20T00:00:00Z", "2016-03-01T00:00:00Z"])));
+            assertFalse(renderable.isValidAtCurrentTime(
+                drawContext("2016-01-15T00:00:00Z", ["2016-02-20T00:00:00Z", "2016-03-01T00:00:00Z"])));
+        })
+    });
+});
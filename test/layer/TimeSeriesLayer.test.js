@@ -0,0 +1,118 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/util/BasicTimeSequence',
+    'src/layer/TimeSeriesLayer'
+], function (
+    CatchTest,
+    BasicTimeSequence,
+    TimeSeriesLayer
+) {
+    "use strict";
+    var createLayer = function (configuration) {
+        configuration.timeSequence = configuration.timeSequence || "2016-07-12/2016-07-18/PT3H";
+        configuration.subLayerFactory = function (timeSeriesLayer, url, time) {
+            return {
+                url: url,
+                time: time,
+                rendered: [],
+                doRender: function (dc) {
+                    this.rendered.push(this.opacity);
+                }
+            };
+        };
+
+        return new TimeSeriesLayer(null, null, configuration);
+    };
+
+    TestCase("TimeSeriesLayerTest", {
+        testAvailableTimesPerInstance: CatchTest(function () {
+            var layerA = createLayer({}),
+                layerB = createLayer({timeSequence: "2016-07-12/2016-07-13/P1D"});
+
+            assertEquals(49, layerA.availableTimes.length);
+            assertEquals(2, layerB.availableTimes.length);
+            assertEquals("2016-07-18T00:00:00.000Z", layerA.availableTimes[48].toISOString());
+            assertEquals(layerA.availableTimes[0], layerA.time);
+        }),
+
+        testBasicTimeSequence: CatchTest(function () {
+            var dates = [new Date("2016-01-01T00:00:00Z"), new Date("2016-02-01T00:00:00Z")],
+                layer = createLayer({timeSequence: new BasicTimeSequence(dates)});
+
+            assertEquals(2, layer.availableTimes.length);
+            assertEquals(1, layer.nearestTimeIndex(new Date("2016-01-20T00:00:00Z")));
+        }),
+
+        testNearestTimeIndex: CatchTest(function () {
+            var layer = createLayer({});
+
+            assertEquals(0, layer.nearestTimeIndex(new Date("2000-01-01T00:00:00Z")));
+            assertEquals(48, layer.nearestTimeIndex(new Date("2020-01-01T00:00:00Z")));
+            assertEquals(1, layer.nearestTimeIndex(new Date("2016-07-12T04:00:00Z")));
+            assertEquals(2, layer.nearestTimeIndex(new Date("2016-07-12T05:00:00Z")));
+            assertEquals(-1, layer.nearestTimeIndex(null));
+        }),
+
+        testBlendFrames: CatchTest(function () {
+            var layer = createLayer({}),
+                dc = {currentTime: new Date("2016-07-12T04:00:00Z"), currentLayer: layer};
+
+            layer.doRender(dc);
+            assertEquals([1], layer.layers[1].rendered);
+            assertUndefined(layer.layers[2]);
+
+            layer.blendFrames = true;
+            layer.opacity = 0.9;
+            layer.doRender(dc);
+            assertEquals([1, 0.9], layer.layers[1].rendered);
+            assertEqualsDelta(0.3, layer.layers[2].rendered[0], 1e-9);
+            assertEquals(layer, dc.currentLayer);
+        }),
+
+        testUrlForFrame: CatchTest(function () {
+            var layer = createLayer({urlTemplate: "data/{yyyy}{MM}{dd}_{HH}{mm}/{DDD}/{index:2}.png?t={date}"});
+
+            assertEquals("data/20160712_0300/194/01.png?t=2016-07-12", layer.urlForFrame(1));
+            assertEquals("data/20160713_0600/195/10.png?t=2016-07-13", layer.urlForFrame(10));
+        }),
+
+        testFormatUrlTemplate: CatchTest(function () {
+            var time = new Date("2016-02-03T04:05:06Z");
+
+            assertEquals("2016-02-03T04:05:06.000Z/7/007",
+                TimeSeriesLayer.formatUrlTemplate("{time}/{index}/{index:3}", time, 7));
+        }),
+
+        testMissingTimeSequence: CatchTest(function () {
+            try {
+                new TimeSeriesLayer(null, null, {urlTemplate: "{index}.png"});
+                fail("Expected an ArgumentError.");
+            } catch (e) {
+                assertEquals("ArgumentError", e.name);
+            }
+        }),
+
+        testMissingUrlTemplate: CatchTest(function () {
+            // The default sub-layer factory requires the URL of each frame.
+            try {
+                new TimeSeriesLayer(null, null, {timeSequence: "2016-07-12/2016-07-13/P1D"});
+                fail("Expected an ArgumentError.");
+            } catch (e) {
+                assertEquals("ArgumentError", e.name);
+            }
+
+            // The WMS sub-layer factory does not.
+            var layer = new TimeSeriesLayer(null, null, {
+                timeSequence: "2016-07-12/2016-07-13/P1D",
+                subLayerFactory: TimeSeriesLayer.createWmsLayer
+            });
+            assertNull(layer.urlForFrame(0));
+        })
+    });
+});
@@ -0,0 +1,140 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/geom/Location',
+    'src/util/PeriodicTimeSequence',
+    'src/geom/Sector',
+    'src/layer/WmsLayer'
+], function (
+    CatchTest,
+    Location,
+    PeriodicTimeSequence,
+    Sector,
+    WmsLayer
+) {
+    "use strict";
+    var capabilities = {
+        dimensions: [
+            {
+                name: "time",
+                units: "ISO8601",
+                default: "2016-07-12T06:00:00Z",
+                nearestValue: true,
+                content: "2016-01-01T00:00:00Z,2016-07-12/2016-07-13/PT3H"
+            },
+            {
+                name: "elevation",
+                units: "EPSG:5030",
+                content: "0,500,1000"
+            }
+        ]
+    };
+
+    var createLayer = function (version) {
+        return new WmsLayer({
+            service: "https://example.com/wms",
+            featureInfoService: "https://example.com/info?map=states",
+            layerNames: "states",
+            version: version,
+            sector: Sector.FULL_SPHERE,
+            levelZeroDelta: new Location(45, 45),
+            numLevels: 5,
+            format: "image/png",
+            size: 256
+        }, "2016-07-12T00:00:00Z");
+    };
+
+    TestCase("WmsLayerTest", {
+        testParseTimeDimensions: CatchTest(function () {
+            var dimensions = WmsLayer.parseTimeDimensions(capabilities);
+
+            assertEquals(2, dimensions.length);
+            assertEquals("2016-01-01T00:00:00.000Z", dimensions[0].toISOString());
+            assertTrue(dimensions[1] instanceof PeriodicTimeSequence);
+        }),
+
+        testParseTimeDimension: CatchTest(function () {
+            var timeDimension = WmsLayer.parseTimeDimension(capabilities);
+
+            assertTrue(timeDimension.nearestValue);
+            assertEquals("2016-07-12T06:00:00.000Z", timeDimension.defaultTime.toISOString());
+            assertNull(WmsLayer.parseTimeDimension({dimensions: [capabilities.dimensions[1]]}));
+        }),
+
+        testParseMalformedTimeDimension: CatchTest(function () {
+            var malformed = {
+                    dimensions: [{
+                        name: "time",
+                        content: "2016-01-01T00:00:00Z,2000-01-01/P1D,not a time,2016-07-12/2016-07-13/PT3H"
+                    }]
+                },
+                dimensions = WmsLayer.parseTimeDimensions(malformed),
+                timeDimension = WmsLayer.parseTimeDimension(malformed);
+
+            assertEquals(2, dimensions.length);
+            assertEquals("2016-01-01T00:00:00.000Z", dimensions[0].toISOString());
+            assertTrue(dimensions[1] instanceof PeriodicTimeSequence);
+            assertEquals(1, timeDimension.instants.length);
+            assertEquals(1, timeDimension.periodicSequences.length);
+            assertNull(WmsLayer.parseTimeDimension({dimensions: [{name: "time", content: "not a time"}]}));
+        }),
+
+        testParseDimensionValues: CatchTest(function () {
+            assertEquals({elevation: "0"}, WmsLayer.parseDimensionValues(capabilities));
+        }),
+
+        testFeatureInfoUrl: CatchTest(function () {
+            var url = createLayer("1.3.0").featureInfoUrl(new Location(22.5, -157.5), "text/html", 5);
+
+            assertEquals("https://example.com/info?map=states&service=WMS&request=GetFeatureInfo&version=1.3.0" +
+                "&transparent=TRUE&layers=states&styles=&format=image/png&width=256&height=256" +
+                "&time=2016-07-12T00:00:00Z&crs=EPSG:4326&bbox=0,-180,45,-135&query_layers=states" +
+                "&info_format=text%2Fhtml&feature_count=5&i=128&j=128", url);
+        }),
+
+        testFeatureInfoUrlVersion111: CatchTest(function () {
+            var layer = createLayer("1.1.1"),
+                url = layer.featureInfoUrl(new Location(45, 180), "text/plain");
+
+            // The location is on the bottom right corner of the level 0 tile queried, and the pixel is clamped to
+            // the tile's image.
+            assertEquals("https://example.com/info?map=states&service=WMS&request=GetFeatureInfo&version=1.1.1" +
+                "&transparent=TRUE&layers=states&styles=&format=image/png&width=256&height=256" +
+                "&time=2016-07-12T00:00:00Z&srs=EPSG:4326&bbox=135,45,180,90&query_layers=states" +
+                "&info_format=text%2Fplain&x=255&y=255", url);
+        }),
+
+        testFeatureInfoUrlUsesCurrentTile: CatchTest(function () {
+            var layer = createLayer("1.3.0"),
+                level = layer.levels.level(1);
+
+            layer.currentTiles = [
+                layer.createTile(new Sector(0, 45, 0, 45), layer.levels.firstLevel(), 2, 4),
+                layer.createTile(new Sector(0, 22.5, 0, 22.5), level, 4, 8)
+            ];
+
+            assertTrue(layer.featureInfoUrl(new Location(10, 10), "text/plain").indexOf("&bbox=0,0,22.5,22.5") > 0);
+        }),
+
+        testPrePopulatedWithAbsentTile: CatchTest(function () {
+            var layer = createLayer("1.3.0"),
+                tile = layer.createTile(new Sector(0, 45, 0, 45), layer.levels.firstLevel(), 2, 4);
+
+            layer.retrieveCurrentTiles = function (dc) {
+                this.currentTiles = [tile];
+            };
+            tile.fallbackTile = layer.createTile(Sector.FULL_SPHERE, layer.levels.firstLevel(), 0, 0);
+
+            assertFalse(layer.isCurrentViewPrePopulated({}));
+
+            // The tile's image could not be retrieved, so it's displayed using its fallback tile's image.
+            layer.absentResourceList.markResourceAbsent(tile.imagePath);
+            assertTrue(layer.isCurrentViewPrePopulated({}));
+        })
+    });
+});
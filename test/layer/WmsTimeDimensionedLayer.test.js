@@ -0,0 +1,159 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/util/PeriodicTimeSequence',
+    'src/layer/WmsTimeDimensionedLayer'
+], function (
+    CatchTest,
+    PeriodicTimeSequence,
+    WmsTimeDimensionedLayer
+) {
+    "use strict";
+    var createLayer = function () {
+        var layer = new WmsTimeDimensionedLayer({
+            title: "Test",
+            timeSequences: [new PeriodicTimeSequence("2016-07-12/2016-07-13/PT3H")]
+        });
+
+        layer.createSubLayer = function (timeString) {
+            return {
+                timeString: timeString,
+                rendered: 0,
+                prefetched: 0,
+                ready: false,
+                doRender: function (dc) {
+                    this.rendered++;
+                },
+                retrieveCurrentTiles: function (dc) {
+                    this.prefetched++;
+                },
+                isCurrentViewPrePopulated: function (wwd) {
+                    return this.ready;
+                },
+                queryFeatureInfo: function (wwd, target, options) {
+                    return this.timeString;
+                }
+            };
+        };
+
+        return layer;
+    };
+
+    var drawContext = function (time) {
+        return {currentTime: new Date(time), navigatorState: null};
+    };
+
+    TestCase("WmsTimeDimensionedLayerTest", {
+        testPrefetchForward: CatchTest(function () {
+            var layer = createLayer();
+
+            layer.doRender(drawContext("2016-07-12T03:00:00Z"));
+
+            assertEquals(1, layer.layers["2016-07-12T03:00:00.000Z"].rendered);
+            assertEquals(0, layer.layers["2016-07-12T03:00:00.000Z"].prefetched);
+            assertEquals(1, layer.layers["2016-07-12T06:00:00.000Z"].prefetched);
+            assertEquals(1, layer.layers["2016-07-12T09:00:00.000Z"].prefetched);
+            assertUndefined(layer.layers["2016-07-12T00:00:00.000Z"]);
+        }),
+
+        testPrefetchBackwardWraps: CatchTest(function () {
+            var layer = createLayer();
+
+            layer.doRender(drawContext("2016-07-12T03:00:00Z"));
+            layer.doRender(drawContext("2016-07-12T00:00:00Z"));
+
+            assertEquals(-1, layer.playbackDirection);
+            assertEquals(1, layer.layers["2016-07-13T00:00:00.000Z"].prefetched);
+            assertEquals(1, layer.layers["2016-07-12T21:00:00.000Z"].prefetched);
+        }),
+
+        testReleaseLeastRecentlyUsed: CatchTest(function () {
+            var layer = createLayer();
+
+            layer.prefetchCount = 0;
+            layer.maxSubLayers = 2;
+            layer.doRender(drawContext("2016-07-12T00:00:00Z"));
+            layer.doRender(drawContext("2016-07-12T03:00:00Z"));
+            layer.doRender(drawContext("2016-07-12T00:00:00Z"));
+            layer.doRender(drawContext("2016-07-12T06:00:00Z"));
+
+            assertEquals(["2016-07-12T00:00:00.000Z", "2016-07-12T06:00:00.000Z"], layer.layerKeys);
+            assertUndefined(layer.layers["2016-07-12T03:00:00.000Z"]);
+        }),
+
+        testKeepsSubLayersUsedInFrame: CatchTest(function () {
+            var layer = createLayer();
+
+            layer.maxSubLayers = 1;
+            layer.doRender(drawContext("2016-07-12T00:00:00Z"));
+
+            assertEquals(3, layer.layerKeys.length);
+        }),
+
+        testIsTimeReady: CatchTest(function () {
+            var layer = createLayer(),
+                time = new Date("2016-07-12T04:00:00Z"),
+                wwd = {};
+
+            layer.blendFrames = true;
+            assertFalse(layer.isTimeReady(wwd, time));
+
+            layer.layers["2016-07-12T03:00:00.000Z"].ready = true;
+            assertFalse(layer.isTimeReady(wwd, time));
+
+            layer.layers["2016-07-12T06:00:00.000Z"].ready = true;
+            assertTrue(layer.isTimeReady(wwd, time));
+        }),
+
+        testQueryFeatureInfo: CatchTest(function () {
+            var layer = createLayer(),
+                location = {latitude: 0, longitude: 0};
+
+            layer.blendFrames = true;
+            layer.doRender(drawContext("2016-07-12T04:00:00Z"));
+            assertEquals("2016-07-12T03:00:00.000Z", layer.queryFeatureInfo({}, location));
+
+            layer.doRender(drawContext("2016-07-12T05:00:00Z"));
+            assertEquals("2016-07-12T06:00:00.000Z", layer.queryFeatureInfo({}, location));
+        }),
+
+        testLongTimeSequence: CatchTest(function () {
+            var layer = new WmsTimeDimensionedLayer({
+                title: "Test",
+                timeSequences: [new Date("2000-01-01T00:00:00Z"),
+                    new PeriodicTimeSequence("2008-01-01/2017-01-01/PT10M")]
+            });
+
+            layer.createSubLayer = createLayer().createSubLayer;
+            layer.blendFrames = true;
+
+            // The times are determined from the sequence rather than enumerated.
+            var times = layer.timesToRender(new Date("2012-06-15T12:04:00Z"));
+            assertEquals("2012-06-15T12:00:00.000Z", times[0].toISOString());
+            assertEquals("2012-06-15T12:10:00.000Z", times[1].toISOString());
+            assertEqualsDelta(0.4, times.fraction, 1e-9);
+
+            layer.doRender(drawContext("2008-01-01T00:00:00Z"));
+            assertEquals(1, layer.layers["2008-01-01T00:10:00.000Z"].prefetched);
+            assertEquals(1, layer.layers["2008-01-01T00:20:00.000Z"].prefetched);
+
+            layer.doRender(drawContext("2003-01-01T00:00:00Z"));
+            assertEquals(1, layer.layers["2000-01-01T00:00:00.000Z"].rendered);
+            assertEquals(1, layer.layers["2017-01-01T00:00:00.000Z"].prefetched);
+        }),
+
+        testIsTimeReadyMissingWorldWindow: CatchTest(function () {
+            try {
+                createLayer().isTimeReady(null, new Date());
+                fail("Expected an ArgumentError.");
+            } catch (e) {
+                assertEquals("ArgumentError", e.name);
+            }
+        })
+    });
+});
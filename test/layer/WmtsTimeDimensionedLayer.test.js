@@ -0,0 +1,117 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/layer/WmtsLayer',
+    'src/layer/WmtsTimeDimensionedLayer'
+], function (CatchTest,
+             WmtsLayer,
+             WmtsTimeDimensionedLayer) {
+    "use strict";
+
+    // Creates WMTS layer capabilities with the specified dimensions, using a RESTful template if one is specified
+    // and the KVP interface otherwise.
+    var createLayerCaps = function (dimensions, template) {
+        return {
+            identifier: "MODIS_Terra_CorrectedReflectance_TrueColor",
+            title: [{value: "Corrected Reflectance"}],
+            format: ["image/jpeg"],
+            resourceUrl: template ? [{format: "image/png", template: "unused"},
+                {format: "image/jpeg", template: template}] : null,
+            capabilities: {
+                getGetTileKvpAddress: function () {
+                    return "https://gibs.example.com/wmts";
+                }
+            },
+            style: [{identifier: "default", isDefault: true}],
+            tileMatrixSetLink: [{
+                tileMatrixSetRef: {identifier: "EPSG4326_250m", supportedCRS: "urn:ogc:def:crs:EPSG::4326"}
+            }],
+            wgs84BoundingBox: {lowerCorner: [-180, -90], upperCorner: [180, 90]},
+            dimension: dimensions
+        };
+    };
+
+    var TEMPLATE = "https://gibs.example.com/wmts/{Time}/{Elevation}/{TileMatrixSet}/{TileMatrix}/{TileRow}/" +
+            "{TileCol}.jpg",
+        tile = {tileMatrix: {identifier: "2"}, row: 1, column: 3};
+
+    TestCase("WmtsTimeDimensionedLayerTest", {
+        testParseTimeDimension: CatchTest(function () {
+            var sequence = WmtsTimeDimensionedLayer.parseTimeDimension(createLayerCaps([
+                {identifier: "Time", default: "2016-07-14", value: ["2016-07-01", " 2016-07-12/2016-07-15/P1D "]}
+            ]));
+
+            assertEquals(Date.UTC(2016, 6, 1), sequence.startTime.getTime());
+            assertEquals(Date.UTC(2016, 6, 15), sequence.endTime.getTime());
+            assertEquals(Date.UTC(2016, 6, 14), sequence.defaultTime.getTime());
+            assertNull(WmtsTimeDimensionedLayer.parseTimeDimension(createLayerCaps(null)));
+        }),
+
+        testAvailableTimesAndSubLayers: CatchTest(function () {
+            var layer = new WmtsTimeDimensionedLayer(createLayerCaps([
+                {identifier: "Time", value: ["2016-07-12/2016-07-15/P1D"]}
+            ], TEMPLATE), null, {Elevation: "500"});
+
+            assertEquals("Corrected Reflectance", layer.displayName);
+            assertEquals(Date.UTC(2016, 6, 12), layer.timeSequence.startTime.getTime());
+            assertEquals(Date.UTC(2016, 6, 15), layer.timeSequence.endTime.getTime());
+
+            var subLayer = layer.subLayer(new Date("2016-07-13T00:00:00Z"));
+            assertEquals("2016-07-13", subLayer.timeString);
+            assertEquals("https://gibs.example.com/wmts/2016-07-13/500/EPSG4326_250m/2/1/3.jpg",
+                subLayer.resourceUrlForTile(tile, "image/jpeg"));
+
+            // Each time's tiles are cached under distinct keys.
+            assertFalse(subLayer.cachePath === layer.subLayer(new Date("2016-07-14T00:00:00Z")).cachePath);
+        }),
+
+        testFullTimes: CatchTest(function () {
+            var layer = new WmtsTimeDimensionedLayer(createLayerCaps([
+                {identifier: "time", value: ["2016-07-12T00:00:00Z/2016-07-12T12:00:00Z/PT6H"]}
+            ]));
+
+            var secondTime = layer.timeSequence.timeAfter(layer.timeSequence.startTime);
+
+            assertEquals(Date.UTC(2016, 6, 12, 12), layer.timeSequence.endTime.getTime());
+            assertEquals("2016-07-12T06:00:00Z", layer.subLayer(secondTime).timeString);
+        }),
+
+        testMissingTimeDimension: CatchTest(function () {
+            try {
+                new WmtsTimeDimensionedLayer(createLayerCaps([{identifier: "Elevation", value: ["500"]}]));
+                fail("Expected an ArgumentError.");
+            } catch (e) {
+                assertEquals("ArgumentError", e.name);
+            }
+        })
+    });
+
+    TestCase("WmtsLayerDimensionTest", {
+        testRestfulDimensionTokens: CatchTest(function () {
+            var layer = new WmtsLayer(createLayerCaps([
+                {identifier: "Time", default: "2016-07-14", value: ["2016-07-12/2016-07-15/P1D"]},
+                {identifier: "Elevation", value: ["250", "500"]}
+            ], TEMPLATE), null, null);
+
+            assertEquals({Time: "2016-07-14", Elevation: "250"}, layer.dimensionValues);
+            assertEquals("https://gibs.example.com/wmts/2016-07-14/250/EPSG4326_250m/2/1/3.jpg",
+                layer.resourceUrlForTile(tile, "image/jpeg"));
+        }),
+
+        testKvpDimensionParameters: CatchTest(function () {
+            var layer = new WmtsLayer(createLayerCaps([
+                {identifier: "Time", value: ["2016-07-12/2016-07-15/P1D"]}
+            ]), null, "2016-07-13T00:00:00Z", {Band: "B 1"});
+
+            assertEquals("https://gibs.example.com/wmts?service=WMTS&request=GetTile&version=1.0.0" +
+                "&Layer=MODIS_Terra_CorrectedReflectance_TrueColor&Style=default&Format=image/jpeg" +
+                "&Time=2016-07-13T00%3A00%3A00Z&Band=B%201&TileMatrixSet=EPSG4326_250m&TileMatrix=2&TileRow=1" +
+                "&TileCol=3", layer.resourceUrlForTile(tile, "image/jpeg"));
+        })
+    });
+});
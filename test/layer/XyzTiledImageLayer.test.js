@@ -0,0 +1,90 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/WorldWind',
+    'src/layer/OpenStreetMapImageLayer',
+    'src/layer/XyzTiledImageLayer'
+], function (CatchTest,
+             WorldWind,
+             OpenStreetMapImageLayer,
+             XyzTiledImageLayer) {
+    "use strict";
+
+    TestCase("XyzTiledImageLayerTest", {
+        testConstructorErrors: CatchTest(function () {
+            try {
+                new XyzTiledImageLayer({});
+                fail("Expected an ArgumentError");
+            } catch (e) {
+                assertEquals("ArgumentError", e.name);
+            }
+        }),
+
+        testWebMercatorConfiguration: CatchTest(function () {
+            var layer = new XyzTiledImageLayer({
+                url: "https://tiles.example.com/{z}/{x}/{y}.jpg",
+                maxZoom: 12,
+                attribution: "Example"
+            });
+
+            assertEquals(WorldWind.WEB_MERCATOR, layer.tilingScheme);
+            assertEquals("image/jpeg", layer.retrievalImageFormat);
+            assertEquals(12, layer.levels.numLevels);
+            assertEquals(256, layer.imageSize);
+            assertEquals(1024, layer.mapSizeForLevel(1));
+            assertEquals("Example", layer.attribution);
+            assertEquals("XYZ Tiles", layer.displayName);
+        }),
+
+        testGeographicConfiguration: CatchTest(function () {
+            var layer = new XyzTiledImageLayer({
+                url: "tiles/{z}/{x}/{-y}.png",
+                tilingScheme: WorldWind.GEOGRAPHIC,
+                maxZoom: 5
+            });
+
+            assertEquals("image/png", layer.retrievalImageFormat);
+            assertEquals(6, layer.levels.numLevels);
+            assertEquals(180, layer.levels.firstLevel().tileDelta.latitude);
+        }),
+
+        testMinZoom: CatchTest(function () {
+            var layer = new XyzTiledImageLayer({url: "{z}/{x}/{y}.png", minZoom: 3}),
+                tile = {level: {levelNumber: 0}, imagePath: "0/0/0_0.png"};
+
+            // The draw context is not used, since no tile below the minimum zoom level is retrieved.
+            layer.retrieveTileImage(null, tile);
+            assertEquals(0, layer.currentRetrievals.length);
+        }),
+
+        testTime: CatchTest(function () {
+            var layer = new XyzTiledImageLayer({
+                url: "https://tiles.example.com/{time}/{z}/{x}/{y}.png",
+                time: new Date(Date.UTC(2016, 0, 1))
+            });
+
+            layer.updateTime(layer.time);
+            assertEquals("2016-01-01T00:00:00Z", layer.urlBuilder.time);
+            assertEquals("https://tiles.example.com/{time}/{z}/{x}/{y}.png/2016-01-01T00:00:00Z", layer.cachePath);
+            assertEquals("https://tiles.example.com/2016-01-01T00%3A00%3A00Z/1/0/0.png",
+                layer.urlBuilder.urlForIndices(1, 0, 0));
+
+            layer.updateTime(null);
+            assertNull(layer.urlBuilder.time);
+            assertEquals("https://tiles.example.com/{time}/{z}/{x}/{y}.png", layer.cachePath);
+        }),
+
+        testOpenStreetMapLayer: CatchTest(function () {
+            var layer = new OpenStreetMapImageLayer(null);
+
+            assertEquals("Open Street Map", layer.displayName);
+            assertEquals("©OpenStreetMap contributors", layer.attribution);
+            assertEquals("https://a.tile.openstreetmap.org/1/0/0.png", layer.urlBuilder.urlForIndices(1, 0, 0));
+        })
+    });
+});
@@ -0,0 +1,80 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/ogc/GmlDecoder'
+], function (CatchTest,
+             GmlDecoder) {
+    "use strict";
+
+    var parse = function (text) {
+        return new DOMParser().parseFromString(text, "text/xml");
+    };
+
+    TestCase("GmlDecoderTest", {
+        testGml2FeatureCollection: CatchTest(function () {
+            var collection = GmlDecoder.decodeFeatureCollection(parse(
+                '<wfs:FeatureCollection xmlns:wfs="http://www.opengis.net/wfs" xmlns:gml="http://www.opengis.net/gml"' +
+                ' xmlns:topp="http://www.openplans.org/topp" numberOfFeatures="1"><gml:featureMember>' +
+                '<topp:cities fid="cities.1"><gml:boundedBy><gml:Box/></gml:boundedBy>' +
+                '<topp:the_geom><gml:Point srsName="EPSG:4326"><gml:coordinates>-104.98,39.74</gml:coordinates>' +
+                '</gml:Point></topp:the_geom><topp:NAME>Denver</topp:NAME></topp:cities>' +
+                '</gml:featureMember></wfs:FeatureCollection>'));
+
+            assertEquals("FeatureCollection", collection.type);
+            assertEquals(1, collection.numberMatched);
+            assertEquals(1, collection.features.length);
+            assertEquals("cities.1", collection.features[0].id);
+            assertEquals({NAME: "Denver"}, collection.features[0].properties);
+            assertEquals({type: "Point", coordinates: [-104.98, 39.74]}, collection.features[0].geometry);
+        }),
+
+        testGml32LatitudeFirstPolygon: CatchTest(function () {
+            var collection = GmlDecoder.decodeFeatureCollection(parse(
+                '<wfs:FeatureCollection xmlns:wfs="http://www.opengis.net/wfs/2.0"' +
+                ' xmlns:gml="http://www.opengis.net/gml/3.2" xmlns:ns="urn:ns" numberMatched="unknown">' +
+                '<wfs:member><ns:lakes gml:id="lakes.7"><ns:geom>' +
+                '<gml:Polygon srsName="urn:ogc:def:crs:EPSG::4326"><gml:exterior><gml:LinearRing>' +
+                '<gml:posList>10 20 10 21 11 21 10 20</gml:posList></gml:LinearRing></gml:exterior>' +
+                '<gml:interior><gml:LinearRing><gml:posList srsDimension="2">10.2 20.2 10.2 20.5 10.5 20.5 10.2 20.2' +
+                '</gml:posList></gml:LinearRing></gml:interior></gml:Polygon></ns:geom></ns:lakes></wfs:member>' +
+                '</wfs:FeatureCollection>'));
+
+            assertNull(collection.numberMatched);
+            assertEquals("lakes.7", collection.features[0].id);
+            assertEquals({
+                type: "Polygon",
+                coordinates: [
+                    [[20, 10], [21, 10], [21, 11], [20, 10]],
+                    [[20.2, 10.2], [20.5, 10.2], [20.5, 10.5], [20.2, 10.2]]
+                ]
+            }, collection.features[0].geometry);
+        }),
+
+        testMultiGeometries: CatchTest(function () {
+            var gml = ' xmlns:gml="http://www.opengis.net/gml"',
+                multiLine = GmlDecoder.decodeGeometry(parse(
+                    '<gml:MultiLineString' + gml + '><gml:lineStringMember><gml:LineString>' +
+                    '<gml:coordinates>1,2 3,4</gml:coordinates></gml:LineString></gml:lineStringMember>' +
+                    '<gml:lineStringMember><gml:LineString><gml:coordinates>5,6 7,8</gml:coordinates>' +
+                    '</gml:LineString></gml:lineStringMember></gml:MultiLineString>').documentElement),
+                multiPoint = GmlDecoder.decodeGeometry(parse(
+                    '<gml:MultiPoint' + gml + '><gml:pointMember><gml:Point><gml:pos>1 2</gml:pos></gml:Point>' +
+                    '</gml:pointMember></gml:MultiPoint>').documentElement);
+
+            assertEquals({type: "MultiLineString", coordinates: [[[1, 2], [3, 4]], [[5, 6], [7, 8]]]}, multiLine);
+            assertEquals({type: "MultiPoint", coordinates: [[1, 2]]}, multiPoint);
+        }),
+
+        testIsLatitudeFirst: CatchTest(function () {
+            assertTrue(GmlDecoder.isLatitudeFirst("urn:ogc:def:crs:EPSG::4326"));
+            assertTrue(GmlDecoder.isLatitudeFirst("http://www.opengis.net/def/crs/EPSG/0/4326"));
+            assertFalse(GmlDecoder.isLatitudeFirst("EPSG:4326"));
+            assertFalse(GmlDecoder.isLatitudeFirst(null));
+        })
+    });
+});
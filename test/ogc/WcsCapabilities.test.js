@@ -0,0 +1,70 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/ogc/WcsCapabilities'
+], function (CatchTest,
+             WcsCapabilities) {
+    "use strict";
+
+    var wcs10 = '<WCS_Capabilities version="1.0.0" xmlns="http://www.opengis.net/wcs"' +
+        ' xmlns:gml="http://www.opengis.net/gml" xmlns:xlink="http://www.w3.org/1999/xlink">' +
+        '<Service><name>WCS</name><label>Elevations</label></Service><Capability><Request>' +
+        '<DescribeCoverage><DCPType><HTTP><Get><OnlineResource xlink:href="http://example.com/wcs/describe?"/>' +
+        '</Get></HTTP></DCPType></DescribeCoverage><GetCoverage><DCPType><HTTP><Post>' +
+        '<OnlineResource xlink:href="http://example.com/wcs/post"/></Post></HTTP></DCPType><DCPType><HTTP><Get>' +
+        '<OnlineResource xlink:href="http://example.com/wcs?"/></Get></HTTP></DCPType></GetCoverage>' +
+        '</Request></Capability><ContentMetadata><CoverageOfferingBrief><name>dem</name><label>DEM</label>' +
+        '<lonLatEnvelope srsName="urn:ogc:def:crs:OGC:1.3:CRS84"><gml:pos>-110 30</gml:pos>' +
+        '<gml:pos>-100 40</gml:pos></lonLatEnvelope></CoverageOfferingBrief></ContentMetadata></WCS_Capabilities>';
+
+    var wcs20 = '<wcs:Capabilities version="2.0.1" xmlns:wcs="http://www.opengis.net/wcs/2.0"' +
+        ' xmlns:ows="http://www.opengis.net/ows/2.0" xmlns:xlink="http://www.w3.org/1999/xlink">' +
+        '<ows:ServiceIdentification><ows:Title>Weather</ows:Title></ows:ServiceIdentification>' +
+        '<ows:OperationsMetadata><ows:Operation name="GetCoverage"><ows:DCP><ows:HTTP>' +
+        '<ows:Get xlink:href="http://example.com/ows?"/></ows:HTTP></ows:DCP></ows:Operation>' +
+        '</ows:OperationsMetadata><wcs:ServiceMetadata><wcs:formatSupported>image/tiff</wcs:formatSupported>' +
+        '<wcs:formatSupported>image/png</wcs:formatSupported></wcs:ServiceMetadata><wcs:Contents>' +
+        '<wcs:CoverageSummary><ows:Title>Temperature</ows:Title><wcs:CoverageId>temperature</wcs:CoverageId>' +
+        '<wcs:CoverageSubtype>RectifiedGridCoverage</wcs:CoverageSubtype><ows:WGS84BoundingBox>' +
+        '<ows:LowerCorner>-180 -90</ows:LowerCorner><ows:UpperCorner>180 90</ows:UpperCorner>' +
+        '</ows:WGS84BoundingBox></wcs:CoverageSummary></wcs:Contents></wcs:Capabilities>';
+
+    var parse = function (text) {
+        return new DOMParser().parseFromString(text, "text/xml");
+    };
+
+    TestCase("WcsCapabilitiesTest", {
+        testWcs10: CatchTest(function () {
+            var caps = new WcsCapabilities(parse(wcs10)),
+                coverage = caps.getCoverage("dem");
+
+            assertEquals("1.0.0", caps.version);
+            assertEquals("Elevations", caps.service.label);
+            assertEquals("http://example.com/wcs?", caps.getGetCoverageAddress());
+            assertEquals("http://example.com/wcs/describe?", caps.getDescribeCoverageAddress());
+            assertEquals("DEM", coverage.title);
+            assertEquals(30, coverage.wgs84BoundingBox.minLatitude);
+            assertEquals(-100, coverage.wgs84BoundingBox.maxLongitude);
+        }),
+
+        testWcs20: CatchTest(function () {
+            var caps = new WcsCapabilities(parse(wcs20)),
+                coverage = caps.getCoverage("temperature");
+
+            assertEquals("2.0.1", caps.version);
+            assertEquals("http://example.com/ows?", caps.getGetCoverageAddress());
+            assertNull(caps.getDescribeCoverageAddress());
+            assertEquals(["image/tiff", "image/png"], caps.formatsSupported);
+            assertEquals("Temperature", coverage.title);
+            assertEquals("RectifiedGridCoverage", coverage.coverageSubtype);
+            assertEquals(-90, coverage.wgs84BoundingBox.minLatitude);
+            assertEquals(180, coverage.wgs84BoundingBox.maxLongitude);
+            assertNull(caps.getCoverage("pressure"));
+        })
+    });
+});
@@ -0,0 +1,153 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/geom/Sector',
+    'src/ogc/WcsCapabilities',
+    'src/ogc/WcsClient',
+    'src/ogc/WcsCoverageDescriptions'
+], function (CatchTest,
+             Sector,
+             WcsCapabilities,
+             WcsClient,
+             WcsCoverageDescriptions) {
+    "use strict";
+
+    var parse = function (text) {
+        return new DOMParser().parseFromString(text, "text/xml");
+    };
+
+    var wcs10Capabilities = function () {
+        return new WcsCapabilities(parse('<WCS_Capabilities version="1.0.0" xmlns="http://www.opengis.net/wcs"' +
+            ' xmlns:xlink="http://www.w3.org/1999/xlink"><Capability><Request><GetCoverage><DCPType><HTTP><Get>' +
+            '<OnlineResource xlink:href="http://example.com/wcs"/></Get></HTTP></DCPType></GetCoverage>' +
+            '</Request></Capability></WCS_Capabilities>'));
+    };
+
+    var wcs20Capabilities = function () {
+        return new WcsCapabilities(parse('<wcs:Capabilities version="2.0.1"' +
+            ' xmlns:wcs="http://www.opengis.net/wcs/2.0" xmlns:ows="http://www.opengis.net/ows/2.0"' +
+            ' xmlns:xlink="http://www.w3.org/1999/xlink">' +
+            '<ows:OperationsMetadata><ows:Operation name="GetCoverage"><ows:DCP><ows:HTTP>' +
+            '<ows:Get xlink:href="http://example.com/ows?"/></ows:HTTP></ows:DCP></ows:Operation>' +
+            '</ows:OperationsMetadata><wcs:ServiceMetadata><wcs:formatSupported>image/tiff</wcs:formatSupported>' +
+            '</wcs:ServiceMetadata></wcs:Capabilities>'));
+    };
+
+    TestCase("WcsClientTest", {
+        testConstructorErrors: CatchTest(function () {
+            try {
+                new WcsClient(null);
+                fail("Expected an ArgumentError");
+            } catch (e) {
+                assertEquals("ArgumentError", e.name);
+            }
+        }),
+
+        testWcs10Urls: CatchTest(function () {
+            var client = new WcsClient(wcs10Capabilities()),
+                sector = new Sector(30, 40, -110, -90);
+
+            assertEquals("http://example.com/wcs?service=WCS&request=DescribeCoverage&version=1.0.0&coverage=dem",
+                client.describeCoverageUrl(["dem"]));
+            assertEquals("http://example.com/wcs?service=WCS&request=GetCoverage&version=1.0.0&coverage=dem" +
+                "&crs=EPSG:4326&bbox=-110,30,-90,40&width=1024&height=512&format=GeoTIFF" +
+                "&time=2016-01-01T00:00:00Z", client.getCoverageUrl("dem", sector, {
+                time: new Date(Date.UTC(2016, 0, 1))
+            }));
+            assertTrue(client.getCoverageUrl("dem", sector, {width: 20, height: 10})
+                .indexOf("&width=20&height=10&") > 0);
+        }),
+
+        testWcs10NativeSize: CatchTest(function () {
+            var client = new WcsClient(wcs10Capabilities());
+
+            client.addDescriptions(new WcsCoverageDescriptions(parse('<CoverageDescription version="1.0.0"' +
+                ' xmlns="http://www.opengis.net/wcs" xmlns:gml="http://www.opengis.net/gml"><CoverageOffering>' +
+                '<name>dem</name><lonLatEnvelope><gml:pos>-180 -90</gml:pos><gml:pos>180 90</gml:pos>' +
+                '</lonLatEnvelope><domainSet><spatialDomain><gml:RectifiedGrid><gml:limits><gml:GridEnvelope>' +
+                '<gml:low>0 0</gml:low><gml:high>3599 1799</gml:high></gml:GridEnvelope></gml:limits>' +
+                '</gml:RectifiedGrid></spatialDomain></domainSet><rangeSet><RangeSet><name>height</name>' +
+                '<nullValues><singleValue>-32768</singleValue></nullValues></RangeSet></rangeSet>' +
+                '</CoverageOffering></CoverageDescription>')));
+
+            assertEquals([200, 100], client.outputSize(new Sector(30, 40, -110, -90), {},
+                client.descriptions["dem"]));
+            assertEquals([1024, 512], client.outputSize(new Sector(-90, 90, -180, 180), {},
+                client.descriptions["dem"]));
+            assertEquals(-32768, client.noDataValue("dem"));
+            assertNull(client.noDataValue("sst"));
+        }),
+
+        testWcs20Urls: CatchTest(function () {
+            var client = new WcsClient(wcs20Capabilities()),
+                sector = new Sector(30, 40, -110, -100);
+
+            assertEquals("http://example.com/ows?service=WCS&request=GetCoverage&version=2.0.1&coverageId=temperature" +
+                "&subset=Lat(30,40)&subset=Long(-110,-100)&scaleSize=Long(1024),Lat(1024)&format=image%2Ftiff",
+                client.getCoverageUrl("temperature", sector));
+
+            client.addDescriptions(new WcsCoverageDescriptions(parse(
+                '<wcs:CoverageDescriptions xmlns:wcs="http://www.opengis.net/wcs/2.0"' +
+                ' xmlns:gml="http://www.opengis.net/gml/3.2"><wcs:CoverageDescription gml:id="temperature">' +
+                '<gml:boundedBy><gml:Envelope srsName="http://www.opengis.net/def/crs/EPSG/0/32613"' +
+                ' axisLabels="E N ansi"><gml:lowerCorner>0 0</gml:lowerCorner>' +
+                '<gml:upperCorner>1 1</gml:upperCorner></gml:Envelope></gml:boundedBy>' +
+                '<wcs:CoverageId>temperature</wcs:CoverageId></wcs:CoverageDescription>' +
+                '</wcs:CoverageDescriptions>')));
+
+            assertEquals("http://example.com/ows?service=WCS&request=GetCoverage&version=2.0.1&coverageId=temperature" +
+                "&subset=Lat(30,40)&subset=Long(-110,-100)" +
+                "&subsettingCrs=http%3A%2F%2Fwww.opengis.net%2Fdef%2Fcrs%2FEPSG%2F0%2F4326" +
+                "&outputCrs=http%3A%2F%2Fwww.opengis.net%2Fdef%2Fcrs%2FEPSG%2F0%2F4326" +
+                "&subset=ansi(%222016-01-01T00:00:00Z%22,%222016-01-02T00:00:00Z%22)" +
+                "&scaleSize=Long(200),Lat(100)&rangeSubset=TEMP&format=image%2Ftiff",
+                client.getCoverageUrl("temperature", sector, {
+                    time: [new Date(Date.UTC(2016, 0, 1)), new Date(Date.UTC(2016, 0, 2))],
+                    width: 200,
+                    height: 100,
+                    field: "TEMP"
+                }));
+        }),
+
+        testWcs20NativeSize: CatchTest(function () {
+            var client = new WcsClient(wcs20Capabilities());
+
+            client.addDescriptions(new WcsCoverageDescriptions(parse(
+                '<wcs:CoverageDescriptions xmlns:wcs="http://www.opengis.net/wcs/2.0"' +
+                ' xmlns:gml="http://www.opengis.net/gml/3.2"><wcs:CoverageDescription gml:id="dem">' +
+                '<gml:boundedBy><gml:Envelope srsName="http://www.opengis.net/def/crs/EPSG/0/4326"' +
+                ' axisLabels="Lat Long"><gml:lowerCorner>-90 -180</gml:lowerCorner>' +
+                '<gml:upperCorner>90 180</gml:upperCorner></gml:Envelope></gml:boundedBy>' +
+                '<wcs:CoverageId>dem</wcs:CoverageId><gml:domainSet><gml:RectifiedGrid><gml:limits>' +
+                '<gml:GridEnvelope><gml:low>0 0</gml:low><gml:high>35999 17999</gml:high></gml:GridEnvelope>' +
+                '</gml:limits></gml:RectifiedGrid></gml:domainSet></wcs:CoverageDescription>' +
+                '</wcs:CoverageDescriptions>')));
+
+            // A continental sector exceeds the largest size requested.
+            assertTrue(client.getCoverageUrl("dem", new Sector(30, 50, -120, -80))
+                .indexOf("&scaleSize=Long(1024),Lat(512)&") > 0);
+            // A small sector is requested at its native resolution, without scaling.
+            assertEquals(-1, client.getCoverageUrl("dem", new Sector(30, 31, -110, -109)).indexOf("scaleSize"));
+        }),
+
+        testResponseChecks: CatchTest(function () {
+            var tiff = new Uint8Array([0x49, 0x49, 42, 0, 8, 0, 0, 0]).buffer,
+                text = '<ows:ExceptionReport xmlns:ows="http://www.opengis.net/ows/2.0"><ows:Exception>' +
+                    '<ows:ExceptionText>No such coverage</ows:ExceptionText></ows:Exception></ows:ExceptionReport>',
+                bytes = new Uint8Array(text.length);
+
+            for (var i = 0; i < text.length; i++) {
+                bytes[i] = text.charCodeAt(i);
+            }
+
+            assertTrue(WcsClient.isTiff(tiff));
+            assertFalse(WcsClient.isTiff(bytes.buffer));
+            assertEquals("No such coverage", WcsClient.exceptionMessage(bytes.buffer));
+        })
+    });
+});
@@ -0,0 +1,73 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/util/RasterSymbolizer',
+    'src/geom/Sector',
+    'src/ogc/WcsCoverage'
+], function (CatchTest,
+             RasterSymbolizer,
+             Sector,
+             WcsCoverage) {
+    "use strict";
+
+    // A reader of a 2x2 GeoTIFF spanning 0 to 2 degrees latitude and longitude, in geographic coordinates.
+    var reader = {
+        metadata: {imageWidth: 2, imageLength: 2, bbox: new Sector(0, 2, 0, 2), noData: "-9999"},
+        locationToGeoTiffImage: function (latitude, longitude) {
+            return [longitude, 2 - latitude];
+        }
+    };
+
+    TestCase("WcsCoverageTest", {
+        testValues: CatchTest(function () {
+            var coverage = new WcsCoverage("temperature", reader, new Float32Array([280.5, 281, -9999, 283]));
+
+            assertEquals(-9999, coverage.noDataValue);
+            assertEquals(280.5, coverage.minValue);
+            assertEquals(283, coverage.maxValue);
+            assertEquals(280.5, coverage.valueAtLocation(1.5, 0.5));
+            assertEquals(281, coverage.valueAtLocation(1.5, 1.5));
+            assertEquals(283, coverage.valueAtLocation(0, 2));
+            assertNull(coverage.valueAtLocation(0.5, 0.5));
+            assertNull(coverage.valueAtLocation(3, 1));
+        }),
+
+        testNoDataValueOverride: CatchTest(function () {
+            var coverage = new WcsCoverage("temperature", reader, [1, 2, 3, 4], 4);
+
+            assertEquals(4, coverage.noDataValue);
+            assertEquals(3, coverage.maxValue);
+            assertNull(coverage.valueAtLocation(0.5, 1.5));
+        }),
+
+        testCreateSurfaceImage: CatchTest(function () {
+            var coverageA = new WcsCoverage("temperature", reader, [280, 281, 282, 283], 283),
+                coverageB = new WcsCoverage("temperature", reader, [290, 291, 292, 293], 290),
+                symbolizer = new RasterSymbolizer(),
+                createImageSource = RasterSymbolizer.prototype.createImageSource,
+                used = [];
+
+            RasterSymbolizer.prototype.createImageSource = function (values, width, height) {
+                used.push(this);
+                return {};
+            };
+
+            try {
+                coverageA.createSurfaceImage(symbolizer);
+                coverageB.createSurfaceImage(symbolizer);
+            } finally {
+                RasterSymbolizer.prototype.createImageSource = createImageSource;
+            }
+
+            // Each coverage is colored by its own range and NODATA value, and the shared symbolizer is unchanged.
+            assertEquals([280, 282, 283], [used[0].minValue, used[0].maxValue, used[0].noDataValue]);
+            assertEquals([291, 293, 290], [used[1].minValue, used[1].maxValue, used[1].noDataValue]);
+            assertEquals([0, 1, null], [symbolizer.minValue, symbolizer.maxValue, symbolizer.noDataValue]);
+        })
+    });
+});
@@ -0,0 +1,83 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/ogc/WcsCoverageDescriptions'
+], function (CatchTest,
+             WcsCoverageDescriptions) {
+    "use strict";
+
+    var parse = function (text) {
+        return new DOMParser().parseFromString(text, "text/xml");
+    };
+
+    TestCase("WcsCoverageDescriptionsTest", {
+        testWcs10: CatchTest(function () {
+            var descriptions = new WcsCoverageDescriptions(parse(
+                    '<CoverageDescription version="1.0.0" xmlns="http://www.opengis.net/wcs"' +
+                    ' xmlns:gml="http://www.opengis.net/gml"><CoverageOffering><name>sst</name><label>SST</label>' +
+                    '<lonLatEnvelope srsName="urn:ogc:def:crs:OGC:1.3:CRS84"><gml:pos>-180 -90</gml:pos>' +
+                    '<gml:pos>180 90</gml:pos></lonLatEnvelope><domainSet><spatialDomain>' +
+                    '<gml:Envelope srsName="EPSG:4326"><gml:pos>-180 -90</gml:pos><gml:pos>180 90</gml:pos>' +
+                    '</gml:Envelope><gml:RectifiedGrid dimension="2"><gml:limits><gml:GridEnvelope>' +
+                    '<gml:low>0 0</gml:low><gml:high>719 359</gml:high></gml:GridEnvelope></gml:limits>' +
+                    '</gml:RectifiedGrid></spatialDomain><temporalDomain>' +
+                    '<gml:timePosition>2016-01-01T00:00:00Z</gml:timePosition>' +
+                    '<gml:timePosition>2016-02-01T00:00:00Z</gml:timePosition></temporalDomain></domainSet>' +
+                    '<rangeSet><RangeSet><name>sst</name><label>Temperature</label><nullValues>' +
+                    '<singleValue>-999</singleValue></nullValues></RangeSet></rangeSet><supportedCRSs>' +
+                    '<requestResponseCRSs>EPSG:4326</requestResponseCRSs><nativeCRSs>EPSG:4326</nativeCRSs>' +
+                    '</supportedCRSs><supportedFormats nativeFormat="GeoTIFF"><formats>GeoTIFF</formats>' +
+                    '<formats>NetCDF</formats></supportedFormats></CoverageOffering></CoverageDescription>')),
+                coverage = descriptions.getCoverage("sst");
+
+            assertEquals("SST", coverage.title);
+            assertEquals("EPSG:4326", coverage.crs);
+            assertEquals([], coverage.axisLabels);
+            assertEquals(-90, coverage.sector.minLatitude);
+            assertEquals(180, coverage.sector.maxLongitude);
+            assertEquals([720, 360], coverage.gridSize);
+            assertEquals(2, coverage.times.length);
+            assertEquals(Date.UTC(2016, 1, 1), coverage.times[1].getTime());
+            assertEquals([{name: "sst", nilValues: [-999], uom: null}], coverage.fields);
+            assertEquals(["GeoTIFF", "NetCDF"], coverage.formats);
+            assertEquals(["EPSG:4326"], coverage.crsSupported);
+        }),
+
+        testWcs20: CatchTest(function () {
+            var descriptions = new WcsCoverageDescriptions(parse(
+                    '<wcs:CoverageDescriptions xmlns:wcs="http://www.opengis.net/wcs/2.0"' +
+                    ' xmlns:gml="http://www.opengis.net/gml/3.2" xmlns:gmlcov="http://www.opengis.net/gmlcov/1.0"' +
+                    ' xmlns:swe="http://www.opengis.net/swe/2.0"><wcs:CoverageDescription gml:id="temperature">' +
+                    '<gml:boundedBy><gml:EnvelopeWithTimePeriod srsName="http://www.opengis.net/def/crs/EPSG/0/4326"' +
+                    ' axisLabels="Lat Long time" srsDimension="2"><gml:lowerCorner>30 -110</gml:lowerCorner>' +
+                    '<gml:upperCorner>40 -100</gml:upperCorner>' +
+                    '<gml:beginPosition>2016-01-01T00:00:00Z</gml:beginPosition>' +
+                    '<gml:endPosition>2016-12-31T00:00:00Z</gml:endPosition></gml:EnvelopeWithTimePeriod>' +
+                    '</gml:boundedBy><wcs:CoverageId>temperature</wcs:CoverageId><gml:domainSet>' +
+                    '<gml:RectifiedGrid dimension="2"><gml:limits><gml:GridEnvelope><gml:low>0 0</gml:low>' +
+                    '<gml:high>99 99</gml:high></gml:GridEnvelope></gml:limits></gml:RectifiedGrid>' +
+                    '</gml:domainSet><gmlcov:rangeType><swe:DataRecord><swe:field name="TEMP"><swe:Quantity>' +
+                    '<swe:nilValues><swe:NilValues><swe:nilValue reason="missing">-9999</swe:nilValue>' +
+                    '</swe:NilValues></swe:nilValues><swe:uom code="K"/></swe:Quantity></swe:field>' +
+                    '</swe:DataRecord></gmlcov:rangeType><wcs:ServiceParameters>' +
+                    '<wcs:CoverageSubtype>RectifiedGridCoverage</wcs:CoverageSubtype>' +
+                    '<wcs:nativeFormat>image/tiff</wcs:nativeFormat></wcs:ServiceParameters>' +
+                    '</wcs:CoverageDescription></wcs:CoverageDescriptions>')),
+                coverage = descriptions.getCoverage("temperature");
+
+            assertEquals("http://www.opengis.net/def/crs/EPSG/0/4326", coverage.crs);
+            assertEquals(["Lat", "Long", "time"], coverage.axisLabels);
+            assertEquals(30, coverage.sector.minLatitude);
+            assertEquals(-100, coverage.sector.maxLongitude);
+            assertEquals([100, 100], coverage.gridSize);
+            assertEquals(Date.UTC(2016, 11, 31), coverage.timePeriod.end.getTime());
+            assertEquals([{name: "TEMP", nilValues: [-9999], uom: "K"}], coverage.fields);
+            assertEquals(["image/tiff"], coverage.formats);
+        })
+    });
+});
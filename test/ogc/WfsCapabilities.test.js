@@ -0,0 +1,69 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/ogc/WfsCapabilities'
+], function (CatchTest,
+             WfsCapabilities) {
+    "use strict";
+
+    var operations = function (ows, getFeatureContent, extra) {
+        return '<' + ows + ':OperationsMetadata><' + ows + ':Operation name="GetFeature"><' + ows + ':DCP><' + ows +
+            ':HTTP><' + ows + ':Get xlink:href="http://example.com/wfs?"/></' + ows + ':HTTP></' + ows + ':DCP>' +
+            getFeatureContent + '</' + ows + ':Operation>' + extra + '</' + ows + ':OperationsMetadata>';
+    };
+
+    var wfs11 = '<wfs:WFS_Capabilities version="1.1.0" xmlns:wfs="http://www.opengis.net/wfs"' +
+        ' xmlns:ows="http://www.opengis.net/ows" xmlns:xlink="http://www.w3.org/1999/xlink">' +
+        '<ows:ServiceIdentification><ows:Title>Cities</ows:Title></ows:ServiceIdentification>' +
+        operations("ows", '<ows:Parameter name="outputFormat"><ows:Value>text/xml; subtype=gml/3.1.1</ows:Value>' +
+            '<ows:Value>json</ows:Value></ows:Parameter>', "") +
+        '<wfs:FeatureTypeList><wfs:FeatureType><wfs:Name>topp:cities</wfs:Name><wfs:Title>Cities</wfs:Title>' +
+        '<wfs:DefaultSRS>urn:ogc:def:crs:EPSG::4326</wfs:DefaultSRS><wfs:OtherSRS>EPSG:3857</wfs:OtherSRS>' +
+        '<ows:WGS84BoundingBox><ows:LowerCorner>-180 -90</ows:LowerCorner><ows:UpperCorner>180 90</ows:UpperCorner>' +
+        '</ows:WGS84BoundingBox></wfs:FeatureType></wfs:FeatureTypeList></wfs:WFS_Capabilities>';
+
+    var wfs20 = '<wfs:WFS_Capabilities version="2.0.0" xmlns:wfs="http://www.opengis.net/wfs/2.0"' +
+        ' xmlns:ows="http://www.opengis.net/ows/1.1" xmlns:xlink="http://www.w3.org/1999/xlink">' +
+        operations("ows", "", '<ows:Constraint name="ImplementsResultPaging"><ows:NoValues/>' +
+            '<ows:DefaultValue>TRUE</ows:DefaultValue></ows:Constraint>') +
+        '<wfs:FeatureTypeList><wfs:FeatureType><wfs:Name>ns:lakes</wfs:Name><wfs:Title>Lakes</wfs:Title>' +
+        '<wfs:DefaultCRS>urn:ogc:def:crs:EPSG::4326</wfs:DefaultCRS><wfs:OutputFormats>' +
+        '<wfs:Format>application/gml+xml; version=3.2</wfs:Format><wfs:Format>application/json</wfs:Format>' +
+        '</wfs:OutputFormats></wfs:FeatureType></wfs:FeatureTypeList></wfs:WFS_Capabilities>';
+
+    var parse = function (text) {
+        return new DOMParser().parseFromString(text, "text/xml");
+    };
+
+    TestCase("WfsCapabilitiesTest", {
+        testWfs11: CatchTest(function () {
+            var caps = new WfsCapabilities(parse(wfs11)),
+                featureType = caps.getFeatureType("cities");
+
+            assertEquals("1.1.0", caps.version);
+            assertEquals("http://example.com/wfs?", caps.getGetFeatureAddress());
+            assertEquals("topp:cities", featureType.name);
+            assertEquals("urn:ogc:def:crs:EPSG::4326", featureType.defaultCrs);
+            assertEquals(["EPSG:3857"], featureType.otherCrs);
+            assertEquals([-180, -90], featureType.wgs84BoundingBox.lowerCorner);
+            assertEquals(["text/xml; subtype=gml/3.1.1", "json"], caps.getOutputFormats(featureType));
+            assertFalse(caps.supportsResultPaging());
+        }),
+
+        testWfs20: CatchTest(function () {
+            var caps = new WfsCapabilities(parse(wfs20)),
+                featureType = caps.getFeatureType("ns:lakes");
+
+            assertEquals("2.0.0", caps.version);
+            assertEquals("urn:ogc:def:crs:EPSG::4326", featureType.defaultCrs);
+            assertEquals(["application/gml+xml; version=3.2", "application/json"], caps.getOutputFormats(featureType));
+            assertNull(caps.getFeatureType("rivers"));
+            assertTrue(caps.supportsResultPaging());
+        })
+    });
+});
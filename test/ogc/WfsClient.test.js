@@ -0,0 +1,147 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/layer/RenderableLayer',
+    'src/geom/Sector',
+    'src/ogc/WfsCapabilities',
+    'src/ogc/WfsClient'
+], function (CatchTest,
+             RenderableLayer,
+             Sector,
+             WfsCapabilities,
+             WfsClient) {
+    "use strict";
+
+    var capabilities = function (version, formats) {
+        var ows = version === "2.0.0" ? "http://www.opengis.net/ows/1.1" : "http://www.opengis.net/ows";
+
+        return new WfsCapabilities(new DOMParser().parseFromString(
+            '<wfs:WFS_Capabilities version="' + version + '" xmlns:wfs="http://www.opengis.net/wfs"' +
+            ' xmlns:ows="' + ows + '" xmlns:xlink="http://www.w3.org/1999/xlink"><ows:OperationsMetadata>' +
+            '<ows:Operation name="GetFeature"><ows:DCP><ows:HTTP><ows:Get xlink:href="http://example.com/wfs"/>' +
+            '</ows:HTTP></ows:DCP></ows:Operation></ows:OperationsMetadata><wfs:FeatureTypeList><wfs:FeatureType>' +
+            '<wfs:Name>ns:cities</wfs:Name><wfs:OutputFormats><wfs:Format>' +
+            formats.join('</wfs:Format><wfs:Format>') + '</wfs:Format></wfs:OutputFormats></wfs:FeatureType>' +
+            '</wfs:FeatureTypeList></wfs:WFS_Capabilities>',
+            "text/xml"));
+    };
+
+    TestCase("WfsClientTest", {
+        testConstructorErrors: CatchTest(function () {
+            try {
+                new WfsClient(null);
+                fail("Expected an ArgumentError");
+            } catch (e) {
+                assertEquals("ArgumentError", e.name);
+            }
+        }),
+
+        testGetFeatureUrlWithBoundingBox: CatchTest(function () {
+            var client = new WfsClient(capabilities("1.1.0", ["text/xml; subtype=gml/3.1.1", "json"])),
+                url = client.getFeatureUrl("ns:cities", {
+                    sector: new Sector(30, 40, -110, -100),
+                    outputFormat: client.selectOutputFormat("ns:cities"),
+                    count: 100
+                });
+
+            assertEquals("http://example.com/wfs?service=WFS&request=GetFeature&version=1.1.0&typeName=ns%3Acities" +
+                "&srsName=urn%3Aogc%3Adef%3Acrs%3AEPSG%3A%3A4326&outputFormat=json" +
+                "&bbox=30,-110,40,-100,urn%3Aogc%3Adef%3Acrs%3AEPSG%3A%3A4326&maxFeatures=100", url);
+        }),
+
+        testGetFeatureUrlWithFilter: CatchTest(function () {
+            var client = new WfsClient(capabilities("2.0.0", ["application/gml+xml; version=3.2"])),
+                url = client.getFeatureUrl("ns:cities", {
+                    sector: new Sector(30, 40, -110, -100),
+                    time: [new Date("2016-01-01T00:00:00Z"), new Date("2016-02-01T00:00:00Z")],
+                    timeProperty: "observed",
+                    propertyValues: {state: "CO"},
+                    startIndex: 0,
+                    count: 50
+                }),
+                filter = decodeURIComponent(/&filter=([^&]*)/.exec(url)[1]);
+
+            assertNull(client.selectOutputFormat("ns:cities"));
+            assertEquals(-1, url.indexOf("&bbox="));
+            assertTrue(url.indexOf("&typeNames=ns%3Acities") > 0);
+            assertTrue(url.indexOf("&startIndex=0&count=50") > 0);
+            assertEquals('<fes:Filter xmlns:fes="http://www.opengis.net/fes/2.0"' +
+                ' xmlns:gml="http://www.opengis.net/gml/3.2"><fes:And><fes:BBOX>' +
+                '<gml:Envelope srsName="urn:ogc:def:crs:EPSG::4326"><gml:lowerCorner>30 -110</gml:lowerCorner>' +
+                '<gml:upperCorner>40 -100</gml:upperCorner></gml:Envelope></fes:BBOX>' +
+                '<fes:PropertyIsEqualTo><fes:ValueReference>state</fes:ValueReference><fes:Literal>CO</fes:Literal>' +
+                '</fes:PropertyIsEqualTo><fes:PropertyIsBetween><fes:ValueReference>observed</fes:ValueReference>' +
+                '<fes:LowerBoundary><fes:Literal>2016-01-01T00:00:00.000Z</fes:Literal></fes:LowerBoundary>' +
+                '<fes:UpperBoundary><fes:Literal>2016-02-01T00:00:00.000Z</fes:Literal></fes:UpperBoundary>' +
+                '</fes:PropertyIsBetween></fes:And></fes:Filter>', filter);
+        }),
+
+        testDecodeFeatures: CatchTest(function () {
+            var json = WfsClient.decodeFeatures(JSON.stringify({
+                    type: "FeatureCollection",
+                    totalFeatures: 12,
+                    crs: {type: "name", properties: {name: "urn:ogc:def:crs:EPSG::4326"}},
+                    features: []
+                })),
+                gml = WfsClient.decodeFeatures('<wfs:FeatureCollection xmlns:wfs="http://www.opengis.net/wfs/2.0"' +
+                    ' numberMatched="3"/>');
+
+            assertEquals(12, json.numberMatched);
+            assertUndefined(json.crs);
+            assertEquals(3, gml.numberMatched);
+
+            try {
+                WfsClient.decodeFeatures('<ows:ExceptionReport xmlns:ows="http://www.opengis.net/ows/1.1">' +
+                    '<ows:Exception><ows:ExceptionText>Unknown type</ows:ExceptionText></ows:Exception>' +
+                    '</ows:ExceptionReport>');
+                fail("Expected an Error");
+            } catch (e) {
+                assertEquals("Unknown type", e.message);
+            }
+        }),
+
+        testDecodeLatitudeFirstFeatures: CatchTest(function () {
+            var point = {type: "Point", coordinates: [40, -105]},
+                polygon = {type: "Polygon", coordinates: [[[40, -105], [41, -105], [41, -104], [40, -105]]]},
+                collection = {
+                    type: "FeatureCollection",
+                    crs: {type: "name", properties: {name: "urn:ogc:def:crs:EPSG::4326"}},
+                    features: [{type: "Feature", geometry: point}, {type: "Feature", geometry: polygon}]
+                },
+                latitudeFirst = WfsClient.decodeFeatures(JSON.stringify(collection));
+
+            assertEquals([-105, 40], latitudeFirst.features[0].geometry.coordinates);
+            assertEquals([-104, 41], latitudeFirst.features[1].geometry.coordinates[0][2]);
+
+            // EPSG:4326 without a URN names longitude, latitude order, as GeoJSON does.
+            collection.crs.properties.name = "EPSG:4326";
+            assertEquals([40, -105], WfsClient.decodeFeatures(JSON.stringify(collection)).features[0].geometry
+                .coordinates);
+        }),
+
+        testAddRenderables: CatchTest(function () {
+            var client = new WfsClient(capabilities("1.1.0", ["json"])),
+                layer = new RenderableLayer("Cities"),
+                configured = [];
+
+            client.addRenderables({
+                type: "FeatureCollection",
+                features: [
+                    {type: "Feature", geometry: {type: "Point", coordinates: [-104.98, 39.74]}, properties: {}},
+                    {type: "Feature", geometry: null, properties: {}}
+                ]
+            }, layer, function (geometry, properties) {
+                configured.push(geometry);
+                return {};
+            });
+
+            assertEquals(1, configured.length);
+            assertEquals(1, layer.renderables.length);
+        })
+    });
+});
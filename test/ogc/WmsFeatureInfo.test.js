@@ -0,0 +1,86 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/ogc/WmsFeatureInfo'
+], function (CatchTest,
+             WmsFeatureInfo) {
+    "use strict";
+
+    TestCase("WmsFeatureInfoTest", {
+        testSelectFormat: CatchTest(function () {
+            assertEquals("application/json", WmsFeatureInfo.selectFormat(["text/html", "application/json"]));
+            assertEquals("text/plain", WmsFeatureInfo.selectFormat(["text/html", "text/plain"]));
+            assertEquals("application/x-custom", WmsFeatureInfo.selectFormat(["application/x-custom"]));
+            assertEquals("text/plain", WmsFeatureInfo.selectFormat(null));
+        }),
+
+        testJson: CatchTest(function () {
+            var featureInfo = new WmsFeatureInfo(JSON.stringify({
+                type: "FeatureCollection",
+                features: [{
+                    type: "Feature",
+                    id: "states.1",
+                    geometry: {type: "Point", coordinates: [-100, 40]},
+                    properties: {STATE_NAME: "Kansas"}
+                }]
+            }), "application/json; charset=utf-8");
+
+            assertEquals("application/json", featureInfo.format);
+            assertEquals(1, featureInfo.features.length);
+            assertEquals("states.1", featureInfo.features[0].id);
+            assertEquals({STATE_NAME: "Kansas"}, featureInfo.features[0].properties);
+            assertEquals("Point", featureInfo.features[0].geometry.type);
+        }),
+
+        testGml: CatchTest(function () {
+            var featureInfo = new WmsFeatureInfo(
+                '<wfs:FeatureCollection xmlns:wfs="http://www.opengis.net/wfs" xmlns:gml="http://www.opengis.net/gml"' +
+                ' xmlns:topp="http://www.openplans.org/topp"><gml:featureMember>' +
+                '<topp:states fid="states.1"><gml:boundedBy><gml:Box/></gml:boundedBy>' +
+                '<topp:the_geom><gml:MultiPolygon/></topp:the_geom>' +
+                '<topp:STATE_NAME>Kansas</topp:STATE_NAME><topp:PERSONS>2477574</topp:PERSONS>' +
+                '</topp:states></gml:featureMember></wfs:FeatureCollection>', "application/vnd.ogc.gml");
+
+            assertEquals(1, featureInfo.features.length);
+            assertEquals("states.1", featureInfo.features[0].id);
+            assertEquals({STATE_NAME: "Kansas", PERSONS: "2477574"}, featureInfo.features[0].properties);
+        }),
+
+        testMapServerAndEsriXml: CatchTest(function () {
+            var mapServer = new WmsFeatureInfo('<msGMLOutput><states_layer><states_feature>' +
+                    '<NAME>Kansas</NAME></states_feature><states_feature><NAME>Iowa</NAME></states_feature>' +
+                    '</states_layer></msGMLOutput>', "application/vnd.ogc.gml"),
+                esri = new WmsFeatureInfo('<FeatureInfoResponse><FIELDS NAME="Kansas" FID="3"/>' +
+                    '</FeatureInfoResponse>', "application/vnd.esri.wms_featureinfo_xml");
+
+            assertEquals(2, mapServer.features.length);
+            assertEquals({NAME: "Iowa"}, mapServer.features[1].properties);
+            assertEquals({NAME: "Kansas", FID: "3"}, esri.features[0].properties);
+        }),
+
+        testPlainText: CatchTest(function () {
+            var featureInfo = new WmsFeatureInfo("GetFeatureInfo results:\n\nLayer 'states'\n" +
+                "  Feature 1: \n    NAME = 'Kansas'\n    POP = '2477574'\n" +
+                "  Feature 2: \n    NAME = 'Iowa'\n", "text/plain");
+
+            assertEquals(2, featureInfo.features.length);
+            assertEquals({NAME: "Kansas", POP: "2477574"}, featureInfo.features[0].properties);
+            assertEquals({NAME: "Iowa"}, featureInfo.features[1].properties);
+        }),
+
+        testHtmlAndException: CatchTest(function () {
+            var html = new WmsFeatureInfo("<table><tr><td>a = b</td></tr></table>", "text/html"),
+                exception = new WmsFeatureInfo('<ServiceExceptionReport version="1.3.0"><ServiceException>' +
+                    'Layer not queryable</ServiceException></ServiceExceptionReport>', "text/xml");
+
+            assertEquals(0, html.features.length);
+            assertEquals("<table><tr><td>a = b</td></tr></table>", html.text);
+            assertEquals("Layer not queryable", exception.exception);
+        })
+    });
+});
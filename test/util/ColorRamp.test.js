@@ -0,0 +1,68 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/util/Color',
+    'src/util/ColorRamp'
+], function (
+    CatchTest,
+    Color,
+    ColorRamp
+) {
+    "use strict";
+    TestCase("ColorRampTest", {
+        testColorAt: CatchTest(function () {
+            var ramp = new ColorRamp([Color.BLACK, Color.RED, Color.WHITE]),
+                color = new Color(0, 0, 0, 0);
+
+            assertTrue(ramp.colorAt(0, color).equals(Color.BLACK));
+            assertTrue(ramp.colorAt(0.5, color).equals(Color.RED));
+            assertTrue(ramp.colorAt(1, color).equals(Color.WHITE));
+            assertTrue(ramp.colorAt(0.25, color).equals(new Color(0.5, 0, 0, 1)));
+            assertTrue(ramp.colorAt(0.75, color).equals(new Color(1, 0.5, 0.5, 1)));
+        }),
+
+        testClamping: CatchTest(function () {
+            var ramp = new ColorRamp([Color.BLACK, Color.WHITE]),
+                color = new Color(0, 0, 0, 0);
+
+            assertTrue(ramp.colorAt(-1, color).equals(Color.BLACK));
+            assertTrue(ramp.colorAt(2, color).equals(Color.WHITE));
+        }),
+
+        testPositions: CatchTest(function () {
+            var ramp = new ColorRamp([Color.BLACK, Color.RED, Color.WHITE], [0, 0.8, 1]),
+                color = new Color(0, 0, 0, 0);
+
+            assertTrue(ramp.colorAt(0.4, color).equals(new Color(0.5, 0, 0, 1)));
+            assertTrue(ramp.colorAt(0.9, color).equals(new Color(1, 0.5, 0.5, 1)));
+        }),
+
+        testReversed: CatchTest(function () {
+            var ramp = new ColorRamp([Color.BLACK, Color.RED, Color.WHITE], [0, 0.8, 1]).reversed(),
+                color = new Color(0, 0, 0, 0);
+
+            assertTrue(ramp.colorAt(0, color).equals(Color.WHITE));
+            assertTrue(ramp.colorAt(0.6, color).equals(new Color(0.5, 0, 0, 1)));
+        }),
+
+        testRampForName: CatchTest(function () {
+            assertSame(ColorRamp.VIRIDIS, ColorRamp.rampForName("viridis"));
+            assertNull(ColorRamp.rampForName("rampForName"));
+            assertNull(ColorRamp.rampForName("unknown"));
+        }),
+
+        testMissingColors: CatchTest(function () {
+            try {
+                new ColorRamp([Color.BLACK]);
+                fail("Expected an ArgumentError");
+            } catch (e) {
+                assertEquals("ArgumentError", e.name);
+            }
+        })
+    });
+});
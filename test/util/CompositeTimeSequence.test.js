@@ -0,0 +1,129 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/util/CompositeTimeSequence',
+    'src/util/TimeSeriesUtil'
+], function (
+    CatchTest,
+    CompositeTimeSequence,
+    TimeSeriesUtil
+) {
+    "use strict";
+    var sequenceString = "2016-01-01T00:00:00Z, 2016-07-12/2016-07-13/PT12H, 2016-03-01/2016-03-02, " +
+        "2016-05-01/2016-07-01/P1M";
+
+    TestCase("CompositeTimeSequenceTest", {
+        testComponents: CatchTest(function () {
+            var sequence = new CompositeTimeSequence(sequenceString);
+
+            assertEquals(1, sequence.instants.length);
+            assertEquals(2, sequence.periodicSequences.length);
+            assertEquals(1, sequence.intervals.length);
+            assertEquals("2016-01-01T00:00:00.000Z", sequence.startTime.toISOString());
+            assertEquals("2016-07-13T00:00:00.000Z", sequence.endTime.toISOString());
+            assertEquals(sequence.endTime, sequence.defaultTime);
+        }),
+
+        testIteration: CatchTest(function () {
+            var sequence = new CompositeTimeSequence(sequenceString),
+                times = [];
+
+            sequence.reset();
+            while (sequence.next()) {
+                times.push(sequence.currentTime.toISOString().substring(0, 13));
+            }
+
+            assertEquals(["2016-01-01T00", "2016-03-01T00", "2016-03-02T00", "2016-05-01T00", "2016-06-01T00",
+                "2016-07-01T00", "2016-07-12T00", "2016-07-12T12", "2016-07-13T00"], times);
+
+            assertEquals("2016-07-12T12:00:00.000Z", sequence.previous() && sequence.previous().toISOString());
+        }),
+
+        testNearestTime: CatchTest(function () {
+            var sequence = new CompositeTimeSequence(sequenceString);
+
+            assertEquals("2016-07-12T12:00:00.000Z",
+                sequence.nearestTime(new Date("2016-07-12T17:00:00Z")).toISOString());
+            assertEquals("2016-03-01T06:00:00.000Z",
+                sequence.nearestTime(new Date("2016-03-01T06:00:00Z")).toISOString());
+            assertEquals("2016-06-01T00:00:00.000Z",
+                sequence.nearestTime(new Date("2016-06-10T00:00:00Z")).toISOString());
+            assertEquals("2016-01-01T00:00:00.000Z",
+                sequence.nearestTime(new Date("2015-01-01T00:00:00Z")).toISOString());
+            assertEquals("2016-07-13T00:00:00.000Z",
+                sequence.nearestTime(new Date("2017-01-01T00:00:00Z")).toISOString());
+        }),
+
+        testCalendarPeriods: CatchTest(function () {
+            var monthly = new CompositeTimeSequence("1950-01-15T12:00:00Z/2020-01-15T12:00:00Z/P1M"),
+                quarterly = new CompositeTimeSequence("2000-02-01/2020-02-01/P1Y3M"),
+                endOfMonth = new CompositeTimeSequence("2016-01-31/2016-12-31/P1M");
+
+            assertEquals("2016-07-15T12:00:00.000Z",
+                monthly.nearestTime(new Date("2016-07-20T00:00:00Z")).toISOString());
+            assertEquals("2016-07-15T12:00:00.000Z",
+                monthly.timeBefore(new Date("2016-08-15T12:00:00Z")).toISOString());
+            assertEquals("2016-08-15T12:00:00.000Z",
+                monthly.timeAfter(new Date("2016-07-15T12:00:00Z")).toISOString());
+            assertEquals("2011-05-01T00:00:00.000Z",
+                quarterly.nearestTime(new Date("2011-09-01T00:00:00Z")).toISOString());
+            // Steps from the end of a month keep the day of the shortest month stepped through.
+            assertEquals("2016-04-29T00:00:00.000Z",
+                endOfMonth.nearestTime(new Date("2016-04-30T00:00:00Z")).toISOString());
+        }),
+
+        testIsValidTime: CatchTest(function () {
+            var sequence = new CompositeTimeSequence(sequenceString),
+                nearestSequence = new CompositeTimeSequence(sequenceString, null, true);
+
+            assertTrue(sequence.isValidTime(new Date("2016-07-12T12:00:00Z")));
+            assertTrue(sequence.isValidTime(new Date("2016-03-01T06:00:00Z")));
+            assertFalse(sequence.isValidTime(new Date("2016-07-12T13:00:00Z")));
+            assertTrue(nearestSequence.isValidTime(new Date("2016-07-12T13:00:00Z")));
+            assertFalse(nearestSequence.isValidTime(new Date("2017-01-01T00:00:00Z")));
+        }),
+
+        testDefaultAndSnapTime: CatchTest(function () {
+            var sequence = new CompositeTimeSequence(sequenceString, "2016-05-03");
+
+            assertEquals("2016-05-01T00:00:00.000Z", sequence.defaultTime.toISOString());
+            assertEquals(sequence.defaultTime, sequence.snapTime(null));
+            assertEquals("2016-07-12T00:00:00.000Z", sequence.snapTime(new Date("2016-07-12T05:00:00Z")).toISOString());
+        }),
+
+        testCurrentEnd: CatchTest(function () {
+            var before = Date.now(),
+                sequence = new CompositeTimeSequence("2016-01-01/present/P1Y", "current");
+
+            assertEquals("2016-01-01T00:00:00.000Z", sequence.periodicSequences[0].startTime.toISOString());
+            assertTrue(sequence.periodicSequences[0].endTime.getTime() >= before);
+            assertEquals(sequence.endTime.getTime(), sequence.defaultTime.getTime());
+        }),
+
+        testTimesOfSequence: CatchTest(function () {
+            var times = TimeSeriesUtil.timesOfSequence(new CompositeTimeSequence("2016-07-12/2016-07-13/PT12H"));
+
+            assertEquals(3, times.length);
+        }),
+
+        testInvalidElement: CatchTest(function () {
+            var sequence = new CompositeTimeSequence("2016-07-12, not a time, 2000-01-01/P1D, 2016-07-13/2016-07-12",
+                "not a time");
+
+            assertEquals(1, sequence.instants.length);
+            assertEquals("2016-07-12T00:00:00.000Z", sequence.defaultTime.toISOString());
+
+            try {
+                new CompositeTimeSequence("not a time");
+                fail("Expected an ArgumentError.");
+            } catch (e) {
+                assertEquals("ArgumentError", e.name);
+            }
+        })
+    });
+});
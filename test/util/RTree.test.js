@@ -0,0 +1,92 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/util/RTree',
+    'src/geom/Sector'
+], function (CatchTest,
+             RTree,
+             Sector) {
+    "use strict";
+
+    // Creates one degree sectors on a 20 x 20 grid, identified by their row and column.
+    var createGrid = function () {
+        var sectors = [],
+            items = [];
+
+        for (var row = 0; row < 20; row++) {
+            for (var column = 0; column < 20; column++) {
+                sectors.push(new Sector(row, row + 1, column, column + 1));
+                items.push(row + "," + column);
+            }
+        }
+
+        return {sectors: sectors, items: items};
+    };
+
+    var sorted = function (items) {
+        return items.slice().sort();
+    };
+
+    TestCase("RTreeTest", {
+        testEmpty: CatchTest(function () {
+            var tree = new RTree();
+
+            assertEquals(0, tree.size);
+            assertEquals([], tree.search(new Sector(-90, 90, -180, 180)));
+        }),
+
+        testInsert: CatchTest(function () {
+            var tree = new RTree(4),
+                grid = createGrid();
+
+            for (var i = 0; i < grid.sectors.length; i++) {
+                tree.insert(grid.sectors[i], grid.items[i]);
+            }
+
+            assertEquals(400, tree.size);
+            assertEquals(["0,0", "0,1", "1,0", "1,1"], sorted(tree.search(new Sector(0.5, 1.5, 0.5, 1.5))));
+            assertEquals(400, tree.search(new Sector(-1, 21, -1, 21)).length);
+            assertEquals([], tree.search(new Sector(30, 40, 30, 40)));
+        }),
+
+        testLoad: CatchTest(function () {
+            var tree = new RTree(),
+                grid = createGrid();
+
+            tree.load(grid.sectors, grid.items);
+
+            assertEquals(400, tree.size);
+            assertEquals(["10,19", "11,19"], sorted(tree.search(new Sector(10.5, 11.5, 19.5, 25))));
+            // Adjacent sectors intersect.
+            assertEquals(["5,5", "5,6", "6,5", "6,6"], sorted(tree.search(new Sector(6, 6, 6, 6))));
+        }),
+
+        testLoadThenInsert: CatchTest(function () {
+            var tree = new RTree(),
+                grid = createGrid(),
+                result = [];
+
+            tree.load(grid.sectors, grid.items);
+            tree.insert(new Sector(-10, -5, -10, -5), "outside");
+
+            assertSame(result, tree.search(new Sector(-8, -7, -8, -7), result));
+            assertEquals(["outside"], result);
+        }),
+
+        testClear: CatchTest(function () {
+            var tree = new RTree(),
+                grid = createGrid();
+
+            tree.load(grid.sectors, grid.items);
+            tree.clear();
+
+            assertEquals(0, tree.size);
+            assertEquals([], tree.search(new Sector(0, 20, 0, 20)));
+        })
+    });
+});
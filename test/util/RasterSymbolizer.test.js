@@ -0,0 +1,145 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/WorldWind',
+    'src/util/Color',
+    'src/util/ColorRamp',
+    'src/util/RasterSymbolizer'
+], function (
+    CatchTest,
+    WorldWind,
+    Color,
+    ColorRamp,
+    RasterSymbolizer
+) {
+    "use strict";
+    var createSymbolizer = function () {
+        var symbolizer = new RasterSymbolizer(new ColorRamp([Color.BLACK, Color.WHITE]));
+        symbolizer.minValue = 0;
+        symbolizer.maxValue = 100;
+
+        return symbolizer;
+    };
+
+    TestCase("RasterSymbolizerTest", {
+        testLinear: CatchTest(function () {
+            var symbolizer = createSymbolizer();
+
+            assertEquals(0, symbolizer.fractionForValue(-10));
+            assertEquals(0.25, symbolizer.fractionForValue(25));
+            assertEquals(1, symbolizer.fractionForValue(200));
+        }),
+
+        testLogarithmic: CatchTest(function () {
+            var symbolizer = createSymbolizer();
+            symbolizer.classification = WorldWind.LOGARITHMIC;
+            symbolizer.maxValue = 99;
+
+            assertEquals(0, symbolizer.fractionForValue(0));
+            assertEquals(0.5, symbolizer.fractionForValue(9));
+            assertEquals(1, symbolizer.fractionForValue(99));
+        }),
+
+        testDiscrete: CatchTest(function () {
+            var symbolizer = createSymbolizer();
+            symbolizer.classification = WorldWind.DISCRETE;
+            symbolizer.numClasses = 5;
+
+            assertEquals([20, 40, 60, 80], symbolizer.computeClassBreaks());
+            assertEquals(0, symbolizer.fractionForValue(10));
+            assertEquals(0.25, symbolizer.fractionForValue(20));
+            assertEquals(1, symbolizer.fractionForValue(95));
+
+            symbolizer.classBreaks = [50];
+            assertEquals(0, symbolizer.fractionForValue(49));
+            assertEquals(1, symbolizer.fractionForValue(50));
+        }),
+
+        testStretch: CatchTest(function () {
+            var symbolizer = createSymbolizer(),
+                values = [];
+
+            for (var i = 100; i >= 0; i--) {
+                values.push(i);
+            }
+            values.push(-9999, NaN);
+            symbolizer.noDataValue = -9999;
+
+            symbolizer.stretch(values);
+            assertEquals(0, symbolizer.minValue);
+            assertEquals(100, symbolizer.maxValue);
+
+            symbolizer.stretch(values, 2, 98);
+            assertEquals(2, symbolizer.minValue);
+            assertEquals(98, symbolizer.maxValue);
+        }),
+
+        testSymbolize: CatchTest(function () {
+            var symbolizer = createSymbolizer();
+            symbolizer.noDataValue = -9999;
+
+            var result = symbolizer.symbolize([0, 100, -9999, NaN]);
+
+            assertEquals([0, 0, 0, 255, 255, 255, 255, 255, 0, 0, 0, 0, 0, 0, 0, 0],
+                Array.prototype.slice.call(result));
+        }),
+
+        testNoDataColor: CatchTest(function () {
+            var symbolizer = createSymbolizer();
+            symbolizer.noDataValue = -3.4028234663852886e38;
+            symbolizer.noDataColor = Color.RED;
+
+            // Float32 NODATA values are matched at single precision.
+            var color = symbolizer.colorForValue(Math.fround(-3.4028234663852886e38), new Color(0, 0, 0, 0));
+            assertTrue(color.equals(Color.RED));
+        }),
+
+        testNamedRamp: CatchTest(function () {
+            assertSame(ColorRamp.VEGETATION, new RasterSymbolizer("vegetation").colorRamp);
+            assertSame(ColorRamp.GRAYSCALE, new RasterSymbolizer().colorRamp);
+
+            try {
+                new RasterSymbolizer("unknown");
+                fail("Expected an ArgumentError");
+            } catch (e) {
+                assertEquals("ArgumentError", e.name);
+            }
+        }),
+
+        testLegendLabels: CatchTest(function () {
+            var symbolizer = createSymbolizer();
+
+            assertEquals([0, 50, 100], symbolizer.legendLabels(3).map(function (label) {
+                return label.value;
+            }));
+
+            symbolizer.classification = WorldWind.DISCRETE;
+            symbolizer.classBreaks = [10, 30];
+            assertEquals([{value: 10, position: 1 / 3}, {value: 30, position: 2 / 3}], symbolizer.legendLabels(3));
+            assertEquals(0, symbolizer.legendFraction(0.1));
+            assertEquals(0.5, symbolizer.legendFraction(0.5));
+            assertEquals(1, symbolizer.legendFraction(0.9));
+        }),
+
+        testClone: CatchTest(function () {
+            var symbolizer = createSymbolizer();
+            symbolizer.classification = WorldWind.DISCRETE;
+            symbolizer.classBreaks = [10, 30];
+            symbolizer.noDataValue = -9999;
+
+            var clone = symbolizer.clone();
+            clone.classBreaks.push(50);
+            clone.maxValue = 50;
+
+            assertSame(symbolizer.colorRamp, clone.colorRamp);
+            assertEquals([WorldWind.DISCRETE, 0, -9999], [clone.classification, clone.minValue, clone.noDataValue]);
+            assertEquals([10, 30], symbolizer.classBreaks);
+            assertEquals(100, symbolizer.maxValue);
+        })
+    });
+});
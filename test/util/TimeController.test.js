@@ -0,0 +1,80 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/util/TimeController'
+], function (
+    CatchTest,
+    TimeController
+) {
+    "use strict";
+    TestCase("TimeControllerTest", {
+        testDefaults: CatchTest(function () {
+            var timeController = new TimeController();
+
+            assertNull(timeController.time);
+            assertNull(timeController.timeInterval);
+        }),
+
+        testListenerCalledOnTimeChange: CatchTest(function () {
+            var timeController = new TimeController(),
+                calls = 0;
+
+            timeController.addTimeListener(function (controller) {
+                assertEquals(timeController, controller);
+                calls++;
+            });
+
+            timeController.time = new Date("2016-07-12T00:00:00Z");
+            timeController.time = new Date("2016-07-12T00:00:00Z"); // same time, no notification
+            timeController.time = new Date("2016-07-12T03:00:00Z");
+
+            assertEquals(2, calls);
+            assertEquals("2016-07-12T03:00:00.000Z", timeController.time.toISOString());
+        }),
+
+        testSetTimeNotifiesOnce: CatchTest(function () {
+            var timeController = new TimeController(),
+                calls = 0;
+
+            timeController.addTimeListener(function () {
+                calls++;
+            });
+
+            timeController.setTime(new Date("2016-07-12T00:00:00Z"),
+                [new Date("2016-07-12T00:00:00Z"), new Date("2016-07-13T00:00:00Z")]);
+
+            assertEquals(1, calls);
+            assertEquals("2016-07-13T00:00:00.000Z", timeController.timeInterval[1].toISOString());
+        }),
+
+        testRemoveTimeListener: CatchTest(function () {
+            var timeController = new TimeController(),
+                calls = 0,
+                listener = function () {
+                    calls++;
+                };
+
+            timeController.addTimeListener(listener);
+            timeController.removeTimeListener(listener);
+            timeController.time = new Date("2016-07-12T00:00:00Z");
+
+            assertEquals(0, calls);
+        }),
+
+        testInvalidInterval: CatchTest(function () {
+            var timeController = new TimeController();
+
+            try {
+                timeController.timeInterval = [new Date("2016-07-12T00:00:00Z")];
+                fail("Expected an ArgumentError.");
+            } catch (e) {
+                assertEquals("ArgumentError", e.name);
+            }
+        })
+    });
+});
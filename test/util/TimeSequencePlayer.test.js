@@ -0,0 +1,169 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/util/PeriodicTimeSequence',
+    'src/util/TimeController',
+    'src/util/TimeSequencePlayer'
+], function (
+    CatchTest,
+    PeriodicTimeSequence,
+    TimeController,
+    TimeSequencePlayer
+) {
+    "use strict";
+    // Creates a player whose ticks are run by the test rather than by timers.
+    var createPlayer = function (timeController) {
+        var player = new TimeSequencePlayer(timeController);
+
+        player.scheduledDelays = [];
+        player.scheduleTick = function (delay) {
+            this.scheduledDelays.push(delay);
+        };
+        player.cancelTick = function () {
+        };
+        player.timeSequence = new PeriodicTimeSequence("2016-07-12/2016-07-12T09:00:00Z/PT3H");
+
+        return player;
+    };
+
+    var hours = function (player) {
+        return player.currentTime.getUTCHours();
+    };
+
+    TestCase("TimeSequencePlayerTest", {
+        testTimeSequence: CatchTest(function () {
+            var timeController = new TimeController(),
+                player = createPlayer(timeController);
+
+            assertEquals(4, player.times.length);
+            assertEquals(0, player.currentIndex);
+            assertEquals(player.currentTime, timeController.time);
+        }),
+
+        testPlayToEnd: CatchTest(function () {
+            var player = createPlayer(null),
+                events = [];
+
+            player.addPlaybackListener(function (player, event) {
+                events.push(event);
+            });
+
+            player.speed = 2;
+            player.play();
+            player.tick();
+            player.tick();
+            player.tick();
+            player.tick();
+
+            assertEquals(["play", "time", "time", "time", "end"], events);
+            assertEquals(9, hours(player));
+            assertFalse(player.isPlaying);
+            assertEquals(500, player.scheduledDelays[0]);
+        }),
+
+        testThrowingListener: CatchTest(function () {
+            var player = createPlayer(null),
+                events = [];
+
+            player.addPlaybackListener(function () {
+                throw new Error("Listener failed");
+            });
+            player.addPlaybackListener(function (player, event) {
+                events.push(event);
+            });
+
+            player.play();
+            player.tick();
+
+            assertEquals(["play", "time"], events);
+            assertEquals(3, hours(player));
+            assertTrue(player.isPlaying);
+        }),
+
+        testLoop: CatchTest(function () {
+            var player = createPlayer(null);
+
+            player.repeatMode = TimeSequencePlayer.REPEAT_LOOP;
+            player.seek(new Date("2016-07-12T09:00:00Z"));
+            player.play();
+            player.tick();
+
+            assertEquals(0, hours(player));
+            assertTrue(player.isPlaying);
+        }),
+
+        testBounce: CatchTest(function () {
+            var player = createPlayer(null);
+
+            player.repeatMode = TimeSequencePlayer.REPEAT_BOUNCE;
+            player.seekToScale(1);
+            player.play();
+            player.tick();
+
+            assertEquals(6, hours(player));
+            assertEquals(-1, player.direction);
+        }),
+
+        testHoldAndSkip: CatchTest(function () {
+            var player = createPlayer(null),
+                events = [];
+
+            player.addPlaybackListener(function (player, event) {
+                events.push(event);
+            });
+
+            player.isTimeReady = function (time) {
+                return time.getUTCHours() !== 3;
+            };
+
+            player.play();
+            player.tick();
+            assertEquals(0, hours(player));
+            assertEquals(player.readyCheckInterval, player.scheduledDelays[1]);
+
+            player.maxFrameDelay = 0;
+            player.tick();
+            assertEquals(3, hours(player));
+            assertEquals("skip", events[events.length - 1]);
+
+            player.tick();
+            assertEquals(6, hours(player));
+            assertEquals("time", events[events.length - 1]);
+        }),
+
+        testStep: CatchTest(function () {
+            var player = createPlayer(null);
+
+            player.stepBackward();
+            assertEquals(9, hours(player));
+
+            player.stepForward();
+            assertEquals(0, hours(player));
+        }),
+
+        testPause: CatchTest(function () {
+            var player = createPlayer(null);
+
+            player.play();
+            player.pause();
+            player.tick();
+
+            assertFalse(player.isPlaying);
+            assertEquals(0, hours(player));
+        }),
+
+        testSeekMissingTime: CatchTest(function () {
+            try {
+                createPlayer(null).seek(null);
+                fail("Expected an ArgumentError.");
+            } catch (e) {
+                assertEquals("ArgumentError", e.name);
+            }
+        })
+    });
+});
@@ -0,0 +1,78 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/util/PeriodicTimeSequence',
+    'src/util/TimeSeriesUtil'
+], function (
+    CatchTest,
+    PeriodicTimeSequence,
+    TimeSeriesUtil
+) {
+    "use strict";
+    var times = [
+        new Date("2016-07-12T00:00:00Z"),
+        new Date("2016-07-12T03:00:00Z"),
+        new Date("2016-07-12T06:00:00Z")
+    ];
+
+    TestCase("TimeSeriesUtilTest", {
+        testBracketTime: CatchTest(function () {
+            var bracket = TimeSeriesUtil.bracketTime(times, new Date("2016-07-12T04:00:00Z"));
+
+            assertEquals(1, bracket.lowerIndex);
+            assertEquals(2, bracket.upperIndex);
+            assertEqualsDelta(1 / 3, bracket.fraction, 1e-9);
+        }),
+
+        testBracketTimeExact: CatchTest(function () {
+            var bracket = TimeSeriesUtil.bracketTime(times, new Date("2016-07-12T03:00:00Z"));
+
+            assertEquals(1, bracket.lowerIndex);
+            assertEquals(0, bracket.fraction);
+        }),
+
+        testBracketTimeClamped: CatchTest(function () {
+            var before = TimeSeriesUtil.bracketTime(times, new Date("2016-01-01T00:00:00Z")),
+                after = TimeSeriesUtil.bracketTime(times, new Date("2017-01-01T00:00:00Z"));
+
+            assertEquals(0, before.lowerIndex);
+            assertEquals(0, before.fraction);
+            assertEquals(2, after.upperIndex);
+            assertEquals(0, after.fraction);
+            assertNull(TimeSeriesUtil.bracketTime([], new Date()));
+        }),
+
+        testNearestTimeIndex: CatchTest(function () {
+            assertEquals(1, TimeSeriesUtil.nearestTimeIndex(times, new Date("2016-07-12T04:00:00Z")));
+            assertEquals(2, TimeSeriesUtil.nearestTimeIndex(times, new Date("2016-07-12T05:00:00Z")));
+            assertEquals(-1, TimeSeriesUtil.nearestTimeIndex(times, null));
+        }),
+
+        testTimesOfMissingSequence: CatchTest(function () {
+            try {
+                TimeSeriesUtil.timesOfSequence(null);
+                fail("Expected an ArgumentError");
+            } catch (e) {
+                assertEquals("ArgumentError", e.name);
+                assertTrue(e.message.indexOf("The specified time sequence is null or undefined.") >= 0);
+            }
+        }),
+
+        testTimesOfSequences: CatchTest(function () {
+            var result = TimeSeriesUtil.timesOfSequences([
+                new Date("2016-07-13T00:00:00Z"),
+                new PeriodicTimeSequence("2016-07-12/2016-07-13/P1D"),
+                new PeriodicTimeSequence("2016-07-14/2016-07-14/P1D") // infinite, ignored
+            ]);
+
+            assertEquals(2, result.length);
+            assertEquals("2016-07-12T00:00:00.000Z", result[0].toISOString());
+            assertEquals("2016-07-13T00:00:00.000Z", result[1].toISOString());
+        })
+    });
+});
@@ -0,0 +1,52 @@
+/*
+ * Copyright (C) 2014 United States Government as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All Rights Reserved.
+ */
+require({
+    baseUrl: '/test/'
+}, [
+    'test/CatchTest',
+    'src/WorldWind',
+    'src/geom/Location',
+    'src/geom/Sector',
+    'src/util/XyzUrlBuilder'
+], function (CatchTest,
+             WorldWind,
+             Location,
+             Sector,
+             XyzUrlBuilder) {
+    "use strict";
+
+    TestCase("XyzUrlBuilderTest", {
+        testXyzPlaceholders: CatchTest(function () {
+            var builder = new XyzUrlBuilder("https://{s}.tile.example.com/{z}/{x}/{y}{r}.png"),
+                tile = {level: {levelNumber: 2}, row: 2, column: 5};
+
+            assertEquals("https://b.tile.example.com/3/5/2.png", builder.urlForTile(tile, "image/png"));
+
+            builder.retina = true;
+            builder.subdomains = ["t0", "t1"];
+            assertEquals("https://t1.tile.example.com/3/5/2@2x.png", builder.urlForTile(tile, "image/png"));
+        }),
+
+        testTmsQuadkeyAndTime: CatchTest(function () {
+            var builder = new XyzUrlBuilder("tiles/{time}/{z}/{x}/{-y}.png?q={quadkey}", "abc");
+
+            assertEquals(["a", "b", "c"], builder.subdomains);
+            assertEquals("tiles//3/5/5.png?q=121", builder.urlForIndices(3, 5, 2));
+
+            builder.time = "2016-01-01T00:00:00Z";
+            assertEquals("tiles/2016-01-01T00%3A00%3A00Z/1/0/1.png?q=0", builder.urlForIndices(1, 0, 0));
+        }),
+
+        testGeographicTiles: CatchTest(function () {
+            var builder = new XyzUrlBuilder("{z}/{x}/{y}", null, WorldWind.GEOGRAPHIC),
+                level = {levelNumber: 1, sector: Sector.FULL_SPHERE, tileDelta: new Location(90, 90)};
+
+            assertEquals(1, builder.zoomForLevel(1));
+            // World Wind's row 0 is the southernmost row, XYZ row 0 the northernmost.
+            assertEquals("1/3/1", builder.urlForTile({level: level, row: 0, column: 3}, "image/png"));
+            assertEquals("1/0/0", builder.urlForTile({level: level, row: 1, column: 0}, "image/png"));
+        })
+    });
+});